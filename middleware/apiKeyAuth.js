@@ -0,0 +1,92 @@
+const rateLimit = require('express-rate-limit');
+const apiKeyService = require('../services/apiKeyService');
+const creditSystem = require('../services/creditSystem');
+const { getRepositories } = require('../repositories');
+
+/**
+ * API key authentication for the developer API (/api/v1)
+ * Accepts a key in `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * The key must be active, carry the route's scope, and belong to an account
+ * whose plan includes `api_access`. Requests get the usual req.user shape
+ * with authMethod 'api_key' (keys never carry elevated roles), plus
+ * req.apiKey. Each key is rate limited per minute at its own limit, and the
+ * rest of the request runs with the key ID in async context so credit
+ * deductions are attributed to it.
+ */
+
+const getApiKey = (req) => {
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
+    }
+    return req.get('X-API-Key') || null;
+};
+
+const authenticateApiKey = (scope) => async (req, res, next) => {
+    const secret = getApiKey(req);
+
+    if (!secret || !apiKeyService.isApiKey(secret)) {
+        return res.status(401).json({ error: 'API key required' });
+    }
+
+    try {
+        const key = await apiKeyService.authenticate(secret);
+        if (!key) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+        if (scope && !key.scopes.includes(scope)) {
+            return res.status(403).json({ error: 'API key is not authorized for this API', required: scope });
+        }
+
+        const user = await getRepositories().users.get(key.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+        if (user.suspended) {
+            return res.status(403).json({ error: 'Account suspended' });
+        }
+        if (!creditSystem.hasFeatureAccess(user.plan, 'api_access')) {
+            return res.status(403).json({ error: 'API access requires the custom plan' });
+        }
+
+        req.apiKey = apiKeyService.toPublicKey(key);
+        req.user = {
+            uid: user.id,
+            email: user.email,
+            plan: user.plan,
+            roles: ['student'],
+            authMethod: 'api_key',
+            apiKeyId: key.id
+        };
+        next();
+    } catch (error) {
+        console.error('API key authentication failed:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+// One shared store, so every key has a single budget across all the APIs it can call
+const apiKeyRateLimit = rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => req.apiKey.rateLimit,
+    keyGenerator: (req) => req.apiKey.id,
+    message: {
+        error: 'API key rate limit exceeded, please slow down.',
+        retryAfter: 60
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+const runWithApiKey = (req, res, next) => apiKeyService.runWithKey(req.apiKey.id, next);
+
+/**
+ * Middleware chain that requires an API key
+ * @param {string|null} scope - Required scope (writer, research, detector, prompt), or null for any active key
+ * @returns {Array} Express middleware
+ */
+const requireApiKey = (scope = null) => [authenticateApiKey(scope), apiKeyRateLimit, runWithApiKey];
+
+module.exports = {
+    requireApiKey
+};
@@ -1,27 +1,107 @@
+const admin = require('firebase-admin');
 const jwt = require('jsonwebtoken');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const { getRepositories } = require('../repositories');
 
 /**
- * Middleware to verify JWT token
+ * Authentication middleware shared by every router
+ * Accepts a Firebase ID token in `Authorization: Bearer <token>`. When
+ * JWT_SECRET is set, HS256 session JWTs signed with it are accepted as well;
+ * their subject is `uid` (or `sub`). Either way the request gets the same
+ * req.user shape:
+ *   { uid, email, plan, roles, authMethod: 'firebase' | 'session' }
+ * `plan` and `roles` come from the user record (free and student when there
+ * is none yet). Role claims in tokens are ignored, so changing a user's
+ * stored roles takes effect on their next request. Role checks live in
+ * ./authorize. Suspended accounts are refused with 403.
+ *
+ * Under /api/v1 the request is already authenticated by an API key (see
+ * ./apiKeyAuth), and authenticateToken lets it through unchanged.
  */
-const authenticateToken = (req, res, next) => {
+
+const getBearerToken = (req) => {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    return authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+};
+
+const isSessionToken = (token) => {
+    if (!process.env.JWT_SECRET) return false;
+    const decoded = jwt.decode(token, { complete: true });
+    return !!decoded && decoded.header.alg === 'HS256';
+};
+
+/**
+ * Verify a bearer token and return its claims
+ * @param {string} token - Firebase ID token or session JWT
+ * @returns {Promise<Object>} { uid, email, authMethod }
+ */
+const verifyToken = async (token) => {
+    if (isSessionToken(token)) {
+        const claims = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        return {
+            uid: claims.uid || claims.sub,
+            email: claims.email || null,
+            authMethod: 'session'
+        };
+    }
+
+    const claims = await admin.auth().verifyIdToken(token);
+    return {
+        uid: claims.uid,
+        email: claims.email || null,
+        authMethod: 'firebase'
+    };
+};
+
+const resolveRoles = (user) => {
+    const roles = (user && user.roles) || [];
+    return roles.length > 0 ? [...new Set(roles)] : ['student'];
+};
+
+/**
+ * Middleware to verify the bearer token and load req.user
+ */
+const authenticateToken = async (req, res, next) => {
+    if (req.apiKey && req.user) {
+        return next();
+    }
+
+    const token = getBearerToken(req);
 
     if (!token) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
+    let identity;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
+        identity = await verifyToken(token);
     } catch (error) {
         return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    if (!identity.uid) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+        const user = await getRepositories().users.get(identity.uid);
+        if (user && user.suspended) {
+            return res.status(403).json({ error: 'Account suspended' });
+        }
+
+        req.user = {
+            ...identity,
+            email: identity.email || (user && user.email) || null,
+            plan: (user && user.plan) || 'free',
+            roles: resolveRoles(user)
+        };
+        next();
+    } catch (error) {
+        console.error('User lookup during authentication failed:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
 };
 
 module.exports = {
-    authenticateToken
-};
\ No newline at end of file
+    authenticateToken,
+    verifyToken
+};
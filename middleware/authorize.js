@@ -0,0 +1,75 @@
+/**
+ * Role-based access control
+ * Every authenticated user carries `req.user.roles` (see ./auth). Routes ask
+ * for a named permission rather than a role, so which roles may do what is
+ * decided in one place: POLICIES below. Add a role together with the
+ * policies that grant it something.
+ */
+
+const ROLES = {
+    STUDENT: 'student',
+    ADMIN: 'admin'
+};
+
+const POLICIES = {
+    'users:read-any': [ROLES.ADMIN],
+    'users:search': [ROLES.ADMIN],
+    'users:change-roles': [ROLES.ADMIN],
+    'users:suspend': [ROLES.ADMIN],
+    'credits:adjust': [ROLES.ADMIN],
+    'credits:refresh': [ROLES.ADMIN],
+    'plans:change': [ROLES.ADMIN],
+    'payments:read-any': [ROLES.ADMIN],
+    'transactions:read-any': [ROLES.ADMIN],
+    'jobs:read-any': [ROLES.ADMIN],
+    'research:read-any': [ROLES.ADMIN],
+    'detections:read-any': [ROLES.ADMIN],
+    'errors:read': [ROLES.ADMIN],
+    'audit:read': [ROLES.ADMIN]
+};
+
+/**
+ * Whether a user holds a permission
+ * @param {Object} user - req.user
+ * @param {string} permission - Key of POLICIES
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+    const allowed = POLICIES[permission];
+    if (!allowed) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return !!user && (user.roles || []).some(role => allowed.includes(role));
+};
+
+/**
+ * Middleware that requires a permission; use after authenticateToken
+ * @param {string} permission - Key of POLICIES
+ */
+const authorize = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+    }
+    next();
+};
+
+/**
+ * Middleware that lets users reach their own resource, and anyone holding
+ * the permission reach everyone's
+ * @param {string} permission - Key of POLICIES
+ * @param {string} param - Route parameter holding the owner's user ID
+ */
+const authorizeSelfOr = (permission, param = 'userId') => (req, res, next) => {
+    if (req.user && req.params[param] === req.user.uid) {
+        return next();
+    }
+    return authorize(permission)(req, res, next);
+};
+
+module.exports = {
+    ROLES,
+    POLICIES,
+    hasPermission,
+    authorize,
+    authorizeSelfOr
+};
@@ -0,0 +1,158 @@
+const idempotencyStore = require('../services/idempotencyStore');
+const { STATUS } = idempotencyStore;
+
+const MAX_KEY_LENGTH = 255;
+
+const isEventStream = (res) => String(res.get('Content-Type') || '').startsWith('text/event-stream');
+
+/**
+ * Settle the Idempotency-Key of an event stream once its outcome is known
+ * Complete it only after the credits are captured; when the stream failed or
+ * the client left, call it after any partial capture, so the key is released
+ * only if nothing stayed charged. A no-op for requests without a key.
+ * @param {Object} res - Express response
+ * @param {boolean} succeeded - Whether the streamed work completed and was charged
+ */
+const settleStream = (res, succeeded) => {
+    if (res.locals.settleIdempotencyKey) {
+        res.locals.settleIdempotencyKey(succeeded ? res.statusCode : null);
+    }
+};
+
+/**
+ * Middleware for credit-charging endpoints: honour an `Idempotency-Key` header
+ * Place it after authentication (and after multer on upload routes, so the
+ * body is parsed). Without the header the request runs as usual. With it:
+ *   - the first request runs and its successful (2xx) JSON response is stored for the window
+ *   - a repeat returns the stored response with `Idempotent-Replayed: true`
+ *   - a repeat while the first is still running gets 409 with its status
+ *   - reusing a key for a different request gets 422
+ * Error responses release the key when nothing stayed charged (no charge, or
+ * every charge was rolled back), so the client can fix the request or retry
+ * with the same key. When part of the work was charged before the failure
+ * (e.g. some outline sections), the error response is stored and replayed
+ * like a success, so a retry cannot charge that work twice.
+ * Event streams answer 200 before the work runs, so their handlers report
+ * the real outcome with settleStream().
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+
+    const userId = req.user && req.user.uid;
+    if (!userId) {
+        return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid Idempotency-Key',
+            details: `Use up to ${MAX_KEY_LENGTH} printable ASCII characters, such as a UUID`
+        });
+    }
+
+    const files = (req.files || (req.file ? [req.file] : [])).map(file => [file.originalname, file.size]);
+    const fingerprint = idempotencyStore.fingerprint(req.method, req.baseUrl + req.path, { body: req.body, files });
+
+    let claim;
+    try {
+        claim = await idempotencyStore.claim(userId, key, fingerprint);
+    } catch (error) {
+        console.error('Idempotency claim error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to check Idempotency-Key',
+            details: error.message
+        });
+    }
+
+    if (!claim.claimed) {
+        const { record } = claim;
+
+        if (record.fingerprint !== fingerprint) {
+            return res.status(422).json({
+                success: false,
+                error: 'Idempotency-Key was already used for a different request',
+                details: 'Use a new key for each distinct request'
+            });
+        }
+
+        if (record.status === STATUS.PROCESSING) {
+            res.set('Retry-After', '5');
+            return res.status(409).json({
+                success: false,
+                error: 'A request with this Idempotency-Key is still in progress',
+                details: {
+                    status: STATUS.PROCESSING,
+                    startedAt: new Date(record.startedAt).toISOString()
+                }
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        if (!record.replayable) {
+            return res.status(409).json({
+                success: false,
+                error: 'A request with this Idempotency-Key already completed',
+                details: {
+                    status: STATUS.COMPLETED,
+                    statusCode: record.statusCode,
+                    completedAt: new Date(record.completedAt).toISOString(),
+                    message: 'The original response cannot be replayed (it was streamed or too large); check your history for the result'
+                }
+            });
+        }
+        return res.status(record.statusCode).json(JSON.parse(record.responseBody));
+    }
+
+    // Keep the claim from being taken as abandoned while the request runs
+    const renewal = setInterval(() => {
+        idempotencyStore.renew(userId, key)
+            .catch(error => console.error('Idempotency lease renewal error:', error));
+    }, idempotencyStore.leaseMs / 3);
+    renewal.unref();
+
+    // Credits the request charged, net of rollbacks (AtomicCreditSystem records them)
+    const state = { key, creditsCharged: 0 };
+
+    // Capture the JSON response so repeats can replay it
+    let settled = false;
+    const settle = (statusCode, body) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(renewal);
+
+        const succeeded = statusCode >= 200 && statusCode < 300;
+        const save = succeeded || state.creditsCharged > 0
+            ? idempotencyStore.complete(userId, key, statusCode || res.statusCode, body)
+            : idempotencyStore.release(userId, key);
+        save.catch(error => console.error('Idempotency store error:', error));
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        settle(res.statusCode, body);
+        return json(body);
+    };
+
+    res.locals.settleIdempotencyKey = settle;
+
+    // Other non-JSON responses (e.g. downloads): record completion without a body.
+    // If the client left before any response, the handler is still running and
+    // settles the key when it responds (or the claim's lease runs out).
+    res.on('close', () => {
+        if (res.headersSent && !isEventStream(res)) {
+            settle(res.statusCode);
+        }
+    });
+
+    idempotencyStore.runWithKey(state, next);
+};
+
+module.exports = {
+    idempotency,
+    settleStream
+};
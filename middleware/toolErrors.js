@@ -0,0 +1,32 @@
+const { getRepositories } = require('../repositories');
+
+/**
+ * Record server-side failures of a tool router
+ * Tool routes answer failures with a 5xx JSON body rather than calling
+ * next(err), so this wraps res.json and stores each 5xx response in the
+ * toolErrors repository for the admin console. Recording never affects the
+ * response.
+ * @param {string} tool - Tool name, e.g. 'writer' or 'detector'
+ */
+const recordToolErrors = (tool) => (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (res.statusCode >= 500) {
+            getRepositories().toolErrors.record({
+                tool,
+                userId: (req.user && req.user.uid) || null,
+                status: res.statusCode,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                error: (body && (body.error || body.message)) || 'Unknown error',
+                details: (body && typeof body.details === 'string') ? body.details : null
+            }).catch(error => console.error('Failed to record tool error:', error));
+        }
+        return json(body);
+    };
+
+    next();
+};
+
+module.exports = { recordToolErrors };
@@ -0,0 +1,116 @@
+const { validate } = require('../services/structuredOutput');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Convert a text value (query string, path segment or multipart field) to
+ * what the schema asks for: numbers, booleans and case-insensitive enum
+ * values. Anything that does not convert cleanly is left for validate() to report.
+ * @param {*} value - Raw value
+ * @param {Object} schema - Property schema
+ * @returns {*} Converted value
+ */
+const coerce = (value, schema) => {
+    if (typeof value !== 'string' || !schema) {
+        return value;
+    }
+
+    const types = [].concat(schema.type || []);
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && /^(true|false)$/i.test(value)) {
+        return value.toLowerCase() === 'true';
+    }
+    if (types.includes('array') && !types.includes('string')) {
+        return value.split(',').map(item => coerce(item.trim(), schema.items));
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        const match = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase());
+        return match !== undefined ? match : value;
+    }
+    return value;
+};
+
+const coerceObject = (values, schema) => {
+    const result = { ...values };
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (result[key] !== undefined) {
+            result[key] = coerce(result[key], propertySchema);
+        }
+    });
+    return result;
+};
+
+/**
+ * Turn a validate() violation ("$.options.mode: must be one of ...") into a detail entry
+ * @param {string} location - params, query or body
+ * @param {string} violation - Violation from validate()
+ * @returns {Object} { in, field, message }
+ */
+const toDetail = (location, violation) => {
+    const separator = violation.indexOf(': ');
+    const path = violation.slice(0, separator).replace(/^\$\.?/, '');
+    return {
+        in: location,
+        field: path || location,
+        message: violation.slice(separator + 2)
+    };
+};
+
+/**
+ * Send the 400 every validation failure uses
+ * @param {Object} res - Express response
+ * @param {Array<Object>} details - { in, field, message } per problem
+ */
+const sendValidationError = (res, details) => {
+    res.status(400).json({
+        success: false,
+        error: details.map(detail => `${detail.field} ${detail.message}`).join('; '),
+        details
+    });
+};
+
+/**
+ * Middleware that checks a request against its operation schema from openapi/
+ * Path parameters and the query string are always converted from text first,
+ * and so is the body of multipart operations. The converted values replace
+ * the originals, so handlers see numbers and booleans where the schema says so.
+ * Place it after authentication (and after multer on upload routes) and
+ * before idempotency, so a rejected request does not claim its key.
+ * @param {Object} operation - Operation declaration ({ params, query, body, contentType })
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (operation) => (req, res, next) => {
+    const details = [];
+
+    LOCATIONS.forEach(location => {
+        const schema = operation[location];
+        if (!schema) {
+            return;
+        }
+
+        let value = req[location] === undefined ? {} : req[location];
+        if (location !== 'body' || operation.contentType === 'multipart/form-data') {
+            value = coerceObject(value, schema);
+        }
+
+        const violations = validate(value, schema);
+        if (violations.length > 0) {
+            details.push(...violations.map(violation => toDetail(location, violation)));
+            return;
+        }
+
+        req[location] = value;
+    });
+
+    if (details.length > 0) {
+        return sendValidationError(res, details);
+    }
+    next();
+};
+
+module.exports = {
+    validateRequest,
+    sendValidationError
+};
@@ -0,0 +1,207 @@
+/**
+ * Admin console operations (routes/admin.js, mounted at /api/admin)
+ * Every operation needs the permission named on it; list limits above the
+ * documented maximum are capped.
+ */
+
+const { ROLES } = require('../middleware/authorize');
+
+const USER_ID = {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+        userId: { type: 'string', minLength: 1 }
+    }
+};
+
+const REASON = { type: 'string', minLength: 1 };
+
+const limit = (fallback, max) => ({ type: 'integer', minimum: 1, default: fallback, description: `At most ${max}` });
+
+const limitQuery = (fallback, max) => ({
+    type: 'object',
+    properties: { limit: limit(fallback, max) }
+});
+
+const NO_USER = { 404: 'User not found' };
+
+module.exports = {
+    searchUsers: {
+        method: 'get',
+        path: '/users',
+        summary: 'Search users by exact ID, or by email or name prefix',
+        permission: 'users:search',
+        query: {
+            type: 'object',
+            required: ['q'],
+            properties: {
+                q: { type: 'string', minLength: 1 },
+                limit: limit(20, 100)
+            }
+        }
+    },
+    getUser: {
+        method: 'get',
+        path: '/users/:userId',
+        summary: "View any user's record",
+        permission: 'users:read-any',
+        params: USER_ID,
+        responses: NO_USER
+    },
+    adjustCredits: {
+        method: 'post',
+        path: '/users/:userId/credits',
+        summary: 'Grant, refund or correct credits',
+        description: 'Grants and refunds add credits; corrections may also remove them. ' +
+            '`kind` defaults to grant for a positive amount and correction for a negative one.',
+        permission: 'credits:adjust',
+        params: USER_ID,
+        body: {
+            type: 'object',
+            required: ['amount', 'reason'],
+            properties: {
+                amount: { type: 'integer', description: 'Non-zero' },
+                reason: REASON,
+                kind: { type: 'string', enum: ['grant', 'refund', 'correction'] }
+            }
+        },
+        responses: { ...NO_USER, 409: 'The correction would make the balance negative' }
+    },
+    changePlan: {
+        method: 'put',
+        path: '/users/:userId/plan',
+        summary: "Override a user's plan",
+        permission: 'plans:change',
+        params: USER_ID,
+        body: {
+            type: 'object',
+            required: ['plan'],
+            properties: {
+                plan: { type: 'string', enum: ['free', 'pro', 'custom'] },
+                reason: { type: 'string' }
+            }
+        },
+        responses: NO_USER
+    },
+    changeRoles: {
+        method: 'put',
+        path: '/users/:userId/roles',
+        summary: "Replace a user's stored roles",
+        permission: 'users:change-roles',
+        params: USER_ID,
+        body: {
+            type: 'object',
+            required: ['roles'],
+            properties: {
+                roles: { type: 'array', items: { type: 'string', enum: Object.values(ROLES) } }
+            }
+        },
+        responses: NO_USER
+    },
+    suspend: {
+        method: 'post',
+        path: '/users/:userId/suspend',
+        summary: 'Suspend an account',
+        description: "The account's tokens are refused until it is unsuspended. You cannot suspend yourself.",
+        permission: 'users:suspend',
+        params: USER_ID,
+        body: {
+            type: 'object',
+            required: ['reason'],
+            properties: { reason: REASON }
+        },
+        responses: NO_USER
+    },
+    unsuspend: {
+        method: 'post',
+        path: '/users/:userId/unsuspend',
+        summary: 'Lift a suspension',
+        permission: 'users:suspend',
+        params: USER_ID,
+        body: {
+            type: 'object',
+            properties: { reason: { type: 'string' } }
+        },
+        responses: NO_USER
+    },
+    transactions: {
+        method: 'get',
+        path: '/users/:userId/transactions',
+        summary: "A user's credit transactions",
+        permission: 'transactions:read-any',
+        params: USER_ID,
+        query: limitQuery(50, 100)
+    },
+    research: {
+        method: 'get',
+        path: '/users/:userId/research',
+        summary: "A user's research history",
+        permission: 'research:read-any',
+        params: USER_ID,
+        query: limitQuery(20, 100)
+    },
+    failedGenerations: {
+        method: 'get',
+        path: '/users/:userId/failed-generations',
+        summary: "A user's failed writer jobs and writer errors",
+        permission: 'jobs:read-any',
+        params: USER_ID,
+        query: limitQuery(20, 100)
+    },
+    errors: {
+        method: 'get',
+        path: '/errors',
+        summary: 'Recent errors for a tool: 5xx responses and failed background jobs',
+        permission: 'errors:read',
+        query: {
+            type: 'object',
+            properties: {
+                tool: { type: 'string', enum: ['writer', 'research', 'detector', 'prompt', 'export'] },
+                userId: { type: 'string' },
+                limit: limit(50, 200)
+            }
+        }
+    },
+    jobs: {
+        method: 'get',
+        path: '/jobs',
+        summary: 'Background jobs across users',
+        permission: 'jobs:read-any',
+        query: {
+            type: 'object',
+            properties: {
+                userId: { type: 'string' },
+                status: { type: 'string' },
+                limit: limit(50, 200)
+            }
+        }
+    },
+    detections: {
+        method: 'get',
+        path: '/detections',
+        summary: 'Detection runs across users',
+        permission: 'detections:read-any',
+        query: {
+            type: 'object',
+            properties: {
+                userId: { type: 'string' },
+                limit: limit(20, 100)
+            }
+        }
+    },
+    auditLog: {
+        method: 'get',
+        path: '/audit-log',
+        summary: 'Read the audit log',
+        permission: 'audit:read',
+        query: {
+            type: 'object',
+            properties: {
+                actorId: { type: 'string' },
+                targetUserId: { type: 'string' },
+                action: { type: 'string', description: "e.g. 'credits.adjust'" },
+                limit: limit(50, 200)
+            }
+        }
+    }
+};
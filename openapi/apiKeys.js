@@ -0,0 +1,70 @@
+/**
+ * API key operations (routes/apiKeys.js, mounted at /api/keys)
+ * The upper rate limit is configured (API_KEY_MAX_RATE_LIMIT), so
+ * apiKeyService checks it.
+ */
+
+const { SCOPES } = require('../services/apiKeyService');
+
+const KEY_ID = {
+    type: 'object',
+    required: ['keyId'],
+    properties: {
+        keyId: { type: 'string', minLength: 1 }
+    }
+};
+
+const API_ACCESS = 'Plan does not include API access';
+
+module.exports = {
+    list: {
+        method: 'get',
+        path: '/',
+        summary: 'List your API keys and the available scopes'
+    },
+    create: {
+        method: 'post',
+        path: '/',
+        summary: 'Create an API key',
+        description: 'The secret is only returned in this response.',
+        body: {
+            type: 'object',
+            required: ['name', 'scopes'],
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: SCOPES } },
+                rateLimit: { type: 'integer', minimum: 1, description: 'Requests per minute; defaults to API_KEY_DEFAULT_RATE_LIMIT' }
+            }
+        },
+        responses: { 201: 'Key created', 403: API_ACCESS, 409: 'Too many active keys' }
+    },
+    rotate: {
+        method: 'post',
+        path: '/:keyId/rotate',
+        summary: "Replace a key's secret",
+        description: 'The old secret stops working immediately; the key keeps its ID and usage history.',
+        params: KEY_ID,
+        responses: { 403: API_ACCESS, 404: 'Key not found', 409: 'Key is revoked' }
+    },
+    revoke: {
+        method: 'delete',
+        path: '/:keyId',
+        summary: 'Revoke a key',
+        params: KEY_ID,
+        responses: { 404: 'Key not found' }
+    },
+    usage: {
+        method: 'get',
+        path: '/:keyId/usage',
+        summary: 'Credits and words charged to requests made with a key',
+        params: KEY_ID,
+        query: {
+            type: 'object',
+            properties: {
+                from: { type: 'string', format: 'date-time' },
+                to: { type: 'string', format: 'date-time' }
+            }
+        },
+        responses: { 404: 'Key not found' }
+    }
+};
@@ -0,0 +1,84 @@
+/**
+ * Assignment operations (routes/assignments.js, mounted at /api/assignments)
+ */
+
+const ASSIGNMENT_ID = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1 }
+    }
+};
+
+module.exports = {
+    generate: {
+        method: 'post',
+        path: '/generate',
+        summary: 'Generate an assignment',
+        idempotent: true,
+        body: {
+            type: 'object',
+            required: ['title', 'description', 'wordCount'],
+            properties: {
+                title: { type: 'string', minLength: 1 },
+                description: { type: 'string', minLength: 1 },
+                wordCount: { type: 'integer', minimum: 100, maximum: 2000 },
+                citationStyle: { type: 'string', default: 'APA' },
+                style: { type: 'string', default: 'Academic' },
+                tone: { type: 'string', default: 'Formal' },
+                subject: { type: 'string' },
+                additionalInstructions: { type: 'string' },
+                qualityTier: { type: 'string', enum: ['standard', 'premium'], default: 'standard' },
+                qualityGate: {
+                    type: ['string', 'object'],
+                    description: "Quality gate mode ('off', 'flag' or 'regenerate') or { mode, maxRegenerations }"
+                },
+                template: {
+                    type: ['string', 'integer'],
+                    description: 'Paper template ID used on export; defaults to the one for citationStyle'
+                }
+            }
+        },
+        responses: { 403: 'Plan does not allow assignments' }
+    },
+    history: {
+        method: 'get',
+        path: '/history',
+        summary: 'List generated assignments',
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, default: 20 },
+                offset: { type: 'integer', minimum: 0, default: 0 }
+            }
+        }
+    },
+    get: {
+        method: 'get',
+        path: '/:id',
+        summary: 'Get one assignment',
+        params: ASSIGNMENT_ID,
+        responses: { 403: 'Belongs to another user', 404: 'Assignment not found' }
+    },
+    delete: {
+        method: 'delete',
+        path: '/:id',
+        summary: 'Delete an assignment',
+        params: ASSIGNMENT_ID,
+        responses: { 403: 'Belongs to another user', 404: 'Assignment not found' }
+    },
+    saveToHistory: {
+        method: 'post',
+        path: '/save-to-history',
+        summary: 'Save content to your history',
+        body: {
+            type: 'object',
+            required: ['content', 'title'],
+            properties: {
+                content: { type: 'string', minLength: 1 },
+                title: { type: 'string', minLength: 1 },
+                metadata: { type: 'object' }
+            }
+        }
+    }
+};
@@ -0,0 +1,66 @@
+/**
+ * Account operations (routes/auth.js, mounted at /api/auth)
+ */
+
+const PROFILE_UPDATE_BODY = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 2 }
+    }
+};
+
+module.exports = {
+    register: {
+        method: 'post',
+        path: '/register',
+        summary: 'Create an account',
+        description: 'Returns a Firebase custom token for the new user.',
+        auth: false,
+        body: {
+            type: 'object',
+            required: ['name', 'email', 'password'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                email: { type: 'string', format: 'email', minLength: 1 },
+                password: { type: 'string', minLength: 6 },
+                plan: { type: 'string', enum: ['free', 'pro', 'custom'], default: 'free' }
+            }
+        },
+        responses: { 201: 'Account created' }
+    },
+    login: {
+        method: 'post',
+        path: '/login',
+        summary: 'Check an email and password and get a Firebase custom token for the account',
+        auth: false,
+        body: {
+            type: 'object',
+            required: ['email', 'password'],
+            properties: {
+                email: { type: 'string', minLength: 1 },
+                password: { type: 'string', minLength: 1 }
+            }
+        },
+        responses: {
+            401: 'Invalid email or password',
+            403: 'Account disabled',
+            404: 'User profile not found',
+            429: 'Too many failed login attempts',
+            503: 'Password login is not configured (FIREBASE_WEB_API_KEY)'
+        }
+    },
+    profile: {
+        method: 'get',
+        path: '/profile',
+        summary: 'Your profile',
+        responses: { 404: 'User not found' }
+    },
+    updateProfile: {
+        method: 'put',
+        path: '/profile',
+        summary: 'Change your display name',
+        body: PROFILE_UPDATE_BODY,
+        responses: { 404: 'User not found' }
+    }
+};
@@ -0,0 +1,220 @@
+/**
+ * Detector operations (routes/detector.js, mounted at /api/detector)
+ * Content is limited to 1000 words; the routes count words the same way
+ * the detector service does, so that limit is checked there.
+ */
+
+const REPORT_FORMAT = { type: 'string', enum: ['json', 'html', 'pdf'], default: 'json' };
+
+const ANALYSIS_OPTIONS = {
+    type: 'object',
+    description: 'At least one analysis must stay enabled',
+    properties: {
+        plagiarismDetection: { type: 'boolean', default: true },
+        aiDetection: { type: 'boolean', default: true },
+        readabilityAnalysis: { type: 'boolean', default: true }
+    }
+};
+
+const CONTENT = { type: 'string', minLength: 1, description: 'Up to 1000 words' };
+
+const DETECTION_RESULTS = {
+    type: 'object',
+    description: 'Results from /analyze (or finalDetectionResults of generated content)'
+};
+
+const UPLOAD_FILES = { type: 'array', items: { type: 'string', format: 'binary' } };
+
+const dateQuery = {
+    type: 'object',
+    properties: {
+        date: { type: 'string', format: 'date', description: 'Day to report (YYYY-MM-DD); defaults to today' }
+    }
+};
+
+module.exports = {
+    analyze: {
+        method: 'post',
+        path: '/analyze',
+        summary: 'Analyze content for plagiarism, AI generation and readability',
+        description: 'The response includes a span-level report of every flagged passage.',
+        idempotent: true,
+        body: {
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: CONTENT,
+                options: ANALYSIS_OPTIONS
+            }
+        },
+        responses: { 402: 'Not enough credits', 403: 'Plan does not include the detector', 429: 'Too many detector requests' }
+    },
+    removeAll: {
+        method: 'post',
+        path: '/remove-all',
+        summary: 'Rewrite or cite flagged passages',
+        description: 'With `options.mode: "cite"`, passages matching a known source are quoted or paraphrased with an in-text citation ' +
+            'and the sources are added to the reference list. Only paraphrased words are charged.',
+        idempotent: true,
+        body: {
+            type: 'object',
+            required: ['content', 'detectionResults'],
+            properties: {
+                content: CONTENT,
+                detectionResults: DETECTION_RESULTS,
+                options: {
+                    type: 'object',
+                    properties: {
+                        mode: { type: 'string', enum: ['rewrite', 'cite'], default: 'rewrite' },
+                        citationStyle: { type: 'string', default: 'apa', description: 'apa, mla, chicago or harvard' },
+                        treatment: { type: 'string', enum: ['auto', 'quote', 'paraphrase'], default: 'auto' },
+                        sourceMetadata: { type: 'object', description: 'Authors, dates, etc. keyed by source URL' }
+                    }
+                }
+            }
+        },
+        responses: { 402: 'Not enough credits', 403: 'Plan does not include the detector' }
+    },
+    storedReport: {
+        method: 'get',
+        path: '/report/:analysisId',
+        summary: 'Span-level report for a stored analysis',
+        description: '`html` and `pdf` render the text with every flagged span highlighted.',
+        query: {
+            type: 'object',
+            properties: { format: REPORT_FORMAT }
+        },
+        responses: { 404: 'Analysis not found' }
+    },
+    report: {
+        method: 'post',
+        path: '/report',
+        summary: 'Span-level report for detection results the client already holds',
+        body: {
+            type: 'object',
+            required: ['content', 'detectionResults'],
+            properties: {
+                content: { type: 'string' },
+                detectionResults: DETECTION_RESULTS,
+                format: REPORT_FORMAT,
+                title: { type: 'string' }
+            }
+        }
+    },
+    batch: {
+        method: 'post',
+        path: '/batch',
+        summary: 'Analyze up to 50 documents or ZIP archives of them',
+        description: 'Custom plan only. Every document is analyzed, compared with the other submissions and charged at detection pricing over the total word count.',
+        idempotent: true,
+        async: true,
+        contentType: 'multipart/form-data',
+        body: {
+            type: 'object',
+            properties: {
+                files: UPLOAD_FILES,
+                async: { type: 'boolean', description: 'Run as a background job' }
+            }
+        },
+        responses: { 402: 'Not enough credits', 403: 'Requires the custom plan' }
+    },
+    batchSummary: {
+        method: 'get',
+        path: '/batch/:batchId',
+        summary: 'Batch summary with one row per document and the similar pairs',
+        query: {
+            type: 'object',
+            properties: {
+                format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+            }
+        },
+        responses: { 404: 'Batch not found' }
+    },
+    batchDocument: {
+        method: 'get',
+        path: '/batch/:batchId/documents/:documentId',
+        summary: 'Span-level report for one document in a batch',
+        query: {
+            type: 'object',
+            properties: { format: REPORT_FORMAT }
+        },
+        responses: { 404: 'Document not found' }
+    },
+    compare: {
+        method: 'post',
+        path: '/compare',
+        summary: 'Pairwise similarity across 2-20 of your documents',
+        description: 'Select documents by `historyIds` (content history items) and/or upload them as `files`. Not charged.',
+        contentType: 'multipart/form-data',
+        body: {
+            type: 'object',
+            properties: {
+                files: UPLOAD_FILES,
+                historyIds: {
+                    type: ['array', 'string'],
+                    items: { type: 'string' },
+                    description: 'An array, or in a form a JSON array or comma-separated IDs'
+                }
+            }
+        },
+        responses: { 404: 'History item not found' }
+    },
+    history: {
+        method: 'get',
+        path: '/history',
+        summary: 'List past analyses',
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+            }
+        }
+    },
+    workflow: {
+        method: 'post',
+        path: '/workflow',
+        summary: 'Detect and remove issues in a two-cycle loop',
+        idempotent: true,
+        async: true,
+        body: {
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: CONTENT,
+                options: ANALYSIS_OPTIONS,
+                async: { type: 'boolean', description: 'Run as a background job' }
+            }
+        },
+        responses: { 402: 'Not enough credits', 403: 'Plan does not include the detector' }
+    },
+    credits: {
+        method: 'get',
+        path: '/credits',
+        summary: 'Credit cost of detecting and rewriting a given length',
+        query: {
+            type: 'object',
+            required: ['wordCount'],
+            properties: {
+                wordCount: { type: 'integer', minimum: 1 }
+            }
+        }
+    },
+    validate: {
+        method: 'post',
+        path: '/validate',
+        summary: 'Check content length, credits and plan access before analysis',
+        body: {
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: { type: 'string' }
+            }
+        }
+    },
+    stats: {
+        method: 'get',
+        path: '/stats',
+        summary: "Today's detector statistics",
+        query: dateQuery
+    }
+};
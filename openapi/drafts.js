@@ -0,0 +1,177 @@
+/**
+ * Draft operations (routes/drafts.js, mounted at /api/drafts)
+ */
+
+const DRAFT_ID = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'integer', minimum: 1 }
+    }
+};
+
+const DRAFT_FIELDS = {
+    title: { type: 'string', minLength: 1 },
+    content: { type: 'string' },
+    prompt: { type: 'string' },
+    style: { type: 'string' },
+    tone: { type: 'string' },
+    targetWordCount: { type: 'integer', minimum: 0 }
+};
+
+module.exports = {
+    list: {
+        method: 'get',
+        path: '/',
+        summary: 'List your drafts',
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string' },
+                sort: { type: 'string', enum: ['updated_at', 'created_at', 'title', 'current_word_count'], default: 'updated_at' },
+                order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+                limit: { type: 'integer', minimum: 1, default: 50, description: 'At most 100' },
+                offset: { type: 'integer', minimum: 0, default: 0 }
+            }
+        }
+    },
+    stats: {
+        method: 'get',
+        path: '/stats',
+        summary: 'Draft counts and word totals'
+    },
+    create: {
+        method: 'post',
+        path: '/',
+        summary: 'Create a draft',
+        body: {
+            type: 'object',
+            required: ['title'],
+            properties: DRAFT_FIELDS
+        },
+        responses: { 201: 'Draft created' }
+    },
+    fromGeneration: {
+        method: 'post',
+        path: '/from-generation',
+        summary: 'Open generated writer output as a draft',
+        description: 'By the `contentId` from the writer response metadata or the ID of a completed writer job; one of them is required.',
+        body: {
+            type: 'object',
+            properties: {
+                contentId: { type: 'string', minLength: 1 },
+                jobId: { type: 'string', minLength: 1 },
+                title: { type: 'string' }
+            }
+        },
+        responses: { 201: 'Draft created', 404: 'Generated content or job not found', 409: 'Job has no completed writer output' }
+    },
+    autosave: {
+        method: 'put',
+        path: '/autosave/:token',
+        summary: 'Save content through an autosave session token',
+        body: {
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: { type: 'string' }
+            }
+        },
+        responses: { 403: 'Invalid or expired session' }
+    },
+    get: {
+        method: 'get',
+        path: '/:id',
+        summary: 'Get a draft',
+        params: DRAFT_ID,
+        responses: { 404: 'Draft not found' }
+    },
+    update: {
+        method: 'put',
+        path: '/:id',
+        summary: 'Update a draft',
+        description: 'Content changes create a new version unless `createVersion` is false.',
+        params: DRAFT_ID,
+        body: {
+            type: 'object',
+            properties: {
+                ...DRAFT_FIELDS,
+                status: { type: 'string' },
+                changeSummary: { type: 'string' },
+                createVersion: { type: 'boolean', default: true }
+            }
+        },
+        responses: { 404: 'Draft not found' }
+    },
+    delete: {
+        method: 'delete',
+        path: '/:id',
+        summary: 'Delete a draft with its versions and autosave sessions',
+        params: DRAFT_ID,
+        responses: { 404: 'Draft not found' }
+    },
+    versions: {
+        method: 'get',
+        path: '/:id/versions',
+        summary: "List a draft's versions, newest first",
+        params: DRAFT_ID,
+        query: {
+            type: 'object',
+            properties: {
+                includeContent: { type: 'boolean', default: false }
+            }
+        },
+        responses: { 404: 'Draft not found' }
+    },
+    version: {
+        method: 'get',
+        path: '/:id/versions/:version',
+        summary: "Get one version's content",
+        params: {
+            type: 'object',
+            required: ['id', 'version'],
+            properties: {
+                ...DRAFT_ID.properties,
+                version: { type: 'integer', minimum: 1 }
+            }
+        },
+        responses: { 404: 'Draft or version not found' }
+    },
+    diff: {
+        method: 'get',
+        path: '/:id/diff',
+        summary: 'Word-level diff between two versions',
+        params: DRAFT_ID,
+        query: {
+            type: 'object',
+            required: ['from'],
+            properties: {
+                from: { type: 'integer', minimum: 1 },
+                to: { type: 'integer', minimum: 1, description: 'Defaults to the latest version' }
+            }
+        },
+        responses: { 404: 'Draft or version not found' }
+    },
+    restore: {
+        method: 'post',
+        path: '/:id/restore',
+        summary: 'Restore a previous version as a new version',
+        params: DRAFT_ID,
+        body: {
+            type: 'object',
+            required: ['version'],
+            properties: {
+                version: { type: 'integer', minimum: 1 }
+            }
+        },
+        responses: { 404: 'Draft or version not found' }
+    },
+    autosaveSession: {
+        method: 'post',
+        path: '/:id/autosave-session',
+        summary: 'Start an autosave session',
+        description: 'Earlier sessions for the draft stop accepting saves.',
+        params: DRAFT_ID,
+        responses: { 201: 'Session started', 404: 'Draft not found' }
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Export operations (routes/export.js, mounted at /api/export)
+ */
+
+module.exports = {
+    export: {
+        method: 'post',
+        path: '/',
+        summary: 'Download a history item, draft, assignment or writer output as a document',
+        description: 'Without `options.template` the assignment\'s template or the citation style\'s default template is used.',
+        body: {
+            type: 'object',
+            required: ['source'],
+            properties: {
+                source: {
+                    type: 'object',
+                    required: ['type', 'id'],
+                    properties: {
+                        type: { type: 'string', enum: ['history', 'draft', 'assignment', 'content'] },
+                        id: { type: ['string', 'integer'], description: 'History, draft or assignment ID, or the writer contentId' }
+                    }
+                },
+                format: { type: 'string', enum: ['docx', 'pdf', 'html', 'md', 'markdown', 'txt'], default: 'docx' },
+                options: {
+                    type: 'object',
+                    properties: {
+                        template: { type: 'string', description: 'Built-in or custom template ID' },
+                        title: { type: 'string' },
+                        author: { type: 'string' },
+                        institution: { type: 'string' },
+                        course: { type: 'string' },
+                        instructor: { type: 'string' },
+                        date: { type: 'string' },
+                        citationStyle: { type: 'string' },
+                        titlePage: { type: 'boolean' },
+                        includeBibliography: { type: 'boolean' },
+                        bibliography: { type: 'array', items: { type: 'string' }, description: 'Formatted reference entries' },
+                        pageSize: { type: 'string' },
+                        fontFamily: { type: 'string' },
+                        fontSize: { type: 'number' },
+                        theme: { type: 'string' }
+                    }
+                }
+            }
+        },
+        responses: { 200: 'The exported file', 404: 'Export source or template not found' }
+    },
+    formats: {
+        method: 'get',
+        path: '/formats',
+        summary: 'Supported export formats, citation styles and built-in templates',
+        auth: false
+    }
+};
@@ -0,0 +1,269 @@
+/**
+ * OpenAPI 3.1 document for the HTTP API
+ * Every router declares its operations once in a module next to this one:
+ * method, path, summary, auth and the JSON schemas for params, query and
+ * body. Routes validate requests against the same declarations
+ * (middleware/validate.js), and this module turns them into the document
+ * served at /api/docs. The developer API (/api/v1) is the tool routers with
+ * API key authentication; its document is served at /api/v1/openapi.json.
+ */
+
+const ROUTERS = [
+    { prefix: '/api/auth', tag: 'auth', description: 'Email/password accounts and profile', operations: require('./auth') },
+    { prefix: '/api/users', tag: 'users', description: 'Profile, credits and usage statistics', operations: require('./users') },
+    { prefix: '/api/writer', tag: 'writer', description: 'Content generation', operations: require('./writer') },
+    { prefix: '/api/assignments', tag: 'assignments', description: 'Assignment generation and history', operations: require('./assignments') },
+    { prefix: '/api/research', tag: 'research', description: 'Research queries, sources and citations', operations: require('./research') },
+    { prefix: '/api/detector', tag: 'detector', description: 'Plagiarism, AI-content and readability analysis', operations: require('./detector') },
+    { prefix: '/api/prompt', tag: 'prompt', description: 'Prompt analysis and optimization', operations: require('./promptEngineer') },
+    { prefix: '/api/jobs', tag: 'jobs', description: 'Background jobs', operations: require('./jobs') },
+    { prefix: '/api/drafts', tag: 'drafts', description: 'Drafts, versions and autosave', operations: require('./drafts') },
+    { prefix: '/api/export', tag: 'export', description: 'Document export', operations: require('./export') },
+    { prefix: '/api/templates', tag: 'templates', description: 'Paper templates', operations: require('./templates') },
+    { prefix: '/api/payments', tag: 'payments', description: 'Stripe payments', operations: require('./payments') },
+    { prefix: '/api/keys', tag: 'keys', description: 'Developer API keys', operations: require('./apiKeys') },
+    { prefix: '/api/admin', tag: 'admin', description: 'Admin console', operations: require('./admin') }
+];
+
+// Routers mounted under /api/v1 for API keys (routes/v1.js)
+const V1_TAGS = ['writer', 'research', 'detector', 'prompt', 'jobs'];
+
+const ERROR_RESPONSES = {
+    400: 'ValidationError',
+    401: 'Unauthorized',
+    402: 'InsufficientCredits',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    429: 'RateLimited'
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const COMPONENTS = {
+    securitySchemes: {
+        firebaseToken: {
+            type: 'http',
+            scheme: 'bearer',
+            description: 'Firebase ID token of the signed-in user'
+        },
+        bearerApiKey: {
+            type: 'http',
+            scheme: 'bearer',
+            description: 'API key, e.g. `Authorization: Bearer asv_...`'
+        },
+        headerApiKey: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-Key'
+        }
+    },
+    parameters: {
+        IdempotencyKey: {
+            name: 'Idempotency-Key',
+            in: 'header',
+            required: false,
+            description: 'Repeats with the same key within 24 hours replay the first response instead of charging again',
+            schema: { type: 'string', maxLength: 255 }
+        },
+        PreferAsync: {
+            name: 'Prefer',
+            in: 'header',
+            required: false,
+            description: '`respond-async` runs the request as a background job (same as `"async": true` in the body)',
+            schema: { type: 'string', enum: ['respond-async'] }
+        }
+    },
+    schemas: {
+        Error: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                error: { type: 'string' },
+                message: { type: 'string' },
+                details: {}
+            }
+        },
+        ValidationError: {
+            type: 'object',
+            required: ['success', 'error', 'details'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string', description: 'Every problem in one sentence, e.g. "wordCount must be <= 2000"' },
+                details: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            in: { type: 'string', enum: ['params', 'query', 'body'] },
+                            field: { type: 'string' },
+                            message: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        JobAccepted: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                jobId: { type: 'string' },
+                status: { type: 'string' },
+                statusUrl: { type: 'string' }
+            }
+        }
+    },
+    responses: {
+        ValidationError: {
+            description: 'The request does not match the operation schema',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+        },
+        Unauthorized: errorResponse('Missing or invalid credentials'),
+        InsufficientCredits: errorResponse('Not enough credits'),
+        Forbidden: errorResponse('Not allowed for this user, role, plan or key'),
+        NotFound: errorResponse('Not found'),
+        Conflict: errorResponse('Conflicts with the current state'),
+        RateLimited: errorResponse('Rate limit exceeded'),
+        JobAccepted: {
+            description: 'Queued as a background job; poll `statusUrl`',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/JobAccepted' } } }
+        }
+    }
+};
+
+/**
+ * Express path to OpenAPI path ('/users/:userId' -> '/users/{userId}')
+ */
+const toOpenApiPath = (prefix, path) => `${prefix}${path === '/' ? '' : path}`.replace(/:(\w+)/g, '{$1}') || '/';
+
+const pathParameters = (path, schema = {}) => [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: (schema.properties || {})[name] || { type: 'string' }
+}));
+
+const queryParameters = (schema) => Object.entries((schema && schema.properties) || {}).map(([name, propertySchema]) => {
+    const { description, ...rest } = propertySchema;
+    return {
+        name,
+        in: 'query',
+        required: (schema.required || []).includes(name),
+        ...(description ? { description } : {}),
+        schema: rest
+    };
+});
+
+/**
+ * Build one OpenAPI operation object from a declaration
+ * @param {string} tag - Router tag
+ * @param {string} name - Operation name within the router
+ * @param {Object} operation - Declaration
+ * @param {Array} security - Security requirement for authenticated operations
+ * @returns {Object} OpenAPI operation
+ */
+const buildOperation = (tag, name, operation, security) => {
+    const parameters = [
+        ...pathParameters(operation.path, operation.params),
+        ...queryParameters(operation.query)
+    ];
+    if (operation.idempotent) {
+        parameters.push({ $ref: '#/components/parameters/IdempotencyKey' });
+    }
+    if (operation.async) {
+        parameters.push({ $ref: '#/components/parameters/PreferAsync' });
+    }
+
+    const description = [
+        operation.description,
+        operation.permission ? `Requires the \`${operation.permission}\` permission.` : null
+    ].filter(Boolean).join('\n\n');
+
+    const responses = { 200: { description: 'Success' } };
+    if (operation.async) responses[202] = { $ref: '#/components/responses/JobAccepted' };
+    if (operation.params || operation.query || operation.body) responses[400] = { $ref: '#/components/responses/ValidationError' };
+    if (operation.auth !== false) responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    if (operation.permission) responses[403] = { $ref: '#/components/responses/Forbidden' };
+
+    Object.entries(operation.responses || {}).forEach(([status, text]) => {
+        responses[status] = ERROR_RESPONSES[status] && status !== '400'
+            ? { ...COMPONENTS.responses[ERROR_RESPONSES[status]], description: text }
+            : { description: text };
+    });
+
+    return {
+        tags: [tag],
+        operationId: `${tag}.${name}`,
+        summary: operation.summary,
+        ...(description ? { description } : {}),
+        ...(operation.auth === false ? { security: [] } : { security }),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(operation.body ? {
+            requestBody: {
+                required: (operation.body.required || []).length > 0,
+                content: { [operation.contentType || 'application/json']: { schema: operation.body } }
+            }
+        } : {}),
+        responses
+    };
+};
+
+const addPaths = (paths, routers, prefixFor, security) => {
+    routers.forEach(({ tag, operations, prefix }) => {
+        Object.entries(operations).forEach(([name, operation]) => {
+            const path = toOpenApiPath(prefixFor(prefix, tag), operation.path);
+            paths[path] = paths[path] || {};
+            paths[path][operation.method] = buildOperation(tag, name, operation, security);
+        });
+    });
+    return paths;
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options - { version: 'v1' } for the developer API only
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildDocument = ({ version = null } = {}) => {
+    if (version === 'v1') {
+        const routers = ROUTERS.filter(({ tag }) => V1_TAGS.includes(tag));
+        return {
+            openapi: '3.1.0',
+            info: {
+                title: 'AssignSavvy Developer API',
+                version: '1.0.0',
+                description: 'The writer, research, detector and prompt tools for custom-plan accounts, authenticated with API keys. ' +
+                    'Create, rotate and revoke keys with `/api/keys` while signed in. Each key is scoped to some of the tools, ' +
+                    'has its own per-minute rate limit (`RateLimit-*` headers) and is recorded on every credit charge it makes.'
+            },
+            servers: [{ url: '/api/v1' }],
+            security: [{ bearerApiKey: [] }, { headerApiKey: [] }],
+            tags: routers.map(({ tag, description }) => ({ name: tag, description })),
+            paths: addPaths({}, routers, (prefix, tag) => `/${tag}`, [{ bearerApiKey: [] }, { headerApiKey: [] }]),
+            components: COMPONENTS
+        };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'AssignSavvy API',
+            version: '1.0.0',
+            description: 'Every request body, query string and path parameter is checked against the schemas below; ' +
+                'a mismatch is answered with 400 and a `ValidationError` body.'
+        },
+        servers: [{ url: '/' }],
+        security: [{ firebaseToken: [] }],
+        tags: ROUTERS.map(({ tag, description }) => ({ name: tag, description })),
+        paths: addPaths({}, ROUTERS, prefix => prefix, [{ firebaseToken: [] }]),
+        components: COMPONENTS
+    };
+};
+
+module.exports = {
+    buildDocument,
+    ROUTERS
+};
@@ -0,0 +1,39 @@
+/**
+ * Background job operations (routes/jobs.js, mounted at /api/jobs)
+ */
+
+const JOB_ID = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1 }
+    }
+};
+
+module.exports = {
+    list: {
+        method: 'get',
+        path: '/',
+        summary: 'List your recent background jobs',
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, default: 20, description: 'At most 100' }
+            }
+        }
+    },
+    get: {
+        method: 'get',
+        path: '/:id',
+        summary: "Get a job's status, progress and (when completed) result",
+        params: JOB_ID,
+        responses: { 403: 'Belongs to another user', 404: 'Job not found' }
+    },
+    cancel: {
+        method: 'delete',
+        path: '/:id',
+        summary: 'Cancel a queued or running job',
+        params: JOB_ID,
+        responses: { 403: 'Belongs to another user', 404: 'Job not found', 409: 'Job already finished' }
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Payment operations (routes/payments.js, mounted at /api/payments)
+ * The Stripe webhook is not declared: its raw body is verified with the
+ * Stripe signature instead.
+ */
+
+module.exports = {
+    createPaymentIntent: {
+        method: 'post',
+        path: '/create-payment-intent',
+        summary: 'Create a Stripe payment intent for a credit purchase',
+        description: 'The purchase is credited to the signed-in user.',
+        body: {
+            type: 'object',
+            required: ['amount', 'credits'],
+            properties: {
+                amount: { type: 'number', minimum: 0.5, description: 'In currency units, e.g. 9.99' },
+                currency: { type: 'string', minLength: 3, maxLength: 3, default: 'usd' },
+                credits: { type: 'integer', minimum: 1 }
+            }
+        }
+    },
+    createSubscription: {
+        method: 'post',
+        path: '/create-subscription',
+        summary: 'Start a Pro plan subscription for the signed-in user',
+        body: {
+            type: 'object',
+            required: ['priceId', 'paymentMethodId'],
+            properties: {
+                priceId: { type: 'string', minLength: 1 },
+                paymentMethodId: { type: 'string', minLength: 1 }
+            }
+        }
+    },
+    config: {
+        method: 'get',
+        path: '/config',
+        summary: 'Stripe publishable key',
+        auth: false
+    },
+    history: {
+        method: 'get',
+        path: '/history/:userId',
+        summary: 'Payment history of a user',
+        description: 'Your own history, or anyone\'s with the permission below.',
+        permission: 'payments:read-any',
+        params: {
+            type: 'object',
+            required: ['userId'],
+            properties: { userId: { type: 'string', minLength: 1 } }
+        }
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * Prompt engineer operations (routes/promptEngineer.js, mounted at /api/prompt)
+ * Prompts are limited by word count (15,000, or 2,000 for free analysis),
+ * which the routes check.
+ */
+
+const PROMPT_BODY = {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+        prompt: { type: 'string', minLength: 1, description: 'Up to 15,000 words' }
+    }
+};
+
+const CHARGED_RESPONSES = {
+    402: 'Not enough credits',
+    429: 'Plan limit reached',
+    502: 'The model returned an unusable response; you were not charged'
+};
+
+module.exports = {
+    optimize: {
+        method: 'post',
+        path: '/optimize',
+        summary: 'Optimize a prompt',
+        idempotent: true,
+        body: {
+            ...PROMPT_BODY,
+            properties: {
+                ...PROMPT_BODY.properties,
+                category: { type: 'string', enum: ['general', 'academic', 'creative', 'technical', 'business'], default: 'general' }
+            }
+        },
+        responses: CHARGED_RESPONSES
+    },
+    analyze: {
+        method: 'post',
+        path: '/analyze',
+        summary: 'Analyze prompt quality',
+        idempotent: true,
+        body: PROMPT_BODY,
+        responses: CHARGED_RESPONSES
+    },
+    history: {
+        method: 'get',
+        path: '/history',
+        summary: 'List past optimizations',
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+            }
+        }
+    },
+    templates: {
+        method: 'get',
+        path: '/templates',
+        summary: 'Quick prompt templates',
+        auth: false
+    },
+    credits: {
+        method: 'get',
+        path: '/credits',
+        summary: 'Your credits and the cost of each operation'
+    },
+    validate: {
+        method: 'get',
+        path: '/validate',
+        summary: 'Check your plan allows prompt tools'
+    },
+    analyzeFree: {
+        method: 'post',
+        path: '/analyze-free',
+        summary: 'Basic prompt analysis without an account',
+        description: 'Up to 2,000 words.',
+        auth: false,
+        body: {
+            ...PROMPT_BODY,
+            properties: {
+                prompt: { type: 'string', minLength: 1, description: 'Up to 2,000 words' }
+            }
+        }
+    },
+    stats: {
+        method: 'get',
+        path: '/stats',
+        summary: "Today's prompt engineer statistics",
+        query: {
+            type: 'object',
+            properties: {
+                date: { type: 'string', format: 'date', description: 'Day to report (YYYY-MM-DD); defaults to today' }
+            }
+        }
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * Research operations (research.js, mounted at /api/research)
+ */
+
+const SOURCE = {
+    type: 'object',
+    description: 'Source with title, url, authors, publication date, reliability, etc.'
+};
+
+const RESEARCH_ID = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1 }
+    }
+};
+
+module.exports = {
+    query: {
+        method: 'post',
+        path: '/query',
+        summary: 'Run a research query',
+        description: 'The estimated credits are held and the actual output is charged.',
+        idempotent: true,
+        async: true,
+        body: {
+            type: 'object',
+            required: ['query'],
+            properties: {
+                query: { type: 'string', minLength: 1, maxLength: 2000 },
+                researchType: {
+                    type: 'string',
+                    enum: ['general', 'academic', 'technical', 'market', 'scientific', 'historical'],
+                    default: 'general'
+                },
+                depth: { type: 'integer', minimum: 1, maximum: 5, default: 3 },
+                sources: { type: 'array', items: { type: 'string' }, description: 'Source types to prefer' },
+                saveToHistory: { type: 'boolean', default: true },
+                async: { type: 'boolean', description: 'Run as a background job' }
+            }
+        },
+        responses: {
+            402: 'Not enough credits for the estimate',
+            403: 'Plan limit reached',
+            502: 'The model returned an unusable response; credits were refunded'
+        }
+    },
+    history: {
+        method: 'get',
+        path: '/history',
+        summary: 'List past research',
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, default: 20, description: 'At most 100' },
+                offset: { type: 'integer', minimum: 0, default: 0 }
+            }
+        }
+    },
+    get: {
+        method: 'get',
+        path: '/:id',
+        summary: 'Get one research result',
+        params: RESEARCH_ID,
+        responses: { 403: 'Belongs to another user', 404: 'Research not found' }
+    },
+    delete: {
+        method: 'delete',
+        path: '/:id',
+        summary: 'Delete a research result',
+        params: RESEARCH_ID,
+        responses: { 403: 'Belongs to another user', 404: 'Research not found' }
+    },
+    export: {
+        method: 'post',
+        path: '/export/:id',
+        summary: 'Export a research result',
+        params: RESEARCH_ID,
+        body: {
+            type: 'object',
+            properties: {
+                format: {
+                    type: 'string',
+                    enum: ['json', 'txt', 'markdown', 'citations', 'pdf', 'bibliography', 'pdf-citations'],
+                    default: 'json'
+                }
+            }
+        },
+        responses: { 200: 'The exported file', 404: 'Research not found' }
+    },
+    validateSources: {
+        method: 'post',
+        path: '/validate-sources',
+        summary: 'Validate and score sources',
+        description: 'Charged at half a credit per source.',
+        idempotent: true,
+        body: {
+            type: 'object',
+            required: ['sources'],
+            properties: {
+                sources: { type: 'array', minItems: 1, maxItems: 50, items: SOURCE }
+            }
+        },
+        responses: { 402: 'Not enough credits', 403: 'Plan limit reached' }
+    },
+    generateCitations: {
+        method: 'post',
+        path: '/generate-citations',
+        summary: 'Format citations for sources',
+        idempotent: true,
+        body: {
+            type: 'object',
+            required: ['sources'],
+            properties: {
+                sources: { type: 'array', minItems: 1, maxItems: 100, items: SOURCE },
+                format: { type: 'string', enum: ['apa', 'mla', 'chicago', 'harvard'], default: 'apa' }
+            }
+        },
+        responses: { 402: 'Not enough credits', 403: 'Plan limit reached' }
+    },
+    stats: {
+        method: 'get',
+        path: '/stats',
+        summary: "Today's research statistics",
+        query: {
+            type: 'object',
+            properties: {
+                date: { type: 'string', format: 'date', description: 'Day to report (YYYY-MM-DD); defaults to today' }
+            }
+        }
+    }
+};
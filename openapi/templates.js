@@ -0,0 +1,72 @@
+/**
+ * Paper template operations (routes/templates.js, mounted at /api/templates)
+ * A custom template is sent as the JSON body or as a .json file in the
+ * "template" field of a multipart form, so the body schema only types the
+ * top-level fields; paperTemplates.validateTemplate() checks the definition
+ * either way.
+ */
+
+const TEMPLATE_ID = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1 }
+    }
+};
+
+const TEMPLATE_DEFINITION = {
+    type: 'object',
+    description: 'Template definition, or a multipart form with the definition as a .json file (max 64KB) in "template"',
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: 'string' },
+        extends: { type: 'string', description: 'Built-in template to inherit from, e.g. apa' },
+        citationStyle: { type: 'string' },
+        page: { type: 'object', description: 'fontFamily, fontSize (8-16), lineSpacing (1-3), margin (0.5-2 in), firstLineIndent (0-1 in)' },
+        titlePage: { type: 'object', description: 'enabled and fields (author, institution, course, instructor, date)' },
+        runningHead: { type: 'object' },
+        pageNumbers: { type: 'object' },
+        headings: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'object' } },
+        citations: { type: 'object' },
+        references: { type: 'object' }
+    }
+};
+
+const CUSTOM_PLAN = 'Requires the custom plan';
+
+module.exports = {
+    list: {
+        method: 'get',
+        path: '/',
+        summary: 'Built-in paper templates and your custom templates'
+    },
+    get: {
+        method: 'get',
+        path: '/:id',
+        summary: 'Fully resolved template, including the fields inherited from its base',
+        params: TEMPLATE_ID,
+        responses: { 404: 'Template not found' }
+    },
+    create: {
+        method: 'post',
+        path: '/',
+        summary: 'Upload a custom institution template',
+        body: TEMPLATE_DEFINITION,
+        responses: { 201: 'Template created', 403: CUSTOM_PLAN, 409: 'Template limit reached' }
+    },
+    replace: {
+        method: 'put',
+        path: '/:id',
+        summary: 'Replace a custom template',
+        params: TEMPLATE_ID,
+        body: TEMPLATE_DEFINITION,
+        responses: { 403: CUSTOM_PLAN, 404: 'Template not found' }
+    },
+    delete: {
+        method: 'delete',
+        path: '/:id',
+        summary: 'Delete a custom template',
+        params: TEMPLATE_ID,
+        responses: { 404: 'Template not found' }
+    }
+};
@@ -0,0 +1,71 @@
+/**
+ * User operations (routes/users.js, mounted at /api/users)
+ */
+
+const { profile, updateProfile } = require('./auth');
+
+const dateQuery = {
+    type: 'object',
+    properties: {
+        date: { type: 'string', format: 'date', description: 'Day to report (YYYY-MM-DD); defaults to today' }
+    }
+};
+
+module.exports = {
+    profile,
+    stats: {
+        method: 'get',
+        path: '/stats',
+        summary: 'Your usage totals'
+    },
+    updateProfile,
+    credits: {
+        method: 'get',
+        path: '/credits',
+        summary: 'Your credit balance and totals'
+    },
+    deductCredits: {
+        method: 'post',
+        path: '/deduct-credits',
+        summary: 'Deduct credits from your own balance',
+        permission: 'credits:adjust',
+        body: {
+            type: 'object',
+            required: ['amount'],
+            properties: {
+                amount: { type: 'integer', minimum: 1 },
+                toolType: { type: 'string', default: 'manual' },
+                planType: { type: 'string', default: 'free' }
+            }
+        }
+    },
+    refreshCredits: {
+        method: 'post',
+        path: '/refresh-credits',
+        summary: 'Reset your balance to the plan allowance',
+        permission: 'credits:refresh',
+        responses: { 404: 'User not found' }
+    },
+    transactions: {
+        method: 'get',
+        path: '/transactions',
+        summary: 'Your credit transactions',
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 }
+            }
+        }
+    },
+    notifications: {
+        method: 'get',
+        path: '/notifications',
+        summary: 'Low-credit and plan notifications'
+    },
+    toolStats: {
+        method: 'get',
+        path: '/tool-stats',
+        summary: "Today's usage per tool",
+        query: dateQuery
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * Writer operations (routes/writer.js, mounted at /api/writer)
+ */
+
+const WORD_COUNT = { type: 'integer', minimum: 100, maximum: 2000, default: 500 };
+const QUALITY_TIER = { type: 'string', enum: ['standard', 'premium'], default: 'standard' };
+const QUALITY_GATE = {
+    type: ['string', 'object'],
+    description: "Quality gate mode ('off', 'flag' or 'regenerate') or { mode, maxRegenerations }"
+};
+
+const GENERATION_BODY = {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+        prompt: { type: 'string', minLength: 1 },
+        style: { type: 'string', default: 'Academic' },
+        tone: { type: 'string', default: 'Formal' },
+        wordCount: WORD_COUNT,
+        qualityTier: QUALITY_TIER,
+        contentType: { type: 'string', enum: ['general', 'assignment'], default: 'general' },
+        assignmentTitle: { type: 'string', description: 'Required when contentType is assignment' },
+        citationStyle: { type: 'string', default: 'APA' },
+        subject: { type: 'string' },
+        additionalInstructions: { type: 'string' },
+        requiresCitations: { type: 'boolean' },
+        qualityGate: QUALITY_GATE,
+        async: { type: 'boolean', description: 'Run as a background job' }
+    }
+};
+
+const OUTLINE = {
+    type: 'object',
+    required: ['sections'],
+    properties: {
+        title: { type: 'string' },
+        sections: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title', 'wordCount'],
+                properties: {
+                    title: { type: 'string', minLength: 1, maxLength: 200 },
+                    keyPoints: { type: 'array', items: { type: 'string' } },
+                    wordCount: { type: 'integer', minimum: 1 }
+                }
+            }
+        }
+    }
+};
+
+module.exports = {
+    generate: {
+        method: 'post',
+        path: '/generate',
+        summary: 'Generate content from a prompt or assignment',
+        description: 'Credits for the requested length are held; only the generated words are charged.',
+        idempotent: true,
+        async: true,
+        body: GENERATION_BODY,
+        responses: { 403: 'Plan does not allow generation' }
+    },
+    generateStream: {
+        method: 'post',
+        path: '/generate-stream',
+        summary: 'Generate content with progress as Server-Sent Events',
+        description: 'Events: chunk-started, partial-text, chunk-detection-result, refinement-cycle, quality-gate, chunk-completed, final and error.',
+        idempotent: true,
+        body: GENERATION_BODY,
+        responses: { 200: 'text/event-stream of generation events', 403: 'Plan does not allow generation' }
+    },
+    uploadAndGenerate: {
+        method: 'post',
+        path: '/upload-and-generate',
+        summary: 'Generate content from uploaded PDF, DOCX or TXT files',
+        idempotent: true,
+        contentType: 'multipart/form-data',
+        body: {
+            type: 'object',
+            properties: {
+                files: { type: 'array', items: { type: 'string', format: 'binary' }, description: 'Up to 5 files of 10MB each' },
+                additionalPrompt: { type: 'string' },
+                style: { type: 'string', default: 'Academic' },
+                tone: { type: 'string', default: 'Formal' },
+                wordCount: WORD_COUNT,
+                qualityTier: QUALITY_TIER,
+                subject: { type: 'string' },
+                citationStyle: { type: 'string' },
+                requiresCitations: { type: 'boolean' }
+            }
+        },
+        responses: { 403: 'Plan does not allow generation' }
+    },
+    outline: {
+        method: 'post',
+        path: '/outline',
+        summary: 'Generate an editable outline with a word budget per section',
+        description: 'Not charged.',
+        body: {
+            type: 'object',
+            required: ['prompt'],
+            properties: {
+                prompt: { type: 'string', minLength: 1 },
+                title: { type: 'string' },
+                style: { type: 'string', default: 'Academic' },
+                tone: { type: 'string', default: 'Formal' },
+                wordCount: { ...WORD_COUNT, default: 1000 },
+                qualityTier: QUALITY_TIER
+            }
+        }
+    },
+    generateFromOutline: {
+        method: 'post',
+        path: '/generate-from-outline',
+        summary: 'Generate each section of an approved outline',
+        description: 'Credits are charged per section as it is generated.',
+        idempotent: true,
+        async: true,
+        body: {
+            type: 'object',
+            required: ['prompt', 'outline'],
+            properties: {
+                prompt: { type: 'string', minLength: 1 },
+                outline: OUTLINE,
+                style: { type: 'string', default: 'Academic' },
+                tone: { type: 'string', default: 'Formal' },
+                qualityTier: QUALITY_TIER,
+                qualityGate: QUALITY_GATE,
+                async: { type: 'boolean' }
+            }
+        }
+    },
+    validate: {
+        method: 'post',
+        path: '/validate',
+        summary: 'Run the quality checks on content',
+        description: 'Word count, structure, style/tone and readability.',
+        body: {
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: { type: 'string', minLength: 1 },
+                wordCount: { type: 'integer', minimum: 1, description: 'Target length; defaults to the length of content' },
+                style: { type: 'string', default: 'Academic' },
+                tone: { type: 'string', default: 'Formal' }
+            }
+        }
+    },
+    supportedFormats: {
+        method: 'get',
+        path: '/supported-formats',
+        summary: 'List the file formats accepted for upload',
+        auth: false
+    },
+    validateFiles: {
+        method: 'post',
+        path: '/validate-files',
+        summary: 'Check uploaded files without generating',
+        auth: false,
+        contentType: 'multipart/form-data',
+        body: {
+            type: 'object',
+            properties: {
+                files: { type: 'array', items: { type: 'string', format: 'binary' } }
+            }
+        }
+    },
+    stats: {
+        method: 'get',
+        path: '/stats',
+        summary: "Today's writer statistics",
+        query: {
+            type: 'object',
+            properties: {
+                date: { type: 'string', format: 'date', description: 'Day to report (YYYY-MM-DD); defaults to today' }
+            }
+        }
+    }
+};
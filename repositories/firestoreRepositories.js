@@ -0,0 +1,1215 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const creditLedger = require('../services/creditLedger');
+const idempotencyStore = require('../services/idempotencyStore');
+const apiKeyService = require('../services/apiKeyService');
+const { ACCOUNTS, ENTRY_TYPES } = creditLedger;
+const { STATUS: IDEMPOTENCY_STATUS } = idempotencyStore;
+const { RepositoryError, TOOL_RESULTS, generateId, capCapture } = require('./index');
+
+/**
+ * Firestore repositories
+ * Collections: users, usageTracking, payments, contentHistory, drafts,
+ * draftVersions, draftAutoSaveSessions, apiKeys, adminAuditLog, toolErrors,
+ * detectorBatches (with a `documents` subcollection), idempotencyKeys and
+ * the tool result collections named in TOOL_RESULTS. Draft IDs stay integers (as in
+ * the SQLite table) and are allocated from the `counters/drafts` document.
+ * Credit holds live in `creditReservations`. Every balance change is posted
+ * to `creditLedger` in the same transaction.
+ */
+
+// Firestore Timestamps become Dates; other values pass through
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+
+const toUser = (id, data) => ({
+    id,
+    name: data.name || null,
+    email: data.email || null,
+    plan: data.plan || 'free',
+    credits: data.credits || 0,
+    reservedCredits: data.reservedCredits || 0,
+    totalCreditsUsed: data.totalCreditsUsed || 0,
+    totalWordsGenerated: data.totalWordsGenerated || 0,
+    isPremium: data.isPremium || false,
+    roles: data.roles || [],
+    suspended: data.suspended || false,
+    suspendedReason: data.suspendedReason || null,
+    suspendedAt: toDate(data.suspendedAt),
+    subscriptionEndDate: toDate(data.subscriptionEndDate),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt)
+});
+
+class FirestoreUserRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async get(userId) {
+        const doc = await this.db.collection('users').doc(userId).get();
+        return doc.exists ? toUser(doc.id, doc.data()) : null;
+    }
+
+    async create(userId, { name, email, plan = 'free', credits = 0, isPremium = false }) {
+        const userRef = this.db.collection('users').doc(userId);
+        const userDoc = {
+            uid: userId,
+            name,
+            email,
+            plan,
+            credits,
+            isPremium,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        // Write the profile and its opening grant to the credit ledger together
+        const batch = this.db.batch();
+        batch.set(userRef, userDoc);
+        creditLedger.post(batch, {
+            type: ENTRY_TYPES.GRANT,
+            userId,
+            postings: creditLedger.transfer(ACCOUNTS.GRANTS, ACCOUNTS.user(userId), credits),
+            balanceAfter: credits,
+            metadata: { reason: 'signup', plan }
+        });
+        await batch.commit();
+
+        return toUser(userId, { ...userDoc, createdAt: new Date(), updatedAt: new Date() });
+    }
+
+    async update(userId, fields) {
+        const userRef = this.db.collection('users').doc(userId);
+        const doc = await userRef.get();
+        if (!doc.exists) {
+            return false;
+        }
+
+        await userRef.update({
+            ...fields,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    }
+
+    async search(query, { limit = 20 } = {}) {
+        const users = new Map();
+        const byId = await this.db.collection('users').doc(query).get();
+        if (byId.exists) {
+            users.set(byId.id, toUser(byId.id, byId.data()));
+        }
+
+        // Firestore has no substring match, so email and name match by prefix
+        for (const field of ['email', 'name']) {
+            const snapshot = await this.db.collection('users')
+                .where(field, '>=', query)
+                .where(field, '<=', `${query}\uf8ff`)
+                .limit(limit)
+                .get();
+            snapshot.docs.forEach(doc => users.set(doc.id, toUser(doc.id, doc.data())));
+        }
+
+        return [...users.values()].slice(0, limit);
+    }
+}
+
+class FirestoreCreditRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async getBalance(userId) {
+        const doc = await this.db.collection('users').doc(userId).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const { credits, reservedCredits, totalCreditsUsed, totalWordsGenerated, updatedAt } = toUser(doc.id, doc.data());
+        return { credits, reservedCredits, totalCreditsUsed, totalWordsGenerated, updatedAt };
+    }
+
+    async deduct(userId, amount, { toolType = 'writing', planType = 'free', wordCount = 0 } = {}) {
+        const userRef = this.db.collection('users').doc(userId);
+        const transactionId = generateId('txn');
+        // Set when the charge comes from a request sent with an Idempotency-Key
+        const idempotencyKey = idempotencyStore.getCurrentKey();
+        const apiKeyId = apiKeyService.getCurrentKeyId();
+
+        return this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                throw new Error('User not found');
+            }
+
+            const previousBalance = userDoc.data().credits || 0;
+            if (previousBalance < amount) {
+                throw new Error(`Insufficient credits. Required: ${amount}, Available: ${previousBalance}`);
+            }
+
+            const newBalance = previousBalance - amount;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                totalCreditsUsed: admin.firestore.FieldValue.increment(amount),
+                totalWordsGenerated: admin.firestore.FieldValue.increment(wordCount),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.set(this.db.collection('usageTracking').doc(), {
+                userId,
+                transactionId,
+                toolType,
+                wordCount,
+                creditsUsed: amount,
+                planType,
+                idempotencyKey,
+                apiKeyId,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                type: 'deduction'
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.DEDUCTION,
+                userId,
+                postings: creditLedger.transfer(ACCOUNTS.user(userId), ACCOUNTS.USAGE, amount),
+                reference: transactionId,
+                balanceAfter: newBalance,
+                metadata: { toolType, idempotencyKey }
+            });
+
+            return { transactionId, previousBalance, newBalance };
+        });
+    }
+
+    async reserve(userId, amount, { toolType = 'writing', planType = 'free', expiresAt }) {
+        const userRef = this.db.collection('users').doc(userId);
+        const reservationId = generateId('res');
+        const reservationRef = this.db.collection('creditReservations').doc(reservationId);
+        const idempotencyKey = idempotencyStore.getCurrentKey();
+        const apiKeyId = apiKeyService.getCurrentKeyId();
+
+        return this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                throw new Error('User not found');
+            }
+
+            const previousBalance = userDoc.data().credits || 0;
+            if (previousBalance < amount) {
+                throw new Error(`Insufficient credits. Required: ${amount}, Available: ${previousBalance}`);
+            }
+
+            const newBalance = previousBalance - amount;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                reservedCredits: admin.firestore.FieldValue.increment(amount),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.set(reservationRef, {
+                userId,
+                reservationId,
+                toolType,
+                planType,
+                creditsReserved: amount,
+                status: 'held',
+                idempotencyKey,
+                apiKeyId,
+                expiresAt,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.RESERVATION,
+                userId,
+                postings: creditLedger.transfer(ACCOUNTS.user(userId), ACCOUNTS.reserved(userId), amount),
+                reference: reservationId,
+                balanceAfter: newBalance,
+                metadata: { toolType, idempotencyKey }
+            });
+
+            return { reservationId, previousBalance, newBalance, expiresAt };
+        });
+    }
+
+    async capture(userId, reservationId, actualCredits, { wordCount = 0 } = {}) {
+        const userRef = this.db.collection('users').doc(userId);
+        const reservationRef = this.db.collection('creditReservations').doc(reservationId);
+        const transactionId = generateId('txn');
+
+        return this.db.runTransaction(async (transaction) => {
+            const [userDoc, reservationDoc] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(reservationRef)
+            ]);
+
+            if (!userDoc.exists) {
+                throw new Error('User not found');
+            }
+            if (!reservationDoc.exists || reservationDoc.data().userId !== userId) {
+                throw new Error(`Credit reservation ${reservationId} not found`);
+            }
+
+            const reservation = reservationDoc.data();
+            if (reservation.status !== 'held') {
+                throw new Error(`Credit reservation ${reservationId} is already ${reservation.status}`);
+            }
+
+            const creditsCaptured = capCapture(actualCredits, reservation.creditsReserved);
+            const creditsReleased = reservation.creditsReserved - creditsCaptured;
+            const newBalance = (userDoc.data().credits || 0) + creditsReleased;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                reservedCredits: admin.firestore.FieldValue.increment(-reservation.creditsReserved),
+                totalCreditsUsed: admin.firestore.FieldValue.increment(creditsCaptured),
+                totalWordsGenerated: admin.firestore.FieldValue.increment(wordCount),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.update(reservationRef, {
+                status: 'captured',
+                creditsCaptured,
+                creditsReleased,
+                settledAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.set(this.db.collection('usageTracking').doc(), {
+                userId,
+                transactionId,
+                reservationId,
+                toolType: reservation.toolType,
+                wordCount,
+                creditsUsed: creditsCaptured,
+                planType: reservation.planType,
+                idempotencyKey: reservation.idempotencyKey || null,
+                apiKeyId: reservation.apiKeyId || null,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                type: 'deduction'
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.CAPTURE,
+                userId,
+                postings: [
+                    { account: ACCOUNTS.reserved(userId), amount: -reservation.creditsReserved },
+                    { account: ACCOUNTS.USAGE, amount: creditsCaptured },
+                    { account: ACCOUNTS.user(userId), amount: creditsReleased }
+                ],
+                reference: reservationId,
+                balanceAfter: newBalance,
+                metadata: { toolType: reservation.toolType, transactionId, wordCount }
+            });
+
+            return { transactionId, creditsReserved: reservation.creditsReserved, creditsCaptured, creditsReleased, newBalance };
+        });
+    }
+
+    async release(userId, reservationId, reason = 'released') {
+        const userRef = this.db.collection('users').doc(userId);
+        const reservationRef = this.db.collection('creditReservations').doc(reservationId);
+
+        return this.db.runTransaction(async (transaction) => {
+            const [userDoc, reservationDoc] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(reservationRef)
+            ]);
+
+            if (!userDoc.exists) {
+                throw new Error('User not found');
+            }
+            if (!reservationDoc.exists || reservationDoc.data().userId !== userId) {
+                throw new Error(`Credit reservation ${reservationId} not found`);
+            }
+
+            const reservation = reservationDoc.data();
+            const currentCredits = userDoc.data().credits || 0;
+
+            if (reservation.status !== 'held') {
+                return { creditsReleased: 0, newBalance: currentCredits, alreadySettled: true };
+            }
+
+            const newBalance = currentCredits + reservation.creditsReserved;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                reservedCredits: admin.firestore.FieldValue.increment(-reservation.creditsReserved),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.update(reservationRef, {
+                status: 'released',
+                creditsCaptured: 0,
+                creditsReleased: reservation.creditsReserved,
+                releaseReason: reason,
+                settledAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.RELEASE,
+                userId,
+                postings: creditLedger.transfer(ACCOUNTS.reserved(userId), ACCOUNTS.user(userId), reservation.creditsReserved),
+                reference: reservationId,
+                balanceAfter: newBalance,
+                metadata: { reason }
+            });
+
+            return { creditsReleased: reservation.creditsReserved, newBalance, alreadySettled: false };
+        });
+    }
+
+    async listExpiredReservations(limit = 100) {
+        const snapshot = await this.db.collection('creditReservations')
+            .where('status', '==', 'held')
+            .where('expiresAt', '<=', new Date())
+            .limit(limit)
+            .get();
+
+        return snapshot.docs.map(doc => ({ reservationId: doc.id, userId: doc.data().userId }));
+    }
+
+    async restore(userId, transactionId, amount, wordCount = 0) {
+        const userRef = this.db.collection('users').doc(userId);
+
+        return this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                throw new Error('User not found for rollback');
+            }
+
+            const newBalance = (userDoc.data().credits || 0) + amount;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.set(this.db.collection('usageTracking').doc(), {
+                userId,
+                originalTransactionId: transactionId,
+                wordCount: -wordCount,
+                creditsUsed: -amount,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                type: 'rollback'
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.REFUND,
+                userId,
+                postings: creditLedger.transfer(ACCOUNTS.USAGE, ACCOUNTS.user(userId), amount),
+                reference: transactionId,
+                balanceAfter: newBalance,
+                metadata: { reason: 'rollback' }
+            });
+
+            return { newBalance };
+        });
+    }
+
+    async refund(userId, amount, { planType = 'free', reason = 'refund' } = {}) {
+        const userRef = this.db.collection('users').doc(userId);
+        const transactionId = generateId('txn');
+
+        return this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                throw new Error('User not found');
+            }
+
+            const previousBalance = userDoc.data().credits || 0;
+            const newBalance = previousBalance + amount;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.set(this.db.collection('usageTracking').doc(), {
+                userId,
+                transactionId,
+                toolType: reason,
+                wordCount: 0,
+                creditsUsed: -amount,
+                planType,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                type: 'refund'
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.REFUND,
+                userId,
+                postings: creditLedger.transfer(ACCOUNTS.USAGE, ACCOUNTS.user(userId), amount),
+                reference: transactionId,
+                balanceAfter: newBalance,
+                metadata: { reason }
+            });
+
+            return { transactionId, previousBalance, newBalance };
+        });
+    }
+
+    async purchase(userId, amount, { plan, reference = null, metadata = {} } = {}) {
+        const userRef = this.db.collection('users').doc(userId);
+
+        return this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                throw new Error(`User ${userId} not found`);
+            }
+
+            const previousBalance = userDoc.data().credits || 0;
+            const newBalance = previousBalance + amount;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                ...(plan ? { plan, isPremium: true } : {}),
+                totalCreditsEarned: admin.firestore.FieldValue.increment(amount),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.PURCHASE,
+                userId,
+                postings: creditLedger.transfer(ACCOUNTS.PURCHASES, ACCOUNTS.user(userId), amount),
+                reference,
+                balanceAfter: newBalance,
+                metadata: { plan, ...metadata }
+            });
+
+            return { previousBalance, newBalance };
+        });
+    }
+
+    async refresh(userId, allowances) {
+        const userRef = this.db.collection('users').doc(userId);
+
+        // The balance is reset to the plan allowance; the difference goes to the credit ledger
+        return this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                return null;
+            }
+
+            const user = toUser(userDoc.id, userDoc.data());
+            const newBalance = allowances[user.plan] || allowances.free;
+            const difference = newBalance - user.credits;
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.REFRESH,
+                userId,
+                postings: difference >= 0
+                    ? creditLedger.transfer(ACCOUNTS.GRANTS, ACCOUNTS.user(userId), difference)
+                    : creditLedger.transfer(ACCOUNTS.user(userId), ACCOUNTS.EXPIRED, -difference),
+                balanceAfter: newBalance,
+                metadata: { plan: user.plan, previousBalance: user.credits }
+            });
+
+            return { user, previousBalance: user.credits, newBalance };
+        });
+    }
+
+    async adjust(userId, amount, { reason, actorId = null, kind = null } = {}) {
+        const userRef = this.db.collection('users').doc(userId);
+
+        return this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+
+            if (!userDoc.exists) {
+                throw new RepositoryError(`User ${userId} not found`, 'USER_NOT_FOUND');
+            }
+
+            const previousBalance = userDoc.data().credits || 0;
+            const newBalance = previousBalance + amount;
+            if (newBalance < 0) {
+                throw new RepositoryError(`Adjustment of ${amount} would leave a negative balance (${previousBalance} available)`, 'NEGATIVE_BALANCE');
+            }
+
+            transaction.update(userRef, {
+                credits: newBalance,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            creditLedger.post(transaction, {
+                type: ENTRY_TYPES.ADJUSTMENT,
+                userId,
+                postings: creditLedger.transfer(ACCOUNTS.ADJUSTMENTS, ACCOUNTS.user(userId), amount),
+                balanceAfter: newBalance,
+                metadata: { reason, actorId, kind }
+            });
+
+            return { previousBalance, newBalance };
+        });
+    }
+}
+
+class FirestoreDraftRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    drafts() {
+        return this.db.collection('drafts');
+    }
+
+    versionRef(draftId, versionNumber) {
+        return this.db.collection('draftVersions').doc(`${draftId}_${versionNumber}`);
+    }
+
+    async nextDraftId() {
+        const counterRef = this.db.collection('counters').doc('drafts');
+        return this.db.runTransaction(async (transaction) => {
+            const counter = await transaction.get(counterRef);
+            const next = (counter.exists ? counter.data().value : 0) + 1;
+            transaction.set(counterRef, { value: next });
+            return next;
+        });
+    }
+
+    async create(draft) {
+        const id = await this.nextDraftId();
+        const now = new Date().toISOString();
+        const row = {
+            id,
+            ...draft,
+            status: draft.status || 'draft',
+            version: 1,
+            auto_saved: false,
+            created_at: now,
+            updated_at: now
+        };
+
+        await this.drafts().doc(String(id)).set(row);
+        return row;
+    }
+
+    async get(draftId, userId = null) {
+        const doc = await this.drafts().doc(String(draftId)).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const row = doc.data();
+        return userId === null || row.user_id === userId ? row : null;
+    }
+
+    async list(userId, { status = null, limit = 50, offset = 0, orderBy = 'updated_at', orderDirection = 'DESC' } = {}) {
+        let query = this.drafts().where('user_id', '==', userId);
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+
+        const snapshot = await query
+            .orderBy(orderBy, orderDirection.toLowerCase())
+            .offset(offset)
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async update(draftId, fields, { incrementVersion = false } = {}) {
+        const ref = this.drafts().doc(String(draftId));
+
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) {
+                return null;
+            }
+
+            const row = {
+                ...doc.data(),
+                ...fields,
+                updated_at: new Date().toISOString()
+            };
+            if (incrementVersion) {
+                row.version += 1;
+            }
+
+            transaction.set(ref, row);
+            return row;
+        });
+    }
+
+    async delete(draftId) {
+        const [versions, sessions] = await Promise.all([
+            this.db.collection('draftVersions').where('draft_id', '==', draftId).get(),
+            this.db.collection('draftAutoSaveSessions').where('draft_id', '==', draftId).get()
+        ]);
+
+        const batch = this.db.batch();
+        versions.docs.forEach(doc => batch.delete(doc.ref));
+        sessions.docs.forEach(doc => batch.delete(doc.ref));
+        batch.delete(this.drafts().doc(String(draftId)));
+        await batch.commit();
+
+        return 1;
+    }
+
+    async stats(userId) {
+        const snapshot = await this.drafts().where('user_id', '==', userId).get();
+        const drafts = snapshot.docs.map(doc => doc.data());
+        const totalWords = drafts.reduce((total, draft) => total + (draft.current_word_count || 0), 0);
+
+        return {
+            total_drafts: drafts.length,
+            active_drafts: drafts.filter(draft => draft.status === 'draft').length,
+            completed_drafts: drafts.filter(draft => draft.status === 'completed').length,
+            total_words: drafts.length ? totalWords : null,
+            avg_words_per_draft: drafts.length ? totalWords / drafts.length : null
+        };
+    }
+
+    async addVersion(draftId, { versionNumber, content, changeSummary, wordCount }) {
+        await this.versionRef(draftId, versionNumber).set({
+            draft_id: draftId,
+            version_number: versionNumber,
+            content,
+            change_summary: changeSummary,
+            word_count: wordCount,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    async listVersions(draftId) {
+        const snapshot = await this.db.collection('draftVersions')
+            .where('draft_id', '==', draftId)
+            .orderBy('version_number', 'desc')
+            .get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async getVersion(draftId, versionNumber) {
+        const doc = await this.versionRef(draftId, versionNumber).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    async pruneVersions(draftId, keep) {
+        const snapshot = await this.db.collection('draftVersions')
+            .where('draft_id', '==', draftId)
+            .orderBy('version_number', 'desc')
+            .offset(keep)
+            .get();
+
+        if (snapshot.empty) return;
+
+        const batch = this.db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+
+    async createSession(draftId, token) {
+        const sessions = this.db.collection('draftAutoSaveSessions');
+        const active = await sessions
+            .where('draft_id', '==', draftId)
+            .where('is_active', '==', true)
+            .get();
+
+        const batch = this.db.batch();
+        active.docs.forEach(doc => batch.update(doc.ref, { is_active: false }));
+        batch.set(sessions.doc(token), {
+            draft_id: draftId,
+            session_token: token,
+            is_active: true,
+            last_auto_save: null,
+            created_at: new Date().toISOString()
+        });
+        await batch.commit();
+    }
+
+    async findActiveSession(token, userId = null) {
+        const doc = await this.db.collection('draftAutoSaveSessions').doc(token).get();
+        if (!doc.exists || !doc.data().is_active) {
+            return null;
+        }
+
+        const session = doc.data();
+        const draft = await this.get(session.draft_id, userId);
+        return draft ? session : null;
+    }
+
+    async touchSession(token) {
+        await this.db.collection('draftAutoSaveSessions').doc(token).update({
+            last_auto_save: new Date().toISOString()
+        });
+    }
+}
+
+const toHistoryItem = (id, data) => ({
+    id,
+    userId: data.userId,
+    title: data.title || null,
+    content: data.content,
+    type: data.type || null,
+    wordCount: data.wordCount || 0,
+    metadata: data.metadata || {},
+    createdAt: toDate(data.createdAt)
+});
+
+class FirestoreHistoryRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async add(userId, { title, content, type, wordCount, metadata = {} }) {
+        const ref = await this.db.collection('contentHistory').add({
+            userId,
+            title,
+            content,
+            metadata,
+            wordCount,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            type
+        });
+        return ref.id;
+    }
+
+    async get(itemId) {
+        const doc = await this.db.collection('contentHistory').doc(itemId).get();
+        return doc.exists ? toHistoryItem(doc.id, doc.data()) : null;
+    }
+
+    async listRecent(userId, { since = null, limit = 20 } = {}) {
+        let query = this.db.collection('contentHistory').where('userId', '==', userId);
+        if (since) {
+            query = query.where('createdAt', '>=', since);
+        }
+
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+        return snapshot.docs.map(doc => toHistoryItem(doc.id, doc.data()));
+    }
+}
+
+class FirestorePaymentRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record(payment) {
+        const ref = await this.db.collection('payments').add({
+            ...payment,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return ref.id;
+    }
+
+    async listByUser(userId, limit = 50) {
+        const snapshot = await this.db.collection('payments')
+            .where('userId', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get();
+
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return { id: doc.id, ...data, createdAt: toDate(data.createdAt) };
+        });
+    }
+}
+
+const toUsageEntry = (id, data) => ({
+    id,
+    userId: data.userId,
+    toolType: data.toolType || null,
+    wordCount: data.wordCount || data.wordsGenerated || 0,
+    creditsUsed: data.creditsUsed || 0,
+    type: data.type,
+    planType: data.planType || null,
+    transactionId: data.transactionId || null,
+    apiKeyId: data.apiKeyId || null,
+    timestamp: toDate(data.timestamp)
+});
+
+class FirestoreUsageRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record(userId, { toolType, wordCount = 0, creditsUsed = 0, type = 'usage', metadata = {} }) {
+        const ref = await this.db.collection('usageTracking').add({
+            userId,
+            toolType,
+            wordsGenerated: wordCount,
+            creditsUsed,
+            metadata,
+            apiKeyId: apiKeyService.getCurrentKeyId(),
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            type
+        });
+        return ref.id;
+    }
+
+    async list(userId, { type = null, from = null, to = null, apiKeyId = null } = {}) {
+        let query = this.db.collection('usageTracking').where('userId', '==', userId);
+        if (type) {
+            query = query.where('type', '==', type);
+        }
+        if (apiKeyId) {
+            query = query.where('apiKeyId', '==', apiKeyId);
+        }
+        if (from) {
+            query = query.where('timestamp', '>=', from);
+        }
+        if (to) {
+            query = query.where('timestamp', '<=', to);
+        }
+
+        const snapshot = await query.get();
+        return snapshot.docs.map(doc => toUsageEntry(doc.id, doc.data()));
+    }
+
+    async listRecent(userId, { limit = 50 } = {}) {
+        const snapshot = await this.db.collection('usageTracking')
+            .where('userId', '==', userId)
+            .orderBy('timestamp', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => toUsageEntry(doc.id, doc.data()));
+    }
+}
+
+const toApiKey = (id, data) => ({
+    id,
+    userId: data.userId,
+    name: data.name,
+    prefix: data.prefix,
+    hash: data.hash,
+    scopes: data.scopes || [],
+    rateLimit: data.rateLimit,
+    createdAt: toDate(data.createdAt),
+    lastUsedAt: toDate(data.lastUsedAt),
+    rotatedAt: toDate(data.rotatedAt),
+    revokedAt: toDate(data.revokedAt)
+});
+
+class FirestoreApiKeyRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create({ id, userId, name, prefix, hash, scopes, rateLimit }) {
+        const key = { userId, name, prefix, hash, scopes, rateLimit, lastUsedAt: null, rotatedAt: null, revokedAt: null };
+        await this.db.collection('apiKeys').doc(id).set({
+            ...key,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return toApiKey(id, { ...key, createdAt: new Date() });
+    }
+
+    async get(keyId) {
+        const doc = await this.db.collection('apiKeys').doc(keyId).get();
+        return doc.exists ? toApiKey(doc.id, doc.data()) : null;
+    }
+
+    async findByHash(hash) {
+        const snapshot = await this.db.collection('apiKeys').where('hash', '==', hash).limit(1).get();
+        return snapshot.empty ? null : toApiKey(snapshot.docs[0].id, snapshot.docs[0].data());
+    }
+
+    async listByUser(userId) {
+        const snapshot = await this.db.collection('apiKeys')
+            .where('userId', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .get();
+        return snapshot.docs.map(doc => toApiKey(doc.id, doc.data()));
+    }
+
+    async update(keyId, fields) {
+        const keyRef = this.db.collection('apiKeys').doc(keyId);
+        const doc = await keyRef.get();
+        if (!doc.exists) {
+            return false;
+        }
+
+        await keyRef.update(fields);
+        return true;
+    }
+}
+
+class FirestoreAuditRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record({ actorId, action, targetUserId = null, details = {} }) {
+        const ref = await this.db.collection('adminAuditLog').add({
+            actorId,
+            action,
+            targetUserId,
+            details,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return ref.id;
+    }
+
+    async list({ actorId = null, targetUserId = null, action = null, limit = 50 } = {}) {
+        let query = this.db.collection('adminAuditLog');
+        if (actorId) {
+            query = query.where('actorId', '==', actorId);
+        }
+        if (targetUserId) {
+            query = query.where('targetUserId', '==', targetUserId);
+        }
+        if (action) {
+            query = query.where('action', '==', action);
+        }
+
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return { id: doc.id, ...data, createdAt: toDate(data.createdAt) };
+        });
+    }
+}
+
+class FirestoreToolErrorRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record({ tool, userId = null, status, method, path, error, details = null }) {
+        const ref = await this.db.collection('toolErrors').add({
+            tool,
+            userId,
+            status,
+            method,
+            path,
+            error,
+            details,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return ref.id;
+    }
+
+    async listRecent({ tool = null, userId = null, limit = 50 } = {}) {
+        let query = this.db.collection('toolErrors');
+        if (tool) {
+            query = query.where('tool', '==', tool);
+        }
+        if (userId) {
+            query = query.where('userId', '==', userId);
+        }
+
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return { id: doc.id, ...data, createdAt: toDate(data.createdAt) };
+        });
+    }
+}
+
+class FirestoreToolResultRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    collection(tool) {
+        return this.db.collection(TOOL_RESULTS[tool].collection);
+    }
+
+    toResult(tool, doc) {
+        const { timeField } = TOOL_RESULTS[tool];
+        const data = doc.data();
+        return { id: doc.id, ...data, [timeField]: toDate(data[timeField]) };
+    }
+
+    async create(tool, userId, data) {
+        const ref = await this.collection(tool).add({
+            ...data,
+            userId,
+            [TOOL_RESULTS[tool].timeField]: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return ref.id;
+    }
+
+    async get(tool, resultId) {
+        const doc = await this.collection(tool).doc(resultId).get();
+        return doc.exists ? this.toResult(tool, doc) : null;
+    }
+
+    async list(tool, { userId = null, from = null, to = null, limit = 20, offset = 0 } = {}) {
+        const { timeField } = TOOL_RESULTS[tool];
+        let query = this.collection(tool);
+        if (userId) {
+            query = query.where('userId', '==', userId);
+        }
+        if (from) {
+            query = query.where(timeField, '>=', from);
+        }
+        if (to) {
+            query = query.where(timeField, '<', to);
+        }
+
+        query = query.orderBy(timeField, 'desc').offset(offset);
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        const snapshot = await query.get();
+        return snapshot.docs.map(doc => this.toResult(tool, doc));
+    }
+
+    async update(tool, resultId, fields) {
+        const ref = this.collection(tool).doc(resultId);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            return false;
+        }
+
+        await ref.update(fields);
+        return true;
+    }
+
+    async delete(tool, resultId) {
+        const ref = this.collection(tool).doc(resultId);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            return false;
+        }
+
+        await ref.delete();
+        return true;
+    }
+}
+
+class FirestoreDetectorBatchRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(batchId, batch, documents) {
+        const batchRef = this.db.collection('detectorBatches').doc(batchId);
+        const writeBatch = this.db.batch();
+
+        writeBatch.set(batchRef, {
+            ...batch,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        documents.forEach(document => {
+            writeBatch.set(batchRef.collection('documents').doc(document.documentId), {
+                userId: batch.userId,
+                ...document
+            });
+        });
+
+        await writeBatch.commit();
+    }
+
+    async get(batchId) {
+        const doc = await this.db.collection('detectorBatches').doc(batchId).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const data = doc.data();
+        return { batchId: doc.id, ...data, createdAt: toDate(data.createdAt) };
+    }
+
+    async getDocument(batchId, documentId) {
+        const doc = await this.db.collection('detectorBatches').doc(batchId)
+            .collection('documents').doc(documentId).get();
+        return doc.exists ? doc.data() : null;
+    }
+}
+
+class FirestoreIdempotencyKeyRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // One document per (user, key); the ID is hashed so any header value is a valid document ID
+    ref(userId, key) {
+        const id = crypto.createHash('sha256').update(`${userId}:${key}`).digest('hex');
+        return this.db.collection('idempotencyKeys').doc(id);
+    }
+
+    async claim(userId, key, { fingerprint, windowMs, leaseMs }) {
+        const ref = this.ref(userId, key);
+
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const now = Date.now();
+
+            if (doc.exists) {
+                const record = doc.data();
+                const expired = record.expiresAt <= now;
+                const abandoned = record.status === IDEMPOTENCY_STATUS.PROCESSING &&
+                    (record.renewedAt || record.startedAt) + leaseMs <= now;
+
+                if (!expired && !abandoned) {
+                    return { claimed: false, record };
+                }
+            }
+
+            transaction.set(ref, {
+                userId,
+                key,
+                fingerprint,
+                status: IDEMPOTENCY_STATUS.PROCESSING,
+                startedAt: now,
+                expiresAt: now + windowMs,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return { claimed: true };
+        });
+    }
+
+    async renew(userId, key) {
+        const ref = this.ref(userId, key);
+
+        await this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            if (doc.exists && doc.data().status === IDEMPOTENCY_STATUS.PROCESSING) {
+                transaction.update(ref, { renewedAt: Date.now() });
+            }
+        });
+    }
+
+    async complete(userId, key, { statusCode, replayable, responseBody }) {
+        await this.ref(userId, key).set({
+            status: IDEMPOTENCY_STATUS.COMPLETED,
+            statusCode,
+            replayable,
+            responseBody,
+            completedAt: Date.now()
+        }, { merge: true });
+    }
+
+    async release(userId, key) {
+        await this.ref(userId, key).delete();
+    }
+}
+
+/**
+ * @param {Object} options - { db } to use a specific Firestore instance
+ */
+const createRepositories = ({ db = admin.firestore() } = {}) => ({
+    store: 'firestore',
+    users: new FirestoreUserRepository(db),
+    credits: new FirestoreCreditRepository(db),
+    drafts: new FirestoreDraftRepository(db),
+    history: new FirestoreHistoryRepository(db),
+    payments: new FirestorePaymentRepository(db),
+    usage: new FirestoreUsageRepository(db),
+    apiKeys: new FirestoreApiKeyRepository(db),
+    audit: new FirestoreAuditRepository(db),
+    toolErrors: new FirestoreToolErrorRepository(db),
+    toolResults: new FirestoreToolResultRepository(db),
+    detectorBatches: new FirestoreDetectorBatchRepository(db),
+    idempotencyKeys: new FirestoreIdempotencyKeyRepository(db)
+});
+
+module.exports = {
+    createRepositories
+};
@@ -0,0 +1,206 @@
+/**
+ * Data-access layer
+ * Routes and services read and write users, credits, drafts, content history,
+ * payments, usage, API keys, the admin audit log, tool errors, saved tool results, detector batches and
+ * Idempotency-Keys through these repositories instead of talking to a
+ * database directly. `DATA_STORE` picks the implementation:
+ *   firestore (default)  Firestore, the production store
+ *   sqlite               SQLite file at DATABASE_PATH (see defaultDatabasePath()), for local development
+ *   memory               In-process maps, for tests and demos
+ *
+ * Every implementation exposes the same methods and returns the same shapes:
+ *
+ * users
+ *   get(userId)                          -> User | null   (User includes roles: string[] and
+ *                                           suspended, suspendedReason, suspendedAt)
+ *   create(userId, { name, email, plan, credits, isPremium }) -> User   (records the signup grant)
+ *   update(userId, fields)               -> boolean (false when the user doesn't exist)
+ *   search(query, { limit })             -> User[]  (exact ID, or email / name starting with query)
+ *
+ * credits
+ *   getBalance(userId)                   -> { credits, reservedCredits, totalCreditsUsed, totalWordsGenerated, updatedAt } | null
+ *   deduct(userId, amount, { toolType, planType, wordCount }) -> { transactionId, previousBalance, newBalance }
+ *                                           (throws 'User not found' / 'Insufficient credits...')
+ *   reserve(userId, amount, { toolType, planType, expiresAt }) -> { reservationId, previousBalance, newBalance, expiresAt }
+ *                                           (moves credits from the balance into a hold; same errors as deduct)
+ *   capture(userId, reservationId, actualCredits, { wordCount })
+ *                                        -> { transactionId, creditsReserved, creditsCaptured, creditsReleased, newBalance }
+ *                                           (charges at most the held amount and returns the rest)
+ *   release(userId, reservationId, reason) -> { creditsReleased, newBalance, alreadySettled }
+ *   listExpiredReservations(limit)       -> { reservationId, userId }[]  (holds still open past expiresAt)
+ *   restore(userId, transactionId, amount, wordCount) -> { newBalance }  (gives back a deduction)
+ *   refund(userId, amount, { planType, reason })      -> { transactionId, previousBalance, newBalance }
+ *   purchase(userId, amount, { plan, reference, metadata })   -> { previousBalance, newBalance }
+ *   refresh(userId, allowances)          -> { user, previousBalance, newBalance } | null
+ *   adjust(userId, amount, { reason, actorId, kind }) -> { previousBalance, newBalance }
+ *                                           (throws RepositoryError NEGATIVE_BALANCE / USER_NOT_FOUND)
+ *
+ * drafts (rows use the snake_case columns of the original drafts table)
+ *   create(draft), get(draftId, userId?), list(userId, options), update(draftId, fields, { incrementVersion }),
+ *   delete(draftId), stats(userId), addVersion(draftId, version), listVersions(draftId),
+ *   getVersion(draftId, versionNumber), pruneVersions(draftId, keep),
+ *   createSession(draftId, token), findActiveSession(token, userId?), touchSession(token)
+ *
+ * history
+ *   add(userId, { title, content, type, wordCount, metadata }) -> id
+ *   get(itemId)                          -> HistoryItem | null
+ *   listRecent(userId, { since, limit })  -> HistoryItem[]
+ *
+ * payments
+ *   record(payment)                      -> id
+ *   listByUser(userId, limit)            -> Payment[]
+ *
+ * usage
+ *   record(userId, { toolType, wordCount, creditsUsed, type, metadata }) -> id
+ *   list(userId, { type, from, to, apiKeyId }) -> UsageEntry[]  (apiKeyId: key that made the request, or null)
+ *   listRecent(userId, { limit })        -> UsageEntry[] (newest first)
+ *
+ * apiKeys (stores only the SHA-256 hash of each key)
+ *   create({ id, userId, name, prefix, hash, scopes, rateLimit }) -> ApiKey
+ *   get(keyId)                           -> ApiKey | null
+ *   findByHash(hash)                     -> ApiKey | null
+ *   listByUser(userId)                   -> ApiKey[] (newest first)
+ *   update(keyId, fields)                -> boolean
+ *
+ * audit
+ *   record({ actorId, action, targetUserId, details }) -> id
+ *   list({ actorId, targetUserId, action, limit })    -> AuditEntry[] (newest first)
+ *
+ * toolErrors
+ *   record({ tool, userId, status, method, path, error, details }) -> id
+ *   listRecent({ tool, userId, limit })  -> ToolError[] (newest first)
+ *
+ * toolResults (saved tool output; tool is a key of TOOL_RESULTS, data is stored as given)
+ *   create(tool, userId, data)           -> id
+ *   get(tool, resultId)                  -> { id, userId, ...data, [timeField]: Date } | null
+ *   list(tool, { userId, from, to, limit, offset }) -> results, newest first (all users when userId is null;
+ *                                           from inclusive, to exclusive; limit null for no limit)
+ *   update(tool, resultId, fields)       -> boolean (merges fields into data; false when it doesn't exist)
+ *   delete(tool, resultId)               -> boolean (false when it doesn't exist)
+ *
+ * detectorBatches (batch detection runs, with one report per document)
+ *   create(batchId, batch, documents)    -> stores batch ({ userId, ... }) and each document ({ documentId, ... })
+ *   get(batchId)                         -> { batchId, ...batch, createdAt: Date } | null
+ *   getDocument(batchId, documentId)     -> { userId, ...document } | null
+ *
+ * idempotencyKeys (one record per user and Idempotency-Key, see services/idempotencyStore; times in ms)
+ *   claim(userId, key, { fingerprint, windowMs, leaseMs })
+ *                                        -> { claimed: true } | { claimed: false, record }
+ *                                           (takes over a record that expired or whose lease ran out)
+ *   renew(userId, key)                   -> extends the lease while the record is still processing
+ *   complete(userId, key, { statusCode, replayable, responseBody })
+ *   release(userId, key)                 -> removes the record
+ *   (record: { userId, key, fingerprint, status, startedAt, renewedAt, expiresAt,
+ *              statusCode, replayable, responseBody, completedAt })
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+class RepositoryError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'RepositoryError';
+        this.code = code;
+        this.retryable = false;
+    }
+}
+
+// Kinds of saved tool output: the Firestore collection each is kept in, and the
+// field that holds its creation time (these collections predate the repositories)
+const TOOL_RESULTS = {
+    assignment: { collection: 'assignments', timeField: 'createdAt' },
+    detection: { collection: 'detectorResults', timeField: 'createdAt' },
+    detectionRemoval: { collection: 'detectorRemovals', timeField: 'createdAt' },
+    detectionWorkflow: { collection: 'detectorWorkflows', timeField: 'createdAt' },
+    promptOptimization: { collection: 'promptOptimizations', timeField: 'timestamp' },
+    promptAnalysis: { collection: 'promptAnalyses', timeField: 'timestamp' },
+    research: { collection: 'researchHistory', timeField: 'timestamp' },
+    finalDetection: { collection: 'detectionResults', timeField: 'createdAt' },
+    paperTemplate: { collection: 'paperTemplates', timeField: 'createdAt' }
+};
+
+const STORES = {
+    firestore: () => require('./firestoreRepositories'),
+    sqlite: () => require('./sqliteRepositories'),
+    memory: () => require('./memoryRepositories')
+};
+
+let repositories = null;
+
+/**
+ * Build a set of repositories for a store
+ * @param {string} store - firestore, sqlite or memory
+ * @param {Object} options - Store options (e.g. { dbPath } for sqlite)
+ * @returns {Object} { users, credits, drafts, history, payments, usage }
+ */
+const createRepositories = (store = 'firestore', options = {}) => {
+    const factory = STORES[store];
+    if (!factory) {
+        throw new Error(`Unknown DATA_STORE "${store}". Use one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    return factory().createRepositories(options);
+};
+
+/**
+ * Repositories for the configured store, created on first use
+ */
+const getRepositories = () => {
+    if (!repositories) {
+        repositories = createRepositories(process.env.DATA_STORE || 'firestore');
+    }
+    return repositories;
+};
+
+/**
+ * Replace the shared repositories (e.g. with an in-memory set in tests)
+ */
+const setRepositories = (replacement) => {
+    repositories = replacement;
+};
+
+/**
+ * SQLite file used by the sqlite store and the job queue when no path is given
+ * DATABASE_PATH, else database.db in DATA_DIR (default ~/.assignsavvy). The
+ * default stays outside the app directory, which server.js serves as static files.
+ */
+const defaultDatabasePath = () => process.env.DATABASE_PATH ||
+    path.join(process.env.DATA_DIR || path.join(os.homedir(), '.assignsavvy'), 'database.db');
+
+/**
+ * ID for a credit transaction, reservation or detector batch, e.g. txn_1718000000000_9f2c4a1b3e
+ * @param {string} prefix - txn, res or batch
+ */
+const generateId = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+
+/**
+ * Credits a capture may charge: the actual amount, rounded up, never more than was held
+ */
+const capCapture = (actualCredits, creditsReserved) => Math.max(0, Math.min(Math.ceil(actualCredits), creditsReserved));
+
+/**
+ * Sum usage entries the way the stats endpoints report them
+ * @param {Array<Object>} entries - UsageEntry[]
+ * @returns {Object} { writingCount, creditsUsed, wordCount }
+ */
+const summarizeUsage = (entries) => entries.reduce((totals, entry) => {
+    if (entry.toolType === 'writing') {
+        totals.writingCount++;
+    }
+    totals.creditsUsed += entry.creditsUsed || 0;
+    totals.wordCount += entry.wordCount || 0;
+    return totals;
+}, { writingCount: 0, creditsUsed: 0, wordCount: 0 });
+
+module.exports = {
+    RepositoryError,
+    TOOL_RESULTS,
+    capCapture,
+    createRepositories,
+    defaultDatabasePath,
+    generateId,
+    getRepositories,
+    setRepositories,
+    summarizeUsage
+};
@@ -0,0 +1,792 @@
+const apiKeyService = require('../services/apiKeyService');
+const idempotencyStore = require('../services/idempotencyStore');
+const { RepositoryError, TOOL_RESULTS, generateId, capCapture } = require('./index');
+const { STATUS: IDEMPOTENCY_STATUS } = idempotencyStore;
+
+/**
+ * In-memory repositories
+ * Everything lives in plain maps and arrays and is lost on restart. Useful
+ * for tests and demos; the behaviour matches the SQLite store, including the
+ * credit_transactions log (exposed as `transactions` on the credits repository).
+ */
+
+const clone = (value) => (value ? { ...value } : null);
+
+class MemoryUserRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async get(userId) {
+        return clone(this.state.users.get(userId));
+    }
+
+    async create(userId, { name, email, plan = 'free', credits = 0, isPremium = false }) {
+        const now = new Date();
+        const user = {
+            id: userId,
+            name,
+            email,
+            plan,
+            credits,
+            reservedCredits: 0,
+            totalCreditsUsed: 0,
+            totalWordsGenerated: 0,
+            isPremium,
+            roles: [],
+            suspended: false,
+            suspendedReason: null,
+            suspendedAt: null,
+            subscriptionEndDate: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.state.users.set(userId, user);
+        this.state.transactions.push({ userId, type: 'grant', amount: credits, balanceAfter: credits, reference: null, createdAt: now });
+        return clone(user);
+    }
+
+    async update(userId, fields) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            return false;
+        }
+
+        Object.assign(user, fields, { id: userId, updatedAt: new Date() });
+        return true;
+    }
+
+    async search(query, { limit = 20 } = {}) {
+        const prefix = query.toLowerCase();
+        return [...this.state.users.values()]
+            .filter(user => user.id === query ||
+                (user.email || '').toLowerCase().startsWith(prefix) ||
+                (user.name || '').toLowerCase().startsWith(prefix))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(clone);
+    }
+}
+
+class MemoryCreditRepository {
+    constructor(state) {
+        this.state = state;
+        this.transactions = state.transactions;
+    }
+
+    async getBalance(userId) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            return null;
+        }
+
+        const { credits, reservedCredits, totalCreditsUsed, totalWordsGenerated, updatedAt } = user;
+        return { credits, reservedCredits, totalCreditsUsed, totalWordsGenerated, updatedAt };
+    }
+
+    async deduct(userId, amount, { toolType = 'writing', planType = 'free', wordCount = 0 } = {}) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        if (user.credits < amount) {
+            throw new Error(`Insufficient credits. Required: ${amount}, Available: ${user.credits}`);
+        }
+
+        const transactionId = generateId('txn');
+        const previousBalance = user.credits;
+        const now = new Date();
+
+        user.credits -= amount;
+        user.totalCreditsUsed += amount;
+        user.totalWordsGenerated += wordCount;
+        user.updatedAt = now;
+
+        this.addUsage({
+            userId,
+            toolType,
+            wordCount,
+            creditsUsed: amount,
+            type: 'deduction',
+            planType,
+            transactionId,
+            apiKeyId: apiKeyService.getCurrentKeyId(),
+            idempotencyKey: idempotencyStore.getCurrentKey(),
+            timestamp: now
+        });
+        this.transactions.push({ userId, type: 'deduction', amount: -amount, balanceAfter: user.credits, reference: transactionId, createdAt: now });
+
+        return { transactionId, previousBalance, newBalance: user.credits };
+    }
+
+    addUsage(entry) {
+        this.state.usage.push({ id: String(this.state.usage.length + 1), ...entry });
+    }
+
+    // Reservations are only changed together with their user, so a hold for another user reads as missing
+    findReservation(userId, reservationId) {
+        const reservation = this.state.reservations.get(reservationId);
+        if (!reservation || reservation.userId !== userId) {
+            throw new Error(`Credit reservation ${reservationId} not found`);
+        }
+        return reservation;
+    }
+
+    async reserve(userId, amount, { toolType = 'writing', planType = 'free', expiresAt }) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        if (user.credits < amount) {
+            throw new Error(`Insufficient credits. Required: ${amount}, Available: ${user.credits}`);
+        }
+
+        const reservationId = generateId('res');
+        const previousBalance = user.credits;
+        const now = new Date();
+
+        user.credits -= amount;
+        user.reservedCredits += amount;
+        user.updatedAt = now;
+
+        this.state.reservations.set(reservationId, {
+            reservationId,
+            userId,
+            toolType,
+            planType,
+            creditsReserved: amount,
+            status: 'held',
+            idempotencyKey: idempotencyStore.getCurrentKey(),
+            apiKeyId: apiKeyService.getCurrentKeyId(),
+            expiresAt,
+            createdAt: now
+        });
+        this.transactions.push({ userId, type: 'reservation', amount: -amount, balanceAfter: user.credits, reference: reservationId, createdAt: now });
+
+        return { reservationId, previousBalance, newBalance: user.credits, expiresAt };
+    }
+
+    async capture(userId, reservationId, actualCredits, { wordCount = 0 } = {}) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const reservation = this.findReservation(userId, reservationId);
+        if (reservation.status !== 'held') {
+            throw new Error(`Credit reservation ${reservationId} is already ${reservation.status}`);
+        }
+
+        const transactionId = generateId('txn');
+        const creditsCaptured = capCapture(actualCredits, reservation.creditsReserved);
+        const creditsReleased = reservation.creditsReserved - creditsCaptured;
+        const now = new Date();
+
+        user.credits += creditsReleased;
+        user.reservedCredits -= reservation.creditsReserved;
+        user.totalCreditsUsed += creditsCaptured;
+        user.totalWordsGenerated += wordCount;
+        user.updatedAt = now;
+
+        Object.assign(reservation, { status: 'captured', creditsCaptured, creditsReleased, settledAt: now });
+
+        this.addUsage({
+            userId,
+            toolType: reservation.toolType,
+            wordCount,
+            creditsUsed: creditsCaptured,
+            type: 'deduction',
+            planType: reservation.planType,
+            transactionId,
+            reservationId,
+            apiKeyId: reservation.apiKeyId,
+            idempotencyKey: reservation.idempotencyKey,
+            timestamp: now
+        });
+        this.transactions.push({ userId, type: 'capture', amount: creditsReleased, balanceAfter: user.credits, reference: reservationId, createdAt: now });
+
+        return { transactionId, creditsReserved: reservation.creditsReserved, creditsCaptured, creditsReleased, newBalance: user.credits };
+    }
+
+    async release(userId, reservationId, reason = 'released') {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const reservation = this.findReservation(userId, reservationId);
+        if (reservation.status !== 'held') {
+            return { creditsReleased: 0, newBalance: user.credits, alreadySettled: true };
+        }
+
+        const now = new Date();
+        user.credits += reservation.creditsReserved;
+        user.reservedCredits -= reservation.creditsReserved;
+        user.updatedAt = now;
+
+        Object.assign(reservation, {
+            status: 'released',
+            creditsCaptured: 0,
+            creditsReleased: reservation.creditsReserved,
+            releaseReason: reason,
+            settledAt: now
+        });
+        this.transactions.push({ userId, type: 'release', amount: reservation.creditsReserved, balanceAfter: user.credits, reference: reservationId, createdAt: now });
+
+        return { creditsReleased: reservation.creditsReserved, newBalance: user.credits, alreadySettled: false };
+    }
+
+    async listExpiredReservations(limit = 100) {
+        const now = new Date();
+        return [...this.state.reservations.values()]
+            .filter(reservation => reservation.status === 'held' && reservation.expiresAt <= now)
+            .slice(0, limit)
+            .map(({ reservationId, userId }) => ({ reservationId, userId }));
+    }
+
+    async restore(userId, transactionId, amount, wordCount = 0) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new Error('User not found for rollback');
+        }
+
+        const now = new Date();
+        user.credits += amount;
+        user.updatedAt = now;
+
+        this.addUsage({ userId, toolType: null, wordCount: -wordCount, creditsUsed: -amount, type: 'rollback', planType: null, transactionId, apiKeyId: null, timestamp: now });
+        this.transactions.push({ userId, type: 'refund', amount, balanceAfter: user.credits, reference: transactionId, createdAt: now });
+
+        return { newBalance: user.credits };
+    }
+
+    async refund(userId, amount, { planType = 'free', reason = 'refund' } = {}) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const transactionId = generateId('txn');
+        const previousBalance = user.credits;
+        const now = new Date();
+        user.credits += amount;
+        user.updatedAt = now;
+
+        this.addUsage({ userId, toolType: reason, wordCount: 0, creditsUsed: -amount, type: 'refund', planType, transactionId, apiKeyId: null, timestamp: now });
+        this.transactions.push({ userId, type: 'refund', amount, balanceAfter: user.credits, reference: transactionId, createdAt: now });
+
+        return { transactionId, previousBalance, newBalance: user.credits };
+    }
+
+    async purchase(userId, amount, { plan, reference = null } = {}) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new Error(`User ${userId} not found`);
+        }
+
+        const previousBalance = user.credits;
+        user.credits += amount;
+        user.updatedAt = new Date();
+        if (plan) {
+            user.plan = plan;
+            user.isPremium = true;
+        }
+
+        this.transactions.push({ userId, type: 'purchase', amount, balanceAfter: user.credits, reference, createdAt: user.updatedAt });
+        return { previousBalance, newBalance: user.credits };
+    }
+
+    async refresh(userId, allowances) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            return null;
+        }
+
+        const previousBalance = user.credits;
+        const snapshot = clone(user);
+        user.credits = allowances[user.plan] || allowances.free;
+        user.updatedAt = new Date();
+
+        this.transactions.push({ userId, type: 'refresh', amount: user.credits - previousBalance, balanceAfter: user.credits, reference: null, createdAt: user.updatedAt });
+        return { user: snapshot, previousBalance, newBalance: user.credits };
+    }
+
+    async adjust(userId, amount, { reason, actorId = null, kind = null } = {}) {
+        const user = this.state.users.get(userId);
+        if (!user) {
+            throw new RepositoryError(`User ${userId} not found`, 'USER_NOT_FOUND');
+        }
+        if (user.credits + amount < 0) {
+            throw new RepositoryError(`Adjustment of ${amount} would leave a negative balance (${user.credits} available)`, 'NEGATIVE_BALANCE');
+        }
+
+        const previousBalance = user.credits;
+        user.credits += amount;
+        user.updatedAt = new Date();
+
+        this.transactions.push({ userId, type: 'adjustment', amount, balanceAfter: user.credits, reference: null, metadata: { reason, actorId, kind }, createdAt: user.updatedAt });
+        return { previousBalance, newBalance: user.credits };
+    }
+}
+
+class MemoryDraftRepository {
+    constructor(state) {
+        this.state = state;
+        this.nextId = 1;
+    }
+
+    async create(draft) {
+        const now = new Date().toISOString();
+        const row = {
+            id: this.nextId++,
+            ...draft,
+            status: draft.status || 'draft',
+            version: 1,
+            auto_saved: false,
+            created_at: now,
+            updated_at: now
+        };
+
+        this.state.drafts.set(row.id, row);
+        return clone(row);
+    }
+
+    async get(draftId, userId = null) {
+        const row = this.state.drafts.get(draftId);
+        return row && (userId === null || row.user_id === userId) ? clone(row) : null;
+    }
+
+    async list(userId, { status = null, limit = 50, offset = 0, orderBy = 'updated_at', orderDirection = 'DESC' } = {}) {
+        const direction = orderDirection.toUpperCase() === 'ASC' ? 1 : -1;
+
+        return [...this.state.drafts.values()]
+            .filter(row => row.user_id === userId && (!status || row.status === status))
+            .sort((a, b) => (a[orderBy] > b[orderBy] ? 1 : a[orderBy] < b[orderBy] ? -1 : 0) * direction)
+            .slice(offset, offset + limit)
+            .map(clone);
+    }
+
+    async update(draftId, fields, { incrementVersion = false } = {}) {
+        const row = this.state.drafts.get(draftId);
+        if (!row) {
+            return null;
+        }
+
+        Object.assign(row, fields, { updated_at: new Date().toISOString() });
+        if (incrementVersion) {
+            row.version += 1;
+        }
+        return clone(row);
+    }
+
+    async delete(draftId) {
+        this.state.versions = this.state.versions.filter(version => version.draft_id !== draftId);
+        for (const [token, session] of this.state.sessions) {
+            if (session.draft_id === draftId) this.state.sessions.delete(token);
+        }
+        return this.state.drafts.delete(draftId) ? 1 : 0;
+    }
+
+    async stats(userId) {
+        const drafts = [...this.state.drafts.values()].filter(row => row.user_id === userId);
+        const totalWords = drafts.reduce((total, draft) => total + (draft.current_word_count || 0), 0);
+
+        return {
+            total_drafts: drafts.length,
+            active_drafts: drafts.filter(draft => draft.status === 'draft').length,
+            completed_drafts: drafts.filter(draft => draft.status === 'completed').length,
+            total_words: drafts.length ? totalWords : null,
+            avg_words_per_draft: drafts.length ? totalWords / drafts.length : null
+        };
+    }
+
+    async addVersion(draftId, { versionNumber, content, changeSummary, wordCount }) {
+        this.state.versions.push({
+            draft_id: draftId,
+            version_number: versionNumber,
+            content,
+            change_summary: changeSummary,
+            word_count: wordCount,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    async listVersions(draftId) {
+        return this.state.versions
+            .filter(version => version.draft_id === draftId)
+            .sort((a, b) => b.version_number - a.version_number)
+            .map(clone);
+    }
+
+    async getVersion(draftId, versionNumber) {
+        return clone(this.state.versions.find(version => version.draft_id === draftId && version.version_number === versionNumber));
+    }
+
+    async pruneVersions(draftId, keep) {
+        const kept = new Set((await this.listVersions(draftId)).slice(0, keep).map(version => version.version_number));
+        this.state.versions = this.state.versions.filter(version => version.draft_id !== draftId || kept.has(version.version_number));
+    }
+
+    async createSession(draftId, token) {
+        for (const session of this.state.sessions.values()) {
+            if (session.draft_id === draftId) session.is_active = false;
+        }
+        this.state.sessions.set(token, {
+            draft_id: draftId,
+            session_token: token,
+            is_active: true,
+            last_auto_save: null,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    async findActiveSession(token, userId = null) {
+        const session = this.state.sessions.get(token);
+        if (!session || !session.is_active || !(await this.get(session.draft_id, userId))) {
+            return null;
+        }
+        return clone(session);
+    }
+
+    async touchSession(token) {
+        const session = this.state.sessions.get(token);
+        if (session) {
+            session.last_auto_save = new Date().toISOString();
+        }
+    }
+}
+
+class MemoryHistoryRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async add(userId, { title, content, type, wordCount, metadata = {} }) {
+        const id = String(this.state.history.length + 1);
+        this.state.history.push({ id, userId, title, content, type, wordCount, metadata, createdAt: new Date() });
+        return id;
+    }
+
+    async get(itemId) {
+        return clone(this.state.history.find(item => item.id === itemId));
+    }
+
+    async listRecent(userId, { since = null, limit = 20 } = {}) {
+        return this.state.history
+            .filter(item => item.userId === userId && (!since || item.createdAt >= since))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(clone);
+    }
+}
+
+class MemoryPaymentRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async record(payment) {
+        const id = String(this.state.payments.length + 1);
+        this.state.payments.push({ id, ...payment, createdAt: new Date() });
+        return id;
+    }
+
+    async listByUser(userId, limit = 50) {
+        return this.state.payments
+            .filter(payment => payment.userId === userId)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(clone);
+    }
+}
+
+class MemoryUsageRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async record(userId, { toolType, wordCount = 0, creditsUsed = 0, type = 'usage', metadata = {} }) {
+        const id = String(this.state.usage.length + 1);
+        this.state.usage.push({
+            id,
+            userId,
+            toolType,
+            wordCount,
+            creditsUsed,
+            type,
+            planType: null,
+            transactionId: null,
+            apiKeyId: apiKeyService.getCurrentKeyId(),
+            metadata,
+            timestamp: new Date()
+        });
+        return id;
+    }
+
+    async list(userId, { type = null, from = null, to = null, apiKeyId = null } = {}) {
+        return this.state.usage
+            .filter(entry => entry.userId === userId &&
+                (!type || entry.type === type) &&
+                (!apiKeyId || entry.apiKeyId === apiKeyId) &&
+                (!from || entry.timestamp >= from) &&
+                (!to || entry.timestamp <= to))
+            .map(clone);
+    }
+
+    async listRecent(userId, { limit = 50 } = {}) {
+        return this.state.usage
+            .filter(entry => entry.userId === userId)
+            .reverse()
+            .slice(0, limit)
+            .map(clone);
+    }
+}
+
+class MemoryApiKeyRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async create({ id, userId, name, prefix, hash, scopes, rateLimit }) {
+        const key = { id, userId, name, prefix, hash, scopes: [...scopes], rateLimit, createdAt: new Date(), lastUsedAt: null, rotatedAt: null, revokedAt: null };
+        this.state.apiKeys.set(id, key);
+        return clone(key);
+    }
+
+    async get(keyId) {
+        return clone(this.state.apiKeys.get(keyId));
+    }
+
+    async findByHash(hash) {
+        return clone([...this.state.apiKeys.values()].find(key => key.hash === hash));
+    }
+
+    async listByUser(userId) {
+        return [...this.state.apiKeys.values()]
+            .filter(key => key.userId === userId)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(clone);
+    }
+
+    async update(keyId, fields) {
+        const key = this.state.apiKeys.get(keyId);
+        if (!key) {
+            return false;
+        }
+
+        Object.assign(key, fields, { id: keyId });
+        return true;
+    }
+}
+
+class MemoryAuditRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async record({ actorId, action, targetUserId = null, details = {} }) {
+        const id = String(this.state.audit.length + 1);
+        this.state.audit.push({ id, actorId, action, targetUserId, details, createdAt: new Date() });
+        return id;
+    }
+
+    async list({ actorId = null, targetUserId = null, action = null, limit = 50 } = {}) {
+        return this.state.audit
+            .filter(entry => (!actorId || entry.actorId === actorId) &&
+                (!targetUserId || entry.targetUserId === targetUserId) &&
+                (!action || entry.action === action))
+            .reverse()
+            .slice(0, limit)
+            .map(clone);
+    }
+}
+
+class MemoryToolErrorRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async record({ tool, userId = null, status, method, path, error, details = null }) {
+        const id = String(this.state.toolErrors.length + 1);
+        this.state.toolErrors.push({ id, tool, userId, status, method, path, error, details, createdAt: new Date() });
+        return id;
+    }
+
+    async listRecent({ tool = null, userId = null, limit = 50 } = {}) {
+        return this.state.toolErrors
+            .filter(entry => (!tool || entry.tool === tool) && (!userId || entry.userId === userId))
+            .reverse()
+            .slice(0, limit)
+            .map(clone);
+    }
+}
+
+class MemoryToolResultRepository {
+    constructor(state) {
+        this.state = state;
+        this.nextId = 1;
+    }
+
+    async create(tool, userId, data) {
+        const id = String(this.nextId++);
+        this.state.toolResults.set(id, { ...data, id, tool, userId, createdAt: new Date() });
+        return id;
+    }
+
+    // Returned like the other stores: without the tool, and with the creation time under the tool's time field
+    toResult({ tool, createdAt, ...result }) {
+        return { ...result, [TOOL_RESULTS[tool].timeField]: createdAt };
+    }
+
+    async get(tool, resultId) {
+        const result = this.state.toolResults.get(resultId);
+        return result && result.tool === tool ? this.toResult(result) : null;
+    }
+
+    async list(tool, { userId = null, from = null, to = null, limit = 20, offset = 0 } = {}) {
+        return [...this.state.toolResults.values()]
+            .filter(entry => entry.tool === tool &&
+                (!userId || entry.userId === userId) &&
+                (!from || entry.createdAt >= from) &&
+                (!to || entry.createdAt < to))
+            .reverse()
+            .slice(offset, limit ? offset + limit : undefined)
+            .map(entry => this.toResult(entry));
+    }
+
+    async update(tool, resultId, fields) {
+        const result = this.state.toolResults.get(resultId);
+        if (!result || result.tool !== tool) {
+            return false;
+        }
+
+        const { id, userId, createdAt } = result;
+        this.state.toolResults.set(resultId, { ...result, ...fields, id, tool, userId, createdAt });
+        return true;
+    }
+
+    async delete(tool, resultId) {
+        const result = this.state.toolResults.get(resultId);
+        return Boolean(result && result.tool === tool && this.state.toolResults.delete(resultId));
+    }
+}
+
+class MemoryDetectorBatchRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async create(batchId, batch, documents) {
+        this.state.detectorBatches.set(batchId, {
+            batch: { ...batch, createdAt: new Date() },
+            documents: new Map(documents.map(document => [document.documentId, { userId: batch.userId, ...document }]))
+        });
+    }
+
+    async get(batchId) {
+        const entry = this.state.detectorBatches.get(batchId);
+        return entry ? { batchId, ...entry.batch } : null;
+    }
+
+    async getDocument(batchId, documentId) {
+        const entry = this.state.detectorBatches.get(batchId);
+        return clone(entry && entry.documents.get(documentId));
+    }
+}
+
+class MemoryIdempotencyKeyRepository {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async claim(userId, key, { fingerprint, windowMs, leaseMs }) {
+        const id = `${userId}:${key}`;
+        const record = this.state.idempotencyKeys.get(id);
+        const now = Date.now();
+
+        if (record) {
+            const expired = record.expiresAt <= now;
+            const abandoned = record.status === IDEMPOTENCY_STATUS.PROCESSING &&
+                (record.renewedAt || record.startedAt) + leaseMs <= now;
+
+            if (!expired && !abandoned) {
+                return { claimed: false, record: clone(record) };
+            }
+        }
+
+        this.state.idempotencyKeys.set(id, {
+            userId,
+            key,
+            fingerprint,
+            status: IDEMPOTENCY_STATUS.PROCESSING,
+            startedAt: now,
+            expiresAt: now + windowMs
+        });
+        return { claimed: true };
+    }
+
+    async renew(userId, key) {
+        const record = this.state.idempotencyKeys.get(`${userId}:${key}`);
+        if (record && record.status === IDEMPOTENCY_STATUS.PROCESSING) {
+            record.renewedAt = Date.now();
+        }
+    }
+
+    async complete(userId, key, { statusCode, replayable, responseBody }) {
+        const record = this.state.idempotencyKeys.get(`${userId}:${key}`);
+        if (record) {
+            Object.assign(record, {
+                status: IDEMPOTENCY_STATUS.COMPLETED,
+                statusCode,
+                replayable,
+                responseBody,
+                completedAt: Date.now()
+            });
+        }
+    }
+
+    async release(userId, key) {
+        this.state.idempotencyKeys.delete(`${userId}:${key}`);
+    }
+}
+
+const createRepositories = () => {
+    const state = {
+        users: new Map(),
+        transactions: [],
+        reservations: new Map(),
+        usage: [],
+        drafts: new Map(),
+        versions: [],
+        sessions: new Map(),
+        history: [],
+        payments: [],
+        apiKeys: new Map(),
+        audit: [],
+        toolErrors: [],
+        toolResults: new Map(),
+        detectorBatches: new Map(),
+        idempotencyKeys: new Map()
+    };
+
+    return {
+        store: 'memory',
+        users: new MemoryUserRepository(state),
+        credits: new MemoryCreditRepository(state),
+        drafts: new MemoryDraftRepository(state),
+        history: new MemoryHistoryRepository(state),
+        payments: new MemoryPaymentRepository(state),
+        usage: new MemoryUsageRepository(state),
+        apiKeys: new MemoryApiKeyRepository(state),
+        audit: new MemoryAuditRepository(state),
+        toolErrors: new MemoryToolErrorRepository(state),
+        toolResults: new MemoryToolResultRepository(state),
+        detectorBatches: new MemoryDetectorBatchRepository(state),
+        idempotencyKeys: new MemoryIdempotencyKeyRepository(state)
+    };
+};
+
+module.exports = {
+    createRepositories
+};
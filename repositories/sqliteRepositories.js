@@ -0,0 +1,1352 @@
+const fs = require('fs');
+const path = require('path');
+const apiKeyService = require('../services/apiKeyService');
+const idempotencyStore = require('../services/idempotencyStore');
+const { RepositoryError, TOOL_RESULTS, defaultDatabasePath, generateId, capCapture } = require('./index');
+const { STATUS: IDEMPOTENCY_STATUS } = idempotencyStore;
+
+/**
+ * SQLite repositories
+ * Local-development store backed by one SQLite file (defaultDatabasePath()). Tables
+ * are created on first use. Balance changes run inside BEGIN IMMEDIATE
+ * transactions and are written to credit_transactions, the local
+ * counterpart of the Firestore credit ledger; credit holds are kept in
+ * credit_reservations. Detector batches are kept in detector_batches and
+ * detector_batch_documents, Idempotency-Keys in idempotency_keys.
+ */
+
+const USER_COLUMNS = {
+    name: 'name',
+    email: 'email',
+    plan: 'plan',
+    credits: 'credits',
+    reservedCredits: 'reserved_credits',
+    totalCreditsUsed: 'total_credits_used',
+    totalWordsGenerated: 'total_words_generated',
+    isPremium: 'is_premium',
+    roles: 'roles',
+    suspended: 'suspended',
+    suspendedReason: 'suspended_reason',
+    suspendedAt: 'suspended_at',
+    subscriptionEndDate: 'subscription_end_date'
+};
+
+const USER_JSON_COLUMNS = ['roles'];
+
+const DRAFT_COLUMNS = ['title', 'content', 'prompt', 'style', 'tone', 'target_word_count', 'current_word_count', 'status', 'auto_saved'];
+
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        email TEXT,
+        plan TEXT DEFAULT 'free',
+        credits INTEGER DEFAULT 0,
+        reserved_credits INTEGER DEFAULT 0,
+        total_credits_used INTEGER DEFAULT 0,
+        total_words_generated INTEGER DEFAULT 0,
+        total_credits_earned INTEGER DEFAULT 0,
+        is_premium BOOLEAN DEFAULT FALSE,
+        roles TEXT,
+        suspended BOOLEAN DEFAULT FALSE,
+        suspended_reason TEXT,
+        suspended_at TEXT,
+        subscription_end_date TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS credit_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        balance_after INTEGER,
+        reference TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS usage_tracking (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        transaction_id TEXT,
+        tool_type TEXT,
+        word_count INTEGER DEFAULT 0,
+        credits_used INTEGER DEFAULT 0,
+        plan_type TEXT,
+        type TEXT NOT NULL,
+        api_key_id TEXT,
+        idempotency_key TEXT,
+        reservation_id TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS credit_reservations (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        tool_type TEXT,
+        plan_type TEXT,
+        credits_reserved INTEGER NOT NULL,
+        credits_captured INTEGER,
+        credits_released INTEGER,
+        status TEXT NOT NULL DEFAULT 'held',
+        release_reason TEXT,
+        idempotency_key TEXT,
+        api_key_id TEXT,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        settled_at TEXT
+    )`,
+    `CREATE TABLE IF NOT EXISTS payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        plan TEXT,
+        amount REAL,
+        currency TEXT,
+        status TEXT,
+        stripe_payment_intent_id TEXT,
+        credits_added INTEGER DEFAULT 0,
+        payment_method TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS content_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        title TEXT,
+        content TEXT,
+        type TEXT,
+        word_count INTEGER DEFAULT 0,
+        metadata TEXT,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS drafts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT DEFAULT '',
+        prompt TEXT DEFAULT '',
+        style TEXT DEFAULT 'Academic',
+        tone TEXT DEFAULT 'Formal',
+        target_word_count INTEGER DEFAULT 0,
+        current_word_count INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'draft',
+        version INTEGER DEFAULT 1,
+        auto_saved BOOLEAN DEFAULT FALSE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS draft_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        draft_id INTEGER NOT NULL,
+        version_number INTEGER NOT NULL,
+        content TEXT DEFAULT '',
+        change_summary TEXT,
+        word_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS auto_save_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        draft_id INTEGER NOT NULL,
+        session_token TEXT NOT NULL UNIQUE,
+        is_active BOOLEAN DEFAULT TRUE,
+        last_auto_save DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        rate_limit INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        rotated_at TEXT,
+        revoked_at TEXT
+    )`,
+    `CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_user_id TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS tool_errors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tool TEXT NOT NULL,
+        user_id TEXT,
+        status INTEGER,
+        method TEXT,
+        path TEXT,
+        error TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS tool_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tool TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS detector_batches (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS detector_batch_documents (
+        batch_id TEXT NOT NULL,
+        document_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (batch_id, document_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS idempotency_keys (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        status TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        renewed_at INTEGER,
+        expires_at INTEGER NOT NULL,
+        status_code INTEGER,
+        replayable BOOLEAN,
+        response_body TEXT,
+        completed_at INTEGER,
+        PRIMARY KEY (user_id, key)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_usage_tracking_user ON usage_tracking (user_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_credit_reservations_status ON credit_reservations (status, expires_at)',
+    'CREATE INDEX IF NOT EXISTS idx_payments_user ON payments (user_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_content_history_user ON content_history (user_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_drafts_user ON drafts (user_id, updated_at)',
+    'CREATE INDEX IF NOT EXISTS idx_draft_versions_draft ON draft_versions (draft_id, version_number)',
+    'CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys (user_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log (created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_tool_errors_tool ON tool_errors (tool, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_tool_results_user ON tool_results (tool, user_id, created_at)'
+];
+
+// Columns added after a table was first released; created on databases that predate them
+const ADDED_COLUMNS = [
+    { table: 'users', column: 'roles', definition: 'TEXT' },
+    { table: 'users', column: 'suspended', definition: 'BOOLEAN DEFAULT FALSE' },
+    { table: 'users', column: 'suspended_reason', definition: 'TEXT' },
+    { table: 'users', column: 'suspended_at', definition: 'TEXT' },
+    { table: 'usage_tracking', column: 'api_key_id', definition: 'TEXT' },
+    { table: 'usage_tracking', column: 'idempotency_key', definition: 'TEXT' },
+    { table: 'usage_tracking', column: 'reservation_id', definition: 'TEXT' },
+    { table: 'usage_tracking', column: 'metadata', definition: 'TEXT' }
+];
+
+const API_KEY_COLUMNS = {
+    name: 'name',
+    prefix: 'prefix',
+    hash: 'hash',
+    scopes: 'scopes',
+    rateLimit: 'rate_limit',
+    lastUsedAt: 'last_used_at',
+    rotatedAt: 'rotated_at',
+    revokedAt: 'revoked_at'
+};
+
+const parseJson = (value) => (value ? JSON.parse(value) : {});
+
+const toColumnValue = (value, isJson = false) => {
+    if (isJson) return JSON.stringify(value);
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+const toApiKey = (row) => ({
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    prefix: row.prefix,
+    hash: row.hash,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: row.rate_limit,
+    createdAt: new Date(row.created_at),
+    lastUsedAt: row.last_used_at ? new Date(row.last_used_at) : null,
+    rotatedAt: row.rotated_at ? new Date(row.rotated_at) : null,
+    revokedAt: row.revoked_at ? new Date(row.revoked_at) : null
+});
+
+const toUser = (row) => ({
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    plan: row.plan || 'free',
+    credits: row.credits || 0,
+    reservedCredits: row.reserved_credits || 0,
+    totalCreditsUsed: row.total_credits_used || 0,
+    totalWordsGenerated: row.total_words_generated || 0,
+    isPremium: !!row.is_premium,
+    roles: row.roles ? JSON.parse(row.roles) : [],
+    suspended: !!row.suspended,
+    suspendedReason: row.suspended_reason || null,
+    suspendedAt: row.suspended_at ? new Date(row.suspended_at) : null,
+    subscriptionEndDate: row.subscription_end_date ? new Date(row.subscription_end_date) : null,
+    createdAt: new Date(row.created_at),
+    updatedAt: new Date(row.updated_at)
+});
+
+/**
+ * One SQLite connection shared by the repositories
+ * Transactions are queued so two requests never interleave BEGIN/COMMIT.
+ */
+class SqliteConnection {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+        this.ready = null;
+        this.queue = Promise.resolve();
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                const sqlite3 = require('sqlite3');
+                fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+                this.db = new sqlite3.Database(this.dbPath);
+                for (const statement of SCHEMA) {
+                    await this._run(statement);
+                }
+                for (const { table, column, definition } of ADDED_COLUMNS) {
+                    const columns = await new Promise((resolve, reject) => {
+                        this.db.all(`PRAGMA table_info(${table})`, (err, rows) => err ? reject(err) : resolve(rows));
+                    });
+                    if (!columns.some(info => info.name === column)) {
+                        await this._run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                    }
+                }
+            })();
+        }
+        return this.ready;
+    }
+
+    async run(sql, params = []) {
+        await this.init();
+        return this._run(sql, params);
+    }
+
+    async get(sql, params = []) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async all(sql, params = []) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run fn inside BEGIN IMMEDIATE ... COMMIT, rolling back if it throws
+     */
+    transaction(fn) {
+        const result = this.queue.then(async () => {
+            await this.run('BEGIN IMMEDIATE');
+            try {
+                const value = await fn();
+                await this.run('COMMIT');
+                return value;
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        });
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    _run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+}
+
+class SqliteUserRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async get(userId) {
+        const row = await this.connection.get('SELECT * FROM users WHERE id = ?', [userId]);
+        return row ? toUser(row) : null;
+    }
+
+    async create(userId, { name, email, plan = 'free', credits = 0, isPremium = false }) {
+        const now = new Date().toISOString();
+
+        await this.connection.transaction(async () => {
+            await this.connection.run(
+                `INSERT INTO users (id, name, email, plan, credits, is_premium, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, name, email, plan, credits, isPremium ? 1 : 0, now, now]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, metadata, created_at)
+                 VALUES (?, 'grant', ?, ?, ?, ?)`,
+                [userId, credits, credits, JSON.stringify({ reason: 'signup', plan }), now]
+            );
+        });
+
+        return this.get(userId);
+    }
+
+    async update(userId, fields) {
+        const keys = Object.keys(fields).filter(key => USER_COLUMNS[key]);
+        const result = await this.connection.run(
+            `UPDATE users SET ${keys.map(key => `${USER_COLUMNS[key]} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+            [...keys.map(key => toColumnValue(fields[key], USER_JSON_COLUMNS.includes(key))), new Date().toISOString(), userId]
+        );
+        return result.changes > 0;
+    }
+
+    async search(query, { limit = 20 } = {}) {
+        const rows = await this.connection.all(
+            `SELECT * FROM users WHERE id = ? OR email LIKE ? OR name LIKE ?
+             ORDER BY created_at DESC LIMIT ?`,
+            [query, `${query}%`, `${query}%`, limit]
+        );
+        return rows.map(toUser);
+    }
+}
+
+class SqliteCreditRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async getBalance(userId) {
+        const row = await this.connection.get('SELECT * FROM users WHERE id = ?', [userId]);
+        if (!row) {
+            return null;
+        }
+
+        const { credits, reservedCredits, totalCreditsUsed, totalWordsGenerated, updatedAt } = toUser(row);
+        return { credits, reservedCredits, totalCreditsUsed, totalWordsGenerated, updatedAt };
+    }
+
+    async deduct(userId, amount, { toolType = 'writing', planType = 'free', wordCount = 0 } = {}) {
+        const transactionId = generateId('txn');
+
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (user.credits < amount) {
+                throw new Error(`Insufficient credits. Required: ${amount}, Available: ${user.credits}`);
+            }
+
+            const newBalance = user.credits - amount;
+            const now = new Date().toISOString();
+
+            await this.connection.run(
+                `UPDATE users SET credits = ?, total_credits_used = total_credits_used + ?,
+                 total_words_generated = total_words_generated + ?, updated_at = ? WHERE id = ?`,
+                [newBalance, amount, wordCount, now, userId]
+            );
+            await this.connection.run(
+                `INSERT INTO usage_tracking (user_id, transaction_id, tool_type, word_count, credits_used, plan_type, type, api_key_id, idempotency_key, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, 'deduction', ?, ?, ?)`,
+                [userId, transactionId, toolType, wordCount, amount, planType, apiKeyService.getCurrentKeyId(), idempotencyStore.getCurrentKey(), now]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, reference, metadata, created_at)
+                 VALUES (?, 'deduction', ?, ?, ?, ?, ?)`,
+                [userId, -amount, newBalance, transactionId, JSON.stringify({ toolType }), now]
+            );
+
+            return { transactionId, previousBalance: user.credits, newBalance };
+        });
+    }
+
+    async reserve(userId, amount, { toolType = 'writing', planType = 'free', expiresAt }) {
+        const reservationId = generateId('res');
+
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (user.credits < amount) {
+                throw new Error(`Insufficient credits. Required: ${amount}, Available: ${user.credits}`);
+            }
+
+            const newBalance = user.credits - amount;
+            const now = new Date().toISOString();
+
+            await this.connection.run(
+                'UPDATE users SET credits = ?, reserved_credits = reserved_credits + ?, updated_at = ? WHERE id = ?',
+                [newBalance, amount, now, userId]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_reservations (id, user_id, tool_type, plan_type, credits_reserved, status, idempotency_key, api_key_id, expires_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, 'held', ?, ?, ?, ?)`,
+                [reservationId, userId, toolType, planType, amount, idempotencyStore.getCurrentKey(), apiKeyService.getCurrentKeyId(), expiresAt.toISOString(), now]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, reference, metadata, created_at)
+                 VALUES (?, 'reservation', ?, ?, ?, ?, ?)`,
+                [userId, -amount, newBalance, reservationId, JSON.stringify({ toolType }), now]
+            );
+
+            return { reservationId, previousBalance: user.credits, newBalance, expiresAt };
+        });
+    }
+
+    async capture(userId, reservationId, actualCredits, { wordCount = 0 } = {}) {
+        const transactionId = generateId('txn');
+
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const reservation = await this.connection.get(
+                'SELECT * FROM credit_reservations WHERE id = ? AND user_id = ?',
+                [reservationId, userId]
+            );
+            if (!reservation) {
+                throw new Error(`Credit reservation ${reservationId} not found`);
+            }
+            if (reservation.status !== 'held') {
+                throw new Error(`Credit reservation ${reservationId} is already ${reservation.status}`);
+            }
+
+            const creditsCaptured = capCapture(actualCredits, reservation.credits_reserved);
+            const creditsReleased = reservation.credits_reserved - creditsCaptured;
+            const newBalance = user.credits + creditsReleased;
+            const now = new Date().toISOString();
+
+            await this.connection.run(
+                `UPDATE users SET credits = ?, reserved_credits = reserved_credits - ?, total_credits_used = total_credits_used + ?,
+                 total_words_generated = total_words_generated + ?, updated_at = ? WHERE id = ?`,
+                [newBalance, reservation.credits_reserved, creditsCaptured, wordCount, now, userId]
+            );
+            await this.connection.run(
+                `UPDATE credit_reservations SET status = 'captured', credits_captured = ?, credits_released = ?, settled_at = ?
+                 WHERE id = ?`,
+                [creditsCaptured, creditsReleased, now, reservationId]
+            );
+            await this.connection.run(
+                `INSERT INTO usage_tracking (user_id, transaction_id, reservation_id, tool_type, word_count, credits_used, plan_type, type, api_key_id, idempotency_key, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'deduction', ?, ?, ?)`,
+                [userId, transactionId, reservationId, reservation.tool_type, wordCount, creditsCaptured, reservation.plan_type,
+                    reservation.api_key_id, reservation.idempotency_key, now]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, reference, metadata, created_at)
+                 VALUES (?, 'capture', ?, ?, ?, ?, ?)`,
+                [userId, creditsReleased, newBalance, reservationId, JSON.stringify({ toolType: reservation.tool_type, transactionId, creditsCaptured, wordCount }), now]
+            );
+
+            return { transactionId, creditsReserved: reservation.credits_reserved, creditsCaptured, creditsReleased, newBalance };
+        });
+    }
+
+    async release(userId, reservationId, reason = 'released') {
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const reservation = await this.connection.get(
+                'SELECT * FROM credit_reservations WHERE id = ? AND user_id = ?',
+                [reservationId, userId]
+            );
+            if (!reservation) {
+                throw new Error(`Credit reservation ${reservationId} not found`);
+            }
+            if (reservation.status !== 'held') {
+                return { creditsReleased: 0, newBalance: user.credits, alreadySettled: true };
+            }
+
+            const newBalance = user.credits + reservation.credits_reserved;
+            const now = new Date().toISOString();
+
+            await this.connection.run(
+                'UPDATE users SET credits = ?, reserved_credits = reserved_credits - ?, updated_at = ? WHERE id = ?',
+                [newBalance, reservation.credits_reserved, now, userId]
+            );
+            await this.connection.run(
+                `UPDATE credit_reservations SET status = 'released', credits_captured = 0, credits_released = credits_reserved,
+                 release_reason = ?, settled_at = ? WHERE id = ?`,
+                [reason, now, reservationId]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, reference, metadata, created_at)
+                 VALUES (?, 'release', ?, ?, ?, ?, ?)`,
+                [userId, reservation.credits_reserved, newBalance, reservationId, JSON.stringify({ reason }), now]
+            );
+
+            return { creditsReleased: reservation.credits_reserved, newBalance, alreadySettled: false };
+        });
+    }
+
+    async listExpiredReservations(limit = 100) {
+        const rows = await this.connection.all(
+            `SELECT id, user_id FROM credit_reservations WHERE status = 'held' AND expires_at <= ?
+             ORDER BY expires_at LIMIT ?`,
+            [new Date().toISOString(), limit]
+        );
+        return rows.map(row => ({ reservationId: row.id, userId: row.user_id }));
+    }
+
+    async restore(userId, transactionId, amount, wordCount = 0) {
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new Error('User not found for rollback');
+            }
+
+            const newBalance = user.credits + amount;
+            const now = new Date().toISOString();
+
+            await this.connection.run('UPDATE users SET credits = ?, updated_at = ? WHERE id = ?', [newBalance, now, userId]);
+            await this.connection.run(
+                `INSERT INTO usage_tracking (user_id, transaction_id, word_count, credits_used, type, created_at)
+                 VALUES (?, ?, ?, ?, 'rollback', ?)`,
+                [userId, transactionId, -wordCount, -amount, now]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, reference, metadata, created_at)
+                 VALUES (?, 'refund', ?, ?, ?, ?, ?)`,
+                [userId, amount, newBalance, transactionId, JSON.stringify({ reason: 'rollback' }), now]
+            );
+
+            return { newBalance };
+        });
+    }
+
+    async refund(userId, amount, { planType = 'free', reason = 'refund' } = {}) {
+        const transactionId = generateId('txn');
+
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const newBalance = user.credits + amount;
+            const now = new Date().toISOString();
+
+            await this.connection.run('UPDATE users SET credits = ?, updated_at = ? WHERE id = ?', [newBalance, now, userId]);
+            await this.connection.run(
+                `INSERT INTO usage_tracking (user_id, transaction_id, tool_type, word_count, credits_used, plan_type, type, created_at)
+                 VALUES (?, ?, ?, 0, ?, ?, 'refund', ?)`,
+                [userId, transactionId, reason, -amount, planType, now]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, reference, metadata, created_at)
+                 VALUES (?, 'refund', ?, ?, ?, ?, ?)`,
+                [userId, amount, newBalance, transactionId, JSON.stringify({ reason }), now]
+            );
+
+            return { transactionId, previousBalance: user.credits, newBalance };
+        });
+    }
+
+    async purchase(userId, amount, { plan, reference = null, metadata = {} } = {}) {
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new Error(`User ${userId} not found`);
+            }
+
+            const newBalance = user.credits + amount;
+            const now = new Date().toISOString();
+
+            await this.connection.run(
+                `UPDATE users SET credits = ?, total_credits_earned = total_credits_earned + ?,
+                 plan = COALESCE(?, plan), is_premium = CASE WHEN ? IS NULL THEN is_premium ELSE 1 END,
+                 updated_at = ? WHERE id = ?`,
+                [newBalance, amount, plan || null, plan || null, now, userId]
+            );
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, reference, metadata, created_at)
+                 VALUES (?, 'purchase', ?, ?, ?, ?, ?)`,
+                [userId, amount, newBalance, reference, JSON.stringify({ plan, ...metadata }), now]
+            );
+
+            return { previousBalance: user.credits, newBalance };
+        });
+    }
+
+    async refresh(userId, allowances) {
+        return this.connection.transaction(async () => {
+            const row = await this.connection.get('SELECT * FROM users WHERE id = ?', [userId]);
+            if (!row) {
+                return null;
+            }
+
+            const user = toUser(row);
+            const newBalance = allowances[user.plan] || allowances.free;
+            const now = new Date().toISOString();
+
+            await this.connection.run('UPDATE users SET credits = ?, updated_at = ? WHERE id = ?', [newBalance, now, userId]);
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, metadata, created_at)
+                 VALUES (?, 'refresh', ?, ?, ?, ?)`,
+                [userId, newBalance - user.credits, newBalance, JSON.stringify({ plan: user.plan, previousBalance: user.credits }), now]
+            );
+
+            return { user, previousBalance: user.credits, newBalance };
+        });
+    }
+
+    async adjust(userId, amount, { reason, actorId = null, kind = null } = {}) {
+        return this.connection.transaction(async () => {
+            const user = await this.connection.get('SELECT credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                throw new RepositoryError(`User ${userId} not found`, 'USER_NOT_FOUND');
+            }
+
+            const newBalance = user.credits + amount;
+            if (newBalance < 0) {
+                throw new RepositoryError(`Adjustment of ${amount} would leave a negative balance (${user.credits} available)`, 'NEGATIVE_BALANCE');
+            }
+
+            const now = new Date().toISOString();
+            await this.connection.run('UPDATE users SET credits = ?, updated_at = ? WHERE id = ?', [newBalance, now, userId]);
+            await this.connection.run(
+                `INSERT INTO credit_transactions (user_id, type, amount, balance_after, metadata, created_at)
+                 VALUES (?, 'adjustment', ?, ?, ?, ?)`,
+                [userId, amount, newBalance, JSON.stringify({ reason, actorId, kind }), now]
+            );
+
+            return { previousBalance: user.credits, newBalance };
+        });
+    }
+}
+
+class SqliteDraftRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async create(draft) {
+        const result = await this.connection.run(
+            `INSERT INTO drafts (
+                user_id, title, content, prompt, style, tone,
+                target_word_count, current_word_count, status, version
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+            [
+                draft.user_id, draft.title, draft.content, draft.prompt, draft.style, draft.tone,
+                draft.target_word_count, draft.current_word_count, draft.status || 'draft'
+            ]
+        );
+        return this.get(result.lastID);
+    }
+
+    async get(draftId, userId = null) {
+        if (userId === null) {
+            return this.connection.get('SELECT * FROM drafts WHERE id = ?', [draftId]);
+        }
+        return this.connection.get('SELECT * FROM drafts WHERE id = ? AND user_id = ?', [draftId, userId]);
+    }
+
+    async list(userId, { status = null, limit = 50, offset = 0, orderBy = 'updated_at', orderDirection = 'DESC' } = {}) {
+        let query = 'SELECT * FROM drafts WHERE user_id = ?';
+        const params = [userId];
+
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        query += ` ORDER BY ${orderBy} ${orderDirection} LIMIT ? OFFSET ?`;
+        params.push(limit, offset);
+
+        return this.connection.all(query, params);
+    }
+
+    async update(draftId, fields, { incrementVersion = false } = {}) {
+        const keys = Object.keys(fields).filter(key => DRAFT_COLUMNS.includes(key));
+        const updates = keys.map(key => `${key} = ?`);
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        if (incrementVersion) {
+            updates.push('version = version + 1');
+        }
+
+        const result = await this.connection.run(
+            `UPDATE drafts SET ${updates.join(', ')} WHERE id = ?`,
+            [...keys.map(key => fields[key]), draftId]
+        );
+        return result.changes > 0 ? this.get(draftId) : null;
+    }
+
+    async delete(draftId) {
+        return this.connection.transaction(async () => {
+            await this.connection.run('DELETE FROM auto_save_sessions WHERE draft_id = ?', [draftId]);
+            await this.connection.run('DELETE FROM draft_versions WHERE draft_id = ?', [draftId]);
+            const result = await this.connection.run('DELETE FROM drafts WHERE id = ?', [draftId]);
+            return result.changes;
+        });
+    }
+
+    async stats(userId) {
+        return this.connection.get(
+            `SELECT
+                COUNT(*) as total_drafts,
+                COUNT(CASE WHEN status = 'draft' THEN 1 END) as active_drafts,
+                COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_drafts,
+                SUM(current_word_count) as total_words,
+                AVG(current_word_count) as avg_words_per_draft
+             FROM drafts WHERE user_id = ?`,
+            [userId]
+        );
+    }
+
+    async addVersion(draftId, { versionNumber, content, changeSummary, wordCount }) {
+        await this.connection.run(
+            `INSERT INTO draft_versions (
+                draft_id, version_number, content, change_summary, word_count
+            ) VALUES (?, ?, ?, ?, ?)`,
+            [draftId, versionNumber, content, changeSummary, wordCount]
+        );
+    }
+
+    async listVersions(draftId) {
+        return this.connection.all(
+            'SELECT * FROM draft_versions WHERE draft_id = ? ORDER BY version_number DESC',
+            [draftId]
+        );
+    }
+
+    async getVersion(draftId, versionNumber) {
+        return this.connection.get(
+            'SELECT * FROM draft_versions WHERE draft_id = ? AND version_number = ?',
+            [draftId, versionNumber]
+        );
+    }
+
+    async pruneVersions(draftId, keep) {
+        await this.connection.run(
+            `DELETE FROM draft_versions
+             WHERE draft_id = ? AND version_number NOT IN (
+                 SELECT version_number FROM draft_versions
+                 WHERE draft_id = ?
+                 ORDER BY version_number DESC
+                 LIMIT ?
+             )`,
+            [draftId, draftId, keep]
+        );
+    }
+
+    async createSession(draftId, token) {
+        await this.connection.transaction(async () => {
+            await this.connection.run('UPDATE auto_save_sessions SET is_active = FALSE WHERE draft_id = ?', [draftId]);
+            await this.connection.run(
+                'INSERT INTO auto_save_sessions (draft_id, session_token) VALUES (?, ?)',
+                [draftId, token]
+            );
+        });
+    }
+
+    async findActiveSession(token, userId = null) {
+        const session = await this.connection.get(
+            `SELECT s.*, d.id as draft_id FROM auto_save_sessions s
+             JOIN drafts d ON s.draft_id = d.id
+             WHERE s.session_token = ? AND s.is_active = TRUE${userId !== null ? ' AND d.user_id = ?' : ''}`,
+            userId !== null ? [token, userId] : [token]
+        );
+        return session || null;
+    }
+
+    async touchSession(token) {
+        await this.connection.run(
+            'UPDATE auto_save_sessions SET last_auto_save = CURRENT_TIMESTAMP WHERE session_token = ?',
+            [token]
+        );
+    }
+}
+
+const toHistoryItem = (row) => ({
+    id: String(row.id),
+    userId: row.user_id,
+    title: row.title,
+    content: row.content,
+    type: row.type,
+    wordCount: row.word_count || 0,
+    metadata: parseJson(row.metadata),
+    createdAt: new Date(row.created_at)
+});
+
+class SqliteHistoryRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async add(userId, { title, content, type, wordCount, metadata = {} }) {
+        const result = await this.connection.run(
+            `INSERT INTO content_history (user_id, title, content, type, word_count, metadata, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, title, content, type, wordCount, JSON.stringify(metadata), new Date().toISOString()]
+        );
+        return String(result.lastID);
+    }
+
+    async get(itemId) {
+        const row = await this.connection.get('SELECT * FROM content_history WHERE id = ?', [itemId]);
+        return row ? toHistoryItem(row) : null;
+    }
+
+    async listRecent(userId, { since = null, limit = 20 } = {}) {
+        const rows = await this.connection.all(
+            `SELECT * FROM content_history WHERE user_id = ?${since ? ' AND created_at >= ?' : ''}
+             ORDER BY created_at DESC LIMIT ?`,
+            since ? [userId, since.toISOString(), limit] : [userId, limit]
+        );
+
+        return rows.map(toHistoryItem);
+    }
+}
+
+class SqlitePaymentRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async record(payment) {
+        const result = await this.connection.run(
+            `INSERT INTO payments (
+                user_id, plan, amount, currency, status, stripe_payment_intent_id,
+                credits_added, payment_method, metadata, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                payment.userId, payment.plan, payment.amount, payment.currency, payment.status,
+                payment.stripePaymentIntentId, payment.creditsAdded, payment.paymentMethod,
+                JSON.stringify(payment.metadata || {}), new Date().toISOString()
+            ]
+        );
+        return String(result.lastID);
+    }
+
+    async listByUser(userId, limit = 50) {
+        const rows = await this.connection.all(
+            'SELECT * FROM payments WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+            [userId, limit]
+        );
+
+        return rows.map(row => ({
+            id: String(row.id),
+            userId: row.user_id,
+            plan: row.plan,
+            amount: row.amount,
+            currency: row.currency,
+            status: row.status,
+            stripePaymentIntentId: row.stripe_payment_intent_id,
+            creditsAdded: row.credits_added,
+            paymentMethod: row.payment_method,
+            metadata: parseJson(row.metadata),
+            createdAt: new Date(row.created_at)
+        }));
+    }
+}
+
+const toUsageEntry = (row) => ({
+    id: String(row.id),
+    userId: row.user_id,
+    toolType: row.tool_type,
+    wordCount: row.word_count || 0,
+    creditsUsed: row.credits_used || 0,
+    type: row.type,
+    planType: row.plan_type,
+    transactionId: row.transaction_id,
+    apiKeyId: row.api_key_id || null,
+    timestamp: new Date(row.created_at)
+});
+
+class SqliteUsageRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async record(userId, { toolType, wordCount = 0, creditsUsed = 0, type = 'usage', metadata = {} }) {
+        const result = await this.connection.run(
+            `INSERT INTO usage_tracking (user_id, tool_type, word_count, credits_used, type, api_key_id, metadata, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, toolType, wordCount, creditsUsed, type, apiKeyService.getCurrentKeyId(), JSON.stringify(metadata), new Date().toISOString()]
+        );
+        return String(result.lastID);
+    }
+
+    async list(userId, { type = null, from = null, to = null, apiKeyId = null } = {}) {
+        let query = 'SELECT * FROM usage_tracking WHERE user_id = ?';
+        const params = [userId];
+
+        if (type) {
+            query += ' AND type = ?';
+            params.push(type);
+        }
+        if (apiKeyId) {
+            query += ' AND api_key_id = ?';
+            params.push(apiKeyId);
+        }
+        if (from) {
+            query += ' AND created_at >= ?';
+            params.push(from.toISOString());
+        }
+        if (to) {
+            query += ' AND created_at <= ?';
+            params.push(to.toISOString());
+        }
+
+        const rows = await this.connection.all(`${query} ORDER BY created_at ASC`, params);
+        return rows.map(toUsageEntry);
+    }
+
+    async listRecent(userId, { limit = 50 } = {}) {
+        const rows = await this.connection.all(
+            'SELECT * FROM usage_tracking WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+            [userId, limit]
+        );
+        return rows.map(toUsageEntry);
+    }
+}
+
+class SqliteApiKeyRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async create({ id, userId, name, prefix, hash, scopes, rateLimit }) {
+        await this.connection.run(
+            `INSERT INTO api_keys (id, user_id, name, prefix, hash, scopes, rate_limit, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, userId, name, prefix, hash, JSON.stringify(scopes), rateLimit, new Date().toISOString()]
+        );
+        return this.get(id);
+    }
+
+    async get(keyId) {
+        const row = await this.connection.get('SELECT * FROM api_keys WHERE id = ?', [keyId]);
+        return row ? toApiKey(row) : null;
+    }
+
+    async findByHash(hash) {
+        const row = await this.connection.get('SELECT * FROM api_keys WHERE hash = ?', [hash]);
+        return row ? toApiKey(row) : null;
+    }
+
+    async listByUser(userId) {
+        const rows = await this.connection.all(
+            'SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC',
+            [userId]
+        );
+        return rows.map(toApiKey);
+    }
+
+    async update(keyId, fields) {
+        const keys = Object.keys(fields).filter(key => API_KEY_COLUMNS[key]);
+        if (keys.length === 0) {
+            return !!(await this.get(keyId));
+        }
+
+        const result = await this.connection.run(
+            `UPDATE api_keys SET ${keys.map(key => `${API_KEY_COLUMNS[key]} = ?`).join(', ')} WHERE id = ?`,
+            [...keys.map(key => toColumnValue(fields[key], key === 'scopes')), keyId]
+        );
+        return result.changes > 0;
+    }
+}
+
+class SqliteAuditRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async record({ actorId, action, targetUserId = null, details = {} }) {
+        const result = await this.connection.run(
+            `INSERT INTO admin_audit_log (actor_id, action, target_user_id, details, created_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [actorId, action, targetUserId, JSON.stringify(details), new Date().toISOString()]
+        );
+        return String(result.lastID);
+    }
+
+    async list({ actorId = null, targetUserId = null, action = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+        Object.entries({ actor_id: actorId, target_user_id: targetUserId, action }).forEach(([column, value]) => {
+            if (value) {
+                conditions.push(`${column} = ?`);
+                params.push(value);
+            }
+        });
+
+        const rows = await this.connection.all(
+            `SELECT * FROM admin_audit_log ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        return rows.map(row => ({
+            id: String(row.id),
+            actorId: row.actor_id,
+            action: row.action,
+            targetUserId: row.target_user_id,
+            details: parseJson(row.details),
+            createdAt: new Date(row.created_at)
+        }));
+    }
+}
+
+class SqliteToolErrorRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async record({ tool, userId = null, status, method, path, error, details = null }) {
+        const result = await this.connection.run(
+            `INSERT INTO tool_errors (tool, user_id, status, method, path, error, details, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [tool, userId, status, method, path, error, details, new Date().toISOString()]
+        );
+        return String(result.lastID);
+    }
+
+    async listRecent({ tool = null, userId = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+        Object.entries({ tool, user_id: userId }).forEach(([column, value]) => {
+            if (value) {
+                conditions.push(`${column} = ?`);
+                params.push(value);
+            }
+        });
+
+        const rows = await this.connection.all(
+            `SELECT * FROM tool_errors ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        return rows.map(row => ({
+            id: String(row.id),
+            tool: row.tool,
+            userId: row.user_id,
+            status: row.status,
+            method: row.method,
+            path: row.path,
+            error: row.error,
+            details: row.details,
+            createdAt: new Date(row.created_at)
+        }));
+    }
+}
+
+class SqliteToolResultRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    toResult(row) {
+        return {
+            ...parseJson(row.data),
+            id: String(row.id),
+            userId: row.user_id,
+            [TOOL_RESULTS[row.tool].timeField]: new Date(row.created_at)
+        };
+    }
+
+    async create(tool, userId, data) {
+        const result = await this.connection.run(
+            'INSERT INTO tool_results (tool, user_id, data, created_at) VALUES (?, ?, ?, ?)',
+            [tool, userId, JSON.stringify(data), new Date().toISOString()]
+        );
+        return String(result.lastID);
+    }
+
+    async get(tool, resultId) {
+        const row = await this.connection.get('SELECT * FROM tool_results WHERE id = ? AND tool = ?', [resultId, tool]);
+        return row ? this.toResult(row) : null;
+    }
+
+    async list(tool, { userId = null, from = null, to = null, limit = 20, offset = 0 } = {}) {
+        let query = 'SELECT * FROM tool_results WHERE tool = ?';
+        const params = [tool];
+
+        if (userId) {
+            query += ' AND user_id = ?';
+            params.push(userId);
+        }
+        if (from) {
+            query += ' AND created_at >= ?';
+            params.push(from.toISOString());
+        }
+        if (to) {
+            query += ' AND created_at < ?';
+            params.push(to.toISOString());
+        }
+
+        // LIMIT -1 is SQLite for no limit
+        const rows = await this.connection.all(`${query} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`, [...params, limit || -1, offset]);
+        return rows.map(row => this.toResult(row));
+    }
+
+    async update(tool, resultId, fields) {
+        return this.connection.transaction(async () => {
+            const row = await this.connection.get('SELECT data FROM tool_results WHERE id = ? AND tool = ?', [resultId, tool]);
+            if (!row) {
+                return false;
+            }
+
+            await this.connection.run(
+                'UPDATE tool_results SET data = ? WHERE id = ?',
+                [JSON.stringify({ ...parseJson(row.data), ...fields }), resultId]
+            );
+            return true;
+        });
+    }
+
+    async delete(tool, resultId) {
+        const result = await this.connection.run('DELETE FROM tool_results WHERE id = ? AND tool = ?', [resultId, tool]);
+        return result.changes > 0;
+    }
+}
+
+class SqliteDetectorBatchRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async create(batchId, batch, documents) {
+        await this.connection.transaction(async () => {
+            await this.connection.run(
+                'INSERT INTO detector_batches (id, user_id, data, created_at) VALUES (?, ?, ?, ?)',
+                [batchId, batch.userId, JSON.stringify(batch), new Date().toISOString()]
+            );
+            for (const document of documents) {
+                await this.connection.run(
+                    'INSERT INTO detector_batch_documents (batch_id, document_id, user_id, data) VALUES (?, ?, ?, ?)',
+                    [batchId, document.documentId, batch.userId, JSON.stringify(document)]
+                );
+            }
+        });
+    }
+
+    async get(batchId) {
+        const row = await this.connection.get('SELECT * FROM detector_batches WHERE id = ?', [batchId]);
+        return row ? { batchId: row.id, ...parseJson(row.data), createdAt: new Date(row.created_at) } : null;
+    }
+
+    async getDocument(batchId, documentId) {
+        const row = await this.connection.get(
+            'SELECT * FROM detector_batch_documents WHERE batch_id = ? AND document_id = ?',
+            [batchId, documentId]
+        );
+        return row ? { userId: row.user_id, ...parseJson(row.data) } : null;
+    }
+}
+
+const toIdempotencyRecord = (row) => ({
+    userId: row.user_id,
+    key: row.key,
+    fingerprint: row.fingerprint,
+    status: row.status,
+    startedAt: row.started_at,
+    renewedAt: row.renewed_at,
+    expiresAt: row.expires_at,
+    statusCode: row.status_code,
+    replayable: Boolean(row.replayable),
+    responseBody: row.response_body,
+    completedAt: row.completed_at
+});
+
+class SqliteIdempotencyKeyRepository {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    async claim(userId, key, { fingerprint, windowMs, leaseMs }) {
+        return this.connection.transaction(async () => {
+            const row = await this.connection.get('SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ?', [userId, key]);
+            const now = Date.now();
+
+            if (row) {
+                const record = toIdempotencyRecord(row);
+                const expired = record.expiresAt <= now;
+                const abandoned = record.status === IDEMPOTENCY_STATUS.PROCESSING &&
+                    (record.renewedAt || record.startedAt) + leaseMs <= now;
+
+                if (!expired && !abandoned) {
+                    return { claimed: false, record };
+                }
+            }
+
+            await this.connection.run(
+                `INSERT OR REPLACE INTO idempotency_keys (user_id, key, fingerprint, status, started_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, key, fingerprint, IDEMPOTENCY_STATUS.PROCESSING, now, now + windowMs]
+            );
+            return { claimed: true };
+        });
+    }
+
+    async renew(userId, key) {
+        await this.connection.run(
+            'UPDATE idempotency_keys SET renewed_at = ? WHERE user_id = ? AND key = ? AND status = ?',
+            [Date.now(), userId, key, IDEMPOTENCY_STATUS.PROCESSING]
+        );
+    }
+
+    async complete(userId, key, { statusCode, replayable, responseBody }) {
+        await this.connection.run(
+            `UPDATE idempotency_keys SET status = ?, status_code = ?, replayable = ?, response_body = ?, completed_at = ?
+             WHERE user_id = ? AND key = ?`,
+            [IDEMPOTENCY_STATUS.COMPLETED, statusCode, replayable ? 1 : 0, responseBody, Date.now(), userId, key]
+        );
+    }
+
+    async release(userId, key) {
+        await this.connection.run('DELETE FROM idempotency_keys WHERE user_id = ? AND key = ?', [userId, key]);
+    }
+}
+
+/**
+ * @param {Object} options - { dbPath } (defaults to defaultDatabasePath())
+ */
+const createRepositories = ({ dbPath = defaultDatabasePath() } = {}) => {
+    const connection = new SqliteConnection(dbPath);
+
+    return {
+        store: 'sqlite',
+        users: new SqliteUserRepository(connection),
+        credits: new SqliteCreditRepository(connection),
+        drafts: new SqliteDraftRepository(connection),
+        history: new SqliteHistoryRepository(connection),
+        payments: new SqlitePaymentRepository(connection),
+        usage: new SqliteUsageRepository(connection),
+        apiKeys: new SqliteApiKeyRepository(connection),
+        audit: new SqliteAuditRepository(connection),
+        toolErrors: new SqliteToolErrorRepository(connection),
+        toolResults: new SqliteToolResultRepository(connection),
+        detectorBatches: new SqliteDetectorBatchRepository(connection),
+        idempotencyKeys: new SqliteIdempotencyKeyRepository(connection)
+    };
+};
+
+module.exports = {
+    createRepositories
+};
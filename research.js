@@ -3,7 +3,13 @@ const ResearchService = require('./services/researchService');
 const AtomicCreditSystem = require('./services/atomicCreditSystem');
 const PlanValidator = require('./services/planValidator');
 const PDFGenerator = require('./services/pdfGenerator');
-const { authenticateToken } = require('./auth');
+const jobQueue = require('./services/jobQueue');
+const { StructuredOutputError } = require('./services/structuredOutput');
+const { authenticateToken } = require('./middleware/auth');
+const { idempotency } = require('./middleware/idempotency');
+const { validateRequest } = require('./middleware/validate');
+const operations = require('./openapi/research');
+const { getRepositories } = require('./repositories');
 
 const router = express.Router();
 
@@ -13,11 +19,129 @@ const atomicCreditSystem = new AtomicCreditSystem();
 const planValidator = new PlanValidator();
 const pdfGenerator = new PDFGenerator();
 
+// Queued research jobs keep their reservation open longer than a request would
+const RESEARCH_JOB_RESERVATION_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Conduct research after credits have been reserved, then capture the charge
+ * for the actual output, save history and record usage
+ * Shared by the synchronous endpoint and the background job handler
+ */
+async function runResearchQuery(userId, params) {
+  const {
+    query,
+    researchType,
+    depth,
+    sources,
+    saveToHistory,
+    planType,
+    reservation
+  } = params;
+
+  // Step 4: Conduct research
+  const startTime = Date.now();
+  const researchResult = await researchService.conductResearch(
+    query,
+    researchType,
+    depth,
+    sources,
+    userId
+  );
+  const processingTime = Date.now() - startTime;
+
+  // Step 5: Calculate actual credits based on output
+  const actualCredits = researchService.calculateResearchCredits(researchResult.wordCount, depth);
+
+  // Step 6: Capture the actual credits (never more than the estimate reserved); the rest is released
+  const capture = await atomicCreditSystem.captureCredits(
+    userId,
+    reservation.reservationId,
+    actualCredits,
+    { wordCount: researchResult.wordCount }
+  );
+  const finalCreditsUsed = capture.creditsCaptured;
+
+  // Step 7: Save to research history with enhanced data
+  let researchId = null;
+  if (saveToHistory) {
+    researchId = await researchService.saveResearchToHistory(
+      userId,
+      researchResult.data,
+      {
+        ...researchResult.metadata,
+        processingTime,
+        creditsUsed: finalCreditsUsed,
+        transactionId: capture.transactionId,
+        citations: researchResult.data.citations,
+        sourceValidation: researchResult.data.sourceValidation,
+        recommendations: researchResult.data.recommendations,
+        qualityScore: researchResult.data.qualityScore
+      }
+    );
+  }
+
+  // Step 8: Record usage
+  await planValidator.recordUsage(
+    userId,
+    researchResult.wordCount,
+    finalCreditsUsed,
+    'research'
+  );
+
+  return {
+    researchId,
+    query,
+    researchType,
+    depth,
+    results: researchResult.data,
+    metadata: {
+      wordCount: researchResult.wordCount,
+      processingTime,
+      creditsUsed: finalCreditsUsed,
+      creditsReleased: capture.creditsReleased,
+      newBalance: capture.newBalance,
+      timestamp: new Date().toISOString(),
+      sources: researchResult.data.sources || [],
+      citations: researchResult.data.citations || [],
+      sourceValidation: researchResult.data.sourceValidation || {},
+      recommendations: researchResult.data.recommendations || [],
+      qualityScore: researchResult.data.qualityScore || 0
+    }
+  };
+}
+
+/**
+ * Release the research reservation (no-op once it has been captured)
+ */
+async function releaseResearchCredits(userId, reservation, reason) {
+  await atomicCreditSystem.releaseCredits(userId, reservation.reservationId, reason);
+}
+
+/**
+ * Background job: deep research query
+ */
+jobQueue.registerHandler('research.query', {
+  maxAttempts: 2,
+  run: async (job, { updateProgress }) => {
+    await updateProgress(10, 'Conducting research');
+    return runResearchQuery(job.userId, job.payload);
+  },
+  onFailed: async (job) => {
+    await releaseResearchCredits(job.userId, job.payload.reservation, 'job_failed');
+  },
+  onCancelled: async (job) => {
+    await releaseResearchCredits(job.userId, job.payload.reservation, 'job_cancelled');
+  }
+});
+
 /**
  * POST /api/research/query
  * Conduct deep research using Gemini 2.5 Pro
+ * Send `"async": true` (or `Prefer: respond-async`) to get a 202 with a job ID instead
  */
-router.post('/query', authenticateToken, async (req, res) => {
+router.post('/query', authenticateToken, validateRequest(operations.query), idempotency, async (req, res) => {
+  let reservationResult = null;
+
   try {
     const { 
       query, 
@@ -27,43 +151,13 @@ router.post('/query', authenticateToken, async (req, res) => {
       saveToHistory = true 
     } = req.body;
 
-    // Input validation
-    if (!query || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Research query is required'
-      });
-    }
-
-    if (query.length > 2000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Research query too long. Maximum 2000 characters allowed.'
-      });
-    }
-
-    if (depth < 1 || depth > 5) {
-      return res.status(400).json({
-        success: false,
-        error: 'Research depth must be between 1 and 5'
-      });
-    }
-
-    const validResearchTypes = ['general', 'academic', 'technical', 'market', 'scientific', 'historical'];
-    if (!validResearchTypes.includes(researchType)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid research type. Must be one of: ${validResearchTypes.join(', ')}`
-      });
-    }
-
     // Step 1: Estimate research output (research uses 1:10 word-to-credit ratio)
     const estimatedWordCount = Math.min(depth * 1000, 8000); // Estimate based on depth
     const estimatedCredits = researchService.calculateResearchCredits(estimatedWordCount, depth);
     console.log(`Estimated research credits needed: ${estimatedCredits} for ${estimatedWordCount} words at depth ${depth} (1:10 ratio)`);
 
     // Step 2: Plan validation and input limits
-    const planValidation = await planValidator.validateRequest(req.user.id, query, estimatedWordCount, 'research');
+    const planValidation = await planValidator.validateRequest(req.user.uid, query, estimatedWordCount, 'research');
     
     if (!planValidation.isValid) {
       return res.status(403).json({
@@ -78,133 +172,77 @@ router.post('/query', authenticateToken, async (req, res) => {
       });
     }
 
-    // Step 3: Atomic credit deduction for research
-    const creditDeductionResult = await atomicCreditSystem.deductCreditsAtomic(
-      req.user.id,
+    // Step 3: Reserve the estimated credits; the actual amount is captured once the output is known
+    const runAsJob = jobQueue.wantsAsync(req);
+    reservationResult = await atomicCreditSystem.reserveCredits(
+      req.user.uid,
       estimatedCredits,
       planValidation.userPlan.planType,
-      'research'
+      'research',
+      { ttlMs: runAsJob ? RESEARCH_JOB_RESERVATION_TTL_MS : undefined }
     );
 
-    if (!creditDeductionResult.success) {
+    if (!reservationResult.success) {
       return res.status(402).json({
         success: false,
         error: 'Insufficient credits for research',
         details: {
           required: estimatedCredits,
-          available: creditDeductionResult.availableCredits,
+          available: reservationResult.previousBalance,
           planType: planValidation.userPlan.planType
         }
       });
     }
 
-    // Step 4: Conduct research
-    const startTime = Date.now();
-    const researchResult = await researchService.conductResearch(
+    const researchParams = {
       query,
       researchType,
       depth,
       sources,
-      req.user.id
-    );
-    const processingTime = Date.now() - startTime;
-
-    // Step 5: Calculate actual credits based on output
-    const actualCredits = researchService.calculateResearchCredits(researchResult.wordCount, depth);
-    
-    // Step 6: Adjust credits if needed (refund or charge difference)
-    let finalCreditsUsed = creditDeductionResult.creditsDeducted;
-    if (actualCredits !== estimatedCredits) {
-      const creditDifference = actualCredits - estimatedCredits;
-      if (creditDifference > 0) {
-        // Need to charge more credits
-        const additionalDeduction = await atomicCreditSystem.deductCreditsAtomic(
-          req.user.id,
-          creditDifference,
-          planValidation.userPlan.planType
-        );
-        if (additionalDeduction.success) {
-          finalCreditsUsed += creditDifference;
-        }
-      } else if (creditDifference < 0) {
-        // Refund excess credits
-        await atomicCreditSystem.refundCredits(
-          req.user.id,
-          Math.abs(creditDifference),
-          creditDeductionResult.transactionId
-        );
-        finalCreditsUsed = actualCredits;
+      saveToHistory,
+      planType: planValidation.userPlan.planType,
+      reservation: {
+        reservationId: reservationResult.reservationId,
+        creditsReserved: reservationResult.creditsReserved
       }
-    }
+    };
 
-    // Step 7: Save to research history with enhanced data
-    let researchId = null;
-    if (saveToHistory) {
-      researchId = await researchService.saveResearchToHistory(
-        req.user.id,
-        researchResult.data,
-        {
-          ...researchResult.metadata,
-          processingTime,
-          creditsUsed: finalCreditsUsed,
-          transactionId: creditDeductionResult.transactionId,
-          citations: researchResult.data.citations,
-          sourceValidation: researchResult.data.sourceValidation,
-          recommendations: researchResult.data.recommendations,
-          qualityScore: researchResult.data.qualityScore
-        }
-      );
+    // Deep research can run as a background job polled via /api/jobs/:id
+    if (runAsJob) {
+      const job = await jobQueue.enqueue('research.query', req.user.uid, researchParams);
+      return res.status(202).json(jobQueue.acceptedResponse(job, req));
     }
 
-    // Step 8: Record usage
-    await planValidator.recordUsage(
-      req.user.id,
-      researchResult.wordCount,
-      finalCreditsUsed,
-      'research'
-    );
+    // Steps 4-8: Conduct research, settle credits, save and record usage
+    const data = await runResearchQuery(req.user.uid, researchParams);
 
     // Step 9: Return research results
     res.json({
       success: true,
-      data: {
-        researchId,
-        query,
-        researchType,
-        depth,
-        results: researchResult.data,
-        metadata: {
-          wordCount: researchResult.wordCount,
-          processingTime,
-          creditsUsed: finalCreditsUsed,
-          newBalance: creditDeductionResult.newBalance,
-          timestamp: new Date().toISOString(),
-          sources: researchResult.data.sources || [],
-          citations: researchResult.data.citations || [],
-          sourceValidation: researchResult.data.sourceValidation || {},
-          recommendations: researchResult.data.recommendations || [],
-          qualityScore: researchResult.data.qualityScore || 0
-        }
-      }
+      data
     });
 
   } catch (error) {
     console.error('Research query error:', error);
     
-    // Rollback credits on error
-    if (creditDeductionResult && creditDeductionResult.success) {
+    // Release the reservation on error
+    if (reservationResult && reservationResult.success) {
       try {
-        await atomicCreditSystem.rollbackTransaction(
-          req.user.id,
-          creditDeductionResult.transactionId,
-          creditDeductionResult.creditsDeducted,
-          creditDeductionResult.wordsAllocated
-        );
-      } catch (rollbackError) {
-        console.error('Credit rollback failed:', rollbackError);
+        await releaseResearchCredits(req.user.uid, reservationResult, 'research_failed');
+      } catch (releaseError) {
+        console.error('Credit release failed:', releaseError);
       }
     }
 
+    if (error instanceof StructuredOutputError) {
+      return res.status(502).json({
+        success: false,
+        error: 'The research model returned an unusable response. Your credits were refunded.',
+        code: error.code,
+        details: error.violations
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Research generation failed',
@@ -217,15 +255,15 @@ router.post('/query', authenticateToken, async (req, res) => {
  * GET /api/research/history
  * Get user's research history
  */
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, validateRequest(operations.history), async (req, res) => {
   try {
     const { limit = 20, offset = 0 } = req.query;
     
-    const parsedLimit = Math.min(parseInt(limit) || 20, 100); // Max 100 items
-    const parsedOffset = Math.max(parseInt(offset) || 0, 0);
+    const parsedLimit = Math.min(limit, 100); // Max 100 items
+    const parsedOffset = offset;
 
     const history = await researchService.getResearchHistory(
-      req.user.id,
+      req.user.uid,
       parsedLimit,
       parsedOffset
     );
@@ -256,18 +294,11 @@ router.get('/history', authenticateToken, async (req, res) => {
  * GET /api/research/:id
  * Get specific research by ID
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, validateRequest(operations.get), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    if (!id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Research ID is required'
-      });
-    }
 
-    const research = await researchService.getResearchById(id, req.user.id);
+    const research = await researchService.getResearchById(id, req.user.uid);
 
     res.json({
       success: true,
@@ -303,22 +334,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * DELETE /api/research/:id
  * Delete specific research from history
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, validateRequest(operations.delete), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    if (!id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Research ID is required'
-      });
-    }
 
-    // First verify ownership
-    const research = await researchService.getResearchById(id, req.user.id);
-    
-    // Delete the research
-    await researchService.db.collection('research_history').doc(id).delete();
+    // Verifies ownership before deleting
+    await researchService.deleteResearch(id, req.user.uid);
 
     res.json({
       success: true,
@@ -354,28 +375,13 @@ router.delete('/:id', authenticateToken, async (req, res) => {
  * POST /api/research/export/:id
  * Export research results in various formats
  */
-router.post('/export/:id', authenticateToken, async (req, res) => {
+router.post('/export/:id', authenticateToken, validateRequest(operations.export), async (req, res) => {
   try {
     const { id } = req.params;
     const { format = 'json' } = req.body;
-    
-    if (!id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Research ID is required'
-      });
-    }
-
-    const validFormats = ['json', 'txt', 'markdown', 'citations', 'pdf', 'bibliography', 'pdf-citations'];
-    if (!validFormats.includes(format)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid format. Must be one of: ${validFormats.join(', ')}`
-      });
-    }
 
     // Get research data
-    const research = await researchService.getResearchById(id, req.user.id);
+    const research = await researchService.getResearchById(id, req.user.uid);
     
     let exportData;
     let contentType;
@@ -603,26 +609,12 @@ function formatBibliography(research) {
  * POST /api/research/validate-sources
  * Validate and score research sources
  */
-router.post('/validate-sources', authenticateToken, async (req, res) => {
+router.post('/validate-sources', authenticateToken, validateRequest(operations.validateSources), idempotency, async (req, res) => {
   try {
     const { sources } = req.body;
 
-    if (!sources || !Array.isArray(sources) || sources.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Sources array is required'
-      });
-    }
-
-    if (sources.length > 50) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 50 sources allowed per validation request'
-      });
-    }
-
     // Plan validation
-    const planValidation = await planValidator.validateRequest(req.user.id, '', 0, 'research');
+    const planValidation = await planValidator.validateRequest(req.user.uid, '', 0, 'research');
     if (!planValidation.isValid) {
       return res.status(403).json({
         success: false,
@@ -636,7 +628,7 @@ router.post('/validate-sources', authenticateToken, async (req, res) => {
 
     // Deduct credits
     const creditDeductionResult = await atomicCreditSystem.deductCreditsAtomic(
-      req.user.id,
+      req.user.uid,
       estimatedCredits,
       planValidation.userPlan.planType,
       'research'
@@ -658,7 +650,7 @@ router.post('/validate-sources', authenticateToken, async (req, res) => {
 
     // Record usage
     await planValidator.recordUsage(
-      req.user.id,
+      req.user.uid,
       sources.length,
       estimatedCredits,
       'source_validation'
@@ -688,34 +680,12 @@ router.post('/validate-sources', authenticateToken, async (req, res) => {
  * POST /api/research/generate-citations
  * Generate formatted citations from sources
  */
-router.post('/generate-citations', authenticateToken, async (req, res) => {
+router.post('/generate-citations', authenticateToken, validateRequest(operations.generateCitations), idempotency, async (req, res) => {
   try {
     const { sources, format = 'apa' } = req.body;
 
-    if (!sources || !Array.isArray(sources) || sources.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Sources array is required'
-      });
-    }
-
-    const validFormats = ['apa', 'mla', 'chicago', 'harvard'];
-    if (!validFormats.includes(format)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid citation format. Must be one of: ${validFormats.join(', ')}`
-      });
-    }
-
-    if (sources.length > 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 100 sources allowed per citation request'
-      });
-    }
-
     // Plan validation
-    const planValidation = await planValidator.validateRequest(req.user.id, '', 0, 'research');
+    const planValidation = await planValidator.validateRequest(req.user.uid, '', 0, 'research');
     if (!planValidation.isValid) {
       return res.status(403).json({
         success: false,
@@ -729,7 +699,7 @@ router.post('/generate-citations', authenticateToken, async (req, res) => {
 
     // Deduct credits
     const creditDeductionResult = await atomicCreditSystem.deductCreditsAtomic(
-      req.user.id,
+      req.user.uid,
       estimatedCredits,
       planValidation.userPlan.planType,
       'research'
@@ -751,7 +721,7 @@ router.post('/generate-citations', authenticateToken, async (req, res) => {
 
     // Record usage
     await planValidator.recordUsage(
-      req.user.id,
+      req.user.uid,
       sources.length,
       estimatedCredits,
       'citation_generation'
@@ -782,30 +752,24 @@ router.post('/generate-citations', authenticateToken, async (req, res) => {
  * GET /api/research/stats
  * Get research tool statistics for dashboard
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, validateRequest(operations.stats), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.uid;
     const { date } = req.query;
     const targetDate = date || new Date().toISOString().split('T')[0];
 
-    // Get today's research statistics from Firestore
+    // Get the day's research statistics
     const today = new Date(targetDate);
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    const researchQuery = await admin.firestore()
-      .collection('research_history')
-      .where('userId', '==', userId)
-      .where('timestamp', '>=', today)
-      .where('timestamp', '<', tomorrow)
-      .get();
+    const research = await getRepositories().toolResults.list('research', { userId, from: today, to: tomorrow, limit: null });
 
     let researchesToday = 0;
     let sourcesToday = 0;
     let creditsToday = 0;
 
-    researchQuery.docs.forEach(doc => {
-      const data = doc.data();
+    research.forEach(data => {
       researchesToday++;
       sourcesToday += (data.sources || []).length;
       creditsToday += data.creditsUsed || 0;
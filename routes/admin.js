@@ -0,0 +1,347 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/admin');
+const { getRepositories } = require('../repositories');
+const jobQueue = require('../services/jobQueue');
+const AtomicCreditSystem = require('../services/atomicCreditSystem');
+const ResearchService = require('../services/researchService');
+const { DetectorService } = require('../services/detectorService');
+
+/**
+ * Admin console API for operations and support
+ * Every handler writes an entry to the audit log (who, what, which user)
+ * once the action has succeeded, including read-only lookups.
+ */
+
+const router = express.Router();
+const atomicCreditSystem = new AtomicCreditSystem();
+const researchService = new ResearchService();
+const detectorService = new DetectorService();
+
+router.use(authenticateToken);
+
+/**
+ * Write an audit log entry for the current admin action
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {string} action - e.g. 'credits.adjust'
+ * @param {string|null} targetUserId - User the action concerns
+ * @param {Object} details - Action-specific data
+ */
+const audit = (req, action, targetUserId = null, details = {}) => getRepositories().audit.record({
+    actorId: req.user.uid,
+    action,
+    targetUserId,
+    details
+});
+
+const limitOf = (value, fallback, max) => Math.min(value || fallback, max);
+
+/**
+ * Map repository errors to HTTP responses
+ */
+const handleAdminError = (res, error, fallbackMessage) => {
+    if (error.code === 'USER_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (error.code === 'NEGATIVE_BALANCE') {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        details: error.message
+    });
+};
+
+/**
+ * Search users by exact ID, or by email / name prefix
+ * GET /api/admin/users?q=&limit=
+ */
+router.get('/users', authorize('users:search'), validateRequest(operations.searchUsers), async (req, res) => {
+    try {
+        const query = req.query.q.trim();
+
+        const users = await getRepositories().users.search(query, { limit: limitOf(req.query.limit, 20, 100) });
+        await audit(req, 'users.search', null, { query, results: users.length });
+
+        res.json({ success: true, users, count: users.length });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to search users');
+    }
+});
+
+/**
+ * View any user's record
+ * GET /api/admin/users/:userId
+ */
+router.get('/users/:userId', authorize('users:read-any'), validateRequest(operations.getUser), async (req, res) => {
+    try {
+        const user = await getRepositories().users.get(req.params.userId);
+
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await audit(req, 'users.view', req.params.userId);
+        res.json({ success: true, user });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to get user');
+    }
+});
+
+/**
+ * Grant, refund or correct credits
+ * POST /api/admin/users/:userId/credits  { amount, reason, kind }
+ * Grants and refunds add credits; corrections may also remove them.
+ */
+router.post('/users/:userId/credits', authorize('credits:adjust'), validateRequest(operations.adjustCredits), async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+        const kind = req.body.kind || (amount > 0 ? 'grant' : 'correction');
+
+        if (amount === 0) {
+            return sendValidationError(res, [{ in: 'body', field: 'amount', message: 'must not be 0' }]);
+        }
+        if (kind !== 'correction' && amount < 0) {
+            return sendValidationError(res, [{ in: 'body', field: 'amount', message: `must be positive for a ${kind}; use a correction to remove credits` }]);
+        }
+
+        const { previousBalance, newBalance } = await getRepositories().credits.adjust(req.params.userId, amount, {
+            reason: reason.trim(),
+            actorId: req.user.uid,
+            kind
+        });
+        await audit(req, 'credits.adjust', req.params.userId, { amount, kind, reason: reason.trim(), previousBalance, newBalance });
+
+        res.json({ success: true, userId: req.params.userId, amount, kind, previousBalance, newBalance });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to adjust credits');
+    }
+});
+
+/**
+ * Override a user's plan
+ * PUT /api/admin/users/:userId/plan  { plan, reason }
+ */
+router.put('/users/:userId/plan', authorize('plans:change'), validateRequest(operations.changePlan), async (req, res) => {
+    try {
+        const { plan, reason = null } = req.body;
+
+        const { users } = getRepositories();
+        const user = await users.get(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await users.update(req.params.userId, { plan, isPremium: plan !== 'free' });
+        await audit(req, 'plans.change', req.params.userId, { from: user.plan, to: plan, reason });
+
+        res.json({ success: true, userId: req.params.userId, plan });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to change plan');
+    }
+});
+
+/**
+ * Replace a user's stored roles
+ * PUT /api/admin/users/:userId/roles  { roles }
+ */
+router.put('/users/:userId/roles', authorize('users:change-roles'), validateRequest(operations.changeRoles), async (req, res) => {
+    try {
+        const uniqueRoles = [...new Set(req.body.roles)];
+        const updated = await getRepositories().users.update(req.params.userId, { roles: uniqueRoles });
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        await audit(req, 'roles.change', req.params.userId, { roles: uniqueRoles });
+
+        res.json({ success: true, userId: req.params.userId, roles: uniqueRoles });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to change roles');
+    }
+});
+
+/**
+ * Suspend an account; its tokens are refused until it is unsuspended
+ * POST /api/admin/users/:userId/suspend  { reason }
+ */
+router.post('/users/:userId/suspend', authorize('users:suspend'), validateRequest(operations.suspend), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (req.params.userId === req.user.uid) {
+            return res.status(400).json({ success: false, error: 'You cannot suspend your own account' });
+        }
+
+        const updated = await getRepositories().users.update(req.params.userId, {
+            suspended: true,
+            suspendedReason: reason.trim(),
+            suspendedAt: new Date()
+        });
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        await audit(req, 'users.suspend', req.params.userId, { reason: reason.trim() });
+
+        res.json({ success: true, userId: req.params.userId, suspended: true });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to suspend user');
+    }
+});
+
+/**
+ * Lift a suspension
+ * POST /api/admin/users/:userId/unsuspend  { reason }
+ */
+router.post('/users/:userId/unsuspend', authorize('users:suspend'), validateRequest(operations.unsuspend), async (req, res) => {
+    try {
+        const updated = await getRepositories().users.update(req.params.userId, {
+            suspended: false,
+            suspendedReason: null,
+            suspendedAt: null
+        });
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        await audit(req, 'users.unsuspend', req.params.userId, { reason: req.body.reason || null });
+
+        res.json({ success: true, userId: req.params.userId, suspended: false });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to unsuspend user');
+    }
+});
+
+/**
+ * A user's credit transactions
+ * GET /api/admin/users/:userId/transactions?limit=
+ */
+router.get('/users/:userId/transactions', authorize('transactions:read-any'), validateRequest(operations.transactions), async (req, res) => {
+    try {
+        const transactions = await atomicCreditSystem.getTransactionHistory(req.params.userId, limitOf(req.query.limit, 50, 100));
+        await audit(req, 'transactions.view', req.params.userId);
+
+        res.json({ success: true, transactions, count: transactions.length });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to get transaction history');
+    }
+});
+
+/**
+ * A user's research history
+ * GET /api/admin/users/:userId/research?limit=
+ */
+router.get('/users/:userId/research', authorize('research:read-any'), validateRequest(operations.research), async (req, res) => {
+    try {
+        const history = await researchService.getResearchHistory(req.params.userId, limitOf(req.query.limit, 20, 100));
+        await audit(req, 'research.view', req.params.userId);
+
+        res.json({ success: true, history, count: history.length });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to get research history');
+    }
+});
+
+/**
+ * A user's failed generations: failed writer jobs and writer errors
+ * GET /api/admin/users/:userId/failed-generations?limit=
+ */
+router.get('/users/:userId/failed-generations', authorize('jobs:read-any'), validateRequest(operations.failedGenerations), async (req, res) => {
+    try {
+        const limit = limitOf(req.query.limit, 20, 100);
+        const [jobs, errors] = await Promise.all([
+            jobQueue.findJobs({ userId: req.params.userId, status: 'failed', limit }),
+            getRepositories().toolErrors.listRecent({ tool: 'writer', userId: req.params.userId, limit })
+        ]);
+        const failedJobs = jobs.filter(job => job.type.startsWith('writer.'));
+        await audit(req, 'generations.view-failed', req.params.userId);
+
+        res.json({ success: true, failedJobs, errors });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to get failed generations');
+    }
+});
+
+/**
+ * Recent errors for a tool: 5xx responses and failed background jobs
+ * GET /api/admin/errors?tool=&userId=&limit=
+ */
+router.get('/errors', authorize('errors:read'), validateRequest(operations.errors), async (req, res) => {
+    try {
+        const { tool = null, userId = null } = req.query;
+        const limit = limitOf(req.query.limit, 50, 200);
+
+        const [errors, jobs] = await Promise.all([
+            getRepositories().toolErrors.listRecent({ tool, userId, limit }),
+            jobQueue.findJobs({ userId, status: 'failed', limit })
+        ]);
+        const failedJobs = tool ? jobs.filter(job => job.type.startsWith(`${tool}.`)) : jobs;
+        await audit(req, 'errors.view', userId, { tool });
+
+        res.json({ success: true, errors, failedJobs });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to list errors');
+    }
+});
+
+/**
+ * Inspect background jobs across users
+ * GET /api/admin/jobs?userId=&status=&limit=
+ */
+router.get('/jobs', authorize('jobs:read-any'), validateRequest(operations.jobs), async (req, res) => {
+    try {
+        const { userId = null, status = null } = req.query;
+
+        const jobs = await jobQueue.findJobs({ userId, status, limit: limitOf(req.query.limit, 50, 200) });
+        await audit(req, 'jobs.view', userId, { status });
+
+        res.json({ success: true, jobs, count: jobs.length });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to list jobs');
+    }
+});
+
+/**
+ * Inspect detection runs across users
+ * GET /api/admin/detections?userId=&limit=
+ */
+router.get('/detections', authorize('detections:read-any'), validateRequest(operations.detections), async (req, res) => {
+    try {
+        const { userId = null } = req.query;
+
+        const detections = await detectorService.getDetectionHistory(userId, limitOf(req.query.limit, 20, 100));
+        await audit(req, 'detections.view', userId);
+
+        res.json({ success: true, detections, count: detections.length });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to list detections');
+    }
+});
+
+/**
+ * Read the audit log
+ * GET /api/admin/audit-log?actorId=&targetUserId=&action=&limit=
+ */
+router.get('/audit-log', authorize('audit:read'), validateRequest(operations.auditLog), async (req, res) => {
+    try {
+        const { actorId = null, targetUserId = null, action = null } = req.query;
+
+        const entries = await getRepositories().audit.list({
+            actorId,
+            targetUserId,
+            action,
+            limit: limitOf(req.query.limit, 50, 200)
+        });
+        await audit(req, 'audit.view', targetUserId, { actorId, action });
+
+        res.json({ success: true, entries, count: entries.length });
+    } catch (error) {
+        handleAdminError(res, error, 'Failed to read audit log');
+    }
+});
+
+module.exports = router;
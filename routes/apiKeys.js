@@ -0,0 +1,150 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/apiKeys');
+const { getRepositories, summarizeUsage } = require('../repositories');
+const apiKeyService = require('../services/apiKeyService');
+const { SCOPES } = apiKeyService;
+const creditSystem = require('../services/creditSystem');
+
+/**
+ * API key management for the developer API
+ * Signed-in users manage their own keys here; the keys themselves are only
+ * accepted under /api/v1. Creating and rotating keys needs a plan with
+ * `api_access`; listing and revoking always work, so a downgraded account
+ * can still clean up.
+ */
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const API_KEY_ERROR_STATUS = {
+    API_KEY_NOT_FOUND: 404,
+    API_KEY_LIMIT_REACHED: 409,
+    API_KEY_REVOKED: 409
+};
+
+/**
+ * Map API key errors to HTTP responses
+ */
+const handleApiKeyError = (res, error, fallbackMessage) => {
+    // Option errors from apiKeyService start with the field they are about
+    if (error.code === 'INVALID_API_KEY_REQUEST') {
+        const [field, ...message] = error.message.split(' ');
+        return sendValidationError(res, [{ in: 'body', field, message: message.join(' ') }]);
+    }
+
+    const status = API_KEY_ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        details: error.message
+    });
+};
+
+const requireApiAccess = (req, res, next) => {
+    if (!creditSystem.hasFeatureAccess(req.user.plan, 'api_access')) {
+        return res.status(403).json({ success: false, error: 'API access requires the custom plan' });
+    }
+    next();
+};
+
+/**
+ * List the user's keys
+ * GET /api/keys
+ */
+router.get('/', async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys(req.user.uid);
+        res.json({ success: true, keys, scopes: SCOPES });
+    } catch (error) {
+        handleApiKeyError(res, error, 'Failed to list API keys');
+    }
+});
+
+/**
+ * Create a key; the secret is only returned here
+ * POST /api/keys  { name, scopes, rateLimit }
+ */
+router.post('/', requireApiAccess, validateRequest(operations.create), async (req, res) => {
+    try {
+        const { name, scopes, rateLimit } = req.body;
+        const { key, apiKey } = await apiKeyService.createKey(req.user.uid, { name, scopes, rateLimit });
+
+        res.status(201).json({ success: true, key, apiKey });
+    } catch (error) {
+        handleApiKeyError(res, error, 'Failed to create API key');
+    }
+});
+
+/**
+ * Replace a key's secret; the old one stops working immediately
+ * POST /api/keys/:keyId/rotate
+ */
+router.post('/:keyId/rotate', requireApiAccess, validateRequest(operations.rotate), async (req, res) => {
+    try {
+        const { key, apiKey } = await apiKeyService.rotateKey(req.user.uid, req.params.keyId);
+        res.json({ success: true, key, apiKey });
+    } catch (error) {
+        handleApiKeyError(res, error, 'Failed to rotate API key');
+    }
+});
+
+/**
+ * Revoke a key
+ * DELETE /api/keys/:keyId
+ */
+router.delete('/:keyId', validateRequest(operations.revoke), async (req, res) => {
+    try {
+        const apiKey = await apiKeyService.revokeKey(req.user.uid, req.params.keyId);
+        res.json({ success: true, apiKey });
+    } catch (error) {
+        handleApiKeyError(res, error, 'Failed to revoke API key');
+    }
+});
+
+/**
+ * Credits and words charged to requests made with a key
+ * GET /api/keys/:keyId/usage?from=&to=
+ */
+router.get('/:keyId/usage', validateRequest(operations.usage), async (req, res) => {
+    try {
+        await apiKeyService.getOwnedKey(req.user.uid, req.params.keyId);
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        const invalidDates = Object.entries({ from, to })
+            .filter(([, date]) => date && isNaN(date))
+            .map(([field]) => ({ in: 'query', field, message: 'must be an ISO date' }));
+        if (invalidDates.length > 0) {
+            return sendValidationError(res, invalidDates);
+        }
+
+        const entries = await getRepositories().usage.list(req.user.uid, {
+            type: 'deduction',
+            apiKeyId: req.params.keyId,
+            from,
+            to
+        });
+        const { creditsUsed, wordCount } = summarizeUsage(entries);
+
+        res.json({
+            success: true,
+            keyId: req.params.keyId,
+            requests: entries.length,
+            creditsUsed,
+            wordCount,
+            entries
+        });
+    } catch (error) {
+        handleApiKeyError(res, error, 'Failed to get API key usage');
+    }
+});
+
+module.exports = router;
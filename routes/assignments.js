@@ -1,9 +1,14 @@
 const express = require('express');
-const admin = require('firebase-admin');
 const MultiPartGenerator = require('../services/multiPartGenerator');
 const FinalDetectionService = require('../services/finalDetection');
 const AtomicCreditSystem = require('../services/atomicCreditSystem');
 const PlanValidator = require('../services/planValidator');
+const paperTemplates = require('../services/paperTemplates');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/assignments');
+const { getRepositories } = require('../repositories');
 
 const router = express.Router();
 
@@ -13,30 +18,11 @@ const finalDetectionService = new FinalDetectionService();
 const atomicCreditSystem = new AtomicCreditSystem();
 const planValidator = new PlanValidator();
 
-// Middleware to verify Firebase ID token
-const authenticateToken = async (req, res, next) => {
-    try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
-
-        if (!token) {
-            return res.status(401).json({ error: 'Access token required' });
-        }
-
-        const decodedToken = await admin.auth().verifyIdToken(token);
-        req.user = decodedToken;
-        next();
-    } catch (error) {
-        console.error('Token verification error:', error);
-        return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-};
-
 /**
  * POST /api/assignments/generate
  * Generate assignment content using real AI services
  */
-router.post('/generate', authenticateToken, async (req, res) => {
+router.post('/generate', authenticateToken, validateRequest(operations.generate), idempotency, async (req, res) => {
     try {
         const {
             title,
@@ -47,31 +33,20 @@ router.post('/generate', authenticateToken, async (req, res) => {
             tone = 'Formal',
             subject = '',
             additionalInstructions = '',
-            qualityTier = 'standard'
+            qualityTier = 'standard',
+            qualityGate,
+            template
         } = req.body;
         
         const userId = req.user.uid;
 
-        // Input validation
-        if (!title || title.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Assignment title is required'
-            });
-        }
-
-        if (!description || description.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Assignment description is required'
-            });
-        }
+        // Paper template used when the assignment is exported
+        const paperTemplate = template
+            ? await paperTemplates.getTemplate(String(template), userId)
+            : paperTemplates.getTemplateForCitationStyle(citationStyle);
 
-        if (!wordCount || wordCount < 100 || wordCount > 2000) {
-            return res.status(400).json({
-                success: false,
-                error: 'Word count must be between 100 and 2000'
-            });
+        if (!paperTemplate) {
+            return sendValidationError(res, [{ in: 'body', field: 'template', message: `is not a known paper template: ${template}` }]);
         }
 
         // Validate user plan
@@ -91,8 +66,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
         let baseCreditsNeeded = Math.ceil(wordCount / 3); // 1 credit per 3 words
         const creditsNeeded = qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
 
-        // Deduct credits atomically
-        const creditResult = await atomicCreditSystem.deductCreditsAtomic(
+        // Hold credits for the requested length; only what is generated is captured
+        const creditResult = await atomicCreditSystem.reserveCredits(
             userId,
             creditsNeeded,
             planValidation.userPlan.planType,
@@ -141,22 +116,29 @@ Please generate a comprehensive academic assignment that includes:
                 requiresCitations: true,
                 citationStyle,
                 qualityTier,
-                enableRefinement: qualityTier === 'premium'
+                enableRefinement: qualityTier === 'premium',
+                qualityGate
             });
 
-            // Store assignment in Firestore
-            const db = admin.firestore();
-            const assignmentRef = await db.collection('assignments').add({
+            const capture = await atomicCreditSystem.captureCredits(
                 userId,
+                creditResult.reservationId,
+                atomicCreditSystem.calculateProratedCredits(creditsNeeded, wordCount, result.wordCount ?? wordCount),
+                { wordCount: result.wordCount ?? wordCount }
+            );
+
+            // Store the assignment
+            const assignmentId = await getRepositories().toolResults.create('assignment', userId, {
                 title,
                 description,
                 wordCount: result.wordCount,
                 citationStyle,
+                templateId: paperTemplate.id,
                 content: result.content,
+                bibliography: result.citationData?.bibliography || [],
                 originalityScore: result.finalDetectionResults?.originalityScore || null,
                 status: 'completed',
-                creditsUsed: creditsNeeded,
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                creditsUsed: capture.creditsCaptured,
                 metadata: {
                     style,
                     tone,
@@ -164,23 +146,26 @@ Please generate a comprehensive academic assignment that includes:
                     qualityTier,
                     chunksGenerated: result.chunksGenerated,
                     refinementCycles: result.refinementCycles,
-                    generationTime: result.generationTime
+                    generationTime: result.generationTime,
+                    qualityReport: result.qualityReport || null
                 }
             });
 
             res.json({
                 success: true,
-                assignmentId: assignmentRef.id,
+                assignmentId,
                 content: result.content,
                 metadata: {
                     title,
                     description,
                     wordCount: result.wordCount,
                     citationStyle,
+                    templateId: paperTemplate.id,
                     style,
                     tone,
-                    creditsUsed: creditsNeeded,
-                    newBalance: creditResult.newBalance,
+                    creditsUsed: capture.creditsCaptured,
+                    creditsReleased: capture.creditsReleased,
+                    newBalance: capture.newBalance,
                     qualityTier,
                     generationTime: result.generationTime,
                     chunksGenerated: result.chunksGenerated,
@@ -192,23 +177,23 @@ Please generate a comprehensive academic assignment that includes:
                     requiresReview: result.finalDetectionResults?.requiresReview,
                     isAcceptable: result.finalDetectionResults?.isAcceptable,
                     citationCount: result.citationData?.citationCount || 0,
-                    bibliography: result.citationData?.bibliography || []
+                    bibliography: result.citationData?.bibliography || [],
+                    qualityReport: result.qualityReport || null
                 }
             });
 
         } catch (generationError) {
-            console.error('Assignment generation failed, rolling back credits:', generationError);
+            console.error('Assignment generation failed, releasing credits:', generationError);
             
-            // Rollback credits on generation failure
+            // Release the hold on generation failure (a no-op once captured)
             try {
-                await atomicCreditSystem.rollbackTransaction(
+                await atomicCreditSystem.releaseCredits(
                     userId,
-                    creditResult.transactionId,
-                    creditsNeeded,
-                    wordCount
+                    creditResult.reservationId,
+                    'generation_failed'
                 );
-            } catch (rollbackError) {
-                console.error('Credit rollback failed:', rollbackError);
+            } catch (releaseError) {
+                console.error('Credit release failed:', releaseError);
             }
             
             return res.status(500).json({
@@ -230,48 +215,25 @@ Please generate a comprehensive academic assignment that includes:
 
 /**
  * GET /api/assignments/history
- * Get user's assignment history from Firestore
+ * Get user's assignment history
  */
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, validateRequest(operations.history), async (req, res) => {
     try {
         const userId = req.user.uid;
-        const db = admin.firestore();
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = parseInt(req.query.offset) || 0;
-
-        let query = db.collection('assignments')
-            .where('userId', '==', userId)
-            .orderBy('createdAt', 'desc')
-            .limit(limit);
-
-        if (offset > 0) {
-            const offsetSnapshot = await db.collection('assignments')
-                .where('userId', '==', userId)
-                .orderBy('createdAt', 'desc')
-                .limit(offset)
-                .get();
-            
-            if (!offsetSnapshot.empty) {
-                const lastDoc = offsetSnapshot.docs[offsetSnapshot.docs.length - 1];
-                query = query.startAfter(lastDoc);
-            }
-        }
-
-        const snapshot = await query.get();
-        const assignments = snapshot.docs.map(doc => {
-            const data = doc.data();
-            return {
-                id: doc.id,
-                title: data.title,
-                description: data.description,
-                word_count: data.wordCount,
-                citation_style: data.citationStyle,
-                originality_score: data.originalityScore,
-                status: data.status,
-                credits_used: data.creditsUsed,
-                created_at: data.createdAt
-            };
-        });
+        const { limit = 20, offset = 0 } = req.query;
+
+        const results = await getRepositories().toolResults.list('assignment', { userId, limit, offset });
+        const assignments = results.map(data => ({
+            id: data.id,
+            title: data.title,
+            description: data.description,
+            word_count: data.wordCount,
+            citation_style: data.citationStyle,
+            originality_score: data.originalityScore,
+            status: data.status,
+            credits_used: data.creditsUsed,
+            created_at: data.createdAt
+        }));
 
         res.json({
             success: true,
@@ -290,33 +252,25 @@ router.get('/history', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/assignments/:id
- * Get specific assignment by ID from Firestore
+ * Get specific assignment by ID
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, validateRequest(operations.get), async (req, res) => {
     try {
         const userId = req.user.uid;
-        const assignmentId = req.params.id;
-        const db = admin.firestore();
-
-        const assignmentDoc = await db.collection('assignments').doc(assignmentId).get();
+        const assignment = await getRepositories().toolResults.get('assignment', req.params.id);
 
-        if (!assignmentDoc.exists) {
+        if (!assignment) {
             return res.status(404).json({ error: 'Assignment not found' });
         }
 
-        const assignmentData = assignmentDoc.data();
-
         // Verify ownership
-        if (assignmentData.userId !== userId) {
+        if (assignment.userId !== userId) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
         res.json({
             success: true,
-            assignment: {
-                id: assignmentDoc.id,
-                ...assignmentData
-            }
+            assignment
         });
     } catch (error) {
         console.error('Assignment fetch error:', error);
@@ -326,28 +280,26 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 /**
  * DELETE /api/assignments/:id
- * Delete assignment from Firestore
+ * Delete assignment
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, validateRequest(operations.delete), async (req, res) => {
     try {
         const userId = req.user.uid;
         const assignmentId = req.params.id;
-        const db = admin.firestore();
+        const toolResults = getRepositories().toolResults;
 
-        const assignmentDoc = await db.collection('assignments').doc(assignmentId).get();
+        const assignment = await toolResults.get('assignment', assignmentId);
 
-        if (!assignmentDoc.exists) {
+        if (!assignment) {
             return res.status(404).json({ error: 'Assignment not found' });
         }
 
-        const assignmentData = assignmentDoc.data();
-
         // Verify ownership
-        if (assignmentData.userId !== userId) {
+        if (assignment.userId !== userId) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        await db.collection('assignments').doc(assignmentId).delete();
+        await toolResults.delete('assignment', assignmentId);
 
         res.json({
             success: true,
@@ -361,36 +313,24 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/assignments/save-to-history
- * Save content to user's history in Firestore
+ * Save content to user's history
  */
-router.post('/save-to-history', authenticateToken, async (req, res) => {
+router.post('/save-to-history', authenticateToken, validateRequest(operations.saveToHistory), async (req, res) => {
     try {
         const userId = req.user.uid;
         const { content, title, metadata = {} } = req.body;
-        const db = admin.firestore();
-
-        if (!content || !title) {
-            return res.status(400).json({
-                success: false,
-                error: 'Content and title are required'
-            });
-        }
 
-        const historyItem = {
-            userId,
+        const historyId = await getRepositories().history.add(userId, {
             title,
             content,
             metadata,
             wordCount: content.trim().split(/\s+/).length,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
             type: 'saved_content'
-        };
-
-        const historyRef = await db.collection('contentHistory').add(historyItem);
+        });
 
         res.json({
             success: true,
-            historyId: historyRef.id,
+            historyId,
             message: 'Content saved to history successfully'
         });
     } catch (error) {
@@ -1,5 +1,10 @@
 const express = require('express');
 const admin = require('firebase-admin');
+const axios = require('axios');
+const { getRepositories } = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const operations = require('../openapi/auth');
 const router = express.Router();
 
 /**
@@ -7,18 +12,49 @@ const router = express.Router();
  * Handles user registration, login, and profile management
  */
 
-// Register new user
-router.post('/register', async (req, res) => {
-    try {
-        const { name, email, password, plan = 'free' } = req.body;
+const PASSWORD_SIGN_IN_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
 
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'Name, email, and password are required' });
-        }
+// Firebase Auth sign-in errors and the responses they map to
+const SIGN_IN_ERRORS = {
+    EMAIL_NOT_FOUND: [401, 'Invalid email or password'],
+    INVALID_PASSWORD: [401, 'Invalid email or password'],
+    INVALID_LOGIN_CREDENTIALS: [401, 'Invalid email or password'],
+    USER_DISABLED: [403, 'Account disabled'],
+    TOO_MANY_ATTEMPTS_TRY_LATER: [429, 'Too many failed login attempts, try again later']
+};
 
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+/**
+ * Check an email and password with Firebase Auth
+ * The Admin SDK cannot verify passwords, so this calls the Auth REST API
+ * with the project's web API key (FIREBASE_WEB_API_KEY).
+ * @returns {Promise<string>} The account's uid
+ * @throws {Error} With `status` set when the credentials are refused
+ */
+const verifyPassword = async (email, password) => {
+    try {
+        const response = await axios.post(
+            `${PASSWORD_SIGN_IN_URL}?key=${encodeURIComponent(process.env.FIREBASE_WEB_API_KEY)}`,
+            { email, password, returnSecureToken: true },
+            { timeout: 10000 }
+        );
+        return response.data.localId;
+    } catch (error) {
+        // Messages look like "INVALID_PASSWORD" or "TOO_MANY_ATTEMPTS_TRY_LATER : ..."
+        const code = String(error.response?.data?.error?.message || '').split(' ')[0];
+        if (SIGN_IN_ERRORS[code]) {
+            const [status, message] = SIGN_IN_ERRORS[code];
+            const refused = new Error(message);
+            refused.status = status;
+            throw refused;
         }
+        throw error;
+    }
+};
+
+// Register new user
+router.post('/register', validateRequest(operations.register), async (req, res) => {
+    try {
+        const { name, email, password, plan = 'free' } = req.body;
 
         // Create user in Firebase Auth
         const userRecord = await admin.auth().createUser({
@@ -34,19 +70,14 @@ router.post('/register', async (req, res) => {
             custom: 3300
         };
 
-        // Create user document in Firestore
-        const userDoc = {
-            uid: userRecord.uid,
+        // Create the user profile together with its opening credit grant
+        const user = await getRepositories().users.create(userRecord.uid, {
             name,
             email,
             plan,
             credits: initialCredits[plan] || 200,
-            isPremium: plan !== 'free',
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-
-        await admin.firestore().collection('users').doc(userRecord.uid).set(userDoc);
+            isPremium: plan !== 'free'
+        });
 
         // Generate custom token for client
         const customToken = await admin.auth().createCustomToken(userRecord.uid);
@@ -59,8 +90,8 @@ router.post('/register', async (req, res) => {
                 name,
                 email,
                 plan,
-                credits: userDoc.credits,
-                isPremium: userDoc.isPremium
+                credits: user.credits,
+                isPremium: user.isPremium
             }
         });
 
@@ -76,48 +107,45 @@ router.post('/register', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', validateRequest(operations.login), async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password are required' });
+        if (!process.env.FIREBASE_WEB_API_KEY) {
+            return res.status(503).json({ error: 'Password login is not configured' });
         }
 
-        // Get user by email
-        const userRecord = await admin.auth().getUserByEmail(email);
+        const uid = await verifyPassword(email, password);
         
-        // Get user document from Firestore
-        const userDoc = await admin.firestore().collection('users').doc(userRecord.uid).get();
+        // Get the user profile
+        const user = await getRepositories().users.get(uid);
         
-        if (!userDoc.exists) {
+        if (!user) {
             return res.status(404).json({ error: 'User profile not found' });
         }
 
-        const userData = userDoc.data();
-
         // Generate custom token for client
-        const customToken = await admin.auth().createCustomToken(userRecord.uid);
+        const customToken = await admin.auth().createCustomToken(uid);
 
         res.json({
             success: true,
             token: customToken,
             user: {
-                uid: userRecord.uid,
-                name: userData.name,
-                email: userData.email,
-                plan: userData.plan || 'free',
-                credits: userData.credits || 200,
-                isPremium: userData.isPremium || false
+                uid,
+                name: user.name,
+                email: user.email,
+                plan: user.plan,
+                credits: user.credits,
+                isPremium: user.isPremium
             }
         });
 
     } catch (error) {
-        console.error('Login error:', error);
-        
-        if (error.code === 'auth/user-not-found') {
-            return res.status(401).json({ error: 'Invalid email or password' });
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
         }
+
+        console.error('Login error:', error);
         
         res.status(500).json({ error: 'Login failed' });
     }
@@ -128,22 +156,20 @@ router.get('/profile', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.uid;
         
-        const userDoc = await admin.firestore().collection('users').doc(userId).get();
+        const user = await getRepositories().users.get(userId);
         
-        if (!userDoc.exists) {
+        if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const userData = userDoc.data();
-
         res.json({
             uid: userId,
-            name: userData.name,
-            email: userData.email,
-            plan: userData.plan || 'free',
-            credits: userData.credits || 200,
-            isPremium: userData.isPremium || false,
-            memberSince: userData.createdAt
+            name: user.name,
+            email: user.email,
+            plan: user.plan,
+            credits: user.credits,
+            isPremium: user.isPremium,
+            memberSince: user.createdAt
         });
 
     } catch (error) {
@@ -153,20 +179,16 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, validateRequest(operations.updateProfile), async (req, res) => {
     try {
         const userId = req.user.uid;
         const { name } = req.body;
 
-        if (!name || name.trim().length < 2) {
-            return res.status(400).json({ error: 'Name must be at least 2 characters long' });
+        const updated = await getRepositories().users.update(userId, { name: name.trim() });
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        await admin.firestore().collection('users').doc(userId).update({
-            name: name.trim(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-
         res.json({ message: 'Profile updated successfully', name: name.trim() });
 
     } catch (error) {
@@ -175,23 +197,4 @@ router.put('/profile', authenticateToken, async (req, res) => {
     }
 });
 
-// Middleware to verify Firebase ID token
-async function authenticateToken(req, res, next) {
-    try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
-
-        if (!token) {
-            return res.status(401).json({ error: 'Access token required' });
-        }
-
-        const decodedToken = await admin.auth().verifyIdToken(token);
-        req.user = decodedToken;
-        next();
-    } catch (error) {
-        console.error('Token verification error:', error);
-        return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-}
-
 module.exports = router;
\ No newline at end of file
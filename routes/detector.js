@@ -1,11 +1,42 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
 const { DetectorService } = require('../services/detectorService');
+const { BatchDetectionService } = require('../services/batchDetectionService');
+const { DocumentComparisonService } = require('../services/documentComparisonService');
+const FileProcessingService = require('../services/fileProcessingService');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/detector');
 const rateLimit = require('express-rate-limit');
+const jobQueue = require('../services/jobQueue');
+const originalityReport = require('../services/originalityReport');
+const { getRepositories } = require('../repositories');
 
 // Initialize detector service
 const detectorService = new DetectorService();
+const batchDetectionService = new BatchDetectionService();
+const documentComparisonService = new DocumentComparisonService();
+const fileProcessingService = new FileProcessingService();
+
+// Batch uploads: documents and/or ZIP archives of documents
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // ZIP archives; documents inside are limited to 10MB each
+    files: 50
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['.pdf', '.docx', '.txt', '.zip'];
+    if (allowedTypes.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported file type. Upload PDF, DOCX, TXT or ZIP files.'));
+    }
+  }
+});
 
 // Rate limiting for detector endpoints
 const detectorRateLimit = rateLimit({
@@ -22,35 +53,23 @@ const detectorRateLimit = rateLimit({
 // Apply rate limiting to all detector routes
 router.use(detectorRateLimit);
 
+// Validation failures the operation schemas cannot express
+const CONTENT_TOO_LONG = { in: 'body', field: 'content', message: 'exceeds the maximum of 1000 words' };
+const NO_ANALYSIS_SELECTED = { in: 'body', field: 'options', message: 'must enable at least one analysis type' };
+
 /**
  * @route POST /api/detector/analyze
  * @desc Analyze content for plagiarism, AI detection, and readability
  * @access Private
  */
-router.post('/analyze', authenticateToken, async (req, res) => {
+router.post('/analyze', authenticateToken, validateRequest(operations.analyze), idempotency, async (req, res) => {
   try {
     const { content, options = {} } = req.body;
-    const userId = req.user.id;
-
-    // Validate input
-    if (!content || typeof content !== 'string') {
-      return res.status(400).json({
-        error: 'Content is required and must be a string'
-      });
-    }
-
-    if (content.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Content cannot be empty'
-      });
-    }
+    const userId = req.user.uid;
 
     // Check word count limit - 1000 words for all users
-    const wordCount = detectorService.calculateWordCount(content);
-    if (wordCount > 1000) {
-      return res.status(400).json({
-        error: 'Content exceeds maximum limit of 1000 words'
-      });
+    if (detectorService.calculateWordCount(content) > 1000) {
+      return sendValidationError(res, [CONTENT_TOO_LONG]);
     }
 
     // Validate options
@@ -62,9 +81,7 @@ router.post('/analyze', authenticateToken, async (req, res) => {
 
     // Ensure at least one analysis type is selected
     if (!validOptions.plagiarismDetection && !validOptions.aiDetection && !validOptions.readabilityAnalysis) {
-      return res.status(400).json({
-        error: 'At least one analysis type must be selected'
-      });
+      return sendValidationError(res, [NO_ANALYSIS_SELECTED]);
     }
 
     // Perform analysis
@@ -73,10 +90,7 @@ router.post('/analyze', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       message: 'Content analysis completed successfully',
-      data: {
-        ...result,
-        newBalance: creditDeductionResult.newBalance
-      }
+      data: result
     });
 
   } catch (error) {
@@ -105,38 +119,29 @@ router.post('/analyze', authenticateToken, async (req, res) => {
 
 /**
  * @route POST /api/detector/remove-all
- * @desc Remove detected issues from content using AI
+ * @desc Remove detected issues from content using AI.
+ *       `options.mode: 'cite'` quotes or paraphrases plagiarism matches with in-text
+ *       citations and adds the sources to the reference list instead of rewriting them
+ *       (`options.citationStyle`, `options.treatment`, `options.sourceMetadata`).
  * @access Private
  */
-router.post('/remove-all', authenticateToken, async (req, res) => {
+router.post('/remove-all', authenticateToken, validateRequest(operations.removeAll), idempotency, async (req, res) => {
   try {
     const { content, detectionResults, options = {} } = req.body;
-    const userId = req.user.id;
+    const userId = req.user.uid;
 
-    // Validate input
-    if (!content || typeof content !== 'string') {
-      return res.status(400).json({
-        error: 'Content is required and must be a string'
-      });
-    }
-
-    if (!detectionResults || typeof detectionResults !== 'object') {
-      return res.status(400).json({
-        error: 'Detection results are required'
-      });
+    // Check word count limit - 1000 words for all users
+    if (detectorService.calculateWordCount(content) > 1000) {
+      return sendValidationError(res, [CONTENT_TOO_LONG]);
     }
 
-    if (content.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Content cannot be empty'
-      });
-    }
+    if (options.mode === 'cite') {
+      const result = await detectorService.citeDetectedSources(userId, content, detectionResults, options);
 
-    // Check word count limit - 1000 words for all users
-    const wordCount = detectorService.calculateWordCount(content);
-    if (wordCount > 1000) {
-      return res.status(400).json({
-        error: 'Content exceeds maximum limit of 1000 words'
+      return res.json({
+        success: true,
+        message: `Cited ${result.citations.length} matched passage(s)`,
+        data: result
       });
     }
 
@@ -166,6 +171,15 @@ router.post('/remove-all', authenticateToken, async (req, res) => {
   } catch (error) {
     console.error('Detector removal error:', error);
     
+    if (error.message.includes('No plagiarism matches') ||
+        error.message.includes('Invalid citation style') ||
+        error.message.includes('Invalid treatment')) {
+      return res.status(400).json({
+        error: 'Citation insertion failed',
+        message: error.message.replace('Citation insertion failed: ', '')
+      });
+    }
+    
     if (error.message.includes('Insufficient credits')) {
       return res.status(402).json({
         error: 'Insufficient credits',
@@ -188,21 +202,397 @@ router.post('/remove-all', authenticateToken, async (req, res) => {
 });
 
 /**
- * @route GET /api/detector/history
- * @desc Get detection history for the user
+ * Send a span-level report as JSON, annotated HTML or PDF
+ */
+const sendReport = async (res, report, format) => {
+  if (format === 'html') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(originalityReport.renderHTML(report));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await originalityReport.renderPDF(report);
+    const name = report.analysisId ? `originality-report-${report.analysisId}` : 'originality-report';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.pdf"`);
+    return res.send(pdf);
+  }
+
+  res.json({
+    success: true,
+    data: report
+  });
+};
+
+/**
+ * @route GET /api/detector/report/:analysisId
+ * @desc Span-level originality report for a stored analysis.
+ *       `?format=json|html|pdf` (default json); html and pdf highlight every flagged span.
+ * @access Private
+ */
+router.get('/report/:analysisId', authenticateToken, validateRequest(operations.storedReport), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { format = 'json' } = req.query;
+
+    const report = await detectorService.getAnalysisReport(userId, req.params.analysisId);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Analysis not found'
+      });
+    }
+
+    await sendReport(res, report, format);
+
+  } catch (error) {
+    console.error('Detector report error:', error);
+    res.status(500).json({
+      error: 'Failed to build report',
+      message: 'An error occurred while building the originality report'
+    });
+  }
+});
+
+/**
+ * @route POST /api/detector/report
+ * @desc Span-level report for detection results the client already has, such as
+ *       /analyze results or the finalDetectionResults of generated content.
+ *       Body: { content, detectionResults, format, title }
+ * @access Private
+ */
+router.post('/report', authenticateToken, validateRequest(operations.report), async (req, res) => {
+  try {
+    const { content, detectionResults, title, format = 'json' } = req.body;
+
+    const report = originalityReport.buildReport(content, detectionResults, { title });
+
+    await sendReport(res, report, format);
+
+  } catch (error) {
+    console.error('Detector report error:', error);
+    res.status(500).json({
+      error: 'Failed to build report',
+      message: 'An error occurred while building the originality report'
+    });
+  }
+});
+
+/**
+ * Run a charging detector job, keeping its charges in the job checkpoint
+ * The services settle their own charges when they throw, so the checkpoint
+ * is cleared then. A job interrupted by a restart still holds its charges
+ * when it is failed, and refundJobCharges() returns them.
+ * @param {Function} saveCheckpoint - From the job context
+ * @param {Function} work - Receives onCharge(charge) for the service
+ * @returns {Promise<*>} Result of work
+ */
+const runWithChargeCheckpoint = async (saveCheckpoint, work) => {
+  const charges = [];
+
+  try {
+    return await work(async (charge) => {
+      charges.push(charge);
+      await saveCheckpoint({ charges });
+    });
+  } catch (error) {
+    if (charges.length > 0) {
+      await saveCheckpoint({ charges: [] });
+    }
+    throw error;
+  }
+};
+
+/**
+ * onFailed hook: refund the charges still recorded in the checkpoint
+ */
+const refundJobCharges = async (job) => {
+  for (const charge of job.checkpoint?.charges || []) {
+    await detectorService.atomicCredit.rollbackTransaction(job.userId, charge.transactionId, charge.credits, charge.words);
+  }
+};
+
+/**
+ * Background job: batch detection
+ * Charged up front, so the job is not retried and cannot be cancelled once
+ * it has started; credits are refunded if it fails, including after a restart.
+ */
+jobQueue.registerHandler('detector.batch', {
+  maxAttempts: 1,
+  cancellable: false,
+  run: async (job, { updateProgress, saveCheckpoint }) => {
+    const { planType, documents, skipped } = job.payload;
+
+    return runWithChargeCheckpoint(saveCheckpoint, onCharge => batchDetectionService.runBatch(job.userId, planType, documents, {
+      skipped,
+      onProgress: updateProgress,
+      onCharge
+    }));
+  },
+  onFailed: refundJobCharges
+});
+
+/**
+ * @route POST /api/detector/batch
+ * @desc Batch detection over uploaded documents or ZIP archives (custom plan).
+ *       Multipart field `files`; each document gets a span-level report, and the
+ *       submissions are compared with each other. Priced like /analyze over the
+ *       total word count. Send `async=true` (or `Prefer: respond-async`) to run
+ *       it as a background job.
  * @access Private
  */
-router.get('/history', authenticateToken, async (req, res) => {
+router.post('/batch', authenticateToken, batchUpload.array('files', 50), validateRequest(operations.batch), idempotency, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const limit = parseInt(req.query.limit) || 10;
+    const userId = req.user.uid;
+    const userPlan = await detectorService.planValidator.getUserPlan(userId);
+
+    if (userPlan.planType !== 'custom') {
+      return res.status(403).json({
+        error: 'Plan upgrade required',
+        message: 'Batch detection requires the custom plan'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return sendValidationError(res, [{ in: 'body', field: 'files', message: 'needs at least one document or ZIP archive' }]);
+    }
+
+    const { documents, skipped } = await fileProcessingService.extractBatchContent(req.files);
+    const validation = batchDetectionService.validateDocuments(documents);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid batch',
+        message: validation.errors.join('; '),
+        skipped
+      });
+    }
+
+    const creditsNeeded = batchDetectionService.calculateCredits(validation.totalWords);
+    if ((userPlan.credits || 0) < creditsNeeded) {
+      return res.status(402).json({
+        error: 'Insufficient credits',
+        message: `Insufficient credits. Need ${creditsNeeded}, available: ${userPlan.credits || 0}`
+      });
+    }
+
+    const payloadDocuments = documents.map(document => ({
+      filename: document.filename,
+      content: document.content
+    }));
+
+    // Multipart fields arrive as strings; validation has already turned async=true into a boolean
+    if (jobQueue.wantsAsync(req)) {
+      const job = await jobQueue.enqueue('detector.batch', userId, {
+        planType: userPlan.planType,
+        documents: payloadDocuments,
+        skipped
+      });
+      return res.status(202).json(jobQueue.acceptedResponse(job, req));
+    }
+
+    const result = await batchDetectionService.runBatch(userId, userPlan.planType, payloadDocuments, { skipped });
 
-    if (limit > 50) {
+    res.json({
+      success: true,
+      message: `Analyzed ${result.summary.length} document(s)`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Batch detection error:', error);
+
+    if (error.message.includes('Insufficient credits')) {
+      return res.status(402).json({
+        error: 'Insufficient credits',
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Maximum') || error.message.includes('uncompressed')) {
       return res.status(400).json({
-        error: 'Limit cannot exceed 50'
+        error: 'Invalid batch',
+        message: error.message
       });
     }
 
+    res.status(500).json({
+      error: 'Batch detection failed',
+      message: 'An error occurred while analyzing the batch'
+    });
+  }
+});
+
+/**
+ * @route GET /api/detector/batch/:batchId
+ * @desc Batch summary as JSON (with cross-document similarity) or `?format=csv`
+ * @access Private
+ */
+router.get('/batch/:batchId', authenticateToken, validateRequest(operations.batchSummary), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const batch = await batchDetectionService.getBatch(req.user.uid, req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="detector-batch-${batch.batchId}.csv"`);
+      return res.send(batchDetectionService.toCSV(batch.summary));
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+
+  } catch (error) {
+    console.error('Batch summary error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch batch',
+      message: 'An error occurred while retrieving the batch summary'
+    });
+  }
+});
+
+/**
+ * @route GET /api/detector/batch/:batchId/documents/:documentId
+ * @desc One document's report from a batch; `?format=json|html|pdf`
+ * @access Private
+ */
+router.get('/batch/:batchId/documents/:documentId', authenticateToken, validateRequest(operations.batchDocument), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const report = await batchDetectionService.getBatchDocumentReport(
+      req.user.uid,
+      req.params.batchId,
+      req.params.documentId
+    );
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    await sendReport(res, report, format);
+
+  } catch (error) {
+    console.error('Batch document report error:', error);
+    res.status(500).json({
+      error: 'Failed to build report',
+      message: 'An error occurred while building the originality report'
+    });
+  }
+});
+
+/**
+ * @route POST /api/detector/compare
+ * @desc Similarity matrix across the user's own documents, with the overlapping
+ *       passages of each pair. Body `historyIds` selects contentHistory items;
+ *       multipart field `files` adds uploads (PDF, DOCX, TXT or ZIP). Runs locally
+ *       and is not charged.
+ * @access Private
+ */
+router.post('/compare', authenticateToken, batchUpload.array('files', 20), validateRequest(operations.compare), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    // JSON bodies send an array; multipart forms send a JSON string or comma-separated IDs
+    let historyIds = req.body.historyIds || [];
+    if (typeof historyIds === 'string') {
+      try {
+        historyIds = JSON.parse(historyIds);
+      } catch (parseError) {
+        historyIds = historyIds.split(',');
+      }
+    }
+    if (!Array.isArray(historyIds)) {
+      historyIds = [historyIds];
+    }
+    historyIds = [...new Set(historyIds.map(id => String(id).trim()).filter(Boolean))];
+
+    if (historyIds.length + (req.files || []).length > documentComparisonService.maxDocuments) {
+      return res.status(400).json({
+        error: 'Invalid comparison',
+        message: `Maximum ${documentComparisonService.maxDocuments} documents per comparison`
+      });
+    }
+
+    const { documents: historyDocuments, missing } = await documentComparisonService.loadHistoryItems(userId, historyIds);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Content not found',
+        message: `History items not found: ${missing.join(', ')}`
+      });
+    }
+
+    let uploadedDocuments = [];
+    let skipped = [];
+    if (req.files && req.files.length > 0) {
+      const extracted = await fileProcessingService.extractBatchContent(req.files);
+      skipped = extracted.skipped;
+      uploadedDocuments = extracted.documents.map((document, index) => ({
+        id: `upload-${index + 1}`,
+        title: document.filename,
+        sourceType: 'upload',
+        text: document.content
+      }));
+    }
+
+    const documents = [...historyDocuments, ...uploadedDocuments];
+    const validation = documentComparisonService.validateDocuments(documents);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid comparison',
+        message: validation.errors.join('; '),
+        skipped
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...documentComparisonService.compare(documents),
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Document comparison error:', error);
+
+    if (error.message.startsWith('Maximum') || error.message.includes('uncompressed')) {
+      return res.status(400).json({
+        error: 'Invalid comparison',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Comparison failed',
+      message: 'An error occurred while comparing the documents'
+    });
+  }
+});
+
+/**
+ * @route GET /api/detector/history
+ * @desc Get detection history for the user
+ * @access Private
+ */
+router.get('/history', authenticateToken, validateRequest(operations.history), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { limit = 10 } = req.query;
+
     const history = await detectorService.getDetectionHistory(userId, limit);
 
     res.json({
@@ -222,35 +612,64 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Shape a detect-and-remove workflow result for API responses
+ */
+const buildWorkflowResponseData = (content, result) => ({
+  originalContent: content,
+  finalContent: result.finalContent,
+  initialDetection: result.initialDetection,
+  finalDetection: result.finalDetection,
+  cyclesUsed: result.cyclesUsed,
+  detectedWordCount: result.detectedWordCount,
+  newBalance: result.newBalance,
+  improvementSummary: {
+    plagiarismReduced: result.initialDetection.plagiarism && result.finalDetection.plagiarism ? 
+      result.initialDetection.plagiarism.score - result.finalDetection.plagiarism.score : 0,
+    aiContentReduced: result.initialDetection.aiContent && result.finalDetection.aiContent ? 
+      result.initialDetection.aiContent.score - result.finalDetection.aiContent.score : 0,
+    readabilityImproved: result.initialDetection.readability && result.finalDetection.readability ? 
+      result.initialDetection.readability.fleschKincaidGrade - result.finalDetection.readability.fleschKincaidGrade : 0
+  }
+});
+
+/**
+ * Background job: detect-and-remove workflow
+ * The service charges and refunds credits itself, so the job is not retried
+ * and cannot be cancelled once it has started. A job interrupted by a restart
+ * refunds what it had been charged.
+ */
+jobQueue.registerHandler('detector.workflow', {
+  maxAttempts: 1,
+  cancellable: false,
+  run: async (job, { updateProgress, saveCheckpoint }) => {
+    const { content, options } = job.payload;
+    await updateProgress(10, 'Running detection and removal workflow');
+    const result = await runWithChargeCheckpoint(saveCheckpoint, onCharge =>
+      detectorService.detectAndRemoveWorkflow(job.userId, content, options, { onCharge }));
+
+    return {
+      message: result.message,
+      data: buildWorkflowResponseData(content, result)
+    };
+  },
+  onFailed: refundJobCharges
+});
+
 /**
  * @route POST /api/detector/workflow
- * @desc Complete workflow: detect and remove issues with two-cycle loop
+ * @desc Complete workflow: detect and remove issues with two-cycle loop.
+ *       Send `"async": true` (or `Prefer: respond-async`) to run it as a background job.
  * @access Private
  */
-router.post('/workflow', authenticateToken, async (req, res) => {
+router.post('/workflow', authenticateToken, validateRequest(operations.workflow), idempotency, async (req, res) => {
   try {
     const { content, options = {} } = req.body;
-    const userId = req.user.id;
-
-    // Validate input
-    if (!content || typeof content !== 'string') {
-      return res.status(400).json({
-        error: 'Content is required and must be a string'
-      });
-    }
-
-    if (content.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Content cannot be empty'
-      });
-    }
+    const userId = req.user.uid;
 
     // Check word count limit - 1000 words for all users
-    const wordCount = detectorService.calculateWordCount(content);
-    if (wordCount > 1000) {
-      return res.status(400).json({
-        error: 'Content exceeds maximum limit of 1000 words'
-      });
+    if (detectorService.calculateWordCount(content) > 1000) {
+      return sendValidationError(res, [CONTENT_TOO_LONG]);
     }
 
     // Validate options
@@ -262,9 +681,13 @@ router.post('/workflow', authenticateToken, async (req, res) => {
 
     // Ensure at least one analysis type is selected
     if (!validOptions.plagiarismDetection && !validOptions.aiDetection && !validOptions.readabilityAnalysis) {
-      return res.status(400).json({
-        error: 'At least one analysis type must be selected'
-      });
+      return sendValidationError(res, [NO_ANALYSIS_SELECTED]);
+    }
+
+    // Long workflows can run as a background job polled via /api/jobs/:id
+    if (jobQueue.wantsAsync(req)) {
+      const job = await jobQueue.enqueue('detector.workflow', userId, { content, options: validOptions });
+      return res.status(202).json(jobQueue.acceptedResponse(job, req));
     }
 
     // Execute complete workflow
@@ -273,24 +696,7 @@ router.post('/workflow', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       message: result.message,
-      data: {
-        originalContent: content,
-        finalContent: result.finalContent,
-        initialDetection: result.initialDetection,
-        finalDetection: result.finalDetection,
-        cyclesUsed: result.cyclesUsed,
-        detectedWordCount: result.detectedWordCount,
-          newBalance: result.newBalance,
-        newBalance: creditDeductionResult.newBalance + removalCreditResult.newBalance,
-        improvementSummary: {
-          plagiarismReduced: result.initialDetection.plagiarism && result.finalDetection.plagiarism ? 
-            result.initialDetection.plagiarism.score - result.finalDetection.plagiarism.score : 0,
-          aiContentReduced: result.initialDetection.aiContent && result.finalDetection.aiContent ? 
-            result.initialDetection.aiContent.score - result.finalDetection.aiContent.score : 0,
-          readabilityImproved: result.initialDetection.readability && result.finalDetection.readability ? 
-            result.initialDetection.readability.fleschKincaidGrade - result.finalDetection.readability.fleschKincaidGrade : 0
-        }
-      }
+      data: buildWorkflowResponseData(content, result)
     });
 
   } catch (error) {
@@ -322,17 +728,9 @@ router.post('/workflow', authenticateToken, async (req, res) => {
  * @desc Get credit cost information for detector operations
  * @access Private
  */
-router.get('/credits', authenticateToken, async (req, res) => {
+router.get('/credits', authenticateToken, validateRequest(operations.credits), async (req, res) => {
   try {
-    const { wordCount } = req.query;
-
-    if (!wordCount || isNaN(wordCount) || wordCount <= 0) {
-      return res.status(400).json({
-        error: 'Valid word count is required'
-      });
-    }
-
-    const words = parseInt(wordCount);
+    const { wordCount: words } = req.query;
     const detectionCredits = detectorService.calculateDetectionCredits(words);
     const generationCredits = detectorService.calculateGenerationCredits(words);
 
@@ -359,16 +757,10 @@ router.get('/credits', authenticateToken, async (req, res) => {
  * @desc Validate content before analysis (check length, format, etc.)
  * @access Private
  */
-router.post('/validate', authenticateToken, async (req, res) => {
+router.post('/validate', authenticateToken, validateRequest(operations.validate), async (req, res) => {
   try {
     const { content } = req.body;
-    const userId = req.user.id;
-
-    if (!content || typeof content !== 'string') {
-      return res.status(400).json({
-        error: 'Content is required and must be a string'
-      });
-    }
+    const userId = req.user.uid;
 
     const wordCount = detectorService.calculateWordCount(content);
     const detectionCredits = detectorService.calculateDetectionCredits(wordCount);
@@ -429,30 +821,24 @@ router.post('/validate', authenticateToken, async (req, res) => {
  * GET /api/detector/stats
  * Get detector tool statistics for dashboard
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, validateRequest(operations.stats), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.uid;
     const { date } = req.query;
     const targetDate = date || new Date().toISOString().split('T')[0];
 
-    // Get today's detector statistics from Firestore
+    // Get the day's detector statistics
     const today = new Date(targetDate);
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    const detectorQuery = await admin.firestore()
-      .collection('detectorResults')
-      .where('userId', '==', userId)
-      .where('createdAt', '>=', today)
-      .where('createdAt', '<', tomorrow)
-      .get();
+    const analyses = await getRepositories().toolResults.list('detection', { userId, from: today, to: tomorrow, limit: null });
 
     let analysesToday = 0;
     let totalOriginalityScore = 0;
     let creditsToday = 0;
 
-    detectorQuery.docs.forEach(doc => {
-      const data = doc.data();
+    analyses.forEach(data => {
       analysesToday++;
       creditsToday += data.creditsUsed || 0;
       
@@ -480,4 +866,17 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Error handling middleware for batch and comparison uploads
+ */
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError || error.message.startsWith('Unsupported file type')) {
+    return res.status(400).json({
+      error: 'Invalid upload',
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Maximum upload size is 50MB per file' : error.message
+    });
+  }
+  next(error);
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,392 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/drafts');
+const draftManager = require('../services/draftManager');
+const ContentDatabase = require('../services/contentDatabase');
+const jobQueue = require('../services/jobQueue');
+
+const router = express.Router();
+const contentDatabase = new ContentDatabase();
+
+router.use(authenticateToken);
+
+/**
+ * Load the requested draft for its owner or respond 404
+ */
+const loadOwnedDraft = async (req, res, next) => {
+    try {
+        const draft = await draftManager.getDraft(req.params.id, req.user.uid);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                error: 'Draft not found'
+            });
+        }
+
+        req.draft = draft;
+        next();
+    } catch (error) {
+        console.error('Draft lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load draft',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Map draft manager errors to HTTP responses
+ */
+const handleDraftError = (res, error, fallbackMessage) => {
+    if (error.message === 'Version not found' || error.message.startsWith('Draft not found')) {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (error.message === 'Invalid or expired session') {
+        return res.status(403).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        details: error.message
+    });
+};
+
+/**
+ * GET /api/drafts
+ * List the current user's drafts
+ */
+router.get('/', validateRequest(operations.list), async (req, res) => {
+    try {
+        const { status, sort = 'updated_at', order = 'desc', offset = 0 } = req.query;
+        const limit = Math.min(req.query.limit || 50, 100);
+
+        const drafts = await draftManager.getUserDrafts(req.user.uid, {
+            status: status || null,
+            limit,
+            offset,
+            orderBy: sort,
+            orderDirection: order === 'asc' ? 'ASC' : 'DESC'
+        });
+
+        res.json({
+            success: true,
+            drafts,
+            pagination: { limit, offset }
+        });
+    } catch (error) {
+        console.error('Draft list error:', error);
+        handleDraftError(res, error, 'Failed to list drafts');
+    }
+});
+
+/**
+ * GET /api/drafts/stats
+ * Draft counts and word totals for the current user
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const stats = await draftManager.getDraftStatistics(req.user.uid);
+
+        res.json({
+            success: true,
+            stats
+        });
+    } catch (error) {
+        console.error('Draft stats error:', error);
+        handleDraftError(res, error, 'Failed to get draft statistics');
+    }
+});
+
+/**
+ * POST /api/drafts
+ * Create a draft
+ */
+router.post('/', validateRequest(operations.create), async (req, res) => {
+    try {
+        const { title, content = '', prompt = '', style, tone, targetWordCount = 0 } = req.body;
+
+        const draft = await draftManager.createDraft({
+            userId: req.user.uid,
+            title: title.trim(),
+            content,
+            prompt,
+            style,
+            tone,
+            targetWordCount
+        });
+
+        res.status(201).json({
+            success: true,
+            draft
+        });
+    } catch (error) {
+        console.error('Draft create error:', error);
+        handleDraftError(res, error, 'Failed to create draft');
+    }
+});
+
+/**
+ * POST /api/drafts/from-generation
+ * Open generated writer output as a draft, either by the contentId returned in
+ * the writer response metadata or by the ID of a completed writer job
+ */
+router.post('/from-generation', validateRequest(operations.fromGeneration), async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { contentId, jobId, title } = req.body;
+
+        if (!contentId && !jobId) {
+            return sendValidationError(res, [{ in: 'body', field: 'contentId', message: 'or jobId is required' }]);
+        }
+
+        let source;
+        if (jobId) {
+            const job = await jobQueue.getJob(jobId, userId);
+            if (!['writer.generate', 'writer.generate-from-outline'].includes(job.type) || job.status !== 'completed') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Job has no completed writer output'
+                });
+            }
+            source = {
+                content: job.result.content,
+                style: job.result.metadata?.style,
+                tone: job.result.metadata?.tone,
+                targetWordCount: job.result.metadata?.wordCount,
+                title: job.result.metadata?.assignmentTitle
+            };
+        } else {
+            const stored = await contentDatabase.getContent(contentId);
+            if (!stored || stored.userId !== userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Generated content not found'
+                });
+            }
+            source = {
+                content: stored.content,
+                prompt: stored.prompt,
+                style: stored.metadata?.style,
+                tone: stored.metadata?.tone,
+                targetWordCount: stored.metadata?.requestedWordCount,
+                title: stored.metadata?.subject
+            };
+        }
+
+        const draftTitle = (title || source.title || source.content.split(/\s+/).slice(0, 8).join(' ')).trim();
+        const draft = await draftManager.createDraft({
+            userId,
+            title: draftTitle,
+            content: source.content,
+            prompt: source.prompt || '',
+            style: source.style,
+            tone: source.tone,
+            targetWordCount: source.targetWordCount || 0
+        });
+
+        res.status(201).json({
+            success: true,
+            draft
+        });
+    } catch (error) {
+        console.error('Draft from generation error:', error);
+        if (error.message === 'Job not found' || error.message === 'Unauthorized access to job') {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        handleDraftError(res, error, 'Failed to create draft from generated content');
+    }
+});
+
+/**
+ * PUT /api/drafts/autosave/:token
+ * Save content through an autosave session token
+ */
+router.put('/autosave/:token', validateRequest(operations.autosave), async (req, res) => {
+    try {
+        const { content } = req.body;
+
+        const result = await draftManager.autoSaveDraft(req.params.token, content, req.user.uid);
+
+        res.json(result);
+    } catch (error) {
+        console.error('Draft autosave error:', error);
+        handleDraftError(res, error, 'Failed to autosave draft');
+    }
+});
+
+/**
+ * GET /api/drafts/:id
+ * Get a draft
+ */
+router.get('/:id', validateRequest(operations.get), loadOwnedDraft, (req, res) => {
+    res.json({
+        success: true,
+        draft: req.draft
+    });
+});
+
+/**
+ * PUT /api/drafts/:id
+ * Update a draft; content changes create a new version unless createVersion is false
+ */
+router.put('/:id', validateRequest(operations.update), loadOwnedDraft, async (req, res) => {
+    try {
+        const { title, content, prompt, style, tone, targetWordCount, status, changeSummary } = req.body;
+        const createVersion = content !== undefined && req.body.createVersion !== false;
+
+        const result = await draftManager.updateDraft(req.draft.id, {
+            title: title !== undefined ? title.trim() : undefined,
+            content,
+            prompt,
+            style,
+            tone,
+            targetWordCount,
+            status,
+            changeSummary
+        }, createVersion);
+
+        const draft = await draftManager.getDraft(req.draft.id, req.user.uid);
+
+        res.json({
+            success: true,
+            version: result.version || draft.version,
+            draft
+        });
+    } catch (error) {
+        console.error('Draft update error:', error);
+        handleDraftError(res, error, 'Failed to update draft');
+    }
+});
+
+/**
+ * DELETE /api/drafts/:id
+ * Delete a draft with its versions and autosave sessions
+ */
+router.delete('/:id', validateRequest(operations.delete), loadOwnedDraft, async (req, res) => {
+    try {
+        await draftManager.deleteDraft(req.draft.id, req.user.uid);
+
+        res.json({
+            success: true,
+            message: 'Draft deleted'
+        });
+    } catch (error) {
+        console.error('Draft delete error:', error);
+        handleDraftError(res, error, 'Failed to delete draft');
+    }
+});
+
+/**
+ * GET /api/drafts/:id/versions
+ * List a draft's saved versions, newest first
+ */
+router.get('/:id/versions', validateRequest(operations.versions), loadOwnedDraft, async (req, res) => {
+    try {
+        const versions = await draftManager.getDraftVersions(req.draft.id);
+
+        res.json({
+            success: true,
+            currentVersion: req.draft.version,
+            versions: req.query.includeContent
+                ? versions
+                : versions.map(({ content, ...version }) => version)
+        });
+    } catch (error) {
+        console.error('Draft versions error:', error);
+        handleDraftError(res, error, 'Failed to list draft versions');
+    }
+});
+
+/**
+ * GET /api/drafts/:id/versions/:version
+ * Get one version's content
+ */
+router.get('/:id/versions/:version', validateRequest(operations.version), loadOwnedDraft, async (req, res) => {
+    try {
+        const version = await draftManager.getDraftVersion(req.draft.id, req.params.version);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: 'Version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            version
+        });
+    } catch (error) {
+        console.error('Draft version error:', error);
+        handleDraftError(res, error, 'Failed to get draft version');
+    }
+});
+
+/**
+ * GET /api/drafts/:id/diff?from=1&to=3
+ * Word-level diff between two versions; 'to' defaults to the latest version
+ */
+router.get('/:id/diff', validateRequest(operations.diff), loadOwnedDraft, async (req, res) => {
+    try {
+        const { from, to = req.draft.version } = req.query;
+
+        const diff = await draftManager.diffDraftVersions(req.draft.id, from, to);
+
+        res.json({
+            success: true,
+            diff
+        });
+    } catch (error) {
+        console.error('Draft diff error:', error);
+        handleDraftError(res, error, 'Failed to diff draft versions');
+    }
+});
+
+/**
+ * POST /api/drafts/:id/restore
+ * Restore a previous version; the restored content is saved as a new version
+ */
+router.post('/:id/restore', validateRequest(operations.restore), loadOwnedDraft, async (req, res) => {
+    try {
+        const { version } = req.body;
+
+        const result = await draftManager.restoreDraftVersion(req.draft.id, version);
+        const draft = await draftManager.getDraft(req.draft.id, req.user.uid);
+
+        res.json({
+            success: true,
+            restoredFrom: version,
+            version: result.version,
+            draft
+        });
+    } catch (error) {
+        console.error('Draft restore error:', error);
+        handleDraftError(res, error, 'Failed to restore draft version');
+    }
+});
+
+/**
+ * POST /api/drafts/:id/autosave-session
+ * Start an autosave session; earlier sessions for the draft stop accepting saves
+ */
+router.post('/:id/autosave-session', validateRequest(operations.autosaveSession), loadOwnedDraft, async (req, res) => {
+    try {
+        const sessionToken = await draftManager.createAutoSaveSession(req.draft.id);
+
+        res.status(201).json({
+            success: true,
+            sessionToken,
+            autoSaveInterval: draftManager.autoSaveInterval
+        });
+    } catch (error) {
+        console.error('Autosave session error:', error);
+        handleDraftError(res, error, 'Failed to start autosave session');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const operations = require('../openapi/export');
+const ContentFormatter = require('../services/contentFormatter');
+const ContentDatabase = require('../services/contentDatabase');
+const draftManager = require('../services/draftManager');
+const paperTemplates = require('../services/paperTemplates');
+const { getRepositories } = require('../repositories');
+
+const router = express.Router();
+const contentFormatter = new ContentFormatter();
+const contentDatabase = new ContentDatabase();
+
+const SOURCE_TYPES = ['history', 'draft', 'assignment', 'content'];
+const LAYOUT_OPTIONS = ['title', 'author', 'institution', 'course', 'instructor', 'date', 'citationStyle',
+    'titlePage', 'includeBibliography', 'bibliography', 'pageSize', 'fontFamily', 'fontSize', 'theme'];
+
+/**
+ * Keep a loaded record only if the user owns it
+ */
+const owned = (record, userId) => (record && record.userId === userId ? record : null);
+
+/**
+ * Resolve an export source into document fields for ContentFormatter
+ * @param {string} type - history, draft, assignment or content (writer output by contentId)
+ * @param {string} id - Source ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object|null>} { title, content, citationStyle, bibliography, templateId } or null if not found
+ */
+const loadSource = async (type, id, userId) => {
+    switch (type) {
+        case 'history': {
+            const item = owned(await getRepositories().history.get(id), userId);
+            return item && {
+                title: item.title,
+                content: item.content,
+                citationStyle: item.metadata.citationStyle,
+                bibliography: item.metadata.bibliography || []
+            };
+        }
+        case 'assignment': {
+            const assignment = owned(await getRepositories().toolResults.get('assignment', id), userId);
+            return assignment && {
+                title: assignment.title,
+                content: assignment.content,
+                citationStyle: assignment.citationStyle,
+                bibliography: assignment.bibliography || [],
+                templateId: assignment.templateId || null
+            };
+        }
+        case 'content': {
+            const stored = await contentDatabase.getContent(id);
+            return stored && stored.userId === userId ? {
+                title: stored.metadata?.subject,
+                content: stored.content,
+                citationStyle: stored.metadata?.citationStyle,
+                bibliography: stored.metadata?.bibliography || []
+            } : null;
+        }
+        case 'draft': {
+            const draft = await draftManager.getDraft(parseInt(id), userId);
+            return draft ? { title: draft.title, content: draft.content } : null;
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * POST /api/export
+ * Render a history item, draft, assignment or stored writer output as
+ * DOCX, PDF, HTML, Markdown or TXT and return it as a download.
+ * Body: { source: { type, id }, format, options: { template, title, author,
+ * institution, course, instructor, date, citationStyle, titlePage,
+ * includeBibliography, bibliography, pageSize, fontFamily, fontSize } }
+ * options.template is a built-in or custom template ID; without it the
+ * assignment's template or the citation style's default template is used.
+ */
+router.post('/', authenticateToken, validateRequest(operations.export), async (req, res) => {
+    try {
+        const { source, format = 'docx', options = {} } = req.body;
+
+        const userId = req.user.uid;
+        const document = await loadSource(source.type, String(source.id), userId);
+
+        if (!document || typeof document.content !== 'string') {
+            return res.status(404).json({
+                success: false,
+                error: 'Export source not found'
+            });
+        }
+
+        const layoutOptions = {};
+        LAYOUT_OPTIONS.forEach(key => {
+            if (options[key] !== undefined) layoutOptions[key] = options[key];
+        });
+        // A template saved with the source may have been deleted since; fall back to the style default
+        if (options.template) {
+            layoutOptions.template = await paperTemplates.getTemplate(options.template, userId);
+            if (!layoutOptions.template) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Template not found: ${options.template}`
+                });
+            }
+        } else if (document.templateId) {
+            layoutOptions.template = await paperTemplates.getTemplate(document.templateId, userId) || undefined;
+        }
+
+        const exported = await contentFormatter.formatContent(document, format, {
+            ...layoutOptions,
+            includeHeader: false,
+            includeFooter: false
+        });
+
+        res.set({
+            'Content-Type': exported.mimeType,
+            'Content-Disposition': `attachment; filename="${exported.filename}"`,
+            'Content-Length': exported.size
+        });
+        res.send(Buffer.isBuffer(exported.content) ? exported.content : Buffer.from(exported.content, 'utf8'));
+
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Export failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/export/formats
+ * Supported export formats, citation styles and built-in templates
+ */
+router.get('/formats', (req, res) => {
+    res.json({
+        success: true,
+        formats: contentFormatter.getSupportedFormats(),
+        citationStyles: contentFormatter.getSupportedCitationStyles(),
+        templates: Object.keys(paperTemplates.BUILT_IN_TEMPLATES),
+        sources: SOURCE_TYPES
+    });
+});
+
+module.exports = router;
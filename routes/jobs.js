@@ -0,0 +1,88 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const operations = require('../openapi/jobs');
+const jobQueue = require('../services/jobQueue');
+
+const router = express.Router();
+
+/**
+ * Map job queue errors to HTTP responses
+ */
+const handleJobError = (res, error, fallbackMessage) => {
+    if (error.message === 'Job not found') {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (error.message === 'Unauthorized access to job') {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    if (error.message.startsWith('Job already') || error.message.includes('cannot be cancelled')) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        details: error.message
+    });
+};
+
+/**
+ * GET /api/jobs
+ * List the current user's recent background jobs
+ */
+router.get('/', authenticateToken, validateRequest(operations.list), async (req, res) => {
+    try {
+        const limit = Math.min(req.query.limit || 20, 100);
+        const jobs = await jobQueue.listJobs(req.user.uid, limit);
+
+        res.json({
+            success: true,
+            jobs
+        });
+    } catch (error) {
+        console.error('Job list error:', error);
+        handleJobError(res, error, 'Failed to list jobs');
+    }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get status, progress and (when completed) the result of a background job
+ */
+router.get('/:id', authenticateToken, validateRequest(operations.get), async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        console.error('Job fetch error:', error);
+        handleJobError(res, error, 'Failed to get job');
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running background job
+ */
+router.delete('/:id', authenticateToken, validateRequest(operations.cancel), async (req, res) => {
+    try {
+        const job = await jobQueue.cancelJob(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+            job
+        });
+    } catch (error) {
+        console.error('Job cancel error:', error);
+        handleJobError(res, error, 'Failed to cancel job');
+    }
+});
+
+module.exports = router;
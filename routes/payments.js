@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { getRepositories } = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { authorizeSelfOr } = require('../middleware/authorize');
+const { validateRequest } = require('../middleware/validate');
+const operations = require('../openapi/payments');
 
 /**
  * Payment Routes for Stripe Integration
@@ -13,29 +16,19 @@ const path = require('path');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY); // Add your Stripe secret key
 const STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY; // Add your Stripe publishable key
 
-// Database connection
-const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database.db');
-const db = new sqlite3.Database(dbPath);
-
 /**
  * Create Payment Intent for Credit Purchase
  * POST /api/payments/create-payment-intent
  */
-router.post('/create-payment-intent', async (req, res) => {
+router.post('/create-payment-intent', authenticateToken, validateRequest(operations.createPaymentIntent), async (req, res) => {
     try {
-        const { amount, currency = 'usd', credits, userId } = req.body;
-        
-        if (!amount || !credits || !userId) {
-            return res.status(400).json({
-                error: 'Missing required fields: amount, credits, userId'
-            });
-        }
+        const { amount, currency = 'usd', credits } = req.body;
 
         const paymentIntent = await stripe.paymentIntents.create({
             amount: Math.round(amount * 100), // Convert to cents
             currency: currency,
             metadata: {
-                userId: userId.toString(),
+                userId: req.user.uid,
                 credits: credits.toString(),
                 type: 'credit_purchase'
             }
@@ -55,20 +48,14 @@ router.post('/create-payment-intent', async (req, res) => {
  * Create Subscription for Pro Plan
  * POST /api/payments/create-subscription
  */
-router.post('/create-subscription', async (req, res) => {
+router.post('/create-subscription', authenticateToken, validateRequest(operations.createSubscription), async (req, res) => {
     try {
-        const { userId, priceId, paymentMethodId } = req.body;
-        
-        if (!userId || !priceId || !paymentMethodId) {
-            return res.status(400).json({
-                error: 'Missing required fields: userId, priceId, paymentMethodId'
-            });
-        }
+        const { priceId, paymentMethodId } = req.body;
 
         // Create customer if doesn't exist
         const customer = await stripe.customers.create({
             metadata: {
-                userId: userId.toString()
+                userId: req.user.uid
             }
         });
 
@@ -149,22 +136,13 @@ router.get('/config', (req, res) => {
 /**
  * Get User's Payment History
  * GET /api/payments/history/:userId
+ * Users can read their own history; admins can read anyone's
  */
-router.get('/history/:userId', async (req, res) => {
+router.get('/history/:userId', authenticateToken, authorizeSelfOr('payments:read-any'), validateRequest(operations.history), async (req, res) => {
     try {
         const { userId } = req.params;
         
-        const paymentsSnapshot = await admin.firestore()
-            .collection('payments')
-            .where('userId', '==', userId)
-            .orderBy('createdAt', 'desc')
-            .limit(50)
-            .get();
-        
-        const payments = paymentsSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        const payments = await getRepositories().payments.listByUser(userId, 50);
         
         res.json({ payments });
     } catch (error) {
@@ -196,34 +174,18 @@ async function handleSuccessfulPayment(paymentIntent) {
             return;
         }
         
-        // Add credits to user account in Firestore with atomic transaction
-        const userRef = admin.firestore().collection('users').doc(userId);
+        const { payments, credits } = getRepositories();
         
-        await admin.firestore().runTransaction(async (transaction) => {
-            const userDoc = await transaction.get(userRef);
-            
-            if (!userDoc.exists) {
-                throw new Error(`User ${userId} not found`);
-            }
-            
-            const userData = userDoc.data();
-            const currentCredits = userData.credits || 0;
-            const newCredits = currentCredits + creditsToAdd;
-            
-            // Update user with new credits and plan
-            transaction.update(userRef, {
-                credits: newCredits,
-                plan: plan,
-                isPremium: true,
-                totalCreditsEarned: admin.firestore.FieldValue.increment(creditsToAdd),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-            
-            console.log(`Successfully added ${creditsToAdd} credits to user ${userId}. New balance: ${newCredits}`);
+        // Add credits and upgrade the plan in one transaction (recorded in the credit ledger)
+        const { newBalance } = await credits.purchase(userId, creditsToAdd, {
+            plan,
+            reference: paymentIntent.id,
+            metadata: { amount: paymentIntent.amount / 100, currency: paymentIntent.currency }
         });
         
-        // Record payment in Firestore
-        await admin.firestore().collection('payments').add({
+        console.log(`Successfully added ${creditsToAdd} credits to user ${userId}. New balance: ${newBalance}`);
+        
+        await payments.record({
             userId: userId,
             plan: plan,
             amount: paymentIntent.amount / 100,
@@ -232,8 +194,7 @@ async function handleSuccessfulPayment(paymentIntent) {
             stripePaymentIntentId: paymentIntent.id,
             creditsAdded: creditsToAdd,
             paymentMethod: 'stripe',
-            metadata: paymentIntent.metadata,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+            metadata: paymentIntent.metadata
         });
         
         console.log(`Payment recorded for user ${userId}: ${paymentIntent.amount / 100} ${paymentIntent.currency}, ${creditsToAdd} credits added`);
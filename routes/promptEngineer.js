@@ -2,54 +2,37 @@ const express = require('express');
 const router = express.Router();
 const PromptEngineerService = require('../services/promptEngineerService');
 const AtomicCreditSystem = require('../services/atomicCreditSystem');
-const admin = require('firebase-admin');
+const { StructuredOutputError } = require('../services/structuredOutput');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/promptEngineer');
+const { getRepositories } = require('../repositories');
 
 const promptService = new PromptEngineerService();
 const atomicCredit = new AtomicCreditSystem();
 
-// Middleware to verify Firebase ID token
-const verifyToken = async (req, res, next) => {
-    try {
-        const idToken = req.headers.authorization?.split('Bearer ')[1];
-        if (!idToken) {
-            return res.status(401).json({ error: 'No token provided' });
-        }
-
-        const decodedToken = await admin.auth().verifyIdToken(idToken);
-        req.user = decodedToken;
-        next();
-    } catch (error) {
-        console.error('Token verification error:', error);
-        res.status(401).json({ error: 'Invalid token' });
-    }
+// Model replies that stay unusable after the re-ask; any credits were already refunded
+const sendModelOutputError = (res, error) => {
+    res.status(502).json({
+        error: 'The AI model returned an unusable response. Please try again; you were not charged.',
+        code: error.code,
+        modelOutputInvalid: true
+    });
 };
 
+const countWords = (text) => text.trim().split(/\s+/).filter(word => word.length > 0).length;
+
+const promptTooLong = (limit) => ({ in: 'body', field: 'prompt', message: `exceeds the maximum of ${limit} words` });
+
 // Optimize prompt endpoint
-router.post('/optimize', verifyToken, async (req, res) => {
+router.post('/optimize', authenticateToken, validateRequest(operations.optimize), idempotency, async (req, res) => {
     try {
         const { prompt, category = 'general' } = req.body;
         const userId = req.user.uid;
 
-        if (!prompt || prompt.trim().length === 0) {
-            return res.status(400).json({ 
-                error: 'Prompt is required and cannot be empty' 
-            });
-        }
-
-        // Calculate word count for validation
-        const wordCount = prompt.trim().split(/\s+/).filter(word => word.length > 0).length;
-        
-        if (wordCount > 15000) {
-            return res.status(400).json({ 
-                error: 'Prompt exceeds maximum length of 15,000 words' 
-            });
-        }
-
-        const validCategories = ['general', 'academic', 'creative', 'technical', 'business'];
-        if (!validCategories.includes(category)) {
-            return res.status(400).json({ 
-                error: 'Invalid category. Must be one of: ' + validCategories.join(', ') 
-            });
+        if (countWords(prompt) > 15000) {
+            return sendValidationError(res, [promptTooLong('15,000')]);
         }
 
         const result = await promptService.optimizePrompt(prompt, category, userId);
@@ -75,6 +58,10 @@ router.post('/optimize', verifyToken, async (req, res) => {
     } catch (error) {
         console.error('Prompt optimization error:', error);
         
+        if (error instanceof StructuredOutputError) {
+            return sendModelOutputError(res, error);
+        }
+
         if (error.message.includes('insufficient credits')) {
             return res.status(402).json({ 
                 error: error.message,
@@ -89,24 +76,13 @@ router.post('/optimize', verifyToken, async (req, res) => {
 });
 
 // Analyze prompt quality endpoint
-router.post('/analyze', verifyToken, async (req, res) => {
+router.post('/analyze', authenticateToken, validateRequest(operations.analyze), idempotency, async (req, res) => {
     try {
         const { prompt } = req.body;
         const userId = req.user.uid;
 
-        if (!prompt || prompt.trim().length === 0) {
-            return res.status(400).json({ 
-                error: 'Prompt is required and cannot be empty' 
-            });
-        }
-
-        // Calculate word count for validation
-        const wordCount = prompt.trim().split(/\s+/).filter(word => word.length > 0).length;
-        
-        if (wordCount > 15000) {
-            return res.status(400).json({ 
-                error: 'Prompt exceeds maximum length of 15,000 words' 
-            });
+        if (countWords(prompt) > 15000) {
+            return sendValidationError(res, [promptTooLong('15,000')]);
         }
 
         const result = await promptService.analyzePromptWithCredits(prompt, userId);
@@ -132,6 +108,10 @@ router.post('/analyze', verifyToken, async (req, res) => {
     } catch (error) {
         console.error('Prompt analysis error:', error);
         
+        if (error instanceof StructuredOutputError) {
+            return sendModelOutputError(res, error);
+        }
+
         if (error.message.includes('insufficient credits')) {
             return res.status(402).json({ 
                 error: error.message,
@@ -146,16 +126,10 @@ router.post('/analyze', verifyToken, async (req, res) => {
 });
 
 // Get prompt history endpoint
-router.get('/history', verifyToken, async (req, res) => {
+router.get('/history', authenticateToken, validateRequest(operations.history), async (req, res) => {
     try {
         const userId = req.user.uid;
-        const limit = parseInt(req.query.limit) || 20;
-
-        if (limit > 100) {
-            return res.status(400).json({ 
-                error: 'Limit cannot exceed 100' 
-            });
-        }
+        const { limit = 20 } = req.query;
 
         const history = await promptService.getPromptHistory(userId, limit);
         res.json({
@@ -188,7 +162,7 @@ router.get('/templates', (req, res) => {
 });
 
 // Get user credits endpoint
-router.get('/credits', verifyToken, async (req, res) => {
+router.get('/credits', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.uid;
         const credits = await atomicCredit.getUserCredits(userId);
@@ -210,7 +184,7 @@ router.get('/credits', verifyToken, async (req, res) => {
 });
 
 // Validate user plan endpoint
-router.get('/validate', verifyToken, async (req, res) => {
+router.get('/validate', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.uid;
         const validation = await promptService.planValidator.validateUserPlan(userId);
@@ -232,23 +206,12 @@ router.get('/validate', verifyToken, async (req, res) => {
 // Credits are tracked through the atomic credit system
 
 // Free prompt analysis (no authentication required)
-router.post('/analyze-free', async (req, res) => {
+router.post('/analyze-free', validateRequest(operations.analyzeFree), async (req, res) => {
     try {
         const { prompt } = req.body;
 
-        if (!prompt || prompt.trim().length === 0) {
-            return res.status(400).json({ 
-                error: 'Prompt is required and cannot be empty' 
-            });
-        }
-
-        // Calculate word count for validation
-        const wordCount = prompt.trim().split(/\s+/).filter(word => word.length > 0).length;
-        
-        if (wordCount > 2000) {
-            return res.status(400).json({ 
-                error: 'Prompt exceeds maximum length of 2,000 words for free analysis' 
-            });
+        if (countWords(prompt) > 2000) {
+            return sendValidationError(res, [promptTooLong('2,000')]);
         }
 
         const result = await promptService.analyzePromptFree(prompt);
@@ -256,6 +219,11 @@ router.post('/analyze-free', async (req, res) => {
 
     } catch (error) {
         console.error('Free prompt analysis error:', error);
+
+        if (error instanceof StructuredOutputError) {
+            return sendModelOutputError(res, error);
+        }
+
         res.status(500).json({ 
             error: 'Failed to analyze prompt' 
         });
@@ -263,29 +231,23 @@ router.post('/analyze-free', async (req, res) => {
 });
 
 // Get prompt engineer statistics for dashboard
-router.get('/stats', verifyToken, async (req, res) => {
+router.get('/stats', authenticateToken, validateRequest(operations.stats), async (req, res) => {
     try {
         const userId = req.user.uid;
         const { date } = req.query;
         const targetDate = date || new Date().toISOString().split('T')[0];
 
-        // Get today's prompt optimization statistics from Firestore
+        // Get the day's prompt optimization statistics
         const today = new Date(targetDate);
         const tomorrow = new Date(today);
         tomorrow.setDate(tomorrow.getDate() + 1);
 
-        const optimizationsQuery = await admin.firestore()
-            .collection('promptOptimizations')
-            .where('userId', '==', userId)
-            .where('timestamp', '>=', today)
-            .where('timestamp', '<', tomorrow)
-            .get();
+        const optimizations = await getRepositories().toolResults.list('promptOptimization', { userId, from: today, to: tomorrow, limit: null });
 
         let optimizedToday = 0;
         let creditsToday = 0;
 
-        optimizationsQuery.docs.forEach(doc => {
-            const data = doc.data();
+        optimizations.forEach(data => {
             optimizedToday++;
             creditsToday += data.creditsUsed || 0;
         });
@@ -0,0 +1,208 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/templates');
+const paperTemplates = require('../services/paperTemplates');
+const PlanValidator = require('../services/planValidator');
+
+const router = express.Router();
+const planValidator = new PlanValidator();
+
+// Custom templates can be uploaded as a .json file or sent as the JSON body
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 64 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.json') {
+            cb(null, true);
+        } else {
+            cb(new Error('Unsupported file type: templates must be .json files'));
+        }
+    }
+});
+
+router.use(authenticateToken);
+
+/**
+ * Only custom-plan accounts can upload institution templates
+ */
+const requireCustomPlan = async (req, res, next) => {
+    try {
+        const userPlan = await planValidator.getUserPlan(req.user.uid);
+
+        if (userPlan.planType !== 'custom') {
+            return res.status(403).json({
+                success: false,
+                error: 'Custom templates require the custom plan',
+                planType: userPlan.planType
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Template plan check error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify plan',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Read the template definition from an uploaded file or the request body
+ */
+const readDefinition = (req) => {
+    if (req.file) {
+        try {
+            return JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+    return req.body;
+};
+
+const saveTemplate = async (req, res, templateId) => {
+    const definition = readDefinition(req);
+    const errors = paperTemplates.validateTemplate(definition);
+
+    // validateTemplate() messages start with the field they are about
+    if (errors.length > 0) {
+        return sendValidationError(res, errors.map(error => {
+            const [field, ...message] = error.split(' ');
+            return { in: 'body', field, message: message.join(' ') };
+        }));
+    }
+
+    const template = await paperTemplates.saveCustomTemplate(req.user.uid, definition, templateId);
+
+    res.status(templateId ? 200 : 201).json({
+        success: true,
+        template
+    });
+};
+
+const handleTemplateError = (res, error, fallbackMessage) => {
+    if (error.message === 'Template not found') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message.startsWith('Template limit reached')) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        details: error.message
+    });
+};
+
+/**
+ * GET /api/templates
+ * Built-in paper templates and the user's custom templates
+ */
+router.get('/', async (req, res) => {
+    try {
+        const templates = await paperTemplates.listTemplates(req.user.uid);
+
+        res.json({
+            success: true,
+            templates
+        });
+    } catch (error) {
+        console.error('Template list error:', error);
+        handleTemplateError(res, error, 'Failed to list templates');
+    }
+});
+
+/**
+ * GET /api/templates/:id
+ * Fully resolved template, including the fields inherited from its base
+ */
+router.get('/:id', validateRequest(operations.get), async (req, res) => {
+    try {
+        const template = await paperTemplates.getTemplate(req.params.id, req.user.uid);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            template
+        });
+    } catch (error) {
+        console.error('Template get error:', error);
+        handleTemplateError(res, error, 'Failed to get template');
+    }
+});
+
+/**
+ * POST /api/templates
+ * Upload a custom institution template (custom plan only)
+ * Body or "template" file: { name, description, extends, page, titlePage, runningHead,
+ * pageNumbers, headings, citations, references }
+ */
+router.post('/', requireCustomPlan, upload.single('template'), validateRequest(operations.create), async (req, res) => {
+    try {
+        await saveTemplate(req, res, null);
+    } catch (error) {
+        console.error('Template upload error:', error);
+        handleTemplateError(res, error, 'Failed to save template');
+    }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Replace a custom template (custom plan only)
+ */
+router.put('/:id', requireCustomPlan, upload.single('template'), validateRequest(operations.replace), async (req, res) => {
+    try {
+        await saveTemplate(req, res, req.params.id);
+    } catch (error) {
+        console.error('Template update error:', error);
+        handleTemplateError(res, error, 'Failed to update template');
+    }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a custom template
+ */
+router.delete('/:id', validateRequest(operations.delete), async (req, res) => {
+    try {
+        await paperTemplates.deleteCustomTemplate(req.user.uid, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (error) {
+        console.error('Template delete error:', error);
+        handleTemplateError(res, error, 'Failed to delete template');
+    }
+});
+
+/**
+ * Error handling middleware for template uploads
+ */
+router.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError || error.message.startsWith('Unsupported file type')) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid template upload',
+            details: error.code === 'LIMIT_FILE_SIZE' ? 'Maximum template size is 64KB' : error.message
+        });
+    }
+    next(error);
+});
+
+module.exports = router;
@@ -1,52 +1,40 @@
 const express = require('express');
-const admin = require('firebase-admin');
 const AtomicCreditSystem = require('../services/atomicCreditSystem');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validateRequest } = require('../middleware/validate');
+const operations = require('../openapi/users');
+const { getRepositories, summarizeUsage } = require('../repositories');
 const router = express.Router();
 
 // Initialize atomic credit system
 const atomicCreditSystem = new AtomicCreditSystem();
 
-// Middleware to verify Firebase ID token
-const authenticateToken = async (req, res, next) => {
-    try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
-
-        if (!token) {
-            return res.status(401).json({ error: 'Access token required' });
-        }
-
-        const decodedToken = await admin.auth().verifyIdToken(token);
-        req.user = decodedToken;
-        next();
-    } catch (error) {
-        console.error('Token verification error:', error);
-        return res.status(403).json({ error: 'Invalid or expired token' });
-    }
+// Monthly credit allowance per plan
+const PLAN_CREDITS = {
+    free: 200,
+    pro: 2000,
+    custom: 3300
 };
 
 // Get user profile and credits
 router.get('/profile', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.uid;
-        const db = admin.firestore();
-        
-        const userDoc = await db.collection('users').doc(userId).get();
+        const user = await getRepositories().users.get(userId);
         
-        if (!userDoc.exists) {
+        if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const userData = userDoc.data();
-
         res.json({
             uid: userId,
-            name: userData.name,
-            email: userData.email,
-            plan: userData.plan || 'free',
-            credits: userData.credits || 200,
-            isPremium: userData.isPremium || false,
-            memberSince: userData.createdAt
+            name: user.name,
+            email: user.email,
+            plan: user.plan,
+            credits: user.credits,
+            isPremium: user.isPremium,
+            memberSince: user.createdAt
         });
     } catch (error) {
         console.error('Database error:', error);
@@ -54,68 +42,35 @@ router.get('/profile', authenticateToken, async (req, res) => {
     }
 });
 
-// Get user's usage statistics from Firestore
+// Get user's usage statistics
 router.get('/stats', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.uid;
-        const db = admin.firestore();
-        
-        // Get all-time statistics
-        const allTimeSnapshot = await db.collection('usageTracking')
-            .where('userId', '==', userId)
-            .where('type', '==', 'deduction')
-            .get();
+        const { usage } = getRepositories();
         
-        // Get this month's statistics
         const startOfMonth = new Date();
         startOfMonth.setDate(1);
         startOfMonth.setHours(0, 0, 0, 0);
         
-        const thisMonthSnapshot = await db.collection('usageTracking')
-            .where('userId', '==', userId)
-            .where('type', '==', 'deduction')
-            .where('timestamp', '>=', startOfMonth)
-            .get();
+        const [allTimeEntries, thisMonthEntries] = await Promise.all([
+            usage.list(userId, { type: 'deduction' }),
+            usage.list(userId, { type: 'deduction', from: startOfMonth })
+        ]);
         
-        // Calculate all-time stats
-        let totalAssignments = 0;
-        let totalCreditsUsed = 0;
-        let totalWordsGenerated = 0;
-        
-        allTimeSnapshot.docs.forEach(doc => {
-            const data = doc.data();
-            if (data.toolType === 'writing') {
-                totalAssignments++;
-            }
-            totalCreditsUsed += data.creditsUsed || 0;
-            totalWordsGenerated += data.wordCount || 0;
-        });
-        
-        // Calculate this month's stats
-        let thisMonthAssignments = 0;
-        let thisMonthCredits = 0;
-        let thisMonthWords = 0;
-        
-        thisMonthSnapshot.docs.forEach(doc => {
-            const data = doc.data();
-            if (data.toolType === 'writing') {
-                thisMonthAssignments++;
-            }
-            thisMonthCredits += data.creditsUsed || 0;
-            thisMonthWords += data.wordCount || 0;
-        });
+        const allTime = summarizeUsage(allTimeEntries);
+        const thisMonth = summarizeUsage(thisMonthEntries);
 
         res.json({
             allTime: {
-                totalAssignments,
-                totalCreditsUsed,
-                totalWordsGenerated,
+                totalAssignments: allTime.writingCount,
+                totalCreditsUsed: allTime.creditsUsed,
+                totalWordsGenerated: allTime.wordCount,
                 averageOriginalityScore: null // Will be calculated from content history
             },
             thisMonth: {
-                totalAssignments: thisMonthAssignments,
-                creditsUsed: thisMonthCredits,
-                totalWordsGenerated: thisMonthWords,
+                totalAssignments: thisMonth.writingCount,
+                creditsUsed: thisMonth.creditsUsed,
+                totalWordsGenerated: thisMonth.wordCount,
                 averageOriginalityScore: null
             }
         });
@@ -126,21 +81,16 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, validateRequest(operations.updateProfile), async (req, res) => {
     try {
         const userId = req.user.uid;
         const { name } = req.body;
-        const db = admin.firestore();
 
-        if (!name || name.trim().length < 2) {
-            return res.status(400).json({ error: 'Name must be at least 2 characters long' });
+        const updated = await getRepositories().users.update(userId, { name: name.trim() });
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        await db.collection('users').doc(userId).update({
-            name: name.trim(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-
         res.json({ message: 'Profile updated successfully', name: name.trim() });
     } catch (error) {
         console.error('Profile update error:', error);
@@ -167,16 +117,12 @@ router.get('/credits', authenticateToken, async (req, res) => {
     }
 });
 
-// Deduct credits using atomic system (for admin/testing purposes)
-router.post('/deduct-credits', authenticateToken, async (req, res) => {
+// Deduct credits using atomic system (admin only, for testing)
+router.post('/deduct-credits', authenticateToken, authorize('credits:adjust'), validateRequest(operations.deductCredits), async (req, res) => {
     try {
         const userId = req.user.uid;
         const { amount, toolType = 'manual', planType = 'free' } = req.body;
         
-        if (!amount || amount <= 0) {
-            return res.status(400).json({ error: 'Valid credit amount is required' });
-        }
-        
         const result = await atomicCreditSystem.deductCreditsAtomic(
             userId,
             amount,
@@ -204,39 +150,25 @@ router.post('/deduct-credits', authenticateToken, async (req, res) => {
     }
 });
 
-// Manual credit refresh (for testing - in production this would be automated monthly)
-router.post('/refresh-credits', authenticateToken, async (req, res) => {
+// Manual credit refresh (admin only - in production this would be automated monthly)
+router.post('/refresh-credits', authenticateToken, authorize('credits:refresh'), async (req, res) => {
     try {
         const userId = req.user.uid;
-        const db = admin.firestore();
-
-        const userDoc = await db.collection('users').doc(userId).get();
-        
-        if (!userDoc.exists) {
-            return res.status(404).json({ error: 'User not found' });
-        }
 
-        const userData = userDoc.data();
-        const plan = userData.plan || 'free';
+        // The balance is reset to the plan allowance; the difference goes to the credit ledger
+        const refresh = await getRepositories().credits.refresh(userId, PLAN_CREDITS);
 
-        // Determine credits based on plan
-        let newCredits = 200; // Default free plan
-        if (plan === 'pro') {
-            newCredits = 2000;
-        } else if (plan === 'custom') {
-            newCredits = 3300;
+        if (!refresh) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        await db.collection('users').doc(userId).update({
-            credits: newCredits,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+        const { user, newBalance } = refresh;
 
         res.json({ 
             message: 'Credits refreshed successfully', 
-            newCredits: newCredits,
-            isPremium: userData.isPremium || false,
-            plan: plan
+            newCredits: newBalance,
+            isPremium: user.isPremium,
+            plan: user.plan
         });
     } catch (error) {
         console.error('Credit refresh error:', error);
@@ -245,14 +177,10 @@ router.post('/refresh-credits', authenticateToken, async (req, res) => {
 });
 
 // Get transaction history using atomic system
-router.get('/transactions', authenticateToken, async (req, res) => {
+router.get('/transactions', authenticateToken, validateRequest(operations.transactions), async (req, res) => {
     try {
         const userId = req.user.uid;
-        const limit = parseInt(req.query.limit) || 50;
-        
-        if (limit > 100) {
-            return res.status(400).json({ error: 'Limit cannot exceed 100' });
-        }
+        const { limit = 50 } = req.query;
         
         const transactions = await atomicCreditSystem.getTransactionHistory(userId, limit);
         
@@ -267,31 +195,22 @@ router.get('/transactions', authenticateToken, async (req, res) => {
     }
 });
 
-// Get user notifications from Firestore
+// Get user notifications from recent content history
 router.get('/notifications', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.uid;
-        const db = admin.firestore();
 
         // Get recent activity for notifications
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-        const notificationsSnapshot = await db.collection('contentHistory')
-            .where('userId', '==', userId)
-            .where('createdAt', '>=', sevenDaysAgo)
-            .orderBy('createdAt', 'desc')
-            .limit(5)
-            .get();
+        const recent = await getRepositories().history.listRecent(userId, { since: sevenDaysAgo, limit: 5 });
 
-        const notifications = notificationsSnapshot.docs.map(doc => {
-            const data = doc.data();
-            return {
-                message: `Content "${data.title || 'Untitled'}" completed`,
-                timestamp: data.createdAt,
-                type: 'content_completion'
-            };
-        });
+        const notifications = recent.map(item => ({
+            message: `Content "${item.title || 'Untitled'}" completed`,
+            timestamp: item.createdAt,
+            type: 'content_completion'
+        }));
 
         res.json({
             success: true,
@@ -304,13 +223,12 @@ router.get('/notifications', authenticateToken, async (req, res) => {
     }
 });
 
-// Get daily tool statistics from Firestore
-router.get('/tool-stats', authenticateToken, async (req, res) => {
+// Get daily tool statistics
+router.get('/tool-stats', authenticateToken, validateRequest(operations.toolStats), async (req, res) => {
     try {
         const userId = req.user.uid;
         const { date } = req.query;
         const targetDate = date || new Date().toISOString().split('T')[0];
-        const db = admin.firestore();
 
         // Get today's statistics
         const startOfDay = new Date(targetDate);
@@ -319,34 +237,21 @@ router.get('/tool-stats', authenticateToken, async (req, res) => {
         const endOfDay = new Date(targetDate);
         endOfDay.setHours(23, 59, 59, 999);
 
-        const todaySnapshot = await db.collection('usageTracking')
-            .where('userId', '==', userId)
-            .where('type', '==', 'deduction')
-            .where('timestamp', '>=', startOfDay)
-            .where('timestamp', '<=', endOfDay)
-            .get();
-
-        let assignmentsToday = 0;
-        let wordsToday = 0;
-        let creditsToday = 0;
-
-        todaySnapshot.docs.forEach(doc => {
-            const data = doc.data();
-            if (data.toolType === 'writing') {
-                assignmentsToday++;
-            }
-            wordsToday += data.wordCount || 0;
-            creditsToday += data.creditsUsed || 0;
+        const todayEntries = await getRepositories().usage.list(userId, {
+            type: 'deduction',
+            from: startOfDay,
+            to: endOfDay
         });
+        const today = summarizeUsage(todayEntries);
 
         res.json({
             success: true,
             date: targetDate,
             stats: {
-                assignmentsToday,
-                wordsToday,
-                creditsToday,
-                timeSavedToday: Math.round(wordsToday / 1000) // 1 hour per 1000 words
+                assignmentsToday: today.writingCount,
+                wordsToday: today.wordCount,
+                creditsToday: today.creditsUsed,
+                timeSavedToday: Math.round(today.wordCount / 1000) // 1 hour per 1000 words
             }
         });
     } catch (error) {
@@ -0,0 +1,37 @@
+const express = require('express');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+const { recordToolErrors } = require('../middleware/toolErrors');
+const openapi = require('../openapi');
+
+/**
+ * Developer API, version 1
+ * The tool routers mounted with an API key instead of a login token. Each
+ * tool needs its scope on the key; jobs accept any active key (a key only
+ * sees its owner's jobs). The OpenAPI document is built from the same
+ * route schemas as /api/docs and served at /api/v1/openapi.json.
+ */
+
+const router = express.Router();
+
+router.use((req, res, next) => {
+    req.apiVersion = 'v1';
+    next();
+});
+
+let apiDocument = null;
+router.get('/openapi.json', (req, res) => {
+    apiDocument = apiDocument || openapi.buildDocument({ version: 'v1' });
+    res.json(apiDocument);
+});
+
+router.use('/writer', requireApiKey('writer'), recordToolErrors('writer'), require('./writer'));
+router.use('/research', requireApiKey('research'), recordToolErrors('research'), require('../research'));
+router.use('/detector', requireApiKey('detector'), recordToolErrors('detector'), require('./detector'));
+router.use('/prompt', requireApiKey('prompt'), recordToolErrors('prompt'), require('./promptEngineer'));
+router.use('/jobs', requireApiKey(), require('./jobs'));
+
+router.use((req, res) => {
+    res.status(404).json({ error: 'Not found', details: `No v1 endpoint at ${req.method} ${req.originalUrl}` });
+});
+
+module.exports = router;
@@ -2,16 +2,22 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const FileProcessingService = require('../services/fileProcessingService');
-const LLMService = require('../services/llmService');
+const llmService = require('../services/llmService');
 const ContentDatabase = require('../services/contentDatabase');
 const MultiPartGenerator = require('../services/multiPartGenerator');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency, settleStream } = require('../middleware/idempotency');
+const { validateRequest, sendValidationError } = require('../middleware/validate');
+const operations = require('../openapi/writer');
 const AtomicCreditSystem = require('../services/atomicCreditSystem');
 const PlanValidator = require('../services/planValidator');
+const jobQueue = require('../services/jobQueue');
+const { getRepositories, summarizeUsage } = require('../repositories');
+const qualityGate = require('../services/qualityGate');
+const contentProcessor = require('../services/contentProcessor');
 
 const router = express.Router();
 const fileProcessingService = new FileProcessingService();
-const llmService = new LLMService();
 const contentDatabase = new ContentDatabase();
 const multiPartGenerator = new MultiPartGenerator();
 const atomicCreditSystem = new AtomicCreditSystem();
@@ -37,6 +43,10 @@ const upload = multer({
     }
 });
 
+// Validation failures the operation schemas cannot express
+const ASSIGNMENT_TITLE_REQUIRED = { in: 'body', field: 'assignmentTitle', message: 'is required for assignment generation' };
+const FILES_REQUIRED = { in: 'body', field: 'files', message: 'needs at least one PDF, DOCX or TXT file' };
+
 // Mock function for assignment generation
 const generateAssignmentContent = async (title, prompt, wordCount, citationStyle) => {
     const mockContent = `
@@ -84,8 +94,9 @@ Johnson, M., and A. Brown. Research Methodologies for Students. Academic Press,
 /**
  * POST /api/writer/generate
  * Generate content from text prompt or assignment
+ * Send `"async": true` (or `Prefer: respond-async`) to get a 202 with a job ID instead
  */
-router.post('/generate', authenticateToken, async (req, res) => {
+router.post('/generate', authenticateToken, validateRequest(operations.generate), idempotency, async (req, res) => {
     try {
         const { 
             prompt, 
@@ -97,28 +108,11 @@ router.post('/generate', authenticateToken, async (req, res) => {
             assignmentTitle,
             citationStyle = 'APA'
         } = req.body;
-        const userId = req.user.userId;
-        
-        if (!prompt || prompt.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Prompt is required'
-            });
-        }
-        
-        if (wordCount < 100 || wordCount > 2000) {
-            return res.status(400).json({
-                success: false,
-                error: 'Word count must be between 100 and 2000'
-            });
-        }
+        const userId = req.user.uid;
         
         // For assignment type, require title
         if (contentType === 'assignment' && (!assignmentTitle || assignmentTitle.trim().length === 0)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Assignment title is required for assignment generation'
-            });
+            return sendValidationError(res, [ASSIGNMENT_TITLE_REQUIRED]);
         }
         
         // Validate user plan and calculate credits
@@ -139,12 +133,14 @@ router.post('/generate', authenticateToken, async (req, res) => {
         let baseCreditsNeeded = Math.ceil(wordCount / 3); // 1 credit per 3 words
         const creditsNeeded = qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
         
-        // Deduct credits atomically
-        const creditResult = await atomicCreditSystem.deductCreditsAtomic(
+        // Hold credits for the requested length; only what is generated is captured
+        const runAsJob = jobQueue.wantsAsync(req);
+        const creditResult = await atomicCreditSystem.reserveCredits(
             userId,
             creditsNeeded,
             planValidation.userPlan.planType,
-            'writing'
+            'writing',
+            { ttlMs: runAsJob ? JOB_RESERVATION_TTL_MS : undefined }
         );
         
         if (!creditResult.success) {
@@ -155,6 +151,17 @@ router.post('/generate', authenticateToken, async (req, res) => {
         }
         
         try {
+            // Long generations can run as a background job polled via /api/jobs/:id
+            if (runAsJob) {
+                const job = await jobQueue.enqueue('writer.generate', userId, {
+                    body: req.body,
+                    planType: planValidation.userPlan.planType,
+                    creditsNeeded,
+                    reservationId: creditResult.reservationId
+                });
+                return res.status(202).json(jobQueue.acceptedResponse(job, req));
+            }
+            
             let result;
             let contentSource = 'new_generation';
             
@@ -186,7 +193,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
                         requiresCitations: true,
                         newBalance: creditResult.newBalance,
                         qualityTier: qualityTier,
-                        enableRefinement: enableRefinement
+                        enableRefinement: enableRefinement,
+                        qualityGate: req.body.qualityGate
                     });
                     
                     contentSource = result.usedSimilarContent ? 'assignment_multipart_optimized' : 'assignment_multipart_new';
@@ -219,7 +227,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
                     requiresCitations: req.body.requiresCitations || false,
                     citationStyle: req.body.citationStyle || 'apa',
                     qualityTier: qualityTier,
-                    enableRefinement: enableRefinement
+                    enableRefinement: enableRefinement,
+                    qualityGate: req.body.qualityGate
                 });
                 
                 contentSource = result.usedSimilarContent ? 'multipart_optimized' : 'multipart_new';
@@ -236,12 +245,15 @@ router.post('/generate', authenticateToken, async (req, res) => {
                     additionalInstructions: req.body.additionalInstructions || '',
                     requiresCitations: false,
                     qualityTier: qualityTier,
-                    enableRefinement: enableRefinement
+                    enableRefinement: enableRefinement,
+                    qualityGate: req.body.qualityGate
                 });
                 
                 contentSource = result.usedSimilarContent ? 'multipart_optimized' : 'multipart_new';
             }
             
+            const capture = await captureGeneratedCredits(userId, creditResult.reservationId, creditsNeeded, wordCount, result.wordCount);
+            
             res.json({
                 success: true,
                 content: result.content,
@@ -254,9 +266,10 @@ router.post('/generate', authenticateToken, async (req, res) => {
                     style: style,
                     tone: tone,
                     wordCount: result.wordCount || wordCount,
-                    creditsUsed: creditsNeeded,
-                    remainingCredits: creditResult.newBalance,
-                    newBalance: creditResult.newBalance,
+                    creditsUsed: capture.creditsCaptured,
+                    creditsReleased: capture.creditsReleased,
+                    remainingCredits: capture.newBalance,
+                    newBalance: capture.newBalance,
                     qualityTier: qualityTier,
                     enabledRefinement: enableRefinement,
                     // Content type specific metadata
@@ -284,23 +297,23 @@ router.post('/generate', authenticateToken, async (req, res) => {
                     requiresReview: result.finalDetectionResults?.requiresReview || false,
                     isAcceptable: result.finalDetectionResults?.isAcceptable || true,
                     detectionConfidence: result.finalDetectionResults?.confidence || null,
-                    detectionRecommendations: result.finalDetectionResults?.recommendations || []
+                    detectionRecommendations: result.finalDetectionResults?.recommendations || [],
+                    qualityReport: result.qualityReport || null
                 }
             });
             
         } catch (generationError) {
-            console.error('Content generation failed, rolling back credits:', generationError);
+            console.error('Content generation failed, releasing credits:', generationError);
             
-            // Rollback credits on generation failure
+            // Release the hold on generation failure
             try {
-                await atomicCreditSystem.rollbackTransaction(
+                await atomicCreditSystem.releaseCredits(
                     userId,
-                    creditResult.transactionId,
-                    creditsNeeded,
-                    wordCount
+                    creditResult.reservationId,
+                    'generation_failed'
                 );
-            } catch (rollbackError) {
-                console.error('Credit rollback failed:', rollbackError);
+            } catch (releaseError) {
+                console.error('Credit release failed:', releaseError);
             }
             
             return res.status(500).json({
@@ -321,28 +334,335 @@ router.post('/generate', authenticateToken, async (req, res) => {
 });
 
 /**
- * POST /api/writer/upload-and-generate
- * Upload files and generate content based on file contents
+ * Write a single Server-Sent Event
+ */
+const sendEvent = (res, event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Background jobs can wait in the queue, so their holds stay open longer
+const JOB_RESERVATION_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Capture the credits for the words actually generated out of a reservation
+ * made for the requested word count; the rest is returned to the balance
+ */
+const captureGeneratedCredits = (userId, reservationId, creditsReserved, requestedWords, wordsGenerated) => {
+    const actualWords = wordsGenerated ?? requestedWords;
+    return atomicCreditSystem.captureCredits(
+        userId,
+        reservationId,
+        atomicCreditSystem.calculateProratedCredits(creditsReserved, requestedWords, actualWords),
+        { wordCount: actualWords }
+    );
+};
+
+/**
+ * Build MultiPartGenerator parameters from a writer request body
+ * Shared by the streaming and background generation paths
+ */
+const buildGenerationParams = (body, userId, planType) => {
+    const {
+        prompt,
+        style = 'Academic',
+        tone = 'Formal',
+        wordCount = 500,
+        qualityTier = 'standard',
+        contentType = 'general',
+        assignmentTitle,
+        citationStyle = 'APA'
+    } = body;
+    const isAssignment = contentType === 'assignment';
+    
+    return {
+        userId,
+        prompt: isAssignment ? `Assignment Title: ${assignmentTitle}\n\nInstructions: ${prompt}` : prompt,
+        requestedWordCount: wordCount,
+        userPlan: planType,
+        style,
+        tone,
+        subject: isAssignment ? assignmentTitle : (body.subject || ''),
+        additionalInstructions: isAssignment
+            ? `Generate academic assignment with ${citationStyle} citations`
+            : (body.additionalInstructions || ''),
+        requiresCitations: isAssignment ? true : (body.requiresCitations || false),
+        citationStyle: isAssignment ? citationStyle : (body.citationStyle || 'apa'),
+        qualityTier,
+        enableRefinement: qualityTier === 'premium',
+        qualityGate: body.qualityGate
+    };
+};
+
+/**
+ * Build the response metadata for a completed multi-part generation
  */
-router.post('/upload-and-generate', authenticateToken, upload.array('files', 5), async (req, res) => {
+const buildGenerationMetadata = (result, body, { creditsUsed, creditsReleased = 0, newBalance }) => {
+    const {
+        style = 'Academic',
+        tone = 'Formal',
+        wordCount = 500,
+        qualityTier = 'standard',
+        contentType = 'general',
+        assignmentTitle,
+        citationStyle = 'APA'
+    } = body;
+    const isAssignment = contentType === 'assignment';
+    
+    return {
+        source: 'multipart_generation',
+        contentSource: result.usedSimilarContent ? 'multipart_optimized' : 'multipart_new',
+        generationTime: result.generationTime,
+        similarContentFound: result.usedSimilarContent || false,
+        style,
+        tone,
+        wordCount: result.wordCount || wordCount,
+        creditsUsed,
+        creditsReleased,
+        remainingCredits: newBalance,
+        newBalance,
+        qualityTier,
+        enabledRefinement: qualityTier === 'premium',
+        contentType,
+        isAssignment,
+        assignmentTitle: isAssignment ? assignmentTitle : null,
+        isMultiPart: result.chunksGenerated > 1,
+        chunksGenerated: result.chunksGenerated || 1,
+        refinementCycles: result.refinementCycles || 0,
+        contentId: result.contentId,
+        citationCount: result.citationData?.citationCount || 0,
+        citationStyle: isAssignment ? citationStyle : (result.citationData?.style || null),
+        bibliography: result.citationData?.bibliography || [],
+        inTextCitations: result.citationData?.inTextCitations || [],
+        originalityScore: result.finalDetectionResults?.originalityScore || null,
+        aiDetectionScore: result.finalDetectionResults?.aiDetectionScore || null,
+        plagiarismScore: result.finalDetectionResults?.plagiarismScore || null,
+        qualityScore: result.finalDetectionResults?.qualityScore || null,
+        requiresReview: result.finalDetectionResults?.requiresReview || false,
+        detectionRecommendations: result.finalDetectionResults?.recommendations || [],
+        qualityReport: result.qualityReport || null
+    };
+};
+
+/**
+ * Background job: multi-part generation
+ * Completed chunks are checkpointed so a job interrupted by a restart resumes
+ * after its last finished chunk. Credits are reserved when the job is enqueued
+ * and captured for the words actually generated when it finishes.
+ */
+jobQueue.registerHandler('writer.generate', {
+    maxAttempts: 2,
+    run: async (job, { signal, checkpoint, updateProgress, saveCheckpoint }) => {
+        const { body, planType, creditsNeeded, reservationId } = job.payload;
+        const wordCount = body.wordCount || 500;
+        const completedChunks = checkpoint?.chunks || [];
+        
+        const result = await multiPartGenerator.generateMultiPartContent({
+            ...buildGenerationParams(body, job.userId, planType),
+            signal,
+            resumeChunks: completedChunks,
+            onProgress: (event, data) => {
+                if (event !== 'chunk-completed') return;
+                
+                completedChunks.push({
+                    content: data.content,
+                    wordCount: data.wordCount,
+                    refinementCycles: data.refinementCycles,
+                    qualityGate: data.qualityGate
+                });
+                saveCheckpoint({ chunks: completedChunks })
+                    .then(() => updateProgress(
+                        Math.min(95, data.wordsGenerated / wordCount * 100),
+                        `Generated ${data.wordsGenerated} of ${wordCount} words`
+                    ))
+                    .catch(error => console.error(`Failed to checkpoint job ${job.id}:`, error));
+            }
+        });
+        
+        const capture = await captureGeneratedCredits(job.userId, reservationId, creditsNeeded, wordCount, result.wordCount);
+        
+        return {
+            content: result.content,
+            metadata: buildGenerationMetadata(result, body, {
+                creditsUsed: capture.creditsCaptured,
+                creditsReleased: capture.creditsReleased,
+                newBalance: capture.newBalance
+            })
+        };
+    },
+    onFailed: async (job) => {
+        await atomicCreditSystem.releaseCredits(job.userId, job.payload.reservationId, 'job_failed');
+    },
+    onCancelled: async (job) => {
+        // Charge only for chunks that finished before cancellation
+        const { creditsNeeded, reservationId, body } = job.payload;
+        const wordsGenerated = (job.checkpoint?.chunks || [])
+            .reduce((total, chunk) => total + chunk.wordCount, 0);
+        
+        await captureGeneratedCredits(job.userId, reservationId, creditsNeeded, body.wordCount || 500, wordsGenerated);
+    }
+});
+
+/**
+ * POST /api/writer/generate-stream
+ * Generate content while streaming progress as Server-Sent Events:
+ * chunk-started, partial-text, chunk-detection-result, refinement-cycle,
+ * quality-gate, chunk-completed, final and error
+ */
+router.post('/generate-stream', authenticateToken, validateRequest(operations.generateStream), idempotency, async (req, res) => {
+    const { 
+        prompt, 
+        wordCount = 500, 
+        qualityTier = 'standard',
+        contentType = 'general',
+        assignmentTitle
+    } = req.body;
+    const userId = req.user.uid;
+    let creditResult = null;
+    let creditsNeeded = 0;
+    let planType = null;
+    
     try {
-        const { additionalPrompt = '', style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard' } = req.body;
-        const files = req.files;
-        const userId = req.user.userId;
+        if (contentType === 'assignment' && (!assignmentTitle || assignmentTitle.trim().length === 0)) {
+            return sendValidationError(res, [ASSIGNMENT_TITLE_REQUIRED]);
+        }
         
-        if (!files || files.length === 0) {
-            return res.status(400).json({
+        const planValidation = await planValidator.validateUserPlan(userId, {
+            toolType: 'writing',
+            requestType: 'generation'
+        });
+        
+        if (!planValidation.isValid) {
+            return res.status(403).json({
                 success: false,
-                error: 'No files uploaded'
+                error: planValidation.error || 'Plan validation failed'
             });
         }
+        planType = planValidation.userPlan.planType;
+        
+        // Credits are held up front; only completed work is captured
+        const baseCreditsNeeded = Math.ceil(wordCount / 3);
+        creditsNeeded = qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
         
-        if (wordCount < 100 || wordCount > 2000) {
+        creditResult = await atomicCreditSystem.reserveCredits(
+            userId,
+            creditsNeeded,
+            planType,
+            'writing'
+        );
+        
+        if (!creditResult.success) {
             return res.status(400).json({
                 success: false,
-                error: 'Word count must be between 100 and 2000'
+                error: `Insufficient credits. Need ${creditsNeeded}, available: ${creditResult.previousBalance || 0}`
             });
         }
+    } catch (error) {
+        console.error('Error in writer generate-stream endpoint:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    
+    // Keep intermediaries from closing an idle stream during long detection calls
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, 15000);
+    
+    const abortController = new AbortController();
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableFinished) {
+            abortController.abort();
+        }
+    });
+    
+    try {
+        const result = await multiPartGenerator.generateMultiPartContent({
+            ...buildGenerationParams(req.body, userId, planType),
+            signal: abortController.signal,
+            onProgress: (event, data) => sendEvent(res, event, data)
+        });
+        
+        const capture = await captureGeneratedCredits(userId, creditResult.reservationId, creditsNeeded, wordCount, result.wordCount);
+        settleStream(res, true);
+        
+        sendEvent(res, 'final', {
+            success: true,
+            content: result.content,
+            metadata: buildGenerationMetadata(result, req.body, {
+                creditsUsed: capture.creditsCaptured,
+                creditsReleased: capture.creditsReleased,
+                newBalance: capture.newBalance
+            })
+        });
+        res.end();
+        
+    } catch (generationError) {
+        if (generationError.code === 'GENERATION_ABORTED') {
+            // Client went away: charge only for completed chunks
+            const { wordsGenerated } = generationError.partialResult;
+            
+            console.log(`Stream closed by client after ${wordsGenerated} words, capturing completed work only`);
+            
+            try {
+                await captureGeneratedCredits(userId, creditResult.reservationId, creditsNeeded, wordCount, wordsGenerated);
+            } catch (captureError) {
+                console.error('Credit capture after disconnect failed:', captureError);
+            }
+            // Keeps the key if the completed chunks were charged
+            settleStream(res, false);
+            return;
+        }
+        
+        console.error('Streaming generation failed, releasing credits:', generationError);
+        
+        try {
+            await atomicCreditSystem.releaseCredits(
+                userId,
+                creditResult.reservationId,
+                'generation_failed'
+            );
+        } catch (releaseError) {
+            console.error('Credit release failed:', releaseError);
+        }
+        settleStream(res, false);
+        
+        sendEvent(res, 'error', {
+            success: false,
+            error: 'Content generation failed',
+            details: generationError.message,
+            creditsRefunded: creditsNeeded
+        });
+        res.end();
+    } finally {
+        clearInterval(heartbeat);
+    }
+});
+
+/**
+ * POST /api/writer/upload-and-generate
+ * Upload files and generate content based on file contents
+ */
+router.post('/upload-and-generate', authenticateToken, upload.array('files', 5), validateRequest(operations.uploadAndGenerate), idempotency, async (req, res) => {
+    try {
+        const { additionalPrompt = '', style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard' } = req.body;
+        const files = req.files;
+        const userId = req.user.uid;
+        
+        if (!files || files.length === 0) {
+            return sendValidationError(res, [FILES_REQUIRED]);
+        }
         
         // Validate user plan and calculate credits
         const planValidation = await planValidator.validateUserPlan(userId, {
@@ -362,8 +682,8 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
         let baseCreditsNeeded = Math.ceil(wordCount / 3); // 1 credit per 3 words
         const creditsNeeded = qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
         
-        // Deduct credits atomically
-        const creditResult = await atomicCreditSystem.deductCreditsAtomic(
+        // Hold credits for the requested length; only what is generated is captured
+        const creditResult = await atomicCreditSystem.reserveCredits(
             userId,
             creditsNeeded,
             planValidation.userPlan.planType,
@@ -388,16 +708,15 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
         );
         
             if (!result.success) {
-                // Rollback credits on file processing failure
+                // Release the hold on file processing failure
                 try {
-                    await atomicCreditSystem.refundCreditsAtomic(
+                    await atomicCreditSystem.releaseCredits(
                         userId,
-                        creditsNeeded,
-                        planValidation.userPlan.planType,
-                        'writing_rollback'
+                        creditResult.reservationId,
+                        'file_processing_failed'
                     );
-                } catch (rollbackError) {
-                    console.error('Credit rollback failed:', rollbackError);
+                } catch (releaseError) {
+                    console.error('Credit release failed:', releaseError);
                 }
                 return res.status(400).json(result);
             }
@@ -412,6 +731,11 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
             // Enable 2-loop refinement system for premium quality tier
             const enableRefinement = qualityTier === 'premium';
             
+            // Uploaded files are the reference set if detection falls back to the local check
+            const referenceDocuments = result.extractedContent
+                .filter(file => !file.error)
+                .map(file => ({ id: file.filename, title: file.filename, content: file.content }));
+            
             if (useMultiPart) {
                 console.log(`Using multi-part generation for file-based content: ${wordCount} words`);
                 
@@ -428,7 +752,9 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
                     requiresCitations: req.body.requiresCitations || false,
                     citationStyle: req.body.citationStyle || 'apa',
                     qualityTier: qualityTier,
-                    enableRefinement: enableRefinement
+                    enableRefinement: enableRefinement,
+                    qualityGate: req.body.qualityGate,
+                    referenceDocuments
                 });
                 
                 contentSource = llmResult.usedSimilarContent ? 'multipart_optimized_files' : 'multipart_new_files';
@@ -446,12 +772,16 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
                     requiresCitations: req.body.requiresCitations || false,
                     citationStyle: req.body.citationStyle || 'apa',
                     qualityTier: qualityTier,
-                    enableRefinement: enableRefinement
+                    enableRefinement: enableRefinement,
+                    qualityGate: req.body.qualityGate,
+                    referenceDocuments
                 });
                 
                 contentSource = llmResult.usedSimilarContent ? 'multipart_optimized_files' : 'multipart_new_files';
             }
             
+            const capture = await captureGeneratedCredits(userId, creditResult.reservationId, creditsNeeded, wordCount, llmResult.wordCount);
+            
             // Prepare response with multi-part metadata if applicable
             const response = {
                 success: true,
@@ -464,9 +794,10 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
                     generationTime: llmResult.generationTime,
                     fallbackUsed: llmResult.fallbackUsed,
                     contentSource: contentSource,
-                    creditsUsed: creditsNeeded,
-                    remainingCredits: creditResult.newBalance,
-                    newBalance: creditResult.newBalance,
+                    creditsUsed: capture.creditsCaptured,
+                    creditsReleased: capture.creditsReleased,
+                    remainingCredits: capture.newBalance,
+                    newBalance: capture.newBalance,
                     qualityTier: qualityTier,
                     enabledRefinement: enableRefinement,
                     basedOnFiles: true,
@@ -495,6 +826,7 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
                 response.metadata.isAcceptable = llmResult.finalDetectionResults?.isAcceptable || true;
                 response.metadata.detectionConfidence = llmResult.finalDetectionResults?.confidence || null;
                 response.metadata.detectionRecommendations = llmResult.finalDetectionResults?.recommendations || [];
+                response.metadata.qualityReport = llmResult.qualityReport || null;
             } else {
                 // Add single-generation metadata
                 response.metadata.isMultiPart = false;
@@ -504,18 +836,17 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
             res.json(response);
             
         } catch (generationError) {
-            console.error('Content generation failed, rolling back credits:', generationError);
+            console.error('Content generation failed, releasing credits:', generationError);
             
-            // Rollback credits on generation failure
+            // Release the hold on generation failure
             try {
-                await atomicCreditSystem.rollbackTransaction(
+                await atomicCreditSystem.releaseCredits(
                     userId,
-                    creditResult.transactionId,
-                    creditsNeeded,
-                    wordCount
+                    creditResult.reservationId,
+                    'generation_failed'
                 );
-            } catch (rollbackError) {
-                console.error('Credit rollback failed:', rollbackError);
+            } catch (releaseError) {
+                console.error('Credit release failed:', releaseError);
             }
             
             return res.status(500).json({
@@ -554,6 +885,377 @@ router.post('/upload-and-generate', authenticateToken, upload.array('files', 5),
     }
 });
 
+/**
+ * Credits for one outline section: 1 credit per 3 words, doubled for premium
+ */
+const calculateSectionCredits = (wordCount, qualityTier) => {
+    const baseCredits = Math.ceil(wordCount / 3);
+    return qualityTier === 'premium' ? baseCredits * 2 : baseCredits;
+};
+
+/**
+ * Keep only the outline fields generation uses
+ */
+const normalizeOutline = (outline) => ({
+    title: (outline.title || '').trim(),
+    sections: outline.sections.map(section => ({
+        title: section.title.trim(),
+        keyPoints: (section.keyPoints || []).map(point => point.trim()).filter(point => point.length > 0),
+        wordCount: section.wordCount
+    }))
+});
+
+/**
+ * Generate the sections of an approved outline in order
+ * Each section's credits are reserved just before it is generated, captured for
+ * the words it actually came out with, and released if it fails. Sections
+ * already generated stay charged and are attached to the
+ * thrown error as partialResult. Sections in completedSections (a resumed job)
+ * are not generated or charged again.
+ */
+const generateFromOutline = async ({ userId, planType, body, completedSections = [], signal = null, onSectionCompleted = null }) => {
+    const { prompt, outline, style = 'Academic', tone = 'Formal', qualityTier = 'standard' } = body;
+    const sections = [...completedSections];
+
+    const withPartialResult = (error) => {
+        error.partialResult = {
+            content: contentProcessor.combineOutlineSections(outline, sections),
+            sectionsGenerated: sections.length,
+            creditsUsed: sections.reduce((total, section) => total + section.creditsUsed, 0)
+        };
+        return error;
+    };
+
+    for (let index = sections.length; index < outline.sections.length; index++) {
+        if (signal && signal.aborted) {
+            const error = new Error('Outline generation was aborted');
+            error.code = 'GENERATION_ABORTED';
+            throw withPartialResult(error);
+        }
+
+        const section = outline.sections[index];
+        const creditsReserved = calculateSectionCredits(section.wordCount, qualityTier);
+
+        let reservation;
+        try {
+            reservation = await atomicCreditSystem.reserveCredits(userId, creditsReserved, planType, 'writing');
+        } catch (error) {
+            if (error.message.startsWith('Insufficient credits')) {
+                error.code = 'INSUFFICIENT_CREDITS';
+            }
+            throw withPartialResult(error);
+        }
+
+        let result;
+        try {
+            result = await contentProcessor.generateOutlineSection(outline, index, {
+                prompt,
+                style,
+                tone,
+                qualityTier,
+                previousContent: sections[index - 1]?.content || ''
+            });
+        } catch (error) {
+            try {
+                await atomicCreditSystem.releaseCredits(userId, reservation.reservationId, 'generation_failed');
+            } catch (releaseError) {
+                console.error('Credit release failed:', releaseError);
+            }
+            throw withPartialResult(error);
+        }
+
+        const wordCount = contentProcessor.countWords(result.content);
+        let charge;
+        try {
+            charge = await captureGeneratedCredits(userId, reservation.reservationId, creditsReserved, section.wordCount, wordCount);
+        } catch (error) {
+            throw withPartialResult(error);
+        }
+
+        const generated = {
+            title: section.title,
+            content: result.content,
+            wordCount,
+            targetWordCount: section.wordCount,
+            creditsUsed: charge.creditsCaptured,
+            newBalance: charge.newBalance,
+            source: result.source,
+            fallbackUsed: !!result.fallbackUsed,
+            generationTime: result.generationTime || 0
+        };
+        sections.push(generated);
+
+        if (onSectionCompleted) {
+            onSectionCompleted(generated, index);
+        }
+    }
+
+    return sections;
+};
+
+/**
+ * Combine generated sections, store the content and build the response body
+ */
+const buildOutlineResult = async (userId, body, sections) => {
+    const { prompt, outline, style = 'Academic', tone = 'Formal', qualityTier = 'standard' } = body;
+    const content = contentProcessor.combineOutlineSections(outline, sections);
+    const targetWordCount = outline.sections.reduce((total, section) => total + section.wordCount, 0);
+    const creditsUsed = sections.reduce((total, section) => total + section.creditsUsed, 0);
+    const newBalance = sections[sections.length - 1].newBalance;
+
+    let contentId = null;
+    try {
+        contentId = await contentDatabase.storeContent(userId, prompt, content, {
+            style,
+            tone,
+            source: 'outline_generation',
+            subject: outline.title,
+            requestedWordCount: targetWordCount,
+            outline: outline.sections
+        });
+    } catch (error) {
+        console.error('Failed to store outline generation:', error);
+    }
+
+    return {
+        content,
+        outline,
+        sections: sections.map(({ title, wordCount, targetWordCount: sectionTarget, creditsUsed: sectionCredits, fallbackUsed }) => ({
+            title,
+            wordCount,
+            targetWordCount: sectionTarget,
+            creditsUsed: sectionCredits,
+            fallbackUsed
+        })),
+        metadata: {
+            source: 'outline_generation',
+            style,
+            tone,
+            wordCount: contentProcessor.countWords(content),
+            targetWordCount,
+            qualityTier,
+            sectionsGenerated: sections.length,
+            creditsUsed,
+            remainingCredits: newBalance,
+            newBalance,
+            generationTime: sections.reduce((total, section) => total + section.generationTime, 0),
+            fallbackUsed: sections.some(section => section.fallbackUsed),
+            assignmentTitle: outline.title || null,
+            contentId
+        }
+    };
+};
+
+/**
+ * Background job: generation from an approved outline
+ * Completed sections are checkpointed so a retried job resumes after the last
+ * one. Sections are charged as they are generated and a failing section is
+ * refunded, so failed and cancelled jobs need no credit settlement.
+ */
+jobQueue.registerHandler('writer.generate-from-outline', {
+    maxAttempts: 2,
+    run: async (job, { signal, checkpoint, updateProgress, saveCheckpoint }) => {
+        const { body, planType } = job.payload;
+        const completedSections = checkpoint?.sections || [];
+        const totalSections = body.outline.sections.length;
+
+        const sections = await generateFromOutline({
+            userId: job.userId,
+            planType,
+            body,
+            completedSections,
+            signal,
+            onSectionCompleted: (section, index) => {
+                completedSections.push(section);
+                saveCheckpoint({ sections: completedSections })
+                    .then(() => updateProgress(
+                        Math.min(95, (index + 1) / totalSections * 100),
+                        `Generated section ${index + 1} of ${totalSections}`
+                    ))
+                    .catch(error => console.error(`Failed to checkpoint job ${job.id}:`, error));
+            }
+        });
+
+        return buildOutlineResult(job.userId, body, sections);
+    }
+});
+
+/**
+ * POST /api/writer/outline
+ * Generate an editable outline with a word budget per section. No credits are
+ * charged; the outline is returned for the user to edit and approve.
+ */
+router.post('/outline', authenticateToken, validateRequest(operations.outline), async (req, res) => {
+    try {
+        const {
+            prompt,
+            style = 'Academic',
+            tone = 'Formal',
+            wordCount = 1000,
+            title = '',
+            qualityTier = 'standard'
+        } = req.body;
+        const userId = req.user.uid;
+
+        const planValidation = await planValidator.validateUserPlan(userId, {
+            toolType: 'writing',
+            requestType: 'generation'
+        });
+
+        if (!planValidation.isValid) {
+            return res.status(403).json({
+                success: false,
+                error: planValidation.error || 'Plan validation failed'
+            });
+        }
+
+        const { source, fallbackUsed, ...outline } = await contentProcessor.generateEditableOutline(
+            prompt,
+            style,
+            tone,
+            wordCount,
+            title.trim()
+        );
+        const perSection = outline.sections.map(section => calculateSectionCredits(section.wordCount, qualityTier));
+
+        res.json({
+            success: true,
+            outline,
+            estimatedCredits: {
+                total: perSection.reduce((total, credits) => total + credits, 0),
+                perSection
+            },
+            metadata: {
+                style,
+                tone,
+                qualityTier,
+                source,
+                fallbackUsed
+            }
+        });
+    } catch (error) {
+        console.error('Outline generation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Outline generation failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/writer/generate-from-outline
+ * Generate content section by section from a user-approved outline
+ * Body: { prompt, outline: { title, sections: [{ title, keyPoints, wordCount }] },
+ * style, tone, qualityTier }. Credits are charged per section as it is generated.
+ */
+router.post('/generate-from-outline', authenticateToken, validateRequest(operations.generateFromOutline), idempotency, async (req, res) => {
+    try {
+        const { prompt, outline, qualityTier = 'standard' } = req.body;
+        const userId = req.user.uid;
+
+        // Section count and total length limits the schema cannot express
+        const outlineErrors = contentProcessor.validateOutline(outline);
+        if (outlineErrors.length > 0) {
+            return sendValidationError(res, outlineErrors.map(message => ({ in: 'body', field: 'outline', message })));
+        }
+
+        const planValidation = await planValidator.validateUserPlan(userId, {
+            toolType: 'writing',
+            requestType: 'generation'
+        });
+
+        if (!planValidation.isValid) {
+            return res.status(403).json({
+                success: false,
+                error: planValidation.error || 'Plan validation failed'
+            });
+        }
+
+        // Check the whole outline is affordable before charging the first section
+        const creditsNeeded = outline.sections
+            .reduce((total, section) => total + calculateSectionCredits(section.wordCount, qualityTier), 0);
+        const availableCredits = planValidation.userPlan.credits || 0;
+        if (availableCredits < creditsNeeded) {
+            return res.status(400).json({
+                success: false,
+                error: `Insufficient credits. Need ${creditsNeeded}, available: ${availableCredits}`
+            });
+        }
+
+        const body = { ...req.body, outline: normalizeOutline(outline) };
+        const planType = planValidation.userPlan.planType;
+
+        if (jobQueue.wantsAsync(req)) {
+            const job = await jobQueue.enqueue('writer.generate-from-outline', userId, { body, planType });
+            return res.status(202).json(jobQueue.acceptedResponse(job, req));
+        }
+
+        try {
+            const sections = await generateFromOutline({ userId, planType, body });
+
+            res.json({
+                success: true,
+                ...(await buildOutlineResult(userId, body, sections))
+            });
+        } catch (generationError) {
+            console.error('Outline section generation failed:', generationError);
+            const insufficientCredits = generationError.code === 'INSUFFICIENT_CREDITS';
+
+            res.status(insufficientCredits ? 400 : 500).json({
+                success: false,
+                error: insufficientCredits ? 'Insufficient credits to finish the outline' : 'Content generation failed',
+                details: generationError.message,
+                partialResult: generationError.partialResult || null
+            });
+        }
+    } catch (error) {
+        console.error('Generate from outline error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Content generation failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/writer/validate
+ * Run the content quality checks (word count, structure, quality,
+ * style/tone, readability) on arbitrary content
+ */
+router.post('/validate', authenticateToken, validateRequest(operations.validate), (req, res) => {
+    try {
+        const {
+            content,
+            wordCount,
+            style = 'Academic',
+            tone = 'Formal'
+        } = req.body;
+        
+        const targetWordCount = wordCount || content.trim().split(/\s+/).length;
+        const validation = qualityGate.validate(content, {
+            wordCount: targetWordCount,
+            style,
+            tone
+        });
+        
+        res.json({
+            success: true,
+            isValid: validation.isValid,
+            validation
+        });
+        
+    } catch (error) {
+        console.error('Error validating content:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Content validation failed',
+            details: error.message
+        });
+    }
+});
+
 /**
  * GET /api/writer/supported-formats
  * Get list of supported file formats
@@ -590,15 +1292,12 @@ router.get('/supported-formats', (req, res) => {
  * POST /api/writer/validate-files
  * Validate files before upload
  */
-router.post('/validate-files', upload.array('files', 5), (req, res) => {
+router.post('/validate-files', upload.array('files', 5), validateRequest(operations.validateFiles), (req, res) => {
     try {
         const files = req.files;
         
         if (!files || files.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No files provided for validation'
-            });
+            return sendValidationError(res, [FILES_REQUIRED]);
         }
         
         const validation = fileProcessingService.validateFiles(files);
@@ -629,34 +1328,32 @@ router.post('/validate-files', upload.array('files', 5), (req, res) => {
  * GET /api/writer/stats
  * Get writer tool statistics for dashboard
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, validateRequest(operations.stats), async (req, res) => {
     try {
-        const userId = req.user.userId;
+        const userId = req.user.uid;
         const { date } = req.query;
         const targetDate = date || new Date().toISOString().split('T')[0];
-        const db = req.app.locals.db;
+
+        const startOfDay = new Date(targetDate);
+        startOfDay.setHours(0, 0, 0, 0);
+
+        const endOfDay = new Date(targetDate);
+        endOfDay.setHours(23, 59, 59, 999);
 
         // Get today's writer statistics
-        db.get(`
-            SELECT 
-                COUNT(*) as generations_today,
-                COALESCE(SUM(word_count), 0) as words_today,
-                COALESCE(SUM(credits_used), 0) as credits_today
-            FROM assignments 
-            WHERE user_id = ? AND DATE(created_at) = ?
-        `, [userId, targetDate], (err, stats) => {
-            if (err) {
-                console.error('Database error:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
+        const entries = await getRepositories().usage.list(userId, {
+            type: 'deduction',
+            from: startOfDay,
+            to: endOfDay
+        });
+        const stats = summarizeUsage(entries.filter(entry => entry.toolType === 'writing'));
 
-            res.json({
-                success: true,
-                date: targetDate,
-                generationsToday: stats?.generations_today || 0,
-                wordsToday: stats?.words_today || 0,
-                creditsToday: stats?.credits_today || 0
-            });
+        res.json({
+            success: true,
+            date: targetDate,
+            generationsToday: stats.writingCount,
+            wordsToday: stats.wordCount,
+            creditsToday: stats.creditsUsed
         });
 
     } catch (error) {
@@ -0,0 +1,102 @@
+/**
+ * Credit reconciliation command
+ * Recomputes every balance from the credit ledger, compares it with
+ * users.credits / users.reservedCredits and prints an audit report.
+ *
+ * Usage:
+ *   node scripts/reconcileCredits.js [--user <uid>] [--out report.json] [--adjust] [--no-save]
+ *
+ *   --user      Reconcile one user only
+ *   --out       Also write the full JSON report to a file
+ *   --adjust    Post adjustment entries for drifted users (after reviewing a dry run)
+ *   --no-save   Don't store the report in the creditReconciliations collection
+ *
+ * Exits with status 1 when any drift or unbalanced entry is found.
+ */
+const fs = require('fs');
+const admin = require('firebase-admin');
+const creditLedger = require('../services/creditLedger');
+
+require('dotenv').config();
+
+const parseArgs = (argv) => {
+    const args = { userId: null, out: null, adjust: false, save: true };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--user': args.userId = argv[++i]; break;
+            case '--out': args.out = argv[++i]; break;
+            case '--adjust': args.adjust = true; break;
+            case '--no-save': args.save = false; break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return args;
+};
+
+const initializeFirebase = () => {
+    if (admin.apps.length) return;
+
+    if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+            projectId: process.env.FIREBASE_PROJECT_ID
+        });
+    } else {
+        admin.initializeApp({
+            projectId: process.env.FIREBASE_PROJECT_ID || 'assignsavvy-dev'
+        });
+    }
+};
+
+const printReport = (report) => {
+    console.log(`Credit reconciliation ${report.generatedAt}${report.reportId ? ` (report ${report.reportId})` : ''}`);
+    console.log(`  Ledger entries scanned: ${report.entriesScanned}`);
+    console.log(`  Users checked:          ${report.usersChecked}`);
+    console.log(`  Ledger balance total:   ${report.totals.ledgerBalance} (reserved ${report.totals.ledgerReserved})`);
+    console.log(`  Stored balance total:   ${report.totals.storedBalance} (reserved ${report.totals.storedReserved})`);
+
+    for (const [account, balance] of Object.entries(report.systemAccounts)) {
+        console.log(`  ${account.padEnd(22)}  ${balance}`);
+    }
+
+    if (report.unbalancedEntries.length) {
+        console.log(`\nUnbalanced entries (${report.unbalancedEntries.length}):`);
+        report.unbalancedEntries.forEach(entry => {
+            console.log(`  ${entry.entryId}  ${entry.type}  user ${entry.userId}  off by ${entry.imbalance}`);
+        });
+    }
+
+    if (report.usersWithDrift.length) {
+        console.log(`\nUsers with drift (${report.usersWithDrift.length}):`);
+        report.usersWithDrift.forEach(user => {
+            const status = user.missingUser ? 'user document missing' : `stored ${user.storedBalance}, ledger ${user.ledgerBalance}`;
+            console.log(`  ${user.userId}  ${status}  drift ${user.drift}  reserved drift ${user.reservedDrift}`);
+        });
+        if (report.adjustmentsPosted) {
+            console.log(`\nPosted ${report.adjustmentsPosted} adjustment entries.`);
+        }
+    }
+
+    console.log(report.balanced ? '\nLedger and balances agree.' : '\nDrift found.');
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    initializeFirebase();
+
+    const report = await creditLedger.reconcile(args);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    }
+    printReport(report);
+
+    process.exit(report.balanced ? 0 : 1);
+};
+
+main().catch(error => {
+    console.error('Credit reconciliation failed:', error);
+    process.exit(2);
+});
@@ -0,0 +1,55 @@
+/**
+ * Set a user's stored roles
+ * Bootstraps the first administrator; after that, roles can be managed via
+ * PUT /api/admin/users/:userId/roles.
+ *
+ * Usage:
+ *   node scripts/setRoles.js <uid> <role> [<role> ...]
+ *
+ *   Roles: student, admin. Uses the configured DATA_STORE.
+ */
+const admin = require('firebase-admin');
+const { getRepositories } = require('../repositories');
+const { ROLES } = require('../middleware/authorize');
+
+require('dotenv').config();
+
+const initializeFirebase = () => {
+    if (admin.apps.length) return;
+
+    if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+            projectId: process.env.FIREBASE_PROJECT_ID
+        });
+    } else {
+        admin.initializeApp({
+            projectId: process.env.FIREBASE_PROJECT_ID || 'assignsavvy-dev'
+        });
+    }
+};
+
+const main = async () => {
+    const [userId, ...roles] = process.argv.slice(2);
+    const validRoles = Object.values(ROLES);
+
+    if (!userId || roles.length === 0 || roles.some(role => !validRoles.includes(role))) {
+        throw new Error(`Usage: node scripts/setRoles.js <uid> <role> [<role> ...] (roles: ${validRoles.join(', ')})`);
+    }
+
+    initializeFirebase();
+
+    const updated = await getRepositories().users.update(userId, { roles: [...new Set(roles)] });
+    if (!updated) {
+        throw new Error(`User ${userId} not found`);
+    }
+
+    console.log(`Roles for ${userId}: ${[...new Set(roles)].join(', ')}`);
+    process.exit(0);
+};
+
+main().catch(error => {
+    console.error('Setting roles failed:', error.message);
+    process.exit(1);
+});
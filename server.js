@@ -4,6 +4,11 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const admin = require('firebase-admin');
 const path = require('path');
+const resilience = require('./services/resilience');
+const AtomicCreditSystem = require('./services/atomicCreditSystem');
+const { recordToolErrors } = require('./middleware/toolErrors');
+const { sendValidationError } = require('./middleware/validate');
+const openapi = require('./openapi');
 
 // Load environment variables
 require('dotenv').config();
@@ -52,7 +57,8 @@ app.use(helmet({
 }));
 app.use(cors({
     origin: corsOrigins,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
 app.use(express.json({ limit: fileSizeLimit }));
@@ -68,8 +74,7 @@ app.use('/assets', express.static(path.join(__dirname, 'assets')));
 app.use('/styles', express.static(path.join(__dirname, 'styles')));
 app.use('/js', express.static(path.join(__dirname, 'js')));
 
-// Make Firebase available to routes
-app.locals.db = admin.firestore();
+// Make Firebase Auth available to routes (data access goes through ./repositories)
 app.locals.auth = admin.auth();
 
 // Routes
@@ -77,22 +82,57 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/assignments', require('./routes/assignments'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/users', require('./routes/users'));
-app.use('/api/research', require('./research'));
-app.use('/api/detector', require('./routes/detector'));
-app.use('/api/prompt', require('./routes/promptEngineer'));
-app.use('/api/writer', require('./routes/writer'));
+app.use('/api/research', recordToolErrors('research'), require('./research'));
+app.use('/api/detector', recordToolErrors('detector'), require('./routes/detector'));
+app.use('/api/prompt', recordToolErrors('prompt'), require('./routes/promptEngineer'));
+app.use('/api/writer', recordToolErrors('writer'), require('./routes/writer'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/drafts', require('./routes/drafts'));
+app.use('/api/export', recordToolErrors('export'), require('./routes/export'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/keys', require('./routes/apiKeys'));
+app.use('/api/v1', require('./routes/v1'));
+
+// Start background job processing once route modules have registered their handlers
+require('./services/jobQueue').start().catch(error => {
+    console.error('Failed to start job queue:', error);
+});
+
+// Release credit reservations left open by requests that never settled them (e.g. a crash mid-generation)
+const atomicCreditSystem = new AtomicCreditSystem();
+setInterval(() => {
+    atomicCreditSystem.releaseExpiredReservations()
+        .then(released => released && console.log(`Released ${released} expired credit reservations`))
+        .catch(error => console.error('Failed to release expired credit reservations:', error));
+}, 5 * 60 * 1000).unref();
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
+    const breakers = resilience.getAllStatus();
+    const degraded = Object.values(breakers).some(breaker => breaker.state !== 'closed');
+
     res.json({ 
-        status: 'OK', 
+        status: degraded ? 'DEGRADED' : 'OK', 
         timestamp: new Date().toISOString(),
-        firebase: admin.apps.length > 0 ? 'connected' : 'disconnected'
+        firebase: admin.apps.length > 0 ? 'connected' : 'disconnected',
+        breakers
     });
 });
 
+// OpenAPI document built from the route schemas in openapi/
+let apiDocument = null;
+app.get('/api/docs', (req, res) => {
+    apiDocument = apiDocument || openapi.buildDocument();
+    res.json(apiDocument);
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendValidationError(res, [{ in: 'body', field: 'body', message: 'is not valid JSON' }]);
+    }
+
     console.error(err.stack);
     res.status(500).json({ 
         error: 'Something went wrong!',
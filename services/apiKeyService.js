@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getRepositories } = require('../repositories');
+
+/**
+ * API keys for the public developer API (/api/v1)
+ * Keys are shown once, when created or rotated; only their SHA-256 hash is
+ * stored. Each key is scoped to some of the tool APIs and carries its own
+ * per-minute rate limit. Rotating keeps the key's ID (and so its usage
+ * history) and replaces the secret.
+ *
+ * The ID of the key authenticating the current request is kept in async
+ * context so credit deductions can record it in usageTracking.
+ */
+
+const SCOPES = ['writer', 'research', 'detector', 'prompt'];
+const KEY_PREFIX = 'asv_';
+
+class ApiKeyError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.code = code;
+        this.retryable = false;
+    }
+}
+
+class ApiKeyService {
+    constructor() {
+        this.context = new AsyncLocalStorage();
+
+        this.defaultRateLimit = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 60;   // requests per minute
+        this.maxRateLimit = parseInt(process.env.API_KEY_MAX_RATE_LIMIT) || 600;
+        this.maxKeysPerUser = 10;
+    }
+
+    get keys() {
+        return getRepositories().apiKeys;
+    }
+
+    /**
+     * Whether a bearer token looks like one of our API keys
+     * @param {string} token
+     * @returns {boolean}
+     */
+    isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+    }
+
+    hash(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    generateSecret() {
+        return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    /**
+     * Strip the hash before returning a key to clients
+     * @param {Object} key - Stored key
+     * @returns {Object} Public key view
+     */
+    toPublicKey(key) {
+        return {
+            id: key.id,
+            name: key.name,
+            prefix: key.prefix,
+            scopes: key.scopes,
+            rateLimit: key.rateLimit,
+            status: key.revokedAt ? 'revoked' : 'active',
+            createdAt: key.createdAt,
+            lastUsedAt: key.lastUsedAt,
+            rotatedAt: key.rotatedAt,
+            revokedAt: key.revokedAt
+        };
+    }
+
+    validateOptions({ name, scopes, rateLimit }) {
+        if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+            throw new ApiKeyError('name is required (up to 100 characters)', 'INVALID_API_KEY_REQUEST');
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+            throw new ApiKeyError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`, 'INVALID_API_KEY_REQUEST');
+        }
+        if (rateLimit !== undefined && (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > this.maxRateLimit)) {
+            throw new ApiKeyError(`rateLimit must be an integer between 1 and ${this.maxRateLimit} requests per minute`, 'INVALID_API_KEY_REQUEST');
+        }
+    }
+
+    /**
+     * Create a key
+     * @param {string} userId - Owner
+     * @param {Object} options - { name, scopes, rateLimit }
+     * @returns {Promise<Object>} { key, apiKey } - the secret (shown once) and the public view
+     */
+    async createKey(userId, { name, scopes, rateLimit } = {}) {
+        this.validateOptions({ name, scopes, rateLimit });
+
+        const existing = await this.keys.listByUser(userId);
+        if (existing.filter(key => !key.revokedAt).length >= this.maxKeysPerUser) {
+            throw new ApiKeyError(`You can have at most ${this.maxKeysPerUser} active API keys`, 'API_KEY_LIMIT_REACHED');
+        }
+
+        const secret = this.generateSecret();
+        const apiKey = await this.keys.create({
+            id: `key_${crypto.randomBytes(8).toString('hex')}`,
+            userId,
+            name: name.trim(),
+            prefix: secret.slice(0, 12),
+            hash: this.hash(secret),
+            scopes: [...new Set(scopes)],
+            rateLimit: rateLimit || this.defaultRateLimit
+        });
+
+        return { key: secret, apiKey: this.toPublicKey(apiKey) };
+    }
+
+    /**
+     * List a user's keys, newest first
+     * @param {string} userId - Owner
+     * @returns {Promise<Array>} Public key views
+     */
+    async listKeys(userId) {
+        const keys = await this.keys.listByUser(userId);
+        return keys.map(key => this.toPublicKey(key));
+    }
+
+    async getOwnedKey(userId, keyId) {
+        const key = await this.keys.get(keyId);
+        if (!key || key.userId !== userId) {
+            throw new ApiKeyError('API key not found', 'API_KEY_NOT_FOUND');
+        }
+        return key;
+    }
+
+    /**
+     * Replace a key's secret; the old secret stops working immediately
+     * @param {string} userId - Owner
+     * @param {string} keyId - Key ID
+     * @returns {Promise<Object>} { key, apiKey }
+     */
+    async rotateKey(userId, keyId) {
+        const existing = await this.getOwnedKey(userId, keyId);
+        if (existing.revokedAt) {
+            throw new ApiKeyError('A revoked API key cannot be rotated', 'API_KEY_REVOKED');
+        }
+
+        const secret = this.generateSecret();
+        await this.keys.update(keyId, {
+            prefix: secret.slice(0, 12),
+            hash: this.hash(secret),
+            rotatedAt: new Date()
+        });
+
+        return { key: secret, apiKey: this.toPublicKey(await this.keys.get(keyId)) };
+    }
+
+    /**
+     * Revoke a key permanently
+     * @param {string} userId - Owner
+     * @param {string} keyId - Key ID
+     * @returns {Promise<Object>} Public key view
+     */
+    async revokeKey(userId, keyId) {
+        const existing = await this.getOwnedKey(userId, keyId);
+        if (!existing.revokedAt) {
+            await this.keys.update(keyId, { revokedAt: new Date() });
+        }
+        return this.toPublicKey(await this.keys.get(keyId));
+    }
+
+    /**
+     * Look up an active key by its secret
+     * @param {string} secret - Key presented by the client
+     * @returns {Promise<Object|null>} Stored key, or null when unknown or revoked
+     */
+    async authenticate(secret) {
+        if (!this.isApiKey(secret)) {
+            return null;
+        }
+
+        const key = await this.keys.findByHash(this.hash(secret));
+        if (!key || key.revokedAt) {
+            return null;
+        }
+
+        this.keys.update(key.id, { lastUsedAt: new Date() })
+            .catch(error => console.error('Failed to record API key use:', error));
+        return key;
+    }
+
+    /**
+     * Run a function with the API key ID in async context
+     */
+    runWithKey(keyId, fn) {
+        return this.context.run({ keyId }, fn);
+    }
+
+    /**
+     * ID of the API key authenticating the request currently being handled, if any
+     * @returns {string|null}
+     */
+    getCurrentKeyId() {
+        return this.context.getStore()?.keyId || null;
+    }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
+module.exports.ApiKeyError = ApiKeyError;
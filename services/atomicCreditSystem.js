@@ -1,12 +1,13 @@
-const admin = require('firebase-admin');
+const idempotencyStore = require('./idempotencyStore');
+const { getRepositories } = require('../repositories');
 
 /**
- * AtomicCreditSystem class for handling credit calculations and atomic Firestore transactions
- * Implements different word-to-credit ratios for different tools
+ * AtomicCreditSystem class for handling credit calculations and atomic balance changes
+ * Implements different word-to-credit ratios for different tools. Balance
+ * changes run as transactions in the configured data store (repositories.credits).
  */
 class AtomicCreditSystem {
     constructor() {
-        this.db = admin.firestore();
         this.CREDIT_RATIOS = {
             writing: 3,    // 1 credit per 3 words for writing/assignments
             research: 5,   // 1 credit per 5 words for research
@@ -17,6 +18,7 @@ class AtomicCreditSystem {
         };
         this.MAX_RETRY_ATTEMPTS = 3;
         this.RETRY_DELAY_MS = 100;
+        this.RESERVATION_TTL_MS = 30 * 60 * 1000;  // Holds not captured or released by then are released
     }
 
     /**
@@ -51,20 +53,30 @@ class AtomicCreditSystem {
     }
 
     /**
-     * Atomic credit deduction with Firestore transaction
+     * Atomic credit deduction, retried with exponential backoff
      */
     async deductCreditsAtomic(userId, creditsToDeduct, planType, toolType = 'writing') {
-        const requiredCredits = creditsToDeduct;
         const wordCount = 0; // Word count is 0 for credit-based deduction
+        // Set when the charge comes from a request sent with an Idempotency-Key
+        const idempotencyKey = idempotencyStore.getCurrentKey();
         
         let attempt = 0;
         while (attempt < this.MAX_RETRY_ATTEMPTS) {
             try {
-                const result = await this.executeFirestoreTransaction(userId, requiredCredits, wordCount, planType, toolType);
-                console.log(`Atomic credit deduction successful for user ${userId}: -${requiredCredits} credits`);
-                result.toolType = toolType;
-                result.creditsDeducted = creditsToDeduct;
-                return result;
+                const result = await getRepositories().credits.deduct(userId, creditsToDeduct, { toolType, planType, wordCount });
+                idempotencyStore.recordCharge(creditsToDeduct);
+                console.log(`Atomic credit deduction successful for user ${userId}: -${creditsToDeduct} credits`);
+                return {
+                    success: true,
+                    transactionId: result.transactionId,
+                    idempotencyKey,
+                    creditsDeducted: creditsToDeduct,
+                    wordsAllocated: wordCount,
+                    previousBalance: result.previousBalance,
+                    newBalance: result.newBalance,
+                    timestamp: new Date(),
+                    toolType
+                };
             } catch (error) {
                 attempt++;
                 console.warn(`Transaction attempt ${attempt} failed for user ${userId}:`, error.message);
@@ -81,125 +93,149 @@ class AtomicCreditSystem {
     }
 
     /**
-     * Execute Firestore transaction for credit deduction
+     * Hold credits for work whose final size is not known yet
+     * The held credits leave the balance immediately (so they can't be spent
+     * twice) and are tracked as a reservation in the data store. Settle the
+     * hold with captureCredits() once the real amount is known, or
+     * releaseCredits() if the work fails. Holds left open past their expiry
+     * are released by releaseExpiredReservations().
+     * @param {string} userId - User ID
+     * @param {number} creditsToReserve - Credits for the estimated work
+     * @param {string} planType - User plan
+     * @param {string} toolType - Tool being charged
+     * @param {Object} options - { ttlMs } how long the hold may stay open (default 30 minutes)
+     * @returns {Promise<Object>} { success, reservationId, creditsReserved, previousBalance, newBalance, expiresAt }
      */
-    async executeFirestoreTransaction(userId, requiredCredits, requestedWordCount, planType, toolType) {
-        const userRef = this.db.collection('users').doc(userId);
-        const transactionId = this.generateTransactionId();
-        
-        return await this.db.runTransaction(async (transaction) => {
-            const userDoc = await transaction.get(userRef);
-            
-            if (!userDoc.exists) {
-                throw new Error('User not found');
-            }
-            
-            const userData = userDoc.data();
-            const currentCredits = userData.credits || 0;
-            
-            // Check sufficient credits
-            if (currentCredits < requiredCredits) {
-                throw new Error(`Insufficient credits. Required: ${requiredCredits}, Available: ${currentCredits}`);
-            }
-            
-            // Calculate new balance
-            const newCreditBalance = currentCredits - requiredCredits;
-            
-            // Update user credits
-            transaction.update(userRef, {
-                credits: newCreditBalance,
-                totalCreditsUsed: admin.firestore.FieldValue.increment(requiredCredits),
-                totalWordsGenerated: admin.firestore.FieldValue.increment(requestedWordCount),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-            
-            // Record transaction in usage tracking
-            const usageRef = this.db.collection('usageTracking').doc();
-            transaction.set(usageRef, {
-                userId,
-                transactionId,
-                toolType,
-                wordCount: requestedWordCount,
-                creditsUsed: requiredCredits,
-                planType,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                type: 'deduction'
-            });
-            
-            return {
-                success: true,
-                transactionId,
-                creditsDeducted: requiredCredits,
-                wordsAllocated: requestedWordCount,
-                previousBalance: currentCredits,
-                newBalance: newCreditBalance,
-                timestamp: new Date()
-            };
+    async reserveCredits(userId, creditsToReserve, planType, toolType = 'writing', options = {}) {
+        const expiresAt = new Date(Date.now() + (options.ttlMs || this.RESERVATION_TTL_MS));
+        const result = await getRepositories().credits.reserve(userId, creditsToReserve, { toolType, planType, expiresAt });
+
+        console.log(`Reserved ${creditsToReserve} credits for user ${userId} (${result.reservationId})`);
+
+        return {
+            success: true,
+            reservationId: result.reservationId,
+            transactionId: result.reservationId,
+            creditsReserved: creditsToReserve,
+            previousBalance: result.previousBalance,
+            newBalance: result.newBalance,
+            expiresAt: result.expiresAt
+        };
+    }
+
+    /**
+     * Charge the actual amount of a hold and return the rest to the balance
+     * The charge is capped at the reserved amount.
+     * @param {string} userId - User ID
+     * @param {string} reservationId - ID from reserveCredits()
+     * @param {number} actualCredits - Credits for the work actually done
+     * @param {Object} options - { wordCount } words actually produced, for usage records
+     * @returns {Promise<Object>} { success, transactionId, creditsCaptured, creditsReleased, newBalance }
+     */
+    async captureCredits(userId, reservationId, actualCredits, options = {}) {
+        const result = await getRepositories().credits.capture(userId, reservationId, actualCredits, {
+            wordCount: options.wordCount || 0
         });
+
+        idempotencyStore.recordCharge(result.creditsCaptured);
+        console.log(`Captured ${result.creditsCaptured} of ${result.creditsReserved} reserved credits for user ${userId} (${reservationId})`);
+
+        return {
+            success: true,
+            transactionId: result.transactionId,
+            reservationId,
+            creditsCaptured: result.creditsCaptured,
+            creditsReleased: result.creditsReleased,
+            newBalance: result.newBalance
+        };
+    }
+
+    /**
+     * Return a held reservation to the balance without charging
+     * Releasing a hold that is already settled is a no-op.
+     * @param {string} userId - User ID
+     * @param {string} reservationId - ID from reserveCredits()
+     * @param {string} reason - Why the hold was released
+     * @returns {Promise<Object>} { success, creditsReleased, newBalance, alreadySettled }
+     */
+    async releaseCredits(userId, reservationId, reason = 'released') {
+        const result = await getRepositories().credits.release(userId, reservationId, reason);
+
+        if (!result.alreadySettled) {
+            console.log(`Released ${result.creditsReleased} reserved credits for user ${userId} (${reservationId}): ${reason}`);
+        }
+
+        return { success: true, ...result };
+    }
+
+    /**
+     * Release holds that were neither captured nor released before they expired
+     * (e.g. the process died mid-request)
+     * @param {number} limit - Maximum holds to release in one pass
+     * @returns {Promise<number>} Number of holds released
+     */
+    async releaseExpiredReservations(limit = 100) {
+        const expired = await getRepositories().credits.listExpiredReservations(limit);
+
+        let released = 0;
+        for (const { reservationId, userId } of expired) {
+            try {
+                const result = await this.releaseCredits(userId, reservationId, 'expired');
+                if (!result.alreadySettled) released++;
+            } catch (error) {
+                console.error(`Failed to release expired reservation ${reservationId}:`, error);
+            }
+        }
+
+        return released;
+    }
+
+    /**
+     * Credits for the part of a reservation that was actually produced
+     * @param {number} reservedCredits - Credits reserved for the requested words
+     * @param {number} requestedWords - Words the reservation was based on
+     * @param {number} actualWords - Words actually produced
+     * @returns {number} Credits to capture
+     */
+    calculateProratedCredits(reservedCredits, requestedWords, actualWords) {
+        if (!requestedWords || requestedWords <= 0) {
+            return reservedCredits;
+        }
+        return Math.ceil(reservedCredits * Math.min(Math.max(actualWords || 0, 0), requestedWords) / requestedWords);
     }
 
     /**
      * Rollback transaction in case of failure
      */
     async rollbackTransaction(userId, transactionId, creditsToRestore, wordsToDeduct) {
-        const userRef = this.db.collection('users').doc(userId);
-        
-        return await this.db.runTransaction(async (transaction) => {
-            const userDoc = await transaction.get(userRef);
-            
-            if (!userDoc.exists) {
-                throw new Error('User not found for rollback');
-            }
-            
-            const userData = userDoc.data();
-            const currentCredits = userData.credits || 0;
-            const restoredBalance = currentCredits + creditsToRestore;
-            
-            // Restore credits
-            transaction.update(userRef, {
-                credits: restoredBalance,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-            
-            // Record rollback transaction
-            const rollbackRef = this.db.collection('usageTracking').doc();
-            transaction.set(rollbackRef, {
-                userId,
-                originalTransactionId: transactionId,
-                wordCount: -wordsToDeduct,
-                creditsUsed: -creditsToRestore,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                type: 'rollback'
-            });
-            
-            return {
-                success: true,
-                creditsRestored: creditsToRestore,
-                wordsDeducted: wordsToDeduct,
-                newBalance: restoredBalance,
-                rollbackTimestamp: new Date()
-            };
-        });
+        const result = await getRepositories().credits.restore(userId, transactionId, creditsToRestore, wordsToDeduct);
+        idempotencyStore.recordCharge(-creditsToRestore);
+
+        return {
+            success: true,
+            creditsRestored: creditsToRestore,
+            wordsDeducted: wordsToDeduct,
+            newBalance: result.newBalance,
+            rollbackTimestamp: new Date()
+        };
     }
 
     /**
-     * Get user's current credit balance from Firestore
+     * Get user's current credit balance
      */
     async getCreditBalance(userId) {
         try {
-            const userDoc = await this.db.collection('users').doc(userId).get();
+            const balance = await getRepositories().credits.getBalance(userId);
             
-            if (!userDoc.exists) {
+            if (!balance) {
                 throw new Error('User not found');
             }
             
-            const userData = userDoc.data();
-            
             return {
-                currentBalance: userData.credits || 0,
-                lastCreditDeduction: userData.updatedAt || null,
-                totalCreditsUsed: userData.totalCreditsUsed || 0,
-                totalWordsGenerated: userData.totalWordsGenerated || 0
+                currentBalance: balance.credits,
+                lastCreditDeduction: balance.updatedAt,
+                totalCreditsUsed: balance.totalCreditsUsed,
+                totalWordsGenerated: balance.totalWordsGenerated
             };
         } catch (error) {
             console.error('Error getting credit balance:', error);
@@ -208,43 +244,29 @@ class AtomicCreditSystem {
     }
 
     /**
-     * Get transaction history for a user from Firestore
+     * Get transaction history for a user, newest first
      */
     async getTransactionHistory(userId, limit = 50) {
         try {
-            const snapshot = await this.db.collection('usageTracking')
-                .where('userId', '==', userId)
-                .orderBy('timestamp', 'desc')
-                .limit(limit)
-                .get();
+            const entries = await getRepositories().usage.listRecent(userId, { limit });
             
-            return snapshot.docs.map(doc => {
-                const data = doc.data();
-                return {
-                    id: doc.id,
-                    userId: data.userId,
-                    transactionId: data.transactionId,
-                    toolType: data.toolType,
-                    wordCount: data.wordCount,
-                    creditsUsed: data.creditsUsed,
-                    planType: data.planType,
-                    timestamp: data.timestamp,
-                    type: data.type
-                };
-            });
+            return entries.map(entry => ({
+                id: entry.id,
+                userId: entry.userId,
+                transactionId: entry.transactionId,
+                toolType: entry.toolType,
+                wordCount: entry.wordCount,
+                creditsUsed: entry.creditsUsed,
+                planType: entry.planType,
+                timestamp: entry.timestamp,
+                type: entry.type
+            }));
         } catch (error) {
             console.error('Error getting transaction history:', error);
             throw new Error('Failed to get transaction history');
         }
     }
 
-    /**
-     * Generate unique transaction ID
-     */
-    generateTransactionId() {
-        return `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
-
     /**
      * Delay function for retry logic
      */
@@ -256,49 +278,18 @@ class AtomicCreditSystem {
      * Refund credits to user account
      */
     async refundCreditsAtomic(userId, creditsToRefund, planType, reason = 'refund') {
-        const userRef = this.db.collection('users').doc(userId);
-        const refundTransactionId = this.generateTransactionId();
+        const result = await getRepositories().credits.refund(userId, creditsToRefund, { planType, reason });
+        idempotencyStore.recordCharge(-creditsToRefund);
         
-        return await this.db.runTransaction(async (transaction) => {
-            const userDoc = await transaction.get(userRef);
-            
-            if (!userDoc.exists) {
-                throw new Error('User not found');
-            }
-            
-            const userData = userDoc.data();
-            const currentCredits = userData.credits || 0;
-            const newCreditBalance = currentCredits + creditsToRefund;
-            
-            // Update user credits
-            transaction.update(userRef, {
-                credits: newCreditBalance,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-            
-            // Record refund transaction
-            const refundRef = this.db.collection('usageTracking').doc();
-            transaction.set(refundRef, {
-                userId,
-                transactionId: refundTransactionId,
-                toolType: reason,
-                wordCount: 0,
-                creditsUsed: -creditsToRefund,
-                planType,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                type: 'refund'
-            });
-            
-            return {
-                success: true,
-                transactionId: refundTransactionId,
-                creditsRefunded: creditsToRefund,
-                previousBalance: currentCredits,
-                newBalance: newCreditBalance,
-                timestamp: new Date()
-            };
-        });
+        return {
+            success: true,
+            transactionId: result.transactionId,
+            creditsRefunded: creditsToRefund,
+            previousBalance: result.previousBalance,
+            newBalance: result.newBalance,
+            timestamp: new Date()
+        };
     }
 }
 
-module.exports = AtomicCreditSystem;
\ No newline at end of file
+module.exports = AtomicCreditSystem;
@@ -0,0 +1,346 @@
+const OriginalityDetection = require('./originalityDetection');
+const AtomicCreditSystem = require('./atomicCreditSystem');
+const localPlagiarismDetector = require('./localPlagiarismDetector');
+const originalityReport = require('./originalityReport');
+const { getRepositories, generateId } = require('../repositories');
+
+const SUMMARY_COLUMNS = [
+  'documentId',
+  'filename',
+  'wordCount',
+  'aiScore',
+  'plagiarismScore',
+  'severity',
+  'flaggedSpans',
+  'mostSimilarTo',
+  'maxSimilarity',
+  'provider'
+];
+
+/**
+ * Batch detection for classroom-sized document sets
+ * Runs OriginalityDetection over every document in chunks, builds a span-level
+ * report per document, compares the submissions with each other and keeps a
+ * CSV/JSON summary. Batches are stored through repositories.detectorBatches,
+ * with one document entry per report.
+ */
+class BatchDetectionService {
+  constructor() {
+    this.originalityDetection = new OriginalityDetection();
+    this.atomicCredit = new AtomicCreditSystem();
+
+    this.chunkWords = 1000;          // Same size /analyze accepts in one request
+    this.maxDocumentWords = 20000;
+    this.maxTotalWords = 100000;
+    this.similarityThreshold = 20;   // % similarity or containment worth listing
+  }
+
+  /**
+   * Count words the same way the detector routes do
+   */
+  calculateWordCount(text) {
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  /**
+   * Credits for a batch: detector detection pricing over all documents' words
+   */
+  calculateCredits(totalWords) {
+    return this.atomicCredit.calculateRequiredCredits(totalWords, 'detector', 'detection');
+  }
+
+  /**
+   * Check batch limits before charging
+   * @param {Array} documents - [{ filename, content }]
+   * @returns {Object} { valid, errors, totalWords }
+   */
+  validateDocuments(documents) {
+    const errors = [];
+    let totalWords = 0;
+
+    if (documents.length < 1) {
+      errors.push('No readable documents in the upload');
+    }
+
+    documents.forEach(document => {
+      const words = this.calculateWordCount(document.content);
+      totalWords += words;
+      if (words > this.maxDocumentWords) {
+        errors.push(`${document.filename} exceeds ${this.maxDocumentWords} words`);
+      }
+    });
+
+    if (totalWords > this.maxTotalWords) {
+      errors.push(`Batch exceeds ${this.maxTotalWords} words in total (${totalWords})`);
+    }
+
+    return { valid: errors.length === 0, errors, totalWords };
+  }
+
+  /**
+   * Charge, analyze every document, compare them and store the batch
+   * Credits are refunded if the batch fails before it is stored.
+   * @param {string} userId - User ID
+   * @param {string} planType - User plan
+   * @param {Array} documents - [{ filename, content }] from FileProcessingService
+   * @param {Object} options - { skipped, onProgress(percent, message), onCharge(charge) }
+   * @returns {Promise<Object>} { batchId, creditsUsed, newBalance, summary, similarity, documents }
+   */
+  async runBatch(userId, planType, documents, options = {}) {
+    const { skipped = [], onProgress = null, onCharge = null } = options;
+    const { totalWords } = this.validateDocuments(documents);
+    const creditsNeeded = this.calculateCredits(totalWords);
+
+    const creditResult = await this.atomicCredit.deductCreditsAtomic(userId, creditsNeeded, planType, 'detector');
+
+    try {
+      if (onCharge) {
+        await onCharge({ transactionId: creditResult.transactionId, credits: creditsNeeded, words: 0 });
+      }
+
+      const batchId = generateId('batch');
+      const prepared = documents.map((document, index) => ({
+        id: `doc-${index + 1}`,
+        filename: document.filename,
+        text: document.content
+      }));
+
+      const results = [];
+      for (let i = 0; i < prepared.length; i++) {
+        if (onProgress) {
+          await onProgress(Math.round((i / prepared.length) * 90), `Analyzing ${prepared[i].filename} (${i + 1}/${prepared.length})`);
+        }
+        results.push(await this.analyzeDocument(userId, prepared[i], batchId));
+      }
+
+      if (onProgress) {
+        await onProgress(92, 'Comparing submissions');
+      }
+      const similarity = this.compareSubmissions(prepared);
+      const summary = this.buildSummary(results, similarity);
+
+      await this.storeBatch(batchId, {
+        userId,
+        documentCount: results.length,
+        totalWords,
+        creditsUsed: creditsNeeded,
+        summary,
+        similarity,
+        skipped
+      }, results);
+
+      return {
+        batchId,
+        totalWords,
+        creditsUsed: creditsNeeded,
+        newBalance: creditResult.newBalance,
+        summary,
+        similarity,
+        skipped,
+        documents: results.map(result => ({
+          documentId: result.documentId,
+          filename: result.filename,
+          report: result.report
+        }))
+      };
+
+    } catch (error) {
+      await this.atomicCredit.rollbackTransaction(userId, creditResult.transactionId, creditsNeeded, 0);
+      throw error;
+    }
+  }
+
+  /**
+   * Detect one document chunk by chunk and merge the results into one report
+   */
+  async analyzeDocument(userId, document, batchId) {
+    const chunks = this.chunkText(document.text);
+    const chunkResults = await this.originalityDetection.batchDetectChunks(
+      chunks.map(chunk => chunk.text),
+      { userId }
+    );
+    const detection = this.mergeChunkResults(chunks, chunkResults);
+    const report = originalityReport.buildReport(document.text, detection, {
+      title: document.filename,
+      analysisId: `${batchId}/${document.id}`,
+      provider: detection.provider
+    });
+
+    return {
+      documentId: document.id,
+      filename: document.filename,
+      wordCount: this.calculateWordCount(document.text),
+      aiScore: detection.aiScore,
+      plagiarismScore: detection.plagiarismScore,
+      severity: detection.severity,
+      provider: detection.provider,
+      report
+    };
+  }
+
+  /**
+   * Split text into chunks of up to chunkWords words, keeping each chunk's offset
+   * @returns {Array<Object>} [{ text, offset, wordCount }]
+   */
+  chunkText(text) {
+    const chunks = [];
+    const pattern = /\S+/g;
+    let match;
+    let start = null;
+    let end = 0;
+    let words = 0;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (start === null) start = match.index;
+      end = match.index + match[0].length;
+      words++;
+
+      if (words === this.chunkWords) {
+        chunks.push({ text: text.slice(start, end), offset: start, wordCount: words });
+        start = null;
+        words = 0;
+      }
+    }
+
+    if (words > 0) {
+      chunks.push({ text: text.slice(start, end), offset: start, wordCount: words });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Word-weighted scores and document-relative span offsets across chunks
+   */
+  mergeChunkResults(chunks, chunkResults) {
+    const severityOrder = { low: 1, medium: 2, high: 3 };
+    const shift = (sections, offset) => (sections || []).map(section => ({
+      ...section,
+      startIndex: Number.isInteger(section.startIndex) ? section.startIndex + offset : section.startIndex,
+      endIndex: Number.isInteger(section.endIndex) ? section.endIndex + offset : section.endIndex
+    }));
+
+    const totalWords = chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0) || 1;
+    const merged = {
+      aiScore: 0,
+      plagiarismScore: 0,
+      severity: 'low',
+      provider: null,
+      aiDetection: { flaggedSections: [] },
+      plagiarismDetection: { flaggedSections: [] }
+    };
+    const providers = new Set();
+
+    chunkResults.forEach((result, index) => {
+      const chunk = chunks[index];
+      const weight = chunk.wordCount / totalWords;
+
+      merged.aiScore += (result.aiScore || 0) * weight;
+      merged.plagiarismScore += (result.plagiarismScore || 0) * weight;
+      if (severityOrder[result.severity] > severityOrder[merged.severity]) {
+        merged.severity = result.severity;
+      }
+      providers.add(result.provider || 'originality.ai');
+
+      merged.aiDetection.flaggedSections.push(...shift(result.aiDetection?.flaggedSections, chunk.offset));
+      merged.plagiarismDetection.flaggedSections.push(...shift(result.plagiarismDetection?.flaggedSections, chunk.offset));
+    });
+
+    merged.aiScore = Math.round(merged.aiScore);
+    merged.plagiarismScore = Math.round(merged.plagiarismScore);
+    merged.provider = providers.size === 1 ? [...providers][0] : 'mixed';
+
+    return merged;
+  }
+
+  /**
+   * Pairs of submissions whose similarity or containment reaches the threshold
+   */
+  compareSubmissions(documents) {
+    return localPlagiarismDetector.compareDocuments(documents.map(document => ({
+      id: document.id,
+      title: document.filename,
+      text: document.text
+    })))
+      .filter(pair => Math.max(pair.similarity, pair.containmentA, pair.containmentB) >= this.similarityThreshold)
+      .sort((a, b) => Math.max(b.containmentA, b.containmentB) - Math.max(a.containmentA, a.containmentB));
+  }
+
+  /**
+   * One summary row per document (see SUMMARY_COLUMNS)
+   */
+  buildSummary(results, similarity) {
+    return results.map(result => {
+      let mostSimilar = null;
+
+      similarity.forEach(pair => {
+        const isA = pair.a.id === result.documentId;
+        if (!isA && pair.b.id !== result.documentId) return;
+
+        // How much of this document appears in the other one
+        const score = isA ? pair.containmentA : pair.containmentB;
+        if (!mostSimilar || score > mostSimilar.score) {
+          mostSimilar = { title: isA ? pair.b.title : pair.a.title, score };
+        }
+      });
+
+      return {
+        documentId: result.documentId,
+        filename: result.filename,
+        wordCount: result.wordCount,
+        aiScore: result.aiScore,
+        plagiarismScore: result.plagiarismScore,
+        severity: result.severity,
+        flaggedSpans: result.report.summary.totalSpans,
+        mostSimilarTo: mostSimilar ? mostSimilar.title : null,
+        maxSimilarity: mostSimilar ? mostSimilar.score : 0,
+        provider: result.provider
+      };
+    });
+  }
+
+  /**
+   * Summary rows as CSV
+   */
+  toCSV(summary) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [SUMMARY_COLUMNS.join(',')];
+    summary.forEach(row => {
+      lines.push(SUMMARY_COLUMNS.map(column => escape(row[column])).join(','));
+    });
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Store the batch summary and one document per report
+   */
+  async storeBatch(batchId, batch, results) {
+    await getRepositories().detectorBatches.create(batchId, batch, results);
+  }
+
+  /**
+   * Get a stored batch owned by the user
+   * @returns {Object|null} Batch summary, or null when missing or owned by someone else
+   */
+  async getBatch(userId, batchId) {
+    const batch = await getRepositories().detectorBatches.get(batchId);
+    return batch && batch.userId === userId ? batch : null;
+  }
+
+  /**
+   * Get one document's report from a stored batch
+   * @returns {Object|null} Report, or null when missing or owned by someone else
+   */
+  async getBatchDocumentReport(userId, batchId, documentId) {
+    const document = await getRepositories().detectorBatches.getDocument(batchId, documentId);
+    return document && document.userId === userId ? document.report : null;
+  }
+}
+
+module.exports = { BatchDetectionService, SUMMARY_COLUMNS };
@@ -1,9 +1,7 @@
-const admin = require('firebase-admin');
 const SourceValidator = require('./sourceValidator');
 
 class CitationGenerator {
   constructor() {
-    this.db = admin.firestore();
     this.sourceValidator = new SourceValidator();
     
     // Citation style templates
@@ -335,6 +333,7 @@ class CitationGenerator {
       '{url}': metadata.url || '',
       '{doi}': metadata.doi ? `https://doi.org/${metadata.doi}` : '',
       '{website}': metadata.website || this.extractWebsiteName(metadata.url),
+      '{date}': metadata.date || metadata.year || '',
       '{accessDate}': metadata.accessDate || new Date().toLocaleDateString(),
       '{agency}': metadata.agency || metadata.author || 'Unknown Agency'
     };
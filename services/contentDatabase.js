@@ -141,6 +141,40 @@ class ContentDatabase {
         }
     }
 
+    /**
+     * Get a stored content document
+     * @param {string} contentId - Content document ID
+     * @returns {Promise<Object|null>} Content document or null if missing
+     */
+    async getContent(contentId) {
+        try {
+            const contentDoc = await this.db.collection(this.CONTENT_COLLECTION).doc(contentId).get();
+            
+            if (!contentDoc.exists) {
+                return null;
+            }
+            
+            return { id: contentDoc.id, ...contentDoc.data() };
+        } catch (error) {
+            console.error('Error getting content:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Most recently stored content documents, newest first
+     * @param {number} limit - Maximum documents
+     * @returns {Promise<Array>} Content documents with their IDs
+     */
+    async listRecentContent(limit) {
+        const snapshot = await this.db.collection(this.CONTENT_COLLECTION)
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get();
+
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
     /**
      * Get content sections for polishing and refinement
      * @param {string} contentId - Content document ID
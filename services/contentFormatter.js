@@ -1,15 +1,37 @@
 const fs = require('fs').promises;
 const path = require('path');
+const JSZip = require('jszip');
+const paperTemplates = require('./paperTemplates');
+
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    html: 'text/html; charset=utf-8',
+    md: 'text/markdown; charset=utf-8',
+    txt: 'text/plain; charset=utf-8'
+};
+
+// Page sizes in twentieths of a point (DOCX) and the matching Puppeteer format
+const PAGE_SIZES = {
+    a4: { width: 11906, height: 16838, pdfFormat: 'A4' },
+    letter: { width: 12240, height: 15840, pdfFormat: 'Letter' }
+};
+
+const BIBLIOGRAPHY_HEADINGS = /^(references|reference list|works cited|bibliography|sources)$/i;
+
+// Parenthetical author-date citations: (Smith, 2020), (Smith & Lee, 2019, p. 4; Jones, n.d.)
+const PARENTHETICAL_CITATION = /\s*\(([^()]*\b(?:\d{4}[a-z]?|n\.d\.)[^()]*)\)(\s*[.,;:])?/g;
+const CITATION_PART = /^([A-Z][^,;]*?),?\s+(\d{4}[a-z]?|n\.d\.)(?:,\s*(.+))?$/;
 
 /**
  * ContentFormatter class handles content formatting and export capabilities
- * Supports PDF, DOCX, and TXT formats
+ * Supports PDF, DOCX, HTML, Markdown and TXT formats; layout comes from a paper template
  */
 class ContentFormatter {
     constructor() {
-        this.supportedFormats = ['pdf', 'docx', 'txt', 'html'];
+        this.supportedFormats = ['pdf', 'docx', 'txt', 'html', 'md'];
         this.exportDirectory = path.join(__dirname, '..', 'exports');
-        this.ensureExportDirectory();
+        this.pdfGenerator = null;
     }
 
     /**
@@ -25,260 +47,949 @@ class ContentFormatter {
 
     /**
      * Format content for export
-     * @param {string} content - The content to format
-     * @param {string} format - Export format (pdf, docx, txt, html)
-     * @param {Object} options - Formatting options
+     * @param {string|Object} content - Plain content, or a document { title, content, author, institution,
+     *                                  course, instructor, date, citationStyle, bibliography }
+     * @param {string} format - Export format (pdf, docx, txt, html, md)
+     * @param {Object} options - Formatting options; document fields given here override the document's.
+     *                           options.template is a resolved template or a built-in template ID
      * @returns {Object} Formatted content information
      */
     async formatContent(content, format, options = {}) {
-        if (!this.supportedFormats.includes(format.toLowerCase())) {
+        const normalizedFormat = format.toLowerCase() === 'markdown' ? 'md' : format.toLowerCase();
+
+        if (!this.supportedFormats.includes(normalizedFormat)) {
             throw new Error(`Unsupported format: ${format}. Supported formats: ${this.supportedFormats.join(', ')}`);
         }
 
-        const formatMethod = `format${format.toUpperCase()}`;
+        const formatMethod = `format${normalizedFormat.toUpperCase()}`;
         if (typeof this[formatMethod] !== 'function') {
             throw new Error(`Format method not implemented: ${formatMethod}`);
         }
 
+        const document = this.normalizeDocument(content, options);
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = options.filename || `content_${timestamp}.${format}`;
+        const filename = options.filename || `${this.slugify(document.title) || 'content'}_${timestamp}.${normalizedFormat}`;
         const filepath = path.join(this.exportDirectory, filename);
 
-        const formattedContent = await this[formatMethod](content, options);
-        
+        const formattedContent = await this[formatMethod](document, options);
+
         return {
             content: formattedContent,
             filename,
             filepath,
-            format,
-            size: Buffer.byteLength(formattedContent, 'utf8'),
+            format: normalizedFormat,
+            mimeType: MIME_TYPES[normalizedFormat],
+            template: document.template.id,
+            size: Buffer.isBuffer(formattedContent) ? formattedContent.length : Buffer.byteLength(formattedContent, 'utf8'),
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Pick the template for an export: an explicit one, or the default for the citation style
+     * @param {Object|string} template - Resolved template or built-in template ID
+     * @param {string} citationStyle - Document citation style
+     * @returns {Object} Resolved template
+     */
+    resolveTemplate(template, citationStyle) {
+        if (template && typeof template === 'object') {
+            return template;
+        }
+        if (typeof template === 'string') {
+            const builtIn = paperTemplates.getBuiltInTemplate(template);
+            if (!builtIn) {
+                throw new Error(`Unknown template: ${template}`);
+            }
+            return builtIn;
+        }
+        return paperTemplates.getTemplateForCitationStyle(citationStyle);
+    }
+
+    /**
+     * Build the export document model from raw content and options
+     * @param {string|Object} input - Plain content or document fields
+     * @param {Object} options - Overrides and layout options (template, titlePage, includeBibliography,
+     *                           pageSize, fontFamily, fontSize)
+     * @returns {Object} Normalized document with parsed blocks
+     */
+    normalizeDocument(input, options = {}) {
+        const source = typeof input === 'string' ? { content: input } : { ...input };
+        const pick = (field) => options[field] !== undefined ? options[field] : source[field];
+
+        const template = this.resolveTemplate(options.template, pick('citationStyle'));
+        const title = (pick('title') || 'Generated Content').trim();
+        const author = pick('author') || '';
+
+        const entries = [
+            ...new Set([...(source.bibliography || []), ...(options.bibliography || [])]
+                .filter(entry => typeof entry === 'string' && entry.trim().length > 0)
+                .map(entry => entry.trim()))
+        ];
+        if (template.references.sort === 'alphabetical') {
+            entries.sort((a, b) => a.localeCompare(b));
+        }
+
+        let blocks = this.parseBlocks(source.content || '');
+
+        // Drop a leading heading that repeats the title
+        if (blocks[0]?.type === 'heading' && blocks[0].text.toLowerCase() === title.toLowerCase()) {
+            blocks = blocks.slice(1);
+        }
+
+        // Top-level content headings sit directly under the document title; deeper
+        // levels than the template defines use its lowest level
+        const headingLevels = blocks.filter(block => block.type === 'heading').map(block => block.level);
+        if (headingLevels.length > 0) {
+            const shift = Math.min(...headingLevels) - 1;
+            blocks = blocks.map(block => block.type === 'heading'
+                ? { ...block, level: Math.min(block.level - shift, template.headings.length) }
+                : block);
+        }
+
+        // A bibliography section already in the text would be duplicated by the formatted one
+        const existingBibliography = blocks.findIndex(block => block.type === 'heading' && BIBLIOGRAPHY_HEADINGS.test(block.text));
+        if (entries.length > 0 && existingBibliography !== -1) {
+            blocks = blocks.slice(0, existingBibliography);
+        }
+
+        let notes = [];
+        if (template.citations.mode === 'footnotes') {
+            ({ blocks, notes } = this.convertCitationsToNotes(blocks, entries));
+        }
+
+        // Run-in headings start the paragraph that follows them
+        blocks = blocks.reduce((result, block) => {
+            const previous = result[result.length - 1];
+            if (block.type === 'paragraph' && previous?.type === 'heading' && template.headings[previous.level - 1].inline) {
+                result[result.length - 1] = {
+                    ...block,
+                    runIn: { level: previous.level, text: `${previous.text.replace(/[.:]\s*$/, '')}.` }
+                };
+            } else {
+                result.push(block);
+            }
+            return result;
+        }, []);
+
+        const page = { ...template.page };
+        if (options.pageSize && PAGE_SIZES[String(options.pageSize).toLowerCase()]) {
+            page.size = String(options.pageSize).toLowerCase();
+        }
+        if (options.fontFamily) page.fontFamily = options.fontFamily;
+        if (options.fontSize) page.fontSize = parseFloat(options.fontSize) || page.fontSize;
+
+        let titlePage = template.titlePage.type;
+        if (options.titlePage === false && titlePage === 'page') titlePage = 'none';
+        if (options.titlePage === true && titlePage === 'none') titlePage = 'page';
+
+        return {
+            title,
+            author,
+            institution: pick('institution') || '',
+            course: pick('course') || '',
+            instructor: pick('instructor') || '',
+            date: pick('date') || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+            citationStyle: template.citationStyle || pick('citationStyle') || null,
+            template,
+            page,
+            titlePage,
+            runningHead: this.resolveRunningHead(template, title, author),
+            blocks,
+            notes,
+            bibliography: options.includeBibliography === false ? [] : entries,
+            wordCount: this.countWords(source.content || '')
+        };
+    }
+
+    /**
+     * Fill in the template's running head placeholders
+     * @returns {string} Running head text, empty for none
+     */
+    resolveRunningHead(template, title, author) {
+        const shortTitle = title.split(':')[0].trim().substring(0, 50);
+        const surname = author ? author.trim().split(/\s+/).pop() : '';
+        const text = template.runningHead.text
+            .replace(/\{shortTitle\}/g, shortTitle)
+            .replace(/\{title\}/g, title)
+            .replace(/\{surname\}/g, surname)
+            .trim();
+        return template.runningHead.uppercase ? text.toUpperCase() : text;
+    }
+
+    /**
+     * Replace parenthetical citations with numbered note markers ([^1])
+     * The first note for a source uses its bibliography entry; later notes use a short form
+     * @param {Array<Object>} blocks - Parsed blocks
+     * @param {Array<string>} bibliography - Formatted bibliography entries
+     * @returns {Object} { blocks, notes }
+     */
+    convertCitationsToNotes(blocks, bibliography) {
+        const notes = [];
+        const cited = new Set();
+
+        const findEntry = (lead, year) => {
+            const candidates = bibliography.filter(entry => entry.toLowerCase().startsWith(lead.toLowerCase()));
+            return candidates.find(entry => entry.includes(year)) || candidates[0] || null;
+        };
+
+        const toNote = (inner) => {
+            const parts = inner.split(';').map(part => part.trim().match(CITATION_PART));
+            if (parts.some(part => !part)) {
+                return null;
+            }
+
+            const note = parts.map(([, author, year, citedLocator]) => {
+                // Notes give bare page numbers: "Smith, 45" rather than "Smith, p. 45"
+                const locator = citedLocator && citedLocator.replace(/^pp?\.\s*/, '');
+                const lead = author.split(/\s+(?:and|&)\s+|\s+et al\.?/)[0].trim();
+                const entry = findEntry(lead, year);
+                const key = entry || `${author} ${year}`;
+                const firstCitation = !cited.has(key);
+                cited.add(key);
+
+                if (entry && firstCitation) {
+                    return `${entry.replace(/\.\s*$/, '')}${locator ? `, ${locator}` : ''}`;
+                }
+                return `${author}, ${locator || year}`;
+            }).join('; ');
+
+            return note.endsWith('.') ? note : `${note}.`;
+        };
+
+        const convert = (text) => text.replace(PARENTHETICAL_CITATION, (match, inner, punctuation = '') => {
+            const note = toNote(inner);
+            if (!note) {
+                return match;
+            }
+            notes.push(note);
+            return `${punctuation.trim()}[^${notes.length}]`;
+        });
+
+        return {
+            blocks: blocks.map(block => {
+                if (block.type === 'paragraph') return { ...block, text: convert(block.text) };
+                if (block.type === 'list') return { ...block, items: block.items.map(convert) };
+                return block;
+            }),
+            notes
+        };
+    }
+
+    /**
+     * Split content into headings, paragraphs and lists
+     * Understands Markdown headings and lists, and bold-only lines used as headings
+     * @param {string} content - Content text
+     * @returns {Array<Object>} Blocks
+     */
+    parseBlocks(content) {
+        const listItem = /^([-*•]|\d+[.)])\s+/;
+
+        return content.replace(/\r\n/g, '\n')
+            .split(/\n\s*\n/)
+            .map(chunk => chunk.trim())
+            .filter(chunk => chunk.length > 0)
+            .flatMap(chunk => {
+                const lines = chunk.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+                const heading = lines[0].match(/^(#{1,6})\s+(.+?)\s*#*$/);
+
+                if (heading) {
+                    const blocks = [{ type: 'heading', level: Math.min(heading[1].length, 5), text: heading[2] }];
+                    if (lines.length > 1) {
+                        blocks.push(...this.parseBlocks(lines.slice(1).join('\n')));
+                    }
+                    return blocks;
+                }
+
+                if (lines.length === 1 && /^\*\*[^*]+\*\*:?$/.test(lines[0])) {
+                    return [{ type: 'heading', level: 2, text: lines[0].replace(/^\*\*|\*\*:?$/g, '') }];
+                }
+
+                if (lines.every(line => listItem.test(line))) {
+                    return [{
+                        type: 'list',
+                        ordered: /^\d/.test(lines[0]),
+                        items: lines.map(line => line.replace(listItem, ''))
+                    }];
+                }
+
+                return [{ type: 'paragraph', text: lines.join(' ') }];
+            });
+    }
+
+    /**
+     * Split text into runs by Markdown emphasis (**bold**, *italic*, _italic_) and note markers ([^1])
+     * @param {string} text - Inline text
+     * @returns {Array<Object>} Runs of { text, bold, italic } or { note } for a note reference
+     */
+    parseInline(text) {
+        return text.split(/(\[\^\d+\]|\*\*[^*]+\*\*|\*[^*\s][^*]*\*|_[^_\s][^_]*_)/)
+            .filter(part => part.length > 0)
+            .map(part => {
+                if (/^\[\^\d+\]$/.test(part)) return { text: '', note: parseInt(part.slice(2, -1)), bold: false, italic: false };
+                if (/^\*\*[^*]+\*\*$/.test(part)) return { text: part.slice(2, -2), bold: true, italic: false };
+                if (/^(\*[^*]+\*|_[^_]+_)$/.test(part)) return { text: part.slice(1, -1), bold: false, italic: true };
+                return { text: part, bold: false, italic: false };
+            });
+    }
+
+    /**
+     * Lines for the title page or header block, in template order
+     * @param {Object} document - Normalized document
+     * @returns {Array<string>} Non-empty lines
+     */
+    getTitleDetails(document) {
+        return document.template.titlePage.fields.map(field => document[field]).filter(Boolean);
+    }
+
+    /**
+     * Running head and page number positions for the header or footer
+     * @param {Object} document - Normalized document
+     * @param {string} part - 'header' or 'footer'
+     * @returns {Object|null} { left, center, right } lists of { text } or { page: true }, null when empty
+     */
+    getPageSlots(document, part) {
+        const { runningHead, pageNumbers } = document.template;
+        const slots = { left: [], center: [], right: [] };
+
+        if (part === 'header' && document.runningHead) {
+            slots[runningHead.align].push({ text: document.runningHead });
+        }
+        if (pageNumbers.position === part) {
+            slots[pageNumbers.align].push({ page: true });
+        }
+
+        return Object.values(slots).some(items => items.length > 0) ? slots : null;
+    }
+
     /**
      * Format content as plain text
-     * @param {string} content - Content to format
+     * @param {Object} document - Normalized document
      * @param {Object} options - Formatting options
      * @returns {string} Formatted text content
      */
-    async formatTXT(content, options = {}) {
+    async formatTXT(document, options = {}) {
         const {
             lineWidth = 80,
             includeHeader = true,
-            includeFooter = true,
-            title = 'Generated Content'
+            includeFooter = true
         } = options;
 
+        const center = (text) => text.padStart(Math.floor((lineWidth + text.length) / 2));
+        const plain = (text) => this.parseInline(text).map(run => run.note ? `[${run.note}]` : run.text).join('');
+        const section = (heading, body) => `\n\n${heading}\n${'-'.repeat(heading.length)}\n${body}`;
         let formattedContent = '';
 
         // Add header
         if (includeHeader) {
             const headerLine = '='.repeat(lineWidth);
             formattedContent += `${headerLine}\n`;
-            formattedContent += `${title.toUpperCase().padStart((lineWidth + title.length) / 2)}\n`;
-            formattedContent += `Generated on: ${new Date().toLocaleString()}\n`;
+            formattedContent += `${center(document.title.toUpperCase())}\n`;
+            this.getTitleDetails(document).forEach(line => {
+                formattedContent += `${center(line)}\n`;
+            });
             formattedContent += `${headerLine}\n\n`;
         }
 
         // Add content with word wrapping
-        const wrappedContent = this.wrapText(content, lineWidth);
-        formattedContent += wrappedContent;
+        const sections = document.blocks.map(block => {
+            if (block.type === 'heading') {
+                const text = plain(block.text);
+                return `${text}\n${(block.level === 1 ? '=' : '-').repeat(Math.min(text.length, lineWidth))}`;
+            }
+            if (block.type === 'list') {
+                return block.items
+                    .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${this.wrapText(plain(item), lineWidth - 3).replace(/\n/g, '\n   ')}`)
+                    .join('\n');
+            }
+            return this.wrapText(plain(block.runIn ? `${block.runIn.text} ${block.text}` : block.text), lineWidth);
+        });
+        formattedContent += sections.join('\n\n');
+
+        if (document.notes.length > 0) {
+            formattedContent += section('Notes', document.notes
+                .map((note, index) => this.wrapText(`${index + 1}. ${plain(note)}`, lineWidth - 4).replace(/\n/g, '\n    '))
+                .join('\n'));
+        }
+
+        if (document.bibliography.length > 0) {
+            formattedContent += section(document.template.references.heading, document.bibliography
+                .map(entry => this.wrapText(plain(entry), lineWidth - 4).replace(/\n/g, '\n    '))
+                .join('\n\n'));
+        }
 
         // Add footer
         if (includeFooter) {
             const footerLine = '-'.repeat(lineWidth);
             formattedContent += `\n\n${footerLine}\n`;
-            formattedContent += `Word Count: ${this.countWords(content)}\n`;
-            formattedContent += `Character Count: ${content.length}\n`;
+            formattedContent += `Word Count: ${document.wordCount}\n`;
             formattedContent += `Generated by AssignSavvy AI Writer\n`;
         }
 
         return formattedContent;
     }
 
+    /**
+     * Format content as Markdown
+     * @param {Object} document - Normalized document
+     * @param {Object} options - Formatting options
+     * @returns {string} Markdown content
+     */
+    async formatMD(document, options = {}) {
+        const parts = [];
+        const details = this.getTitleDetails(document);
+
+        if (document.titlePage === 'header-block' && details.length > 0) {
+            parts.push(details.join('  \n'));
+            parts.push(`# ${document.title}`);
+        } else {
+            parts.push(`# ${document.title}`);
+            if (details.length > 0) parts.push(details.join('  \n'));
+            if (document.titlePage === 'page') parts.push('---');
+        }
+
+        document.blocks.forEach(block => {
+            if (block.type === 'heading') {
+                parts.push(`${'#'.repeat(Math.min(block.level + 1, 6))} ${block.text}`);
+            } else if (block.type === 'list') {
+                parts.push(block.items.map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item}`).join('\n'));
+            } else if (block.runIn) {
+                const format = document.template.headings[block.runIn.level - 1];
+                const marker = `${format.bold ? '**' : ''}${format.italic ? '*' : ''}`;
+                const closing = marker.split('').reverse().join('');
+                parts.push(`${marker}${block.runIn.text}${closing} ${block.text}`);
+            } else {
+                parts.push(block.text);
+            }
+        });
+
+        if (document.bibliography.length > 0) {
+            parts.push(`## ${document.template.references.heading}`);
+            parts.push(...document.bibliography);
+        }
+
+        if (document.notes.length > 0) {
+            parts.push(document.notes.map((note, index) => `[^${index + 1}]: ${note}`).join('\n'));
+        }
+
+        return `${parts.join('\n\n')}\n`;
+    }
+
     /**
      * Format content as HTML
-     * @param {string} content - Content to format
+     * @param {Object} document - Normalized document
      * @param {Object} options - Formatting options
      * @returns {string} Formatted HTML content
      */
-    async formatHTML(content, options = {}) {
+    async formatHTML(document, options = {}) {
         const {
-            title = 'Generated Content',
             includeCSS = true,
-            theme = 'default'
+            theme = document.citationStyle ? 'academic' : 'default'
         } = options;
 
-        const css = includeCSS ? this.getHTMLCSS(theme) : '';
-        const paragraphs = content.split('\n\n').map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('\n');
+        const css = includeCSS ? `${this.getHTMLCSS(theme)}${this.getDocumentCSS(document, false)}` : '';
 
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
+    <title>${this.escapeHTML(document.title)}</title>
     ${css ? `<style>${css}</style>` : ''}
 </head>
 <body>
     <div class="container">
-        <header>
-            <h1>${title}</h1>
-            <p class="meta">Generated on ${new Date().toLocaleString()}</p>
-        </header>
-        <main>
-            ${paragraphs}
-        </main>
-        <footer>
-            <p>Word Count: ${this.countWords(content)} | Character Count: ${content.length}</p>
-            <p>Generated by AssignSavvy AI Writer</p>
-        </footer>
+${this.renderHTMLBody(document)}
     </div>
 </body>
 </html>`;
     }
 
     /**
-     * Format content as PDF (simplified - returns HTML for PDF conversion)
-     * @param {string} content - Content to format
+     * Format content as a paginated PDF
+     * Chromium repeats header and footer templates on every page, so unlike DOCX
+     * the PDF title page keeps its running head and page number
+     * @param {Object} document - Normalized document
      * @param {Object} options - Formatting options
-     * @returns {string} HTML content ready for PDF conversion
+     * @returns {Promise<Buffer>} PDF buffer
      */
-    async formatPDF(content, options = {}) {
-        const {
-            title = 'Generated Content',
-            fontSize = '12pt',
-            fontFamily = 'Times New Roman',
-            margin = '1in'
-        } = options;
+    async formatPDF(document, options = {}) {
+        const settings = document.page;
+        const page = PAGE_SIZES[settings.size] || PAGE_SIZES.letter;
+        const margin = `${settings.margin}in`;
+        const fontFamily = this.escapeHTML(settings.fontFamily);
 
         const pdfCSS = `
             @page {
                 margin: ${margin};
-                size: A4;
             }
             body {
-                font-family: ${fontFamily};
-                font-size: ${fontSize};
-                line-height: 1.6;
-                color: #333;
-            }
-            .container {
-                max-width: 100%;
-            }
-            h1 {
-                text-align: center;
-                margin-bottom: 20px;
-                border-bottom: 2px solid #333;
-                padding-bottom: 10px;
-            }
-            .meta {
-                text-align: center;
-                font-style: italic;
-                margin-bottom: 30px;
-            }
-            p {
-                text-align: justify;
-                margin-bottom: 15px;
-            }
-            footer {
-                margin-top: 30px;
-                border-top: 1px solid #ccc;
-                padding-top: 10px;
-                font-size: 10pt;
-                text-align: center;
+                font-family: '${fontFamily}', serif;
+                font-size: ${settings.fontSize}pt;
+                color: #000;
+                margin: 0;
             }
+            ${this.getDocumentCSS(document, true)}
         `;
 
-        const paragraphs = content.split('\n\n').map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('\n');
-
-        return `<!DOCTYPE html>
+        const html = `<!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
-    <title>${title}</title>
+    <title>${this.escapeHTML(document.title)}</title>
     <style>${pdfCSS}</style>
 </head>
 <body>
-    <div class="container">
-        <h1>${title}</h1>
-        <p class="meta">Generated on ${new Date().toLocaleString()}</p>
-        ${paragraphs}
-        <footer>
-            <p>Word Count: ${this.countWords(content)} | Character Count: ${content.length}</p>
-            <p>Generated by AssignSavvy AI Writer</p>
-        </footer>
-    </div>
+${this.renderHTMLBody(document)}
 </body>
 </html>`;
+
+        const pageTemplate = (part) => {
+            const slots = this.getPageSlots(document, part);
+            if (!slots) {
+                return '<div></div>';
+            }
+            const cell = (align) => `<span style="flex:1;text-align:${align};">${slots[align]
+                .map(item => item.page ? '<span class="pageNumber"></span>' : this.escapeHTML(item.text))
+                .join(' ')}</span>`;
+            return `<div style="width:100%;display:flex;font-size:${settings.fontSize}pt;font-family:'${fontFamily}',serif;padding:0 ${margin};">${cell('left')}${cell('center')}${cell('right')}</div>`;
+        };
+
+        return this.getPDFGenerator().generatePDFFromHTML(html, {
+            format: page.pdfFormat,
+            margin: { top: margin, right: margin, bottom: margin, left: margin },
+            displayHeaderFooter: true,
+            headerTemplate: pageTemplate('header'),
+            footerTemplate: pageTemplate('footer')
+        });
     }
 
     /**
-     * Format content as DOCX (simplified - returns structured data)
-     * @param {string} content - Content to format
+     * Format content as a Word document (Office Open XML)
+     * @param {Object} document - Normalized document
      * @param {Object} options - Formatting options
-     * @returns {Object} Structured data for DOCX generation
+     * @returns {Promise<Buffer>} .docx file contents
      */
-    async formatDOCX(content, options = {}) {
-        const {
-            title = 'Generated Content',
-            fontSize = 12,
-            fontFamily = 'Times New Roman'
-        } = options;
+    async formatDOCX(document, options = {}) {
+        const { template, page: settings } = document;
+        const page = PAGE_SIZES[settings.size] || PAGE_SIZES.letter;
+        const margin = Math.round(settings.margin * 1440);
+        const paragraphs = [];
+        const details = this.getTitleDetails(document);
+        const titleRuns = [{ text: document.title, bold: template.titlePage.boldTitle }];
 
-        const paragraphs = content.split('\n\n').map(p => ({
-            type: 'paragraph',
-            text: p.replace(/\n/g, ' '),
-            formatting: {
-                fontSize,
-                fontFamily,
-                alignment: 'justify'
+        if (document.titlePage === 'page') {
+            const lineHeight = Math.round(240 * settings.lineSpacing);
+            paragraphs.push(this.docxParagraph(titleRuns, { style: 'Title', spacingBefore: lineHeight * template.titlePage.topOffset }));
+            paragraphs.push(this.docxParagraph([{ text: '' }], { align: 'center' }));
+            details.forEach(line => paragraphs.push(this.docxParagraph([{ text: line }], { align: 'center' })));
+            paragraphs.push('<w:p><w:r><w:br w:type="page"/></w:r></w:p>');
+            if (template.titlePage.repeatTitle) {
+                paragraphs.push(this.docxParagraph(titleRuns, { align: 'center' }));
+            }
+        } else if (document.titlePage === 'header-block') {
+            details.forEach(line => paragraphs.push(this.docxParagraph([{ text: line }])));
+            paragraphs.push(this.docxParagraph(titleRuns, { style: 'Title' }));
+        } else {
+            paragraphs.push(this.docxParagraph(titleRuns, { style: 'Title' }));
+            if (details.length > 0) {
+                paragraphs.push(this.docxParagraph([{ text: details.join(' | '), italic: true }], { align: 'center' }));
             }
-        }));
+        }
 
-        return {
-            title,
-            metadata: {
-                creator: 'AssignSavvy AI Writer',
-                created: new Date().toISOString(),
-                wordCount: this.countWords(content),
-                characterCount: content.length
-            },
-            content: [
-                {
-                    type: 'heading',
-                    text: title,
-                    level: 1,
-                    formatting: {
-                        fontSize: fontSize + 4,
-                        fontFamily,
-                        alignment: 'center',
-                        bold: true
-                    }
-                },
-                {
-                    type: 'paragraph',
-                    text: `Generated on ${new Date().toLocaleString()}`,
-                    formatting: {
-                        fontSize: fontSize - 1,
-                        fontFamily,
-                        alignment: 'center',
-                        italic: true
-                    }
-                },
-                ...paragraphs,
-                {
-                    type: 'paragraph',
-                    text: `Word Count: ${this.countWords(content)} | Character Count: ${content.length}`,
-                    formatting: {
-                        fontSize: fontSize - 1,
-                        fontFamily,
-                        alignment: 'center'
-                    }
-                }
-            ]
+        const firstLine = Math.round(settings.firstLineIndent * 1440);
+        document.blocks.forEach(block => {
+            if (block.type === 'heading') {
+                paragraphs.push(this.docxParagraph(this.parseInline(block.text), { style: `Heading${block.level}` }));
+            } else if (block.type === 'list') {
+                block.items.forEach((item, index) => {
+                    const marker = block.ordered ? `${index + 1}.\t` : '•\t';
+                    paragraphs.push(this.docxParagraph([{ text: marker }, ...this.parseInline(item)], { indentLeft: 720, hanging: 360 }));
+                });
+            } else if (block.runIn) {
+                const format = template.headings[block.runIn.level - 1];
+                const heading = this.parseInline(block.runIn.text)
+                    .map(run => ({ ...run, bold: run.bold || format.bold, italic: run.italic || format.italic }));
+                paragraphs.push(this.docxParagraph([...heading, { text: ' ' }, ...this.parseInline(block.text)], { firstLine }));
+            } else {
+                paragraphs.push(this.docxParagraph(this.parseInline(block.text), { firstLine }));
+            }
+        });
+
+        if (document.bibliography.length > 0) {
+            paragraphs.push(this.docxParagraph([{ text: template.references.heading }], { style: 'ReferencesHeading' }));
+            document.bibliography.forEach(entry => {
+                paragraphs.push(this.docxParagraph(this.parseInline(entry), { style: 'Bibliography' }));
+            });
+        }
+
+        // Templates that hide the page number on the title page give it its own
+        // blank header and footer and start numbering on the first text page
+        const hideOnTitlePage = document.titlePage === 'page' && !template.pageNumbers.showOnTitlePage;
+        const parts = [
+            { id: 'rId1', type: 'styles', target: 'styles.xml' },
+            { id: 'rId2', type: 'header', target: 'header1.xml', content: this.getDocxHeaderFooter(document, 'header') },
+            { id: 'rId3', type: 'footer', target: 'footer1.xml', content: this.getDocxHeaderFooter(document, 'footer') }
+        ];
+        if (hideOnTitlePage) {
+            parts.push({ id: 'rId4', type: 'header', target: 'header2.xml', content: this.getDocxHeaderFooter(null, 'header') });
+            parts.push({ id: 'rId5', type: 'footer', target: 'footer2.xml', content: this.getDocxHeaderFooter(null, 'footer') });
+        }
+        if (document.notes.length > 0) {
+            parts.push({ id: 'rId6', type: 'footnotes', target: 'footnotes.xml', content: this.getDocxFootnotes(document) });
+        }
+
+        const zip = new JSZip();
+        zip.file('[Content_Types].xml', this.getDocxContentTypes(parts));
+        zip.file('_rels/.rels', this.getDocxPackageRels());
+        zip.file('docProps/core.xml', this.getDocxCoreProperties(document));
+        zip.file('docProps/app.xml', this.getDocxAppProperties(document));
+        zip.file('word/_rels/document.xml.rels', this.getDocxDocumentRels(parts));
+        zip.file('word/styles.xml', this.getDocxStyles(document));
+        parts.filter(part => part.content).forEach(part => zip.file(`word/${part.target}`, part.content));
+        zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${paragraphs.join('\n')}
+<w:sectPr>
+<w:headerReference w:type="default" r:id="rId2"/>
+<w:footerReference w:type="default" r:id="rId3"/>
+${hideOnTitlePage ? '<w:headerReference w:type="first" r:id="rId4"/>\n<w:footerReference w:type="first" r:id="rId5"/>\n' : ''}<w:pgSz w:w="${page.width}" w:h="${page.height}"/>
+<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="720" w:footer="720" w:gutter="0"/>
+${hideOnTitlePage ? '<w:pgNumType w:start="0"/>\n<w:titlePg/>\n' : ''}</w:sectPr>
+</w:body>
+</w:document>`);
+
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Build a WordprocessingML paragraph
+     * @param {Array<Object>} runs - Runs of { text, bold, italic } or { note }
+     * @param {Object} options - { style, align, firstLine, indentLeft, hanging, spacingBefore, pageBreakBefore }
+     * @returns {string} <w:p> XML
+     */
+    docxParagraph(runs, options = {}) {
+        const properties = [];
+        if (options.style) properties.push(`<w:pStyle w:val="${options.style}"/>`);
+        if (options.pageBreakBefore) properties.push('<w:pageBreakBefore/>');
+        if (options.spacingBefore) properties.push(`<w:spacing w:before="${options.spacingBefore}"/>`);
+        if (options.indentLeft || options.hanging || options.firstLine) {
+            const indent = [`w:left="${options.indentLeft || 0}"`];
+            if (options.hanging) indent.push(`w:hanging="${options.hanging}"`);
+            if (options.firstLine) indent.push(`w:firstLine="${options.firstLine}"`);
+            properties.push(`<w:ind ${indent.join(' ')}/>`);
+        }
+        if (options.align) properties.push(`<w:jc w:val="${options.align}"/>`);
+
+        return `<w:p>${properties.length > 0 ? `<w:pPr>${properties.join('')}</w:pPr>` : ''}${this.docxRuns(runs)}</w:p>`;
+    }
+
+    docxRuns(runs) {
+        return runs.map(run => {
+            if (run.note) {
+                return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${run.note}"/></w:r>`;
+            }
+            const runProperties = `${run.bold ? '<w:b/>' : ''}${run.italic ? '<w:i/>' : ''}`;
+            const text = run.text.split('\t')
+                .map(segment => `<w:t xml:space="preserve">${this.escapeXML(segment)}</w:t>`)
+                .join('<w:tab/>');
+            return `<w:r>${runProperties ? `<w:rPr>${runProperties}</w:rPr>` : ''}${text}</w:r>`;
+        }).join('');
+    }
+
+    getDocxContentTypes(parts) {
+        const contentTypes = {
+            header: 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+            footer: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml',
+            footnotes: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml'
         };
+        const overrides = parts.filter(part => contentTypes[part.type])
+            .map(part => `<Override PartName="/word/${part.target}" ContentType="${contentTypes[part.type]}"/>`)
+            .join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+${overrides}
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+</Types>`;
+    }
+
+    getDocxPackageRels() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>
+</Relationships>`;
+    }
+
+    getDocxDocumentRels(parts) {
+        const relationships = parts
+            .map(part => `<Relationship Id="${part.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${part.type}" Target="${part.target}"/>`)
+            .join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships}
+</Relationships>`;
+    }
+
+    getDocxCoreProperties(document) {
+        const created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${this.escapeXML(document.title)}</dc:title>
+<dc:creator>${this.escapeXML(document.author || 'AssignSavvy AI Writer')}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${created}</dcterms:modified>
+</cp:coreProperties>`;
+    }
+
+    getDocxAppProperties(document) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">
+<Application>AssignSavvy AI Writer</Application>
+<Words>${document.wordCount}</Words>
+</Properties>`;
+    }
+
+    /**
+     * Page header or footer with the running head and page number
+     * Left, centre and right slots are separated by centre and right tab stops
+     * @param {Object|null} document - Normalized document, or null for a blank part
+     * @param {string} part - 'header' or 'footer'
+     */
+    getDocxHeaderFooter(document, part) {
+        const tag = part === 'header' ? 'w:hdr' : 'w:ftr';
+        const slots = document && this.getPageSlots(document, part);
+        let paragraph = '<w:p/>';
+
+        if (slots) {
+            const page = PAGE_SIZES[document.page.size] || PAGE_SIZES.letter;
+            const width = page.width - 2 * Math.round(document.page.margin * 1440);
+            const slotXml = (items) => items.map(item => item.page
+                ? '<w:fldSimple w:instr="PAGE"><w:r><w:t>1</w:t></w:r></w:fldSimple>'
+                : `<w:r><w:t xml:space="preserve">${this.escapeXML(item.text)}</w:t></w:r>`)
+                .join('<w:r><w:t xml:space="preserve"> </w:t></w:r>');
+            paragraph = `<w:p><w:pPr><w:tabs><w:tab w:val="center" w:pos="${Math.round(width / 2)}"/><w:tab w:val="right" w:pos="${width}"/></w:tabs></w:pPr>${slotXml(slots.left)}<w:r><w:tab/></w:r>${slotXml(slots.center)}<w:r><w:tab/></w:r>${slotXml(slots.right)}</w:p>`;
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<${tag} xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+${paragraph}
+</${tag}>`;
+    }
+
+    /**
+     * Footnotes part; IDs -1 and 0 are the separators Word expects before the notes
+     */
+    getDocxFootnotes(document) {
+        const separator = (type, id, mark) => `<w:footnote w:type="${type}" w:id="${id}"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:${mark}/></w:r></w:p></w:footnote>`;
+        const notes = document.notes.map((note, index) => `<w:footnote w:id="${index + 1}"><w:p><w:pPr><w:pStyle w:val="FootnoteText"/></w:pPr><w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> </w:t></w:r>${this.docxRuns(this.parseInline(note))}</w:p></w:footnote>`);
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:footnotes xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+${separator('separator', -1, 'separator')}
+${separator('continuationSeparator', 0, 'continuationSeparator')}
+${notes.join('\n')}
+</w:footnotes>`;
+    }
+
+    getDocxStyles(document) {
+        const { template, page } = document;
+        const font = this.escapeXML(page.fontFamily);
+        const halfPoints = Math.round(page.fontSize * 2);
+        const spacingBefore = template.citationStyle ? 0 : 240;
+        const references = template.references;
+
+        const headings = template.headings.map((format, index) => `
+<w:style w:type="paragraph" w:styleId="Heading${index + 1}">
+<w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:keepNext/><w:spacing w:before="${spacingBefore}" w:after="0"/>${format.align === 'indent' ? '<w:ind w:firstLine="720"/>' : ''}${format.align === 'center' ? '<w:jc w:val="center"/>' : ''}<w:outlineLvl w:val="${index}"/></w:pPr>
+<w:rPr>${format.bold ? '<w:b/>' : ''}${format.italic ? '<w:i/>' : ''}<w:sz w:val="${halfPoints}"/></w:rPr>
+</w:style>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}" w:eastAsia="${font}"/><w:sz w:val="${halfPoints}"/><w:szCs w:val="${halfPoints}"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="${Math.round(240 * page.lineSpacing)}" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title">
+<w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:jc w:val="center"/></w:pPr>
+<w:rPr><w:sz w:val="${template.citationStyle ? halfPoints : halfPoints + 4}"/></w:rPr>
+</w:style>${headings}
+<w:style w:type="paragraph" w:styleId="ReferencesHeading">
+<w:name w:val="References Heading"/><w:basedOn w:val="Normal"/><w:next w:val="Bibliography"/>
+<w:pPr><w:keepNext/>${references.newPage ? '<w:pageBreakBefore/>' : ''}<w:spacing w:before="${references.newPage ? 0 : 240}" w:after="0"/>${references.align === 'center' ? '<w:jc w:val="center"/>' : ''}<w:outlineLvl w:val="0"/></w:pPr>
+<w:rPr>${references.bold ? '<w:b/>' : ''}</w:rPr>
+</w:style>
+<w:style w:type="paragraph" w:styleId="Bibliography">
+<w:name w:val="Bibliography"/><w:basedOn w:val="Normal"/>
+${references.hangingIndent ? '<w:pPr><w:ind w:left="720" w:hanging="720"/></w:pPr>' : ''}
+</w:style>
+<w:style w:type="paragraph" w:styleId="FootnoteText">
+<w:name w:val="footnote text"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr>
+<w:rPr><w:sz w:val="${Math.max(halfPoints - 4, 16)}"/></w:rPr>
+</w:style>
+<w:style w:type="character" w:styleId="FootnoteReference">
+<w:name w:val="footnote reference"/>
+<w:rPr><w:vertAlign w:val="superscript"/></w:rPr>
+</w:style>
+</w:styles>`;
+    }
+
+    /**
+     * Render the document body shared by the HTML and PDF exports
+     * @param {Object} document - Normalized document
+     * @returns {string} HTML fragment
+     */
+    renderHTMLBody(document) {
+        const inline = (text) => this.parseInline(text).map(run => {
+            if (run.note) {
+                return `<sup class="note-ref"><a href="#note-${run.note}" id="note-ref-${run.note}">${run.note}</a></sup>`;
+            }
+            let html = this.escapeHTML(run.text);
+            if (run.italic) html = `<em>${html}</em>`;
+            if (run.bold) html = `<strong>${html}</strong>`;
+            return html;
+        }).join('');
+        const details = this.getTitleDetails(document).map(line => `<p>${this.escapeHTML(line)}</p>`).join('\n');
+        const title = `<h1 class="doc-title">${this.escapeHTML(document.title)}</h1>`;
+        const parts = [];
+
+        if (document.titlePage === 'page') {
+            parts.push(`<section class="title-page">\n${title}\n${details}\n</section>`);
+            if (document.template.titlePage.repeatTitle) {
+                parts.push(title);
+            }
+        } else if (document.titlePage === 'header-block') {
+            parts.push(`<header class="header-block">\n${details}\n</header>`);
+            parts.push(title);
+        } else {
+            parts.push(`<header>\n${title}\n${details ? `<div class="meta">${details}</div>` : ''}\n</header>`);
+        }
+
+        parts.push('<main>');
+        document.blocks.forEach(block => {
+            if (block.type === 'heading') {
+                const tag = `h${block.level + 1}`;
+                parts.push(`<${tag} class="heading-${block.level}">${inline(block.text)}</${tag}>`);
+            } else if (block.type === 'list') {
+                const tag = block.ordered ? 'ol' : 'ul';
+                parts.push(`<${tag}>${block.items.map(item => `<li>${inline(item)}</li>`).join('')}</${tag}>`);
+            } else if (block.runIn) {
+                parts.push(`<p><span class="run-in heading-${block.runIn.level}">${inline(block.runIn.text)}</span> ${inline(block.text)}</p>`);
+            } else {
+                parts.push(`<p>${inline(block.text)}</p>`);
+            }
+        });
+        parts.push('</main>');
+
+        if (document.notes.length > 0) {
+            parts.push(`<section class="notes">\n<h2>Notes</h2>\n<ol>\n${document.notes.map((note, index) => `<li id="note-${index + 1}">${inline(note)}</li>`).join('\n')}\n</ol>\n</section>`);
+        }
+
+        if (document.bibliography.length > 0) {
+            parts.push(`<section class="bibliography">\n<h2>${this.escapeHTML(document.template.references.heading)}</h2>\n${document.bibliography.map(entry => `<p class="bib-entry">${inline(entry)}</p>`).join('\n')}\n</section>`);
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * CSS for the template's title page, headings, notes and reference list
+     * @param {Object} document - Normalized document
+     * @param {boolean} print - Whether the HTML is rendered to PDF
+     * @returns {string} CSS rules
+     */
+    getDocumentCSS(document, print) {
+        const { template, page } = document;
+        const lineHeight = page.lineSpacing * 1.15;
+        const academic = !!template.citationStyle;
+        const references = template.references;
+
+        const headings = template.headings.map((format, index) => `
+            .heading-${index + 1} {
+                text-align: ${format.align === 'center' ? 'center' : 'left'};
+                text-indent: ${format.align === 'indent' ? '0.5in' : '0'};
+                font-weight: ${format.bold ? 'bold' : 'normal'};
+                font-style: ${format.italic ? 'italic' : 'normal'};
+                ${academic ? 'font-size: 1em; margin: 0;' : ''}
+            }`).join('');
+
+        return `
+            main p, .bib-entry {
+                line-height: ${lineHeight};
+                margin: 0 0 ${academic ? '0' : '1em'};
+                text-indent: ${page.firstLineIndent}in;
+            }
+            .doc-title {
+                text-align: center;
+                font-size: ${academic ? '1em' : '1.3em'};
+                font-weight: ${template.titlePage.boldTitle ? 'bold' : 'normal'};
+                border: none;
+            }
+            .title-page {
+                text-align: center;
+                padding-top: ${print ? `${Math.round(template.titlePage.topOffset * lineHeight * page.fontSize)}pt` : '2em'};
+                ${print ? 'page-break-after: always;' : 'margin-bottom: 3em; border-bottom: 1px solid #ccc;'}
+            }
+            .title-page p, .header-block p, .meta p {
+                margin: 0;
+                text-indent: 0;
+                line-height: ${lineHeight};
+            }
+            h2, h3, h4, h5, h6 {
+                page-break-after: avoid;
+            }
+            ${headings}
+            .run-in {
+                text-indent: 0;
+            }
+            .note-ref a {
+                color: inherit;
+                text-decoration: none;
+            }
+            .notes {
+                ${print ? 'page-break-before: always;' : 'margin-top: 2em;'}
+            }
+            .notes li {
+                line-height: 1.15;
+                margin-bottom: 0.5em;
+            }
+            .bibliography {
+                ${print && references.newPage ? 'page-break-before: always;' : 'margin-top: 2em;'}
+            }
+            .notes h2, .bibliography h2 {
+                text-align: ${references.align};
+                font-weight: ${references.bold ? 'bold' : 'normal'};
+                ${academic ? 'font-size: 1em;' : ''}
+            }
+            .bib-entry {
+                padding-left: ${references.hangingIndent ? '0.5in' : '0'};
+                text-indent: ${references.hangingIndent ? '-0.5in' : '0'};
+            }
+        `;
+    }
+
+    /**
+     * PDF rendering is delegated to PDFGenerator; Puppeteer is only loaded when a PDF is requested
+     */
+    getPDFGenerator() {
+        if (!this.pdfGenerator) {
+            const PDFGenerator = require('./pdfGenerator');
+            this.pdfGenerator = new PDFGenerator();
+        }
+        return this.pdfGenerator;
     }
 
     /**
@@ -288,8 +999,9 @@ class ContentFormatter {
      */
     async saveToFile(formattedResult) {
         try {
+            await this.ensureExportDirectory();
             await fs.writeFile(formattedResult.filepath, formattedResult.content, 'utf8');
-            
+
             return {
                 success: true,
                 filename: formattedResult.filename,
@@ -310,6 +1022,16 @@ class ContentFormatter {
         return [...this.supportedFormats];
     }
 
+    /**
+     * Citation styles with a built-in paper template
+     * @returns {Array<string>} Style names
+     */
+    getSupportedCitationStyles() {
+        return [...new Set(Object.values(paperTemplates.BUILT_IN_TEMPLATES)
+            .map(template => template.citationStyle)
+            .filter(Boolean))];
+    }
+
     /**
      * Wrap text to specified width
      * @param {string} text - Text to wrap
@@ -348,6 +1070,27 @@ class ContentFormatter {
         return text.trim().split(/\s+/).filter(word => word.length > 0).length;
     }
 
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    escapeXML(text) {
+        // Control characters other than tab/newline are not allowed in XML 1.0
+        return this.escapeHTML(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+    }
+
+    /**
+     * Filename-safe version of a title
+     */
+    slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 60);
+    }
+
     /**
      * Get CSS for HTML formatting
      * @param {string} theme - CSS theme
@@ -433,4 +1176,4 @@ class ContentFormatter {
     }
 }
 
-module.exports = ContentFormatter;
\ No newline at end of file
+module.exports = ContentFormatter;
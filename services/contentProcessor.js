@@ -7,6 +7,13 @@ class ContentProcessor {
             body: 0.70,          // 70% of total word count
             conclusion: 0.15     // 15% of total word count
         };
+        this.outlineLimits = {
+            maxSections: 12,
+            maxKeyPoints: 8,
+            minSectionWords: 20,
+            minTotalWords: 100,
+            maxTotalWords: 2000
+        };
     }
 
     /**
@@ -289,6 +296,226 @@ class ContentProcessor {
             300  // Shorter word count for outline
         );
     }
+
+    /**
+     * Generate an outline the user can edit before generating content
+     * @param {string} prompt - User's writing request
+     * @param {string} style - Writing style
+     * @param {string} tone - Writing tone
+     * @param {number} wordCount - Target word count for the finished piece
+     * @param {string} title - Optional working title
+     * @returns {Promise<Object>} { title, sections: [{ id, title, keyPoints, wordCount }], totalWordCount, source, fallbackUsed }
+     */
+    async generateEditableOutline(prompt, style = 'Academic', tone = 'Formal', wordCount = 1000, title = '') {
+        const outlineResult = await this.generateOutline(prompt, style, tone);
+        const outlineText = typeof outlineResult === 'string' ? outlineResult : outlineResult.content;
+        const parsed = this.parseOutline(outlineText);
+
+        // Fall back to the standard three-part structure when the outline cannot be parsed
+        let sections = parsed.sections.length >= 2 ? parsed.sections : [
+            { title: 'Introduction', keyPoints: [] },
+            { title: 'Main Analysis', keyPoints: [] },
+            { title: 'Conclusion', keyPoints: [] }
+        ];
+
+        // Keep enough words per section: drop middle sections, never the conclusion
+        const maxSections = Math.max(3, Math.min(this.outlineLimits.maxSections, Math.floor(wordCount / 50)));
+        if (sections.length > maxSections) {
+            sections = [...sections.slice(0, maxSections - 1), sections[sections.length - 1]];
+        }
+
+        const wordCounts = this.allocateSectionWordCounts(sections, wordCount);
+
+        return {
+            title: title || parsed.title || '',
+            sections: sections.map((section, index) => ({
+                id: `section-${index + 1}`,
+                title: section.title,
+                keyPoints: section.keyPoints.slice(0, this.outlineLimits.maxKeyPoints),
+                wordCount: wordCounts[index]
+            })),
+            totalWordCount: wordCount,
+            source: typeof outlineResult === 'object' ? outlineResult.source : 'llm',
+            fallbackUsed: parsed.sections.length < 2 || (typeof outlineResult === 'object' && !!outlineResult.fallbackUsed)
+        };
+    }
+
+    /**
+     * Parse a generated outline into sections and key points
+     * Top-level entries are Markdown headings, Roman numerals, bold lines or
+     * unindented numbers, whichever the outline uses first; everything below
+     * an entry becomes one of its key points
+     * @param {string} text - Outline text
+     * @returns {Object} { title, sections: [{ title, keyPoints }] }
+     */
+    parseOutline(text) {
+        const clean = (value) => value.replace(/\*\*|__/g, '').replace(/:$/, '').trim();
+        const patterns = [
+            /^(#{1,4})\s+(.+)$/,
+            /^()[IVXLC]+[.)]\s+(.+)$/,
+            /^()\*\*(.+?)\*\*:?$/,
+            /^()(?:Section\s+)?\d+[.)]\s+(.+)$/i
+        ];
+        const lines = String(text || '').replace(/\r\n/g, '\n').split('\n').filter(line => line.trim().length > 0);
+        const isTopLevelCandidate = (line) => !/^(\s{2,}|\t)/.test(line);
+        const pattern = patterns.find(candidate => lines.some(line => isTopLevelCandidate(line) && candidate.test(line.trim())));
+
+        let title = '';
+        const sections = [];
+
+        lines.forEach(line => {
+            const match = pattern && isTopLevelCandidate(line) ? line.trim().match(pattern) : null;
+
+            if (match) {
+                sections.push({ title: clean(match[2]), keyPoints: [], depth: match[1].length });
+                return;
+            }
+
+            // Preamble such as "Here is an outline:" comes before the first section
+            if (sections.length === 0) {
+                return;
+            }
+
+            const point = clean(line.trim().replace(/^([-*•+]|[A-Za-z0-9]{1,3}[.)])\s+/, ''));
+            if (point) {
+                sections[sections.length - 1].keyPoints.push(point);
+            }
+        });
+
+        // A single top-level Markdown heading above the others is the document title
+        const depths = sections.map(section => section.depth);
+        const minDepth = Math.min(...depths);
+        if (depths.filter(depth => depth === minDepth).length === 1 && depths.some(depth => depth > minDepth) && sections[0].depth === minDepth) {
+            title = sections.shift().title.replace(/^(essay\s+)?outline\s*(for|of|:|-)?\s*/i, '');
+        }
+
+        return {
+            title,
+            sections: sections.map(({ title: sectionTitle, keyPoints }) => ({ title: sectionTitle, keyPoints }))
+        };
+    }
+
+    /**
+     * Split a word budget across outline sections
+     * Introduction and conclusion sections keep their section weights; the
+     * remaining words are shared equally by the body sections
+     * @param {Array<Object>} sections - Sections with titles
+     * @param {number} totalWordCount - Total word budget
+     * @returns {Array<number>} Word count per section, summing to the total
+     */
+    allocateSectionWordCounts(sections, totalWordCount) {
+        const roleOf = (section) => {
+            if (/\bintro(duction)?\b/i.test(section.title)) return 'introduction';
+            if (/\b(conclusions?|concluding|final thoughts)\b/i.test(section.title)) return 'conclusion';
+            return 'body';
+        };
+        const roles = sections.map(roleOf);
+        const bodyCount = roles.filter(role => role === 'body').length;
+
+        let weights = roles.map(role => role === 'body' ? 0 : this.sectionWeights[role]);
+        const remaining = 1 - weights.reduce((sum, weight) => sum + weight, 0);
+        weights = bodyCount > 0
+            ? roles.map((role, index) => role === 'body' ? remaining / bodyCount : weights[index])
+            : weights.map(() => 1 / sections.length);
+
+        const wordCounts = weights.map(weight => Math.floor(totalWordCount * weight));
+        const largest = wordCounts.indexOf(Math.max(...wordCounts));
+        wordCounts[largest] += totalWordCount - wordCounts.reduce((sum, count) => sum + count, 0);
+
+        return wordCounts;
+    }
+
+    /**
+     * Check a user-edited outline before generating from it
+     * @param {Object} outline - { title, sections: [{ title, keyPoints, wordCount }] }
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    validateOutline(outline) {
+        const limits = this.outlineLimits;
+
+        if (!outline || !Array.isArray(outline.sections) || outline.sections.length === 0) {
+            return ['outline.sections must be a non-empty array'];
+        }
+
+        const errors = [];
+        if (outline.sections.length > limits.maxSections) {
+            errors.push(`An outline can have at most ${limits.maxSections} sections`);
+        }
+        if (outline.title !== undefined && typeof outline.title !== 'string') {
+            errors.push('outline.title must be a string');
+        }
+
+        outline.sections.forEach((section, index) => {
+            if (!section || typeof section.title !== 'string' || section.title.trim().length === 0 || section.title.length > 200) {
+                errors.push(`sections[${index}].title is required (max 200 characters)`);
+            }
+            if (section?.keyPoints !== undefined && (!Array.isArray(section.keyPoints)
+                || section.keyPoints.length > limits.maxKeyPoints
+                || section.keyPoints.some(point => typeof point !== 'string'))) {
+                errors.push(`sections[${index}].keyPoints must be an array of at most ${limits.maxKeyPoints} strings`);
+            }
+            if (!Number.isInteger(section?.wordCount) || section.wordCount < limits.minSectionWords) {
+                errors.push(`sections[${index}].wordCount must be a whole number of at least ${limits.minSectionWords}`);
+            }
+        });
+
+        const total = outline.sections.reduce((sum, section) => sum + (Number.isInteger(section?.wordCount) ? section.wordCount : 0), 0);
+        if (total < limits.minTotalWords || total > limits.maxTotalWords) {
+            errors.push(`Total word count must be between ${limits.minTotalWords} and ${limits.maxTotalWords}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Generate one section of an approved outline
+     * @param {Object} outline - Approved outline
+     * @param {number} sectionIndex - Section to generate
+     * @param {Object} context - { prompt, style, tone, qualityTier, previousContent }
+     * @returns {Promise<Object>} Generation result from llmService with the section heading removed
+     */
+    async generateOutlineSection(outline, sectionIndex, context) {
+        const { prompt, style = 'Academic', tone = 'Formal', qualityTier = 'standard', previousContent = '' } = context;
+        const section = outline.sections[sectionIndex];
+        const outlineSummary = outline.sections
+            .map((item, index) => `${index + 1}. ${item.title} (${item.wordCount} words)`)
+            .join('\n');
+        const keyPoints = (section.keyPoints || []).filter(point => point.trim().length > 0);
+        const previousParagraph = previousContent.trim().split(/\n\s*\n/).pop();
+
+        const sectionPrompt = [
+            `Write one section of a longer piece about: ${prompt}`,
+            outline.title ? `Title: ${outline.title}` : '',
+            `Approved outline:\n${outlineSummary}`,
+            `Write section ${sectionIndex + 1}: "${section.title}".`,
+            keyPoints.length > 0 ? `Cover these points:\n${keyPoints.map(point => `- ${point}`).join('\n')}` : '',
+            previousParagraph ? `The previous section ended with:\n"${previousParagraph}"\nContinue naturally from it without repeating it.` : '',
+            `Target length: ${section.wordCount} words. Write only the text of this section, without its heading and without content belonging to other sections.`
+        ].filter(Boolean).join('\n\n');
+
+        const result = await llmService.generateContent(sectionPrompt, style, tone, section.wordCount, qualityTier);
+        const content = (typeof result === 'string' ? result : result.content).trim();
+        const heading = content.match(/^#{1,6}\s+(.+)\n+/);
+
+        return {
+            ...(typeof result === 'object' ? result : {}),
+            content: heading && heading[1].trim().toLowerCase() === section.title.trim().toLowerCase()
+                ? content.slice(heading[0].length)
+                : content
+        };
+    }
+
+    /**
+     * Combine generated outline sections under their headings
+     * @param {Object} outline - Approved outline
+     * @param {Array<Object>} sections - Generated sections in outline order ({ content })
+     * @returns {string} Combined content
+     */
+    combineOutlineSections(outline, sections) {
+        return sections
+            .map((section, index) => `## ${outline.sections[index].title}\n\n${section.content}`)
+            .join('\n\n');
+    }
 }
 
 module.exports = new ContentProcessor();
\ No newline at end of file
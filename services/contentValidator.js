@@ -40,8 +40,8 @@ class ContentValidator {
             // Style and tone validation
             this._validateStyleAndTone(content, requirements, validation);
 
-            // Calculate overall metrics
-            validation.metrics = this._calculateMetrics(content);
+            // Calculate overall metrics, keeping the word count accuracy recorded above
+            validation.metrics = { ...validation.metrics, ...this._calculateMetrics(content) };
 
         } catch (error) {
             validation.isValid = false;
@@ -0,0 +1,336 @@
+const admin = require('firebase-admin');
+
+/**
+ * Append-only, double-entry credit ledger
+ * Every change to a credit balance is recorded in the `creditLedger`
+ * collection as one entry whose postings sum to zero: credits move from one
+ * account to another and are never created or destroyed outside the system
+ * accounts. Entries are written in the same Firestore transaction (or batch)
+ * that updates `users.credits`, so the ledger and the stored balance can't
+ * diverge except through writes that bypass it, which reconcile() reports.
+ * The ledger belongs to the Firestore data store (repositories/
+ * firestoreRepositories.js); the SQLite and in-memory stores log balance
+ * changes to their own credit_transactions instead.
+ *
+ * Accounts:
+ *   user:<uid>            spendable balance, mirrors users.credits
+ *   user:<uid>:reserved   credits held by open reservations, mirrors users.reservedCredits
+ *   system:grants         signup grants and monthly refreshes
+ *   system:purchases      credits bought through Stripe
+ *   system:usage          credits spent on tools
+ *   system:expired        credits removed when a refresh lowers a balance
+ *   system:adjustments    corrections posted by reconciliation
+ */
+
+const ACCOUNTS = {
+    user: (userId) => `user:${userId}`,
+    reserved: (userId) => `user:${userId}:reserved`,
+    GRANTS: 'system:grants',
+    PURCHASES: 'system:purchases',
+    USAGE: 'system:usage',
+    EXPIRED: 'system:expired',
+    ADJUSTMENTS: 'system:adjustments'
+};
+
+const ENTRY_TYPES = {
+    GRANT: 'grant',
+    PURCHASE: 'purchase',
+    DEDUCTION: 'deduction',
+    REFUND: 'refund',
+    REFRESH: 'refresh',
+    RESERVATION: 'reservation',
+    CAPTURE: 'capture',
+    RELEASE: 'release',
+    ADJUSTMENT: 'adjustment'
+};
+
+const USER_ACCOUNT_PATTERN = /^user:(.+?)(:reserved)?$/;
+
+class LedgerError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'LedgerError';
+        this.code = code;
+        this.retryable = false;
+    }
+}
+
+class CreditLedger {
+    constructor() {
+        this.db = null;
+        this.pageSize = 500;
+    }
+
+    getDb() {
+        if (!this.db) {
+            this.db = admin.firestore();
+        }
+        return this.db;
+    }
+
+    /**
+     * Postings that move `amount` credits from one account to another
+     * @returns {Array<Object>} [{ account, amount }]
+     */
+    transfer(fromAccount, toAccount, amount) {
+        return [
+            { account: fromAccount, amount: -amount },
+            { account: toAccount, amount }
+        ];
+    }
+
+    /**
+     * Add a balanced entry to a Firestore transaction or write batch
+     * Zero-amount postings are dropped; an entry with nothing left is skipped.
+     * @param {Object} writer - Firestore Transaction or WriteBatch (anything with set())
+     * @param {Object} entry - { type, userId, postings, reference, balanceAfter, metadata }
+     * @returns {string|null} Entry ID, or null when nothing was posted
+     */
+    post(writer, { type, userId, postings, reference = null, balanceAfter = null, metadata = {} }) {
+        if (!Object.values(ENTRY_TYPES).includes(type)) {
+            throw new LedgerError(`Unknown ledger entry type: ${type}`, 'LEDGER_INVALID_ENTRY');
+        }
+
+        const lines = (postings || []).filter(posting => posting.amount !== 0);
+        if (lines.length === 0) {
+            return null;
+        }
+        if (lines.some(posting => !posting.account || !Number.isInteger(posting.amount))) {
+            throw new LedgerError('Ledger postings need an account and a whole-credit amount', 'LEDGER_INVALID_ENTRY');
+        }
+
+        const total = lines.reduce((sum, posting) => sum + posting.amount, 0);
+        if (total !== 0) {
+            throw new LedgerError(`Ledger entry ${type} is unbalanced by ${total} credits`, 'LEDGER_UNBALANCED');
+        }
+
+        const ref = this.getDb().collection('creditLedger').doc();
+        writer.set(ref, {
+            entryId: ref.id,
+            type,
+            userId: userId || null,
+            postings: lines,
+            accounts: lines.map(posting => posting.account),
+            amount: lines.filter(posting => posting.amount > 0).reduce((sum, posting) => sum + posting.amount, 0),
+            reference,
+            balanceAfter,
+            metadata,
+            recordedAt: Date.now(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return ref.id;
+    }
+
+    /**
+     * Ledger entries for a user, newest first
+     * @param {string} userId - User ID
+     * @param {number} limit - Maximum entries
+     * @returns {Promise<Array<Object>>}
+     */
+    async getEntries(userId, limit = 50) {
+        const snapshot = await this.getDb().collection('creditLedger')
+            .where('userId', '==', userId)
+            .orderBy('recordedAt', 'desc')
+            .limit(limit)
+            .get();
+
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    /**
+     * Read a whole collection (or query) page by page
+     */
+    async forEachDoc(query, orderField, fn) {
+        let last = null;
+        for (;;) {
+            let page = query.orderBy(orderField).limit(this.pageSize);
+            if (last) {
+                page = page.startAfter(last);
+            }
+
+            const snapshot = await page.get();
+            for (const doc of snapshot.docs) {
+                await fn(doc);
+            }
+
+            if (snapshot.docs.length < this.pageSize) {
+                return;
+            }
+            last = snapshot.docs[snapshot.docs.length - 1];
+        }
+    }
+
+    /**
+     * Recompute balances from the ledger and compare them with the stored ones
+     * Only the Firestore data store keeps this ledger, so other stores are refused.
+     * @param {Object} options
+     * @param {string} options.userId - Only reconcile this user
+     * @param {boolean} options.adjust - Post adjustment entries that bring the ledger in line
+     *   with users.credits for every drifted user (use once to open pre-ledger balances)
+     * @param {boolean} options.save - Store the report in `creditReconciliations` (default true)
+     * @returns {Promise<Object>} Audit report
+     */
+    async reconcile({ userId = null, adjust = false, save = true } = {}) {
+        const store = process.env.DATA_STORE || 'firestore';
+        if (store !== 'firestore') {
+            throw new LedgerError(`Reconciliation checks the Firestore credit ledger, but DATA_STORE is "${store}"`, 'LEDGER_WRONG_STORE');
+        }
+
+        const db = this.getDb();
+        const startedAt = Date.now();
+        const balances = new Map();
+        const users = new Map();
+        const unbalancedEntries = [];
+        let entriesScanned = 0;
+
+        const userState = (id) => {
+            if (!users.has(id)) {
+                users.set(id, { userId: id, ledgerBalance: 0, ledgerReserved: 0, entries: 0, lastEntryAt: null });
+            }
+            return users.get(id);
+        };
+
+        const ledgerQuery = userId
+            ? db.collection('creditLedger').where('userId', '==', userId)
+            : db.collection('creditLedger');
+
+        await this.forEachDoc(ledgerQuery, 'recordedAt', (doc) => {
+            const entry = doc.data();
+            entriesScanned++;
+
+            const total = (entry.postings || []).reduce((sum, posting) => sum + posting.amount, 0);
+            if (total !== 0) {
+                unbalancedEntries.push({ entryId: doc.id, type: entry.type, userId: entry.userId, imbalance: total });
+            }
+
+            for (const posting of entry.postings || []) {
+                balances.set(posting.account, (balances.get(posting.account) || 0) + posting.amount);
+
+                const match = USER_ACCOUNT_PATTERN.exec(posting.account);
+                if (!match) continue;
+
+                const state = userState(match[1]);
+                if (match[2]) {
+                    state.ledgerReserved += posting.amount;
+                } else {
+                    state.ledgerBalance += posting.amount;
+                }
+            }
+
+            if (entry.userId) {
+                const state = userState(entry.userId);
+                state.entries++;
+                state.lastEntryAt = entry.recordedAt;
+            }
+        });
+
+        const compare = (id, data) => {
+            const state = userState(id);
+            state.storedBalance = data ? (data.credits || 0) : null;
+            state.storedReserved = data ? (data.reservedCredits || 0) : null;
+            state.drift = (state.storedBalance || 0) - state.ledgerBalance;
+            state.reservedDrift = (state.storedReserved || 0) - state.ledgerReserved;
+            state.missingUser = !data;
+        };
+
+        if (userId) {
+            const doc = await db.collection('users').doc(userId).get();
+            compare(userId, doc.exists ? doc.data() : null);
+        } else {
+            const seen = new Set();
+            await this.forEachDoc(db.collection('users'), admin.firestore.FieldPath.documentId(), (doc) => {
+                seen.add(doc.id);
+                compare(doc.id, doc.data());
+            });
+            for (const id of users.keys()) {
+                if (!seen.has(id)) compare(id, null);
+            }
+        }
+
+        const drifted = [...users.values()].filter(state => state.drift !== 0 || state.reservedDrift !== 0);
+
+        let adjustments = 0;
+        if (adjust) {
+            for (const state of drifted.filter(user => !user.missingUser)) {
+                await this.postAdjustment(state);
+                adjustments++;
+            }
+        }
+
+        const systemAccounts = {};
+        for (const [account, balance] of balances) {
+            if (!USER_ACCOUNT_PATTERN.test(account)) {
+                systemAccounts[account] = balance;
+            }
+        }
+
+        const allUsers = [...users.values()];
+        const report = {
+            generatedAt: new Date().toISOString(),
+            durationMs: Date.now() - startedAt,
+            scope: userId ? { userId } : 'all',
+            entriesScanned,
+            usersChecked: allUsers.length,
+            balanced: unbalancedEntries.length === 0 && drifted.length === 0,
+            unbalancedEntries,
+            usersWithDrift: drifted,
+            adjustmentsPosted: adjustments,
+            systemAccounts,
+            totals: {
+                ledgerBalance: allUsers.reduce((sum, state) => sum + state.ledgerBalance, 0),
+                storedBalance: allUsers.reduce((sum, state) => sum + (state.storedBalance || 0), 0),
+                ledgerReserved: allUsers.reduce((sum, state) => sum + state.ledgerReserved, 0),
+                storedReserved: allUsers.reduce((sum, state) => sum + (state.storedReserved || 0), 0),
+                drift: drifted.reduce((sum, state) => sum + state.drift, 0)
+            }
+        };
+
+        if (save) {
+            const ref = await db.collection('creditReconciliations').add({
+                ...report,
+                usersWithDrift: drifted.slice(0, 1000),
+                truncated: drifted.length > 1000,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            report.reportId = ref.id;
+        }
+
+        return report;
+    }
+
+    /**
+     * Post the entry that brings a user's ledger accounts to their stored balances
+     * Charges made since the scan post their own entries, so the drift still applies.
+     */
+    async postAdjustment(state) {
+        const db = this.getDb();
+        const userRef = db.collection('users').doc(state.userId);
+
+        await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) return;
+
+            const data = userDoc.data();
+            this.post(transaction, {
+                type: ENTRY_TYPES.ADJUSTMENT,
+                userId: state.userId,
+                postings: [
+                    ...this.transfer(ACCOUNTS.ADJUSTMENTS, ACCOUNTS.user(state.userId), state.drift),
+                    ...this.transfer(ACCOUNTS.ADJUSTMENTS, ACCOUNTS.reserved(state.userId), state.reservedDrift)
+                ],
+                balanceAfter: data.credits || 0,
+                metadata: {
+                    reason: 'reconciliation',
+                    ledgerBalance: state.ledgerBalance,
+                    storedBalance: state.storedBalance
+                }
+            });
+        });
+    }
+}
+
+module.exports = new CreditLedger();
+module.exports.ACCOUNTS = ACCOUNTS;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
+module.exports.LedgerError = LedgerError;
@@ -1,4 +1,5 @@
 const AtomicCreditSystem = require('./atomicCreditSystem');
+const { getRepositories, summarizeUsage } = require('../repositories');
 
 class CreditSystem {
     constructor() {
@@ -133,7 +134,7 @@ class CreditSystem {
      * @param {number} wordCount - Word count for the request
      * @returns {Object} Validation result
      */
-    async validateUserLimits(user, creditsNeeded, wordCount, db) {
+    async validateUserLimits(user, creditsNeeded, wordCount) {
         try {
             // Check credit balance only (no daily/monthly limits since system is purely credit-based)
             if (user.credits < creditsNeeded) {
@@ -162,94 +163,54 @@ class CreditSystem {
 
     /**
      * Get user's daily word usage
+     * @param {string} userId - User ID
+     * @param {string} date - Day as YYYY-MM-DD
+     * @returns {Promise<number>} Words charged that day
      */
-    async getUserDailyUsage(userId, date, db) {
-        return new Promise((resolve, reject) => {
-            const query = `
-                SELECT COALESCE(SUM(word_count), 0) as daily_usage 
-                FROM assignments 
-                WHERE user_id = ? AND DATE(created_at) = ?
-            `;
-            
-            db.get(query, [userId, date], (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row.daily_usage || 0);
-                }
-            });
-        });
+    async getUserDailyUsage(userId, date) {
+        const from = new Date(`${date}T00:00:00.000Z`);
+        const to = new Date(`${date}T23:59:59.999Z`);
+
+        const entries = await getRepositories().usage.list(userId, { type: 'deduction', from, to });
+        return summarizeUsage(entries).wordCount;
     }
 
     /**
      * Get user's monthly word usage
+     * @param {string} userId - User ID
+     * @param {string} month - Month as YYYY-MM
+     * @returns {Promise<number>} Words charged that month
      */
-    async getUserMonthlyUsage(userId, month, db) {
-        return new Promise((resolve, reject) => {
-            const query = `
-                SELECT COALESCE(SUM(word_count), 0) as monthly_usage 
-                FROM assignments 
-                WHERE user_id = ? AND strftime('%Y-%m', created_at) = ?
-            `;
-            
-            db.get(query, [userId, month], (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row.monthly_usage || 0);
-                }
-            });
-        });
+    async getUserMonthlyUsage(userId, month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const from = new Date(Date.UTC(year, monthIndex - 1, 1));
+        const to = new Date(Date.UTC(year, monthIndex, 1) - 1);
+
+        const entries = await getRepositories().usage.list(userId, { type: 'deduction', from, to });
+        return summarizeUsage(entries).wordCount;
     }
 
     /**
      * Process credit deduction and usage tracking
-     * @param {number} userId - User ID
+     * @param {string} userId - User ID
      * @param {number} creditsToDeduct - Credits to deduct
      * @param {number} wordCount - Word count for tracking
-     * @param {Object} db - Database connection
      * @returns {Promise<Object>} Processing result
      */
-    async processCreditsDeduction(userId, creditsToDeduct, wordCount, db) {
-        return new Promise((resolve, reject) => {
-            db.serialize(() => {
-                db.run('BEGIN TRANSACTION');
-                
-                // Update user credits
-                db.run(
-                    'UPDATE users SET credits = credits - ? WHERE id = ?',
-                    [creditsToDeduct, userId],
-                    function(err) {
-                        if (err) {
-                            db.run('ROLLBACK');
-                            reject(new Error('Failed to deduct credits'));
-                            return;
-                        }
+    async processCreditsDeduction(userId, creditsToDeduct, wordCount) {
+        try {
+            // The balance update and the usage record are written in one transaction
+            await getRepositories().credits.deduct(userId, creditsToDeduct, { wordCount });
+        } catch (error) {
+            console.error('Credit deduction error:', error);
+            throw new Error('Failed to deduct credits');
+        }
 
-                        // Insert usage record for tracking
-                        db.run(
-                            `INSERT INTO user_usage_tracking 
-                             (user_id, word_count, credits_used, created_at) 
-                             VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
-                            [userId, wordCount, creditsToDeduct],
-                            function(insertErr) {
-                                if (insertErr) {
-                                    // Log error but don't fail the transaction
-                                    console.warn('Failed to insert usage tracking:', insertErr);
-                                }
-                                
-                                db.run('COMMIT');
-                                resolve({
-                                    success: true,
-                                    creditsDeducted: creditsToDeduct,
-                                    wordCountTracked: wordCount
-                                });
-                            }
-                        );
-                    }
-                );
-            });
-        });
+        return {
+            success: true,
+            creditsDeducted: creditsToDeduct,
+            wordCountTracked: wordCount
+        };
     }
 
     /**
@@ -1,8 +1,14 @@
 const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const admin = require('firebase-admin');
+const llmProvider = require('./llmProvider');
+const resilience = require('./resilience');
 const AtomicCreditSystem = require('./atomicCreditSystem');
 const PlanValidator = require('./planValidator');
+const originalityReport = require('./originalityReport');
+const CitationGenerator = require('./citationGenerator');
+const { getRepositories } = require('../repositories');
+
+const CITATION_STYLES = ['apa', 'mla', 'chicago', 'harvard'];
+const CITE_TREATMENTS = ['auto', 'quote', 'paraphrase'];
 
 class DetectorService {
   constructor() {
@@ -11,13 +17,14 @@ class DetectorService {
     this.originalityApiKey = process.env.ORIGINALITY_API_KEY; // Add your Originality.ai API key
     this.originalityBaseUrl = 'https://api.originality.ai/api/v1';
     
-    // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-    // Required for Gemini 2.5 Pro model used in content improvement
-    this.geminiApiKey = process.env.GEMINI_API_KEY; // Add your Gemini API key
-    this.genAI = new GoogleGenerativeAI(this.geminiApiKey);
     this.atomicCredit = new AtomicCreditSystem();
     this.planValidator = new PlanValidator();
-    this.db = admin.firestore();
+    this.citationGenerator = new CitationGenerator();
+
+    // Cite mode: quotations longer than this become paraphrases
+    // (APA and MLA expect block quotes from about 40 words)
+    this.maxQuoteWords = 40;
+    this.maxParaphrasedSpans = 10;
     
     // Credit costs - now handled by AtomicCreditSystem
     // Detection: 50 credits per 1000 words
@@ -49,8 +56,9 @@ class DetectorService {
 
   /**
    * Analyze content using Originality.ai
+   * `hooks.onCharge({ transactionId, credits, words })` is awaited after credits are deducted
    */
-  async analyzeContent(userId, content, options = {}) {
+  async analyzeContent(userId, content, options = {}, hooks = {}) {
     try {
       // Validate user plan
       const planValidation = await this.planValidator.validateUserPlan(userId, {
@@ -80,6 +88,10 @@ class DetectorService {
       const analysisResults = {};
 
       try {
+        if (hooks.onCharge) {
+          await hooks.onCharge({ transactionId: creditResult.transactionId, credits: creditsNeeded, words: 0 });
+        }
+
         // Perform analyses based on options
         if (options.plagiarismDetection !== false) {
           analysisResults.plagiarism = await this.detectPlagiarism(content);
@@ -93,22 +105,29 @@ class DetectorService {
           analysisResults.readability = await this.analyzeReadability(content);
         }
 
+        // Map flagged passages to offsets in the submitted text
+        const report = originalityReport.buildReport(content, analysisResults);
+
         // Store analysis result
         const analysisId = await this.storeDetectorResult({
           userId,
           content,
           results: analysisResults,
+          spans: report.spans,
           wordCount,
           creditsUsed: creditsNeeded,
           timestamp: new Date()
         });
+        report.analysisId = analysisId;
 
         return {
           success: true,
           analysisId,
           wordCount,
           creditsUsed: creditsNeeded,
-          results: analysisResults
+          newBalance: creditResult.newBalance,
+          results: analysisResults,
+          report
         };
 
       } catch (analysisError) {
@@ -128,24 +147,35 @@ class DetectorService {
     }
   }
 
+  /**
+   * POST to Originality.ai through the shared 'originality' circuit breaker
+   */
+  async postToOriginality(endpoint, data) {
+    return resilience.getBreaker('originality').execute(() => axios.post(
+      `${this.originalityBaseUrl}${endpoint}`,
+      data,
+      {
+        headers: {
+          'X-OAI-API-KEY': this.originalityApiKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      }
+    ));
+  }
+
   /**
    * Detect plagiarism using Originality.ai
    */
   async detectPlagiarism(content) {
     try {
-      const response = await axios.post(
-        `${this.originalityBaseUrl}/scan/plagiarism`,
+      const response = await this.postToOriginality(
+        '/scan/plagiarism',
         {
           content: content,
           title: 'Content Analysis',
           aiModelVersion: '1',
           storeScan: false
-        },
-        {
-          headers: {
-            'X-OAI-API-KEY': this.originalityApiKey,
-            'Content-Type': 'application/json'
-          }
         }
       );
 
@@ -168,19 +198,13 @@ class DetectorService {
    */
   async detectAIContent(content) {
     try {
-      const response = await axios.post(
-        `${this.originalityBaseUrl}/scan/ai`,
+      const response = await this.postToOriginality(
+        '/scan/ai',
         {
           content: content,
           title: 'AI Content Analysis',
           aiModelVersion: '1',
           storeScan: false
-        },
-        {
-          headers: {
-            'X-OAI-API-KEY': this.originalityApiKey,
-            'Content-Type': 'application/json'
-          }
         }
       );
 
@@ -189,6 +213,10 @@ class DetectorService {
         score: Math.round(result.score.ai * 100), // AI probability percentage
         humanScore: Math.round(result.score.original * 100),
         confidence: result.confidence || 'medium',
+        blocks: (result.blocks || []).map(block => ({
+          text: block.text,
+          result: block.result
+        })),
         status: result.score.ai < 0.3 ? 'likely_human' : result.score.ai < 0.7 ? 'mixed' : 'likely_ai'
       };
     } catch (error) {
@@ -202,17 +230,11 @@ class DetectorService {
    */
   async analyzeReadability(content) {
     try {
-      const response = await axios.post(
-        `${this.originalityBaseUrl}/scan/readability`,
+      const response = await this.postToOriginality(
+        '/scan/readability',
         {
           content: content,
           title: 'Readability Analysis'
-        },
-        {
-          headers: {
-            'X-OAI-API-KEY': this.originalityApiKey,
-            'Content-Type': 'application/json'
-          }
         }
       );
 
@@ -315,12 +337,9 @@ class DetectorService {
       }
 
       try {
-        const model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-        
         const prompt = this.buildRemovalPrompt(content, detectionResults, options);
         
-        const result = await model.generateContent(prompt);
-        const improvedContent = result.response.text();
+        const improvedContent = await llmProvider.getModel('detector').generate(prompt);
 
         // Store removal result
         await this.storeDetectorRemoval({
@@ -389,16 +408,296 @@ class DetectorService {
     return prompt;
   }
 
+  /**
+   * Cite instead of rewrite: turn plagiarism spans that match a known source
+   * into quotations or paraphrases with in-text citations, and append the
+   * sources to the reference list. AI-flagged passages are left unchanged.
+   * Only paraphrases are charged (1 credit per 5 words); quoting is free.
+   * @param {string} userId - User ID
+   * @param {string} content - Content the detection ran on
+   * @param {Object} detectionResults - /analyze results or report (see OriginalityReport)
+   * @param {Object} options - { citationStyle, treatment: 'auto'|'quote'|'paraphrase',
+   *   sourceMetadata: { [url or source id]: { author, year, title, publisher, ... } } }
+   */
+  async citeDetectedSources(userId, content, detectionResults, options = {}) {
+    try {
+      const style = (options.citationStyle || 'apa').toLowerCase();
+      const treatment = options.treatment || 'auto';
+
+      if (!CITATION_STYLES.includes(style)) {
+        throw new Error(`Invalid citation style. Use one of: ${CITATION_STYLES.join(', ')}`);
+      }
+      if (!CITE_TREATMENTS.includes(treatment)) {
+        throw new Error(`Invalid treatment. Use one of: ${CITE_TREATMENTS.join(', ')}`);
+      }
+
+      const planValidation = await this.planValidator.validateUserPlan(userId, {
+        toolType: 'detector',
+        requestType: 'removal'
+      });
+
+      if (!planValidation.isValid) {
+        throw new Error(planValidation.error || 'Plan validation failed');
+      }
+
+      const plan = await this.planCitations(content, detectionResults, style, treatment, options.sourceMetadata || {});
+
+      if (plan.items.length === 0) {
+        throw new Error('No plagiarism matches with an identifiable source to cite');
+      }
+
+      const paraphraseWords = plan.items
+        .filter(item => item.treatment === 'paraphrase')
+        .reduce((sum, item) => sum + this.calculateWordCount(item.original), 0);
+      const creditsNeeded = paraphraseWords > 0 ? this.calculateGenerationCredits(paraphraseWords) : 0;
+
+      let creditResult = null;
+      if (creditsNeeded > 0) {
+        creditResult = await this.atomicCredit.deductCreditsAtomic(
+          userId,
+          creditsNeeded,
+          planValidation.userPlan.planType,
+          'detector'
+        );
+
+        if (!creditResult.success) {
+          throw new Error(`Insufficient credits. Need ${creditsNeeded}, available: ${creditResult.previousBalance || 0}`);
+        }
+      }
+
+      try {
+        for (const item of plan.items) {
+          item.replacement = item.treatment === 'quote'
+            ? this.formatQuotation(item.original, item.inText)
+            : await this.paraphraseWithCitation(item.original, item.inText, style);
+        }
+
+        // Replace from the end so earlier offsets stay valid
+        let improvedContent = content;
+        [...plan.items].sort((a, b) => b.start - a.start).forEach(item => {
+          improvedContent = improvedContent.slice(0, item.start) + item.replacement + improvedContent.slice(item.end);
+        });
+
+        const bibliography = this.collectBibliography(plan.items);
+        improvedContent = this.appendBibliography(improvedContent, bibliography, style);
+
+        const citations = plan.items.map(item => ({
+          spanId: item.spanId,
+          source: item.source,
+          treatment: item.treatment,
+          inText: item.inText,
+          original: item.original,
+          replacement: item.replacement
+        }));
+
+        await this.storeDetectorRemoval({
+          userId,
+          mode: 'cite',
+          originalContent: content,
+          improvedContent,
+          detectionResults,
+          citations,
+          citationStyle: style,
+          wordCount: this.calculateWordCount(content),
+          creditsUsed: creditsNeeded,
+          timestamp: new Date()
+        });
+
+        return {
+          success: true,
+          mode: 'cite',
+          improvedContent,
+          citationStyle: style,
+          citations,
+          bibliography: bibliography.map(entry => entry.citation),
+          skippedSpans: plan.skipped,
+          originalWordCount: this.calculateWordCount(content),
+          newWordCount: this.calculateWordCount(improvedContent),
+          creditsUsed: creditsNeeded,
+          newBalance: creditResult ? creditResult.newBalance : null
+        };
+
+      } catch (generationError) {
+        if (creditResult) {
+          await this.atomicCredit.rollbackTransaction(
+            userId,
+            creditResult.transactionId,
+            creditsNeeded,
+            0
+          );
+        }
+        throw generationError;
+      }
+
+    } catch (error) {
+      console.error('Citation insertion error:', error);
+      throw new Error(`Citation insertion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decide what to do with each plagiarism span
+   * Spans without a source, or overlapping a span already handled, are skipped
+   * @returns {Object} { items, skipped }
+   */
+  async planCitations(content, detectionResults, style, treatment, sourceMetadata) {
+    const report = originalityReport.buildReport(content, detectionResults);
+    const citationsBySource = new Map();
+    const items = [];
+    const skipped = [];
+    let paraphrased = 0;
+    let lastEnd = -1;
+
+    for (const span of report.spans) {
+      if (span.type !== 'plagiarism') continue;
+
+      if (!span.source) {
+        skipped.push({ spanId: span.id, text: span.text, reason: 'No matched source to cite' });
+        continue;
+      }
+      if (span.start < lastEnd) {
+        skipped.push({ spanId: span.id, text: span.text, reason: 'Overlaps a passage that is already cited' });
+        continue;
+      }
+
+      const key = span.source.url || span.source.id;
+      if (!citationsBySource.has(key)) {
+        citationsBySource.set(key, this.buildCitation(
+          span.source,
+          sourceMetadata[key] || {},
+          style,
+          citationsBySource.size + 1
+        ));
+      }
+      const citation = citationsBySource.get(key);
+
+      let spanTreatment = treatment;
+      if (spanTreatment === 'auto') {
+        spanTreatment = this.calculateWordCount(span.text) > this.maxQuoteWords ? 'paraphrase' : 'quote';
+      }
+      if (spanTreatment === 'paraphrase' && paraphrased >= this.maxParaphrasedSpans) {
+        spanTreatment = 'quote';
+      }
+      if (spanTreatment === 'paraphrase') paraphrased++;
+
+      items.push({
+        spanId: span.id,
+        start: span.start,
+        end: span.end,
+        original: span.text,
+        source: span.source,
+        treatment: spanTreatment,
+        inText: citation.inText,
+        bibliography: citation.bibliography
+      });
+      lastEnd = span.end;
+    }
+
+    return { items, skipped };
+  }
+
+  /**
+   * In-text citation and bibliography entry for a matched source
+   * Matches rarely include an author or date, so the site name (or document
+   * title) stands in for the author, as APA does for authorless pages.
+   * Matched sources are treated as web pages unless the caller's metadata
+   * says otherwise (a `type`, or a `journal`).
+   * @returns {Object} { inText, bibliography: { citation, sortKey, type, style } }
+   */
+  buildCitation(source, overrides, style, index) {
+    const website = source.url ? this.citationGenerator.extractWebsiteName(source.url) : null;
+    const metadata = {
+      title: source.title || website || 'Untitled',
+      url: source.url || null,
+      website,
+      author: website || source.title || null,
+      accessDate: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    };
+
+    Object.entries(overrides).forEach(([field, value]) => {
+      if (field !== 'type' && value !== undefined && value !== null && value !== '') {
+        metadata[field] = String(value);
+      }
+    });
+
+    const sourceType = overrides.type || (overrides.journal ? 'journal' : 'website');
+
+    return {
+      inText: this.citationGenerator.generateInTextCitation(metadata, style, sourceType, index),
+      bibliography: {
+        index,
+        citation: this.citationGenerator.generateBibliographyEntry(metadata, style, sourceType),
+        sortKey: this.citationGenerator.generateSortKey(metadata, sourceType),
+        type: sourceType,
+        style
+      }
+    };
+  }
+
+  /**
+   * Wrap a passage in quotation marks with the citation before any closing punctuation
+   */
+  formatQuotation(text, inText) {
+    const match = text.trim().match(/^(.*?)([.!?;:,]*)$/s);
+    const body = match[1].replace(/^["“]|["”]$/g, '');
+    const punctuation = match[2];
+
+    return `"${body}" ${inText}${punctuation}`;
+  }
+
+  /**
+   * Paraphrase a passage with the detector model and attach the citation
+   */
+  async paraphraseWithCitation(text, inText, style) {
+    const prompt = `Paraphrase the following passage for an academic paper. Express the same ideas in clearly different wording and sentence structure, keep every fact, and do not add new information. Return only the paraphrase, without quotation marks or a citation.\n\nPassage:\n${text}\n\nParaphrase:`;
+
+    const paraphrase = (await llmProvider.getModel('detector').generate(prompt)).trim().replace(/[.!?]+$/, '');
+    const punctuation = text.trim().match(/[.!?;:,]*$/)[0];
+
+    // The citation goes before the sentence's closing punctuation
+    return `${paraphrase} ${inText}${punctuation}`;
+  }
+
+  /**
+   * Unique bibliography entries, sorted the way CitationGenerator sorts them
+   */
+  collectBibliography(items) {
+    const entries = new Map();
+    items.forEach(item => {
+      entries.set(item.bibliography.citation, item.bibliography);
+    });
+
+    return [...entries.values()].sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+  }
+
+  /**
+   * Add entries to the existing reference list, or start one at the end
+   * Entries already present in the text are not repeated
+   */
+  appendBibliography(content, entries, style) {
+    const newEntries = entries
+      .map(entry => entry.citation)
+      .filter(citation => !content.includes(citation));
+
+    if (newEntries.length === 0) return content;
+
+    const headingPattern = /^\s*(?:#{1,6}\s*)?(References|Works Cited|Bibliography|Reference List)\s*:?\s*$/im;
+    const trimmed = content.replace(/\s+$/, '');
+
+    if (headingPattern.test(content)) {
+      return `${trimmed}\n\n${newEntries.join('\n\n')}\n`;
+    }
+
+    const header = this.citationGenerator.getBibliographyHeader(style);
+    return `${trimmed}\n\n${header}\n\n${newEntries.join('\n\n')}\n`;
+  }
+
   /**
    * Store detector analysis result
    */
   async storeDetectorResult(data) {
     try {
-      const docRef = await this.db.collection('detectorResults').add({
-        ...data,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-      return docRef.id;
+      return await getRepositories().toolResults.create('detection', data.userId, data);
     } catch (error) {
       console.error('Error storing detector result:', error);
       throw error;
@@ -410,11 +709,7 @@ class DetectorService {
    */
   async storeDetectorRemoval(data) {
     try {
-      const docRef = await this.db.collection('detectorRemovals').add({
-        ...data,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-      return docRef.id;
+      return await getRepositories().toolResults.create('detectionRemoval', data.userId, data);
     } catch (error) {
       console.error('Error storing detector removal:', error);
       throw error;
@@ -424,11 +719,12 @@ class DetectorService {
   /**
    * Complete workflow: Detect and remove issues with two-cycle loop
    * Charges only 1:10 ratio for total detected words regardless of cycles
+   * `hooks.onCharge` is awaited after each deduction, as in analyzeContent()
    */
-  async detectAndRemoveWorkflow(userId, content, options = {}) {
+  async detectAndRemoveWorkflow(userId, content, options = {}, hooks = {}) {
     try {
       // Step 1: Initial detection (charges 100 credits per 1000 words - 1:10 ratio)
-      const initialDetection = await this.analyzeContent(userId, content, options);
+      const initialDetection = await this.analyzeContent(userId, content, options, hooks);
       
       if (!this.hasDetectedIssues(initialDetection.results)) {
         return {
@@ -469,6 +765,14 @@ class DetectorService {
       }
 
       try {
+        if (hooks.onCharge) {
+          await hooks.onCharge({
+            transactionId: removalCreditResult.transactionId,
+            credits: removalCreditResult.creditsDeducted,
+            words: detectedWordCount
+          });
+        }
+
         let currentContent = content;
         let currentDetection = initialDetection.results;
         let cycleCount = 0;
@@ -577,11 +881,9 @@ class DetectorService {
    * Generate improved content using Gemini 2.5 Pro
    */
   async generateImprovedContent(content, detectionResults, options) {
-    const model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
     const prompt = this.buildRemovalPrompt(content, detectionResults, options);
     
-    const result = await model.generateContent(prompt);
-    return result.response.text();
+    return llmProvider.getModel('detector').generate(prompt);
   }
 
   /**
@@ -611,11 +913,7 @@ class DetectorService {
    */
   async storeWorkflowResult(data) {
     try {
-      const docRef = await this.db.collection('detectorWorkflows').add({
-        ...data,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-      return docRef.id;
+      return await getRepositories().toolResults.create('detectionWorkflow', data.userId, data);
     } catch (error) {
       console.error('Error storing workflow result:', error);
       throw error;
@@ -648,20 +946,34 @@ class DetectorService {
   }
 
   /**
-   * Get detection history for user
+   * Get a stored analysis owned by the user
+   * @returns {Object|null} Stored analysis, or null when missing or owned by someone else
+   */
+  async getDetectionResult(userId, analysisId) {
+    const analysis = await getRepositories().toolResults.get('detection', analysisId);
+
+    return analysis && analysis.userId === userId ? analysis : null;
+  }
+
+  /**
+   * Build the span-level report for a stored analysis
+   * @returns {Object|null} Report, or null when the analysis isn't found
+   */
+  async getAnalysisReport(userId, analysisId) {
+    const analysis = await this.getDetectionResult(userId, analysisId);
+    if (!analysis) return null;
+
+    return originalityReport.buildReport(analysis.content, analysis.results || {}, {
+      analysisId: analysis.id
+    });
+  }
+
+  /**
+   * Get detection history for user, or across all users when userId is null
    */
   async getDetectionHistory(userId, limit = 10) {
     try {
-      const snapshot = await this.db.collection('detectorResults')
-        .where('userId', '==', userId)
-        .orderBy('createdAt', 'desc')
-        .limit(limit)
-        .get();
-      
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return await getRepositories().toolResults.list('detection', { userId, limit });
     } catch (error) {
       console.error('Error fetching detection history:', error);
       throw new Error('Failed to fetch detection history');
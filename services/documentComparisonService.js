@@ -0,0 +1,131 @@
+const localPlagiarismDetector = require('./localPlagiarismDetector');
+const { getRepositories } = require('../repositories');
+
+/**
+ * Compare a user's own documents with each other
+ * Builds a pairwise similarity matrix over selected content history items and
+ * uploaded files using word shingles, and lists the overlapping passages of
+ * every pair so self-duplication across assignments can be spotted before
+ * submission. Everything runs locally, so comparisons are not charged.
+ */
+class DocumentComparisonService {
+  constructor() {
+    this.minDocuments = 2;
+    this.maxDocuments = 20;
+    this.maxDocumentWords = 20000;
+    this.maxPassagesPerPair = 20;
+  }
+
+  /**
+   * Load content history items owned by the user
+   * @param {string} userId - User ID
+   * @param {Array<string>} ids - Content history item IDs
+   * @returns {Promise<Object>} { documents: [{ id, title, sourceType, text }], missing: [ids] }
+   */
+  async loadHistoryItems(userId, ids) {
+    const documents = [];
+    const missing = [];
+
+    for (const id of ids) {
+      const item = await getRepositories().history.get(id);
+
+      if (!item || item.userId !== userId || !item.content) {
+        missing.push(id);
+        continue;
+      }
+
+      documents.push({
+        id: `history:${id}`,
+        title: item.title || 'Untitled',
+        sourceType: 'contentHistory',
+        text: item.content
+      });
+    }
+
+    return { documents, missing };
+  }
+
+  /**
+   * Check document count and size limits
+   * @param {Array} documents - [{ title, text }]
+   * @returns {Object} { valid, errors }
+   */
+  validateDocuments(documents) {
+    const errors = [];
+
+    if (documents.length < this.minDocuments) {
+      errors.push(`Select at least ${this.minDocuments} documents to compare`);
+    }
+    if (documents.length > this.maxDocuments) {
+      errors.push(`Maximum ${this.maxDocuments} documents per comparison`);
+    }
+
+    documents.forEach(document => {
+      if (this.calculateWordCount(document.text) > this.maxDocumentWords) {
+        errors.push(`${document.title} exceeds ${this.maxDocumentWords} words`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Pairwise similarity matrix with aligned overlapping passages
+   * matrix[i][j] is the Jaccard similarity of documents i and j;
+   * containment[i][j] is the share of document i that also appears in document j.
+   * @param {Array<Object>} documents - [{ id, title, sourceType, text }]
+   * @returns {Object} { documents, matrix, containment, pairs }
+   */
+  compare(documents) {
+    const index = new Map(documents.map((document, i) => [document.id, i]));
+    const size = documents.length;
+    const matrix = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 100 : 0)));
+    const containment = matrix.map(row => [...row]);
+
+    const pairs = localPlagiarismDetector.compareDocuments(documents, { includePassages: true })
+      .map(pair => {
+        const i = index.get(pair.a.id);
+        const j = index.get(pair.b.id);
+
+        matrix[i][j] = pair.similarity;
+        matrix[j][i] = pair.similarity;
+        containment[i][j] = pair.containmentA;
+        containment[j][i] = pair.containmentB;
+
+        // Keep the longest passages, listed in the order they appear in the first document
+        const passages = [...pair.passages]
+          .sort((a, b) => b.wordCount - a.wordCount)
+          .slice(0, this.maxPassagesPerPair)
+          .sort((a, b) => a.a.startIndex - b.a.startIndex);
+
+        return {
+          ...pair,
+          overlappingWords: pair.passages.reduce((sum, passage) => sum + passage.wordCount, 0),
+          passages
+        };
+      })
+      .filter(pair => pair.sharedShingles > 0)
+      .sort((a, b) => Math.max(b.containmentA, b.containmentB) - Math.max(a.containmentA, a.containmentB));
+
+    return {
+      documents: documents.map(document => ({
+        id: document.id,
+        title: document.title,
+        sourceType: document.sourceType,
+        wordCount: this.calculateWordCount(document.text)
+      })),
+      matrix,
+      containment,
+      pairs
+    };
+  }
+
+  /**
+   * Count words the same way the detector routes do
+   */
+  calculateWordCount(text) {
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  }
+}
+
+module.exports = { DocumentComparisonService };
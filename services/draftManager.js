@@ -4,20 +4,75 @@
  */
 
 const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+
+/**
+ * Timestamp as an ISO string; SQLite stores CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC
+ */
+const toIsoTime = (value) => {
+    if (!value) return null;
+    const time = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+    return new Date(time).toISOString();
+};
+
+/**
+ * API shape of a draft; every method returns drafts in this shape, never the
+ * repository's snake_case rows
+ * @param {Object} row - Draft row from the repository
+ * @returns {Object} { id, userId, title, content, prompt, style, tone, targetWordCount,
+ *                     currentWordCount, status, version, autoSaved, createdAt, updatedAt }
+ */
+const toDraft = (row) => row && {
+    id: row.id,
+    userId: row.user_id,
+    title: row.title,
+    content: row.content,
+    prompt: row.prompt,
+    style: row.style,
+    tone: row.tone,
+    targetWordCount: row.target_word_count,
+    currentWordCount: row.current_word_count,
+    status: row.status,
+    version: row.version,
+    autoSaved: Boolean(row.auto_saved),
+    createdAt: toIsoTime(row.created_at),
+    updatedAt: toIsoTime(row.updated_at)
+};
+
+/**
+ * API shape of a draft version
+ * @param {Object} row - Version row from the repository
+ * @returns {Object} { draftId, versionNumber, content, changeSummary, wordCount, createdAt }
+ */
+const toVersion = (row) => row && {
+    draftId: row.draft_id,
+    versionNumber: row.version_number,
+    content: row.content,
+    changeSummary: row.change_summary,
+    wordCount: row.word_count,
+    createdAt: toIsoTime(row.created_at)
+};
 
 class DraftManager {
     constructor() {
         this.autoSaveInterval = 30000; // 30 seconds
         this.maxVersionsPerDraft = 50;
+        this.maxDiffCells = 4000000; // Word-level diff limit before falling back to paragraphs
+    }
+
+    /**
+     * Draft storage from the data-access layer
+     */
+    get drafts() {
+        return getRepositories().drafts;
     }
 
     /**
      * Create a new draft
      * @param {Object} draftData - Draft information
-     * @param {Object} db - Database connection
-     * @returns {Promise<Object>} Created draft
+     * @returns {Promise<Object>} Created draft (see toDraft)
      */
-    async createDraft(draftData, db) {
+    async createDraft(draftData) {
         const {
             userId,
             title,
@@ -30,66 +85,37 @@ class DraftManager {
 
         const currentWordCount = this._countWords(content);
 
-        return new Promise((resolve, reject) => {
-            const stmt = db.prepare(`
-                INSERT INTO drafts (
-                    user_id, title, content, prompt, style, tone, 
-                    target_word_count, current_word_count, status, version
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'draft', 1)
-            `);
-
-            stmt.run(
-                [userId, title, content, prompt, style, tone, targetWordCount, currentWordCount],
-                function(err) {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-
-                    const draftId = this.lastID;
-
-                    // Create initial version
-                    const versionStmt = db.prepare(`
-                        INSERT INTO draft_versions (
-                            draft_id, version_number, content, change_summary, word_count
-                        ) VALUES (?, 1, ?, 'Initial draft creation', ?)
-                    `);
-
-                    versionStmt.run([draftId, content, currentWordCount], (versionErr) => {
-                        if (versionErr) {
-                            reject(versionErr);
-                            return;
-                        }
-
-                        resolve({
-                            id: draftId,
-                            userId,
-                            title,
-                            content,
-                            prompt,
-                            style,
-                            tone,
-                            targetWordCount,
-                            currentWordCount,
-                            status: 'draft',
-                            version: 1,
-                            createdAt: new Date().toISOString()
-                        });
-                    });
-                }
-            );
+        const draft = await this.drafts.create({
+            user_id: userId,
+            title,
+            content,
+            prompt,
+            style,
+            tone,
+            target_word_count: targetWordCount,
+            current_word_count: currentWordCount,
+            status: 'draft'
+        });
+
+        // Create initial version
+        await this.drafts.addVersion(draft.id, {
+            versionNumber: 1,
+            content,
+            changeSummary: 'Initial draft creation',
+            wordCount: currentWordCount
         });
+
+        return toDraft(draft);
     }
 
     /**
      * Update an existing draft
      * @param {number} draftId - Draft ID
      * @param {Object} updateData - Data to update
-     * @param {Object} db - Database connection
      * @param {boolean} createVersion - Whether to create a new version
      * @returns {Promise<Object>} Updated draft
      */
-    async updateDraft(draftId, updateData, db, createVersion = false) {
+    async updateDraft(draftId, updateData, createVersion = false) {
         const {
             title,
             content,
@@ -103,387 +129,284 @@ class DraftManager {
 
         const currentWordCount = content ? this._countWords(content) : undefined;
 
-        return new Promise((resolve, reject) => {
-            // First, get current draft data
-            db.get('SELECT * FROM drafts WHERE id = ?', [draftId], (err, draft) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-
-                if (!draft) {
-                    reject(new Error('Draft not found'));
-                    return;
-                }
-
-                // Build update query dynamically
-                const updates = [];
-                const values = [];
-
-                if (title !== undefined) {
-                    updates.push('title = ?');
-                    values.push(title);
-                }
-                if (content !== undefined) {
-                    updates.push('content = ?');
-                    values.push(content);
-                }
-                if (prompt !== undefined) {
-                    updates.push('prompt = ?');
-                    values.push(prompt);
-                }
-                if (style !== undefined) {
-                    updates.push('style = ?');
-                    values.push(style);
-                }
-                if (tone !== undefined) {
-                    updates.push('tone = ?');
-                    values.push(tone);
-                }
-                if (targetWordCount !== undefined) {
-                    updates.push('target_word_count = ?');
-                    values.push(targetWordCount);
-                }
-                if (currentWordCount !== undefined) {
-                    updates.push('current_word_count = ?');
-                    values.push(currentWordCount);
-                }
-                if (status !== undefined) {
-                    updates.push('status = ?');
-                    values.push(status);
-                }
-
-                updates.push('updated_at = CURRENT_TIMESTAMP');
-
-                if (createVersion) {
-                    updates.push('version = version + 1');
-                }
-
-                values.push(draftId);
-
-                const updateQuery = `UPDATE drafts SET ${updates.join(', ')} WHERE id = ?`;
-
-                db.run(updateQuery, values, function(updateErr) {
-                    if (updateErr) {
-                        reject(updateErr);
-                        return;
-                    }
-
-                    // Create version if requested
-                    if (createVersion && content !== undefined) {
-                        const newVersion = draft.version + 1;
-                        const versionStmt = db.prepare(`
-                            INSERT INTO draft_versions (
-                                draft_id, version_number, content, change_summary, word_count
-                            ) VALUES (?, ?, ?, ?, ?)
-                        `);
-
-                        versionStmt.run(
-                            [draftId, newVersion, content, changeSummary, currentWordCount],
-                            (versionErr) => {
-                                if (versionErr) {
-                                    reject(versionErr);
-                                    return;
-                                }
-
-                                // Clean up old versions if needed
-                                this._cleanupOldVersions(draftId, db);
-                                resolve({ success: true, version: newVersion });
-                            }
-                        );
-                    } else {
-                        resolve({ success: true });
-                    }
-                });
+        const fields = {
+            title,
+            content,
+            prompt,
+            style,
+            tone,
+            target_word_count: targetWordCount,
+            current_word_count: currentWordCount,
+            status
+        };
+        Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+        const draft = await this.drafts.update(draftId, fields, { incrementVersion: createVersion });
+        if (!draft) {
+            throw new Error('Draft not found');
+        }
+
+        // Create version if requested
+        if (createVersion && content !== undefined) {
+            await this.drafts.addVersion(draftId, {
+                versionNumber: draft.version,
+                content,
+                changeSummary,
+                wordCount: currentWordCount
             });
-        });
+
+            // Clean up old versions if needed
+            this._cleanupOldVersions(draftId);
+            return { success: true, version: draft.version };
+        }
+
+        return { success: true };
     }
 
     /**
      * Get draft by ID
      * @param {number} draftId - Draft ID
-     * @param {number} userId - User ID for security
-     * @param {Object} db - Database connection
-     * @returns {Promise<Object>} Draft data
+     * @param {string} userId - User ID for security
+     * @returns {Promise<Object>} Draft (see toDraft), or null
      */
-    async getDraft(draftId, userId, db) {
-        return new Promise((resolve, reject) => {
-            db.get(
-                'SELECT * FROM drafts WHERE id = ? AND user_id = ?',
-                [draftId, userId],
-                (err, draft) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    resolve(draft);
-                }
-            );
-        });
+    async getDraft(draftId, userId) {
+        return toDraft(await this.drafts.get(draftId, userId));
     }
 
     /**
      * Get all drafts for a user
-     * @param {number} userId - User ID
-     * @param {Object} db - Database connection
+     * @param {string} userId - User ID
      * @param {Object} options - Query options
-     * @returns {Promise<Array>} List of drafts
+     * @returns {Promise<Array>} Drafts (see toDraft)
      */
-    async getUserDrafts(userId, db, options = {}) {
-        const {
-            status = null,
-            limit = 50,
-            offset = 0,
-            orderBy = 'updated_at',
-            orderDirection = 'DESC'
-        } = options;
-
-        return new Promise((resolve, reject) => {
-            let query = 'SELECT * FROM drafts WHERE user_id = ?';
-            const params = [userId];
-
-            if (status) {
-                query += ' AND status = ?';
-                params.push(status);
-            }
+    async getUserDrafts(userId, options = {}) {
+        return (await this.drafts.list(userId, options)).map(toDraft);
+    }
 
-            query += ` ORDER BY ${orderBy} ${orderDirection} LIMIT ? OFFSET ?`;
-            params.push(limit, offset);
+    /**
+     * Get draft versions
+     * @param {number} draftId - Draft ID
+     * @returns {Promise<Array>} Versions, newest first (see toVersion)
+     */
+    async getDraftVersions(draftId) {
+        return (await this.drafts.listVersions(draftId)).map(toVersion);
+    }
 
-            db.all(query, params, (err, drafts) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                resolve(drafts);
-            });
-        });
+    /**
+     * Get a single draft version
+     * @param {number} draftId - Draft ID
+     * @param {number} versionNumber - Version number
+     * @returns {Promise<Object>} Version (see toVersion), or null
+     */
+    async getDraftVersion(draftId, versionNumber) {
+        return toVersion(await this.drafts.getVersion(draftId, versionNumber)) || null;
     }
 
     /**
-     * Get draft versions
+     * Diff two versions of a draft
      * @param {number} draftId - Draft ID
-     * @param {Object} db - Database connection
-     * @returns {Promise<Array>} List of versions
+     * @param {number} fromVersion - Base version number
+     * @param {number} toVersion - Compared version number
+     * @returns {Promise<Object>} Diff with word-level changes and totals
      */
-    async getDraftVersions(draftId, db) {
-        return new Promise((resolve, reject) => {
-            db.all(
-                'SELECT * FROM draft_versions WHERE draft_id = ? ORDER BY version_number DESC',
-                [draftId],
-                (err, versions) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    resolve(versions);
-                }
-            );
-        });
+    async diffDraftVersions(draftId, fromVersion, toVersion) {
+        const [from, to] = await Promise.all([
+            this.getDraftVersion(draftId, fromVersion),
+            this.getDraftVersion(draftId, toVersion)
+        ]);
+
+        if (!from || !to) {
+            throw new Error('Version not found');
+        }
+
+        const changes = this.diffText(from.content || '', to.content || '');
+        const countChanged = (type) => changes
+            .filter(change => change.type === type)
+            .reduce((total, change) => total + this._countWords(change.text), 0);
+
+        return {
+            draftId,
+            fromVersion,
+            toVersion,
+            changes,
+            stats: {
+                wordsAdded: countChanged('insert'),
+                wordsRemoved: countChanged('delete'),
+                fromWordCount: from.wordCount,
+                toWordCount: to.wordCount
+            }
+        };
+    }
+
+    /**
+     * Compute a word-level diff between two texts
+     * Falls back to paragraph granularity for very large edits
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @returns {Array<Object>} Runs of { type: 'equal' | 'insert' | 'delete', text }
+     */
+    diffText(oldText, newText) {
+        let oldTokens = oldText.split(/(\s+)/).filter(token => token.length > 0);
+        let newTokens = newText.split(/(\s+)/).filter(token => token.length > 0);
+
+        if (oldTokens.length * newTokens.length > this.maxDiffCells) {
+            oldTokens = oldText.split(/(\n\s*\n)/).filter(token => token.length > 0);
+            newTokens = newText.split(/(\n\s*\n)/).filter(token => token.length > 0);
+        }
+
+        // Trim the common prefix and suffix before running LCS on the middle
+        let start = 0;
+        while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+            start++;
+        }
+        let oldEnd = oldTokens.length;
+        let newEnd = newTokens.length;
+        while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const a = oldTokens.slice(start, oldEnd);
+        const b = newTokens.slice(start, newEnd);
+        const ops = [];
+        oldTokens.slice(0, start).forEach(text => ops.push({ type: 'equal', text }));
+
+        // LCS lengths for suffixes of a and b
+        const width = b.length + 1;
+        const lcs = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', text: a[i++] });
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                ops.push({ type: 'delete', text: a[i++] });
+            } else {
+                ops.push({ type: 'insert', text: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: 'delete', text: a[i++] });
+        while (j < b.length) ops.push({ type: 'insert', text: b[j++] });
+
+        oldTokens.slice(oldEnd).forEach(text => ops.push({ type: 'equal', text }));
+
+        // Merge consecutive tokens of the same type into runs
+        return ops.reduce((runs, op) => {
+            const last = runs[runs.length - 1];
+            if (last && last.type === op.type) {
+                last.text += op.text;
+            } else {
+                runs.push({ ...op });
+            }
+            return runs;
+        }, []);
     }
 
     /**
      * Restore draft to a specific version
      * @param {number} draftId - Draft ID
      * @param {number} versionNumber - Version to restore
-     * @param {Object} db - Database connection
      * @returns {Promise<Object>} Restoration result
      */
-    async restoreDraftVersion(draftId, versionNumber, db) {
-        return new Promise((resolve, reject) => {
-            // Get the version content
-            db.get(
-                'SELECT * FROM draft_versions WHERE draft_id = ? AND version_number = ?',
-                [draftId, versionNumber],
-                (err, version) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-
-                    if (!version) {
-                        reject(new Error('Version not found'));
-                        return;
-                    }
-
-                    // Update draft with version content and create new version
-                    this.updateDraft(
-                        draftId,
-                        {
-                            content: version.content,
-                            changeSummary: `Restored to version ${versionNumber}`
-                        },
-                        db,
-                        true
-                    ).then(resolve).catch(reject);
-                }
-            );
-        });
+    async restoreDraftVersion(draftId, versionNumber) {
+        const version = await this.getDraftVersion(draftId, versionNumber);
+
+        if (!version) {
+            throw new Error('Version not found');
+        }
+
+        // Update draft with version content and create new version
+        return this.updateDraft(
+            draftId,
+            {
+                content: version.content,
+                changeSummary: `Restored to version ${versionNumber}`
+            },
+            true
+        );
     }
 
     /**
      * Create auto-save session
      * @param {number} draftId - Draft ID
-     * @param {Object} db - Database connection
      * @returns {Promise<string>} Session token
      */
-    async createAutoSaveSession(draftId, db) {
+    async createAutoSaveSession(draftId) {
         const sessionToken = crypto.randomBytes(32).toString('hex');
 
-        return new Promise((resolve, reject) => {
-            // Deactivate existing sessions for this draft
-            db.run(
-                'UPDATE auto_save_sessions SET is_active = FALSE WHERE draft_id = ?',
-                [draftId],
-                (err) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-
-                    // Create new session
-                    db.run(
-                        'INSERT INTO auto_save_sessions (draft_id, session_token) VALUES (?, ?)',
-                        [draftId, sessionToken],
-                        function(insertErr) {
-                            if (insertErr) {
-                                reject(insertErr);
-                                return;
-                            }
-                            resolve(sessionToken);
-                        }
-                    );
-                }
-            );
-        });
+        // Deactivates existing sessions for this draft
+        await this.drafts.createSession(draftId, sessionToken);
+        return sessionToken;
     }
 
     /**
      * Auto-save draft content
      * @param {string} sessionToken - Session token
      * @param {string} content - Content to save
-     * @param {Object} db - Database connection
+     * @param {string|null} userId - Optional owner check for the session's draft
      * @returns {Promise<Object>} Save result
      */
-    async autoSaveDraft(sessionToken, content, db) {
-        return new Promise((resolve, reject) => {
-            // Get session and draft info
-            db.get(
-                `SELECT s.*, d.id as draft_id FROM auto_save_sessions s 
-                 JOIN drafts d ON s.draft_id = d.id 
-                 WHERE s.session_token = ? AND s.is_active = TRUE`,
-                [sessionToken],
-                (err, session) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-
-                    if (!session) {
-                        reject(new Error('Invalid or expired session'));
-                        return;
-                    }
-
-                    const wordCount = this._countWords(content);
-
-                    // Update draft content and mark as auto-saved
-                    db.run(
-                        `UPDATE drafts SET 
-                         content = ?, current_word_count = ?, auto_saved = TRUE, updated_at = CURRENT_TIMESTAMP 
-                         WHERE id = ?`,
-                        [content, wordCount, session.draft_id],
-                        (updateErr) => {
-                            if (updateErr) {
-                                reject(updateErr);
-                                return;
-                            }
-
-                            // Update session timestamp
-                            db.run(
-                                'UPDATE auto_save_sessions SET last_auto_save = CURRENT_TIMESTAMP WHERE session_token = ?',
-                                [sessionToken],
-                                (sessionErr) => {
-                                    if (sessionErr) {
-                                        reject(sessionErr);
-                                        return;
-                                    }
-
-                                    resolve({
-                                        success: true,
-                                        wordCount,
-                                        lastSaved: new Date().toISOString()
-                                    });
-                                }
-                            );
-                        }
-                    );
-                }
-            );
+    async autoSaveDraft(sessionToken, content, userId = null) {
+        const session = await this.drafts.findActiveSession(sessionToken, userId);
+
+        if (!session) {
+            throw new Error('Invalid or expired session');
+        }
+
+        const wordCount = this._countWords(content);
+
+        // Update draft content and mark as auto-saved
+        await this.drafts.update(session.draft_id, {
+            content,
+            current_word_count: wordCount,
+            auto_saved: true
         });
+        await this.drafts.touchSession(sessionToken);
+
+        return {
+            success: true,
+            draftId: session.draft_id,
+            wordCount,
+            lastSaved: new Date().toISOString()
+        };
     }
 
     /**
      * Delete draft
      * @param {number} draftId - Draft ID
-     * @param {number} userId - User ID for security
-     * @param {Object} db - Database connection
+     * @param {string} userId - User ID for security
      * @returns {Promise<Object>} Deletion result
      */
-    async deleteDraft(draftId, userId, db) {
-        return new Promise((resolve, reject) => {
-            // Verify ownership
-            db.get(
-                'SELECT id FROM drafts WHERE id = ? AND user_id = ?',
-                [draftId, userId],
-                (err, draft) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-
-                    if (!draft) {
-                        reject(new Error('Draft not found or access denied'));
-                        return;
-                    }
-
-                    // Delete related data
-                    db.serialize(() => {
-                        db.run('DELETE FROM auto_save_sessions WHERE draft_id = ?', [draftId]);
-                        db.run('DELETE FROM draft_versions WHERE draft_id = ?', [draftId]);
-                        db.run('DELETE FROM drafts WHERE id = ?', [draftId], function(deleteErr) {
-                            if (deleteErr) {
-                                reject(deleteErr);
-                                return;
-                            }
-                            resolve({ success: true, deletedRows: this.changes });
-                        });
-                    });
-                }
-            );
-        });
+    async deleteDraft(draftId, userId) {
+        // Verify ownership
+        const draft = await this.getDraft(draftId, userId);
+
+        if (!draft) {
+            throw new Error('Draft not found or access denied');
+        }
+
+        // Versions and auto-save sessions are deleted with the draft
+        const deletedRows = await this.drafts.delete(draftId);
+        return { success: true, deletedRows };
     }
 
     /**
      * Clean up old versions to maintain performance
      * @param {number} draftId - Draft ID
-     * @param {Object} db - Database connection
      */
-    _cleanupOldVersions(draftId, db) {
-        db.run(
-            `DELETE FROM draft_versions 
-             WHERE draft_id = ? AND version_number NOT IN (
-                 SELECT version_number FROM draft_versions 
-                 WHERE draft_id = ? 
-                 ORDER BY version_number DESC 
-                 LIMIT ?
-             )`,
-            [draftId, draftId, this.maxVersionsPerDraft],
-            (err) => {
-                if (err) {
-                    console.error('Error cleaning up old versions:', err);
-                }
-            }
-        );
+    _cleanupOldVersions(draftId) {
+        this.drafts.pruneVersions(draftId, this.maxVersionsPerDraft).catch(err => {
+            console.error('Error cleaning up old versions:', err);
+        });
     }
 
     /**
@@ -498,30 +421,18 @@ class DraftManager {
 
     /**
      * Get draft statistics for a user
-     * @param {number} userId - User ID
-     * @param {Object} db - Database connection
-     * @returns {Promise<Object>} Statistics
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { totalDrafts, activeDrafts, completedDrafts, totalWords, avgWordsPerDraft }
      */
-    async getDraftStatistics(userId, db) {
-        return new Promise((resolve, reject) => {
-            db.get(
-                `SELECT 
-                    COUNT(*) as total_drafts,
-                    COUNT(CASE WHEN status = 'draft' THEN 1 END) as active_drafts,
-                    COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_drafts,
-                    SUM(current_word_count) as total_words,
-                    AVG(current_word_count) as avg_words_per_draft
-                 FROM drafts WHERE user_id = ?`,
-                [userId],
-                (err, stats) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    resolve(stats);
-                }
-            );
-        });
+    async getDraftStatistics(userId) {
+        const stats = await this.drafts.stats(userId);
+        return {
+            totalDrafts: stats.total_drafts,
+            activeDrafts: stats.active_drafts,
+            completedDrafts: stats.completed_drafts,
+            totalWords: stats.total_words,
+            avgWordsPerDraft: stats.avg_words_per_draft
+        };
     }
 }
 
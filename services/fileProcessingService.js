@@ -1,6 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const pdfParse = require('pdf-parse');
+const JSZip = require('jszip');
+
+// Bullet or enumerator at the start of a line ("•", "-", "1.", "a)", "iv.")
+const LIST_ITEM_PATTERN = /^\s*(?:[•●▪◦‣∙\-–*]|\(?\d{1,3}[.)]|\(?[a-z][.)]|\(?[ivx]{1,5}[.)])\s+/i;
+// Running page numbers in headers/footers ("3", "Page 3", "Page 3 of 10", "- 3 -")
+const PAGE_NUMBER_PATTERN = /^\s*(?:page\s+)?-?\s*\d{1,4}\s*-?(?:\s+of\s+\d{1,4})?\s*$/i;
 
 /**
  * File Processing Service
@@ -12,6 +19,11 @@ class FileProcessingService {
         this.supportedTypes = ['.pdf', '.docx', '.txt'];
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
         this.maxFiles = 5;
+        this.maxPromptCharsPerFile = 4000; // Structured excerpt budget per document
+        
+        // Batch uploads (ZIP archives or many files) for the detector
+        this.maxBatchFiles = 50;
+        this.maxArchiveBytes = 100 * 1024 * 1024; // 100MB uncompressed per archive
     }
 
     /**
@@ -60,26 +72,39 @@ class FileProcessingService {
         for (const file of files) {
             try {
                 const ext = path.extname(file.originalname).toLowerCase();
-                let content = '';
+                let extraction;
                 
                 switch (ext) {
-                    case '.txt':
-                        content = await this.extractTextContent(file);
+                    case '.txt': {
+                        const text = await this.extractTextContent(file);
+                        const sections = this.segmentPlainText(text);
+                        extraction = {
+                            text: this.renderSections(sections),
+                            sections,
+                            pageCount: sections.length > 0 ? sections[sections.length - 1].page : 1
+                        };
                         break;
+                    }
                     case '.pdf':
-                        content = await this.extractPDFContent(file);
+                        extraction = await this.extractPDFContent(file);
                         break;
                     case '.docx':
-                        content = await this.extractDocxContent(file);
+                        extraction = await this.extractDocxContent(file);
                         break;
                     default:
                         throw new Error(`Unsupported file type: ${ext}`);
                 }
                 
+                if (!extraction.text.trim()) {
+                    throw new Error('No readable text found in file');
+                }
+                
                 extractedContent.push({
                     filename: file.originalname,
                     type: ext,
-                    content: content,
+                    content: extraction.text,
+                    sections: extraction.sections,
+                    pageCount: extraction.pageCount,
                     size: file.size,
                     extractedAt: new Date().toISOString()
                 });
@@ -100,6 +125,108 @@ class FileProcessingService {
         return extractedContent;
     }
 
+    /**
+     * Replace uploaded ZIP archives with the supported documents inside them
+     * Directories, macOS metadata and hidden files are ignored; nested
+     * archives and unsupported formats are reported as skipped.
+     * @param {Array} files - Uploaded files (multer memory storage)
+     * @returns {Promise<Object>} { files, skipped: [{ filename, error }] }
+     */
+    async expandArchives(files) {
+        const expanded = [];
+        const skipped = [];
+        
+        for (const file of files) {
+            if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+                expanded.push(file);
+                continue;
+            }
+            
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(file.buffer);
+            } catch (error) {
+                skipped.push({ filename: file.originalname, error: 'Invalid ZIP archive' });
+                continue;
+            }
+            
+            let archiveBytes = 0;
+            const entries = Object.values(zip.files).filter(entry => {
+                const name = path.basename(entry.name);
+                return !entry.dir && !entry.name.startsWith('__MACOSX/') && !name.startsWith('.');
+            });
+            
+            for (const entry of entries) {
+                const filename = `${file.originalname}/${entry.name}`;
+                const ext = path.extname(entry.name).toLowerCase();
+                
+                if (!this.supportedTypes.includes(ext)) {
+                    skipped.push({
+                        filename,
+                        error: ext === '.zip' ? 'Nested archives are not supported' : 'Unsupported format. Supported: PDF, DOCX, TXT'
+                    });
+                    continue;
+                }
+                
+                // Check the declared size before inflating so a ZIP bomb is rejected cheaply
+                const declaredSize = entry._data && entry._data.uncompressedSize;
+                if (declaredSize > this.maxFileSize) {
+                    skipped.push({ filename, error: 'Exceeds 10MB limit' });
+                    continue;
+                }
+                
+                const buffer = await entry.async('nodebuffer');
+                if (buffer.length > this.maxFileSize) {
+                    skipped.push({ filename, error: 'Exceeds 10MB limit' });
+                    continue;
+                }
+                
+                archiveBytes += buffer.length;
+                if (archiveBytes > this.maxArchiveBytes) {
+                    throw new Error(`${file.originalname} exceeds ${this.maxArchiveBytes / (1024 * 1024)}MB uncompressed`);
+                }
+                
+                expanded.push({
+                    originalname: entry.name,
+                    buffer,
+                    size: buffer.length,
+                    archive: file.originalname
+                });
+            }
+        }
+        
+        return { files: expanded, skipped };
+    }
+
+    /**
+     * Extract every document in a batch upload, expanding ZIP archives
+     * @param {Array} files - Uploaded files and/or ZIP archives
+     * @returns {Promise<Object>} { documents, skipped } where documents are extractContent entries
+     */
+    async extractBatchContent(files) {
+        const { files: expanded, skipped } = await this.expandArchives(files);
+        
+        if (expanded.length > this.maxBatchFiles) {
+            throw new Error(`Maximum ${this.maxBatchFiles} documents per batch (found ${expanded.length})`);
+        }
+        
+        const oversized = expanded.filter(file => file.size > this.maxFileSize);
+        oversized.forEach(file => skipped.push({ filename: file.originalname, error: 'Exceeds 10MB limit' }));
+        
+        const extracted = await this.extractContent(expanded.filter(file => file.size <= this.maxFileSize));
+        const documents = [];
+        
+        extracted.forEach(item => {
+            if (item.error) {
+                skipped.push({ filename: item.filename, error: item.error });
+            } else {
+                documents.push(item);
+            }
+        });
+        
+        return { documents, skipped };
+    }
+
     /**
      * Extract content from text files
      * @param {Object} file - Uploaded file object
@@ -118,36 +245,537 @@ class FileProcessingService {
 
     /**
      * Extract content from PDF files
-     * Note: This is a simplified implementation. In production, you'd use a library like pdf-parse
+     * Rebuilds lines from positioned text items so headings (larger font),
+     * list items, table rows (column gaps) and page numbers survive extraction
      * @param {Object} file - Uploaded file object
-     * @returns {Promise<string>} Extracted text content
+     * @returns {Promise<Object>} Extracted text, structured sections and page count
      */
     async extractPDFContent(file) {
-        // For now, return a simulated extraction
-        // In production, you would use a library like pdf-parse:
-        // const pdfParse = require('pdf-parse');
-        // const data = await pdfParse(file.buffer);
-        // return data.text;
-        
-        // TODO: Implement actual PDF parsing using pdf-parse library
-        throw new Error('PDF extraction requires backend integration with pdf-parse library');
+        const pages = [];
+        
+        let data;
+        try {
+            // Copy out of Node's shared buffer pool; pdf.js reads the underlying
+            // ArrayBuffer from offset 0 and would otherwise see unrelated bytes
+            data = await pdfParse(new Uint8Array(file.buffer), {
+                pagerender: async (pageData) => {
+                    const textContent = await pageData.getTextContent({
+                        normalizeWhitespace: true,
+                        disableCombineTextItems: false
+                    });
+                    const lines = this.groupPdfItemsIntoLines(textContent.items);
+                    pages.push({ page: pageData.pageIndex + 1, lines });
+                    return lines.map(line => line.text).join('\n');
+                }
+            });
+        } catch (error) {
+            throw new Error(`Failed to parse PDF file: ${error.message}`);
+        }
+        
+        pages.sort((a, b) => a.page - b.page);
+        const sections = this.buildPdfSections(pages);
+        
+        return {
+            text: this.renderSections(sections),
+            sections,
+            pageCount: data.numpages
+        };
+    }
+
+    /**
+     * Group positioned PDF text items into visual lines
+     * @param {Array} items - pdf.js text content items
+     * @returns {Array<Object>} Lines ordered top to bottom with cells and font size
+     */
+    groupPdfItemsIntoLines(items) {
+        const lines = [];
+        
+        items
+            .filter(item => item.str && item.str.trim().length > 0)
+            .map(item => ({
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width || 0,
+                fontSize: Math.abs(item.transform[3]) || Math.abs(item.transform[0]) || 0
+            }))
+            .forEach(item => {
+                const tolerance = Math.max(item.fontSize * 0.5, 2);
+                const line = lines.find(l => Math.abs(l.y - item.y) <= tolerance);
+                if (line) {
+                    line.items.push(item);
+                } else {
+                    lines.push({ y: item.y, items: [item] });
+                }
+            });
+        
+        return lines
+            .sort((a, b) => b.y - a.y)
+            .map(line => {
+                const lineItems = line.items.sort((a, b) => a.x - b.x);
+                const fontSize = Math.max(...lineItems.map(item => item.fontSize));
+                const cells = [];
+                let previous = null;
+                
+                lineItems.forEach(item => {
+                    const gap = previous ? item.x - (previous.x + previous.width) : 0;
+                    if (!previous || gap > fontSize * 2) {
+                        cells.push(item.text.trim());
+                    } else {
+                        const separator = gap > fontSize * 0.15 && !/\s$/.test(previous.text) ? ' ' : '';
+                        cells[cells.length - 1] += separator + item.text.trim();
+                    }
+                    previous = item;
+                });
+                
+                return {
+                    y: line.y,
+                    x: lineItems[0].x,
+                    fontSize,
+                    cells,
+                    text: cells.join(' ').replace(/\s+/g, ' ').trim()
+                };
+            });
+    }
+
+    /**
+     * Classify PDF lines into headings, paragraphs, lists and tables
+     * @param {Array<Object>} pages - Pages with their grouped lines
+     * @returns {Array<Object>} Structured sections tagged with page numbers
+     */
+    buildPdfSections(pages) {
+        // Body font size is the size carrying the most characters
+        const sizeWeights = {};
+        pages.forEach(page => page.lines.forEach(line => {
+            const size = Math.round(line.fontSize * 2) / 2;
+            sizeWeights[size] = (sizeWeights[size] || 0) + line.text.length;
+        }));
+        const bodySize = Number(Object.entries(sizeWeights).sort(([, a], [, b]) => b - a)[0]?.[0]) || 0;
+        
+        // Larger sizes map to heading levels, biggest first
+        const headingSizes = Object.keys(sizeWeights)
+            .map(Number)
+            .filter(size => size >= bodySize * 1.15)
+            .sort((a, b) => b - a);
+        
+        const sections = [];
+        
+        pages.forEach(({ page, lines }) => {
+            let current = null;
+            let previousLine = null;
+            
+            lines.forEach(line => {
+                if (!line.text || PAGE_NUMBER_PATTERN.test(line.text)) {
+                    return;
+                }
+                
+                const size = Math.round(line.fontSize * 2) / 2;
+                const isHeading = headingSizes.includes(size) && line.text.length <= 120;
+                const isListItem = LIST_ITEM_PATTERN.test(line.text);
+                const isTableRow = line.cells.length >= 2;
+                const verticalGap = previousLine ? previousLine.y - line.y : 0;
+                const startsNewBlock = !previousLine || verticalGap > line.fontSize * 1.8;
+                
+                if (isHeading) {
+                    if (current && current.type === 'heading' && !startsNewBlock) {
+                        current.text += ` ${line.text}`;
+                    } else {
+                        current = {
+                            type: 'heading',
+                            level: Math.min(headingSizes.indexOf(size) + 1, 3),
+                            text: line.text,
+                            page
+                        };
+                        sections.push(current);
+                    }
+                } else if (isTableRow) {
+                    if (current && current.type === 'table') {
+                        current.rows.push(line.cells);
+                    } else {
+                        current = { type: 'table', rows: [line.cells], page };
+                        sections.push(current);
+                    }
+                } else if (isListItem) {
+                    if (current && current.type === 'list' && !startsNewBlock) {
+                        current.items.push(line.text.replace(LIST_ITEM_PATTERN, ''));
+                    } else {
+                        current = { type: 'list', items: [line.text.replace(LIST_ITEM_PATTERN, '')], page };
+                        sections.push(current);
+                    }
+                } else if (current && current.type === 'list' && !startsNewBlock && line.x > previousLine.x) {
+                    // Wrapped continuation of the previous list item
+                    current.items[current.items.length - 1] += ` ${line.text}`;
+                } else if (current && current.type === 'paragraph' && !startsNewBlock) {
+                    current.text += ` ${line.text}`;
+                } else {
+                    current = { type: 'paragraph', text: line.text, page };
+                    sections.push(current);
+                }
+                
+                previousLine = line;
+            });
+        });
+        
+        return sections;
     }
 
     /**
      * Extract content from DOCX files
-     * Note: This is a simplified implementation. In production, you'd use a library like mammoth
+     * Reads the OOXML body directly so heading styles, numbered/bulleted lists,
+     * tables and page breaks are preserved
      * @param {Object} file - Uploaded file object
-     * @returns {Promise<string>} Extracted text content
+     * @returns {Promise<Object>} Extracted text, structured sections and page count
      */
     async extractDocxContent(file) {
-        // For now, return a simulated extraction
-        // In production, you would use a library like mammoth:
-        // const mammoth = require('mammoth');
-        // const result = await mammoth.extractRawText({buffer: file.buffer});
-        // return result.value;
-        
-        // TODO: Implement actual DOCX parsing using mammoth library
-        throw new Error('DOCX extraction requires backend integration with mammoth library');
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file.buffer);
+        } catch (error) {
+            throw new Error(`Failed to open DOCX file: ${error.message}`);
+        }
+        
+        const documentFile = zip.file('word/document.xml');
+        if (!documentFile) {
+            throw new Error('Invalid DOCX file: word/document.xml not found');
+        }
+        
+        const documentXml = await documentFile.async('string');
+        const stylesFile = zip.file('word/styles.xml');
+        const styles = stylesFile ? this.parseDocxStyles(await stylesFile.async('string')) : {};
+        const sections = this.parseDocxBody(documentXml, styles);
+        
+        // Word records the page count of the last save in docProps/app.xml
+        let pageCount = sections.length > 0 ? sections[sections.length - 1].page : 1;
+        const appFile = zip.file('docProps/app.xml');
+        if (appFile) {
+            const pagesMatch = (await appFile.async('string')).match(/<Pages>(\d+)<\/Pages>/);
+            if (pagesMatch) {
+                pageCount = Math.max(pageCount, parseInt(pagesMatch[1], 10));
+            }
+        }
+        
+        return {
+            text: this.renderSections(sections),
+            sections,
+            pageCount
+        };
+    }
+
+    /**
+     * Map DOCX style ids to heading levels and list styles
+     * @param {string} stylesXml - Contents of word/styles.xml
+     * @returns {Object} Style id to { headingLevel, isList }
+     */
+    parseDocxStyles(stylesXml) {
+        const styles = {};
+        const stylePattern = /<w:style\b[^>]*w:styleId="([^"]+)"[^>]*>([\s\S]*?)<\/w:style>/g;
+        let match;
+        
+        while ((match = stylePattern.exec(stylesXml)) !== null) {
+            const [, styleId, body] = match;
+            const name = (body.match(/<w:name w:val="([^"]+)"/) || [])[1] || styleId;
+            const outline = body.match(/<w:outlineLvl w:val="(\d)"/);
+            const headingName = name.match(/^heading\s*(\d)$/i);
+            
+            let headingLevel = null;
+            if (/^title$/i.test(name)) {
+                headingLevel = 1;
+            } else if (headingName) {
+                headingLevel = parseInt(headingName[1], 10);
+            } else if (outline) {
+                headingLevel = parseInt(outline[1], 10) + 1;
+            }
+            
+            styles[styleId] = {
+                headingLevel,
+                isList: /^list (bullet|number)/i.test(name) || /<w:numPr>/.test(body)
+            };
+        }
+        
+        return styles;
+    }
+
+    /**
+     * Walk the DOCX document body and build structured sections
+     * @param {string} xml - Contents of word/document.xml
+     * @param {Object} styles - Parsed style map from parseDocxStyles
+     * @returns {Array<Object>} Structured sections tagged with page numbers
+     */
+    parseDocxBody(xml, styles = {}) {
+        // Rendered page breaks reflect real pagination; explicit breaks are only
+        // a fallback for documents that were never laid out by Word
+        const useRenderedBreaks = xml.includes('<w:lastRenderedPageBreak');
+        const tokenPattern = /<(\/?)(w:[A-Za-z]+)\b([^>]*?)(\/?)>|([^<]+)/g;
+        const sections = [];
+        let page = 1;
+        let paragraph = null;
+        let inText = false;
+        let tableDepth = 0;
+        let table = null;
+        let row = null;
+        let cell = null;
+        let token;
+        
+        const attr = (attrs, name) => (attrs.match(new RegExp(`w:${name}="([^"]*)"`)) || [])[1];
+        
+        const closeParagraph = () => {
+            const text = paragraph.text.replace(/[ \t]+/g, ' ').trim();
+            const style = styles[paragraph.styleId] || {};
+            
+            if (cell) {
+                if (text) cell.push(text);
+            } else if (text) {
+                const headingLevel = paragraph.outlineLevel || style.headingLevel;
+                const last = sections[sections.length - 1];
+                
+                if (headingLevel) {
+                    sections.push({ type: 'heading', level: Math.min(headingLevel, 6), text, page: paragraph.page });
+                } else if (paragraph.isList || style.isList) {
+                    if (last && last.type === 'list' && last.page === paragraph.page) {
+                        last.items.push(text);
+                    } else {
+                        sections.push({ type: 'list', items: [text], page: paragraph.page });
+                    }
+                } else {
+                    sections.push({ type: 'paragraph', text, page: paragraph.page });
+                }
+            }
+            paragraph = null;
+        };
+        
+        while ((token = tokenPattern.exec(xml)) !== null) {
+            const [, closing, tag, attrs, selfClosing, text] = token;
+            
+            if (text !== undefined) {
+                if (inText && paragraph) {
+                    paragraph.text += this.decodeXmlEntities(text);
+                }
+                continue;
+            }
+            
+            switch (tag) {
+                case 'w:p':
+                    if (closing) {
+                        if (paragraph) closeParagraph();
+                    } else if (!selfClosing) {
+                        paragraph = { text: '', styleId: null, isList: false, outlineLevel: null, page };
+                    }
+                    break;
+                case 'w:pStyle':
+                    if (paragraph) paragraph.styleId = attr(attrs, 'val');
+                    break;
+                case 'w:numPr':
+                    if (paragraph && !closing) paragraph.isList = true;
+                    break;
+                case 'w:outlineLvl':
+                    if (paragraph) paragraph.outlineLevel = parseInt(attr(attrs, 'val'), 10) + 1;
+                    break;
+                case 'w:pageBreakBefore':
+                    if (!useRenderedBreaks && paragraph && attr(attrs, 'val') !== '0') {
+                        page++;
+                        paragraph.page = page;
+                    }
+                    break;
+                case 'w:lastRenderedPageBreak':
+                    if (useRenderedBreaks) {
+                        page++;
+                        if (paragraph && !paragraph.text.trim()) paragraph.page = page;
+                    }
+                    break;
+                case 'w:br':
+                    if (attr(attrs, 'type') === 'page') {
+                        if (!useRenderedBreaks) {
+                            page++;
+                            if (paragraph && !paragraph.text.trim()) paragraph.page = page;
+                        }
+                    } else if (paragraph) {
+                        paragraph.text += ' ';
+                    }
+                    break;
+                case 'w:tab':
+                    if (paragraph && selfClosing) paragraph.text += '\t';
+                    break;
+                case 'w:t':
+                    inText = !closing && !selfClosing;
+                    break;
+                case 'w:tbl':
+                    if (closing) {
+                        tableDepth--;
+                        if (tableDepth === 0 && table) {
+                            if (table.rows.length > 0) sections.push(table);
+                            table = null;
+                        }
+                    } else {
+                        tableDepth++;
+                        if (tableDepth === 1) table = { type: 'table', rows: [], page };
+                    }
+                    break;
+                case 'w:tr':
+                    if (tableDepth !== 1) break;
+                    if (closing) {
+                        if (row && row.some(value => value)) table.rows.push(row);
+                        row = null;
+                    } else {
+                        row = [];
+                    }
+                    break;
+                case 'w:tc':
+                    // Nested tables are flattened into the enclosing cell
+                    if (tableDepth !== 1) break;
+                    if (closing) {
+                        if (row && cell) row.push(cell.join(' '));
+                        cell = null;
+                    } else {
+                        cell = [];
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+        
+        return sections;
+    }
+
+    /**
+     * Decode the XML entities that appear in OOXML text runs
+     * @param {string} text - Raw XML text
+     * @returns {string} Decoded text
+     */
+    decodeXmlEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Split plain text into structured sections
+     * Form feeds mark page boundaries, Markdown-style "#" lines mark headings
+     * @param {string} text - Plain text content
+     * @returns {Array<Object>} Structured sections tagged with page numbers
+     */
+    segmentPlainText(text) {
+        const sections = [];
+        
+        text.split('\f').forEach((pageText, pageIndex) => {
+            const page = pageIndex + 1;
+            
+            pageText.replace(/\r\n/g, '\n').split(/\n\s*\n/).forEach(block => {
+                const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+                if (lines.length === 0) return;
+                
+                lines.forEach((line, index) => {
+                    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+                    const last = sections[sections.length - 1];
+                    
+                    if (heading) {
+                        sections.push({ type: 'heading', level: heading[1].length, text: heading[2], page });
+                    } else if (LIST_ITEM_PATTERN.test(line)) {
+                        const item = line.replace(LIST_ITEM_PATTERN, '');
+                        if (index > 0 && last && last.type === 'list') {
+                            last.items.push(item);
+                        } else {
+                            sections.push({ type: 'list', items: [item], page });
+                        }
+                    } else if (line.includes('|') && line.split('|').filter(c => c.trim()).length >= 2) {
+                        if (/^[\s|:-]+$/.test(line)) return; // Markdown table divider
+                        const cells = line.split('|').map(c => c.trim()).filter(Boolean);
+                        if (index > 0 && last && last.type === 'table') {
+                            last.rows.push(cells);
+                        } else {
+                            sections.push({ type: 'table', rows: [cells], page });
+                        }
+                    } else if (index > 0 && last && last.type === 'paragraph') {
+                        last.text += ` ${line}`;
+                    } else {
+                        sections.push({ type: 'paragraph', text: line, page });
+                    }
+                });
+            });
+        });
+        
+        return sections;
+    }
+
+    /**
+     * Render a single structured section as plain text
+     * @param {Object} section - Structured section
+     * @returns {string} Text representation
+     */
+    renderSection(section) {
+        switch (section.type) {
+            case 'heading':
+                return `${'#'.repeat(section.level || 1)} ${section.text}`;
+            case 'list':
+                return section.items.map(item => `- ${item}`).join('\n');
+            case 'table':
+                return section.rows.map(row => `| ${row.join(' | ')} |`).join('\n');
+            default:
+                return section.text;
+        }
+    }
+
+    /**
+     * Render structured sections as plain text that keeps headings, lists and tables
+     * @param {Array<Object>} sections - Structured sections
+     * @returns {string} Text content
+     */
+    renderSections(sections) {
+        return sections.map(section => this.renderSection(section)).join('\n\n');
+    }
+
+    /**
+     * Format structured sections for the generation prompt, grouped under their
+     * headings and labelled with the pages they came from
+     * @param {Array<Object>} sections - Structured sections
+     * @returns {string} Prompt excerpt
+     */
+    formatSectionsForPrompt(sections) {
+        const groups = [];
+        let group = null;
+        
+        sections.forEach(section => {
+            if (section.type === 'heading' || !group) {
+                group = {
+                    title: section.type === 'heading' ? section.text : 'Opening content',
+                    pages: new Set(),
+                    blocks: []
+                };
+                groups.push(group);
+                if (section.type === 'heading') {
+                    group.pages.add(section.page);
+                    return;
+                }
+            }
+            group.pages.add(section.page);
+            group.blocks.push(this.renderSection(section));
+        });
+        
+        let excerpt = '';
+        for (const { title, pages, blocks } of groups) {
+            const pageList = [...pages].sort((a, b) => a - b);
+            const pageLabel = pageList.length > 1
+                ? `pages ${pageList[0]}-${pageList[pageList.length - 1]}`
+                : `page ${pageList[0]}`;
+            const part = `[Section: "${title}" (${pageLabel})]\n${blocks.join('\n')}\n`;
+            
+            if (excerpt.length + part.length > this.maxPromptCharsPerFile) {
+                const remaining = this.maxPromptCharsPerFile - excerpt.length;
+                if (remaining > 200) {
+                    excerpt += `${part.substring(0, remaining)}...\n`;
+                }
+                excerpt += '[Remaining sections truncated]\n';
+                break;
+            }
+            excerpt += part;
+        }
+        
+        return excerpt;
     }
 
     /**
@@ -161,11 +789,20 @@ class FileProcessingService {
     generatePromptFromFiles(extractedContent, additionalPrompt = '', style = 'Academic', tone = 'Formal') {
         let prompt = `Based on the following uploaded documents, generate comprehensive ${style.toLowerCase()} content with a ${tone.toLowerCase()} tone:\n\n`;
         
+        let hasStructuredContent = false;
+        
         // Add content from each file
         extractedContent.forEach((file, index) => {
             if (file.content && !file.error) {
-                prompt += `Document ${index + 1}: ${file.filename} (${file.type.toUpperCase()})\n`;
-                prompt += `Content: ${file.content.substring(0, 1000)}${file.content.length > 1000 ? '...' : ''}\n\n`;
+                const pageInfo = file.pageCount ? `, ${file.pageCount} page${file.pageCount === 1 ? '' : 's'}` : '';
+                prompt += `Document ${index + 1}: ${file.filename} (${file.type.toUpperCase()}${pageInfo})\n`;
+                
+                if (file.sections && file.sections.length > 0) {
+                    hasStructuredContent = true;
+                    prompt += `Content by section:\n${this.formatSectionsForPrompt(file.sections)}\n`;
+                } else {
+                    prompt += `Content: ${file.content.substring(0, 1000)}${file.content.length > 1000 ? '...' : ''}\n\n`;
+                }
             } else if (file.error) {
                 prompt += `Document ${index + 1}: ${file.filename} (${file.type.toUpperCase()}) - Error: ${file.error}\n\n`;
             }
@@ -183,13 +820,17 @@ class FileProcessingService {
         prompt += `3. Uses a ${tone.toLowerCase()} tone throughout\n`;
         prompt += `4. Includes relevant insights and analysis\n`;
         prompt += `5. Provides clear structure with headings and sections\n`;
-        prompt += `6. Ensures originality while incorporating source material\n\n`;
+        prompt += `6. Ensures originality while incorporating source material\n`;
+        if (hasStructuredContent) {
+            prompt += `7. Follows any requirements, rubric criteria or marking guidance found in the documents, noting which document section and page each requirement came from\n`;
+        }
+        prompt += `\n`;
         
         return prompt;
     }
 
     /**
-     * Process files and generate content using Gemini 2.5 Flash
+     * Process files and build the generation prompt from their contents
      * @param {Array} files - Uploaded files
      * @param {string} additionalPrompt - Additional user prompt
      * @param {string} style - Writing style
@@ -211,20 +852,25 @@ class FileProcessingService {
             // Extract content from files
             const extractedContent = await this.extractContent(files);
             
-            // Generate prompt
-            const prompt = this.generatePromptFromFiles(extractedContent, additionalPrompt, style, tone);
+            const failedFiles = extractedContent.filter(file => file.error);
+            if (failedFiles.length === extractedContent.length) {
+                return {
+                    success: false,
+                    error: 'Could not extract content from any uploaded file',
+                    details: failedFiles.map(file => `${file.filename}: ${file.error}`)
+                };
+            }
             
-            // Simulate Gemini 2.5 Flash API call
-            // In production, you would integrate with the actual Gemini API
-            const generatedContent = await this.simulateGeminiGeneration(prompt, extractedContent);
+            // Generate prompt; the caller runs generation so credits stay with the route
+            const prompt = this.generatePromptFromFiles(extractedContent, additionalPrompt, style, tone);
             
             return {
                 success: true,
                 extractedContent: extractedContent,
                 prompt: prompt,
-                generatedContent: generatedContent,
                 metadata: {
                     filesProcessed: files.length,
+                    pagesProcessed: extractedContent.reduce((sum, file) => sum + (file.pageCount || 0), 0),
                     totalSize: files.reduce((sum, file) => sum + file.size, 0),
                     processedAt: new Date().toISOString(),
                     style: style,
@@ -242,23 +888,6 @@ class FileProcessingService {
         }
     }
 
-    /**
-     * Simulate Gemini 2.5 Flash API call
-     * @param {string} prompt - Generated prompt
-     * @param {Array} extractedContent - Extracted file contents
-     * @returns {Promise<string>} Generated content
-     */
-    async simulateGeminiGeneration(prompt, extractedContent) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        const fileNames = extractedContent.map(f => f.filename).join(', ');
-        const fileTypes = [...new Set(extractedContent.map(f => f.type))].join(', ');
-        
-        // TODO: Replace with actual Gemini API integration
-        throw new Error('Content generation requires backend integration with Gemini API service');
-    }
-
     /**
      * Clean up temporary files
      * @param {Array} files - Files to clean up
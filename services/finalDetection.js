@@ -1,10 +1,10 @@
 const OriginalityDetection = require('./originalityDetection');
-const admin = require('firebase-admin');
+const originalityReport = require('./originalityReport');
+const { getRepositories } = require('../repositories');
 
 class FinalDetectionService {
   constructor() {
     this.originalityDetection = new OriginalityDetection();
-    this.db = admin.firestore();
   }
 
   /**
@@ -12,14 +12,18 @@ class FinalDetectionService {
    * @param {string} combinedContent - Complete stitched content
    * @param {Array} chunkDetectionResults - Individual chunk detection results
    * @param {Object} metadata - Content metadata
+   * @param {Object} detectionOptions - Extra detectContent options, e.g. referenceDocuments
    * @returns {Object} Comprehensive final detection results
    */
-  async processFinalDetection(combinedContent, chunkDetectionResults = [], metadata = {}) {
+  async processFinalDetection(combinedContent, chunkDetectionResults = [], metadata = {}, detectionOptions = {}) {
     try {
       const startTime = Date.now();
       
       // Step 1: Run detection on complete combined content
-      const fullContentDetection = await this.originalityDetection.detectContent(combinedContent);
+      const fullContentDetection = await this.originalityDetection.detectContent(combinedContent, {
+        ...detectionOptions,
+        userId: metadata.userId
+      });
       
       // Step 2: Analyze chunk-level results
       const chunkAnalysis = this.analyzeChunkResults(chunkDetectionResults);
@@ -35,7 +39,8 @@ class FinalDetectionService {
       const finalReport = await this.generateFinalReport(
         reconciledResults,
         combinedContent,
-        metadata
+        metadata,
+        fullContentDetection
       );
       
       // Step 5: Store detection results
@@ -350,9 +355,15 @@ class FinalDetectionService {
    * @param {Object} reconciledResults - Reconciled detection results
    * @param {string} content - Complete content
    * @param {Object} metadata - Content metadata
+   * @param {Object} fullContentDetection - Detection results for the combined content
    * @returns {Object} Final detection report
    */
-  async generateFinalReport(reconciledResults, content, metadata) {
+  async generateFinalReport(reconciledResults, content, metadata, fullContentDetection = {}) {
+    // Span offsets refer to the combined content; the text itself is stored with the content
+    const { text, ...spanReport } = originalityReport.buildReport(content, fullContentDetection, {
+      provider: fullContentDetection.provider
+    });
+
     return {
       success: true,
       
@@ -379,6 +390,9 @@ class FinalDetectionService {
       // Recommendations and actions
       recommendations: reconciledResults.recommendations,
       
+      // Flagged spans with offsets into the content
+      spanReport,
+      
       // Metadata
       contentId: metadata.contentId,
       userId: metadata.userId,
@@ -386,7 +400,7 @@ class FinalDetectionService {
       generationMethod: metadata.generationMethod || 'multi-part',
       
       // Processing info
-      detectionProvider: 'originality.ai',
+      detectionProvider: fullContentDetection.provider || 'originality.ai',
       processingDate: new Date().toISOString(),
       version: '1.0'
     };
@@ -401,14 +415,10 @@ class FinalDetectionService {
     try {
       if (!metadata.contentId) return;
       
-      const detectionDoc = {
+      await getRepositories().toolResults.create('finalDetection', metadata.userId, {
         contentId: metadata.contentId,
-        userId: metadata.userId,
-        detectionResults: finalReport,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      };
-      
-      await this.db.collection('detectionResults').doc(metadata.contentId).set(detectionDoc);
+        detectionResults: finalReport
+      });
       
     } catch (error) {
       console.error('Detection results storage error:', error);
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getRepositories } = require('../repositories');
+
+/**
+ * Idempotency key store
+ * Records one entry per (user, Idempotency-Key) in the configured data store
+ * (repositories.idempotencyKeys). The first request claims the key; repeats
+ * within the window get the stored response (or the in-progress status)
+ * instead of running, and being charged, again.
+ *
+ * The key of the request being handled is also kept in async context so
+ * AtomicCreditSystem can store it with the credit transaction it records,
+ * and note the credits it charged (see recordCharge()).
+ */
+
+const STATUS = {
+    PROCESSING: 'processing',
+    COMPLETED: 'completed'
+};
+
+class IdempotencyStore {
+    constructor() {
+        this.context = new AsyncLocalStorage();
+
+        this.windowMs = (parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+        // A claim not renewed for this long is treated as abandoned (crashed request);
+        // the middleware renews it while the request is still running
+        this.leaseMs = (parseInt(process.env.IDEMPOTENCY_LEASE_MINUTES) || 15) * 60 * 1000;
+        this.maxStoredBodyBytes = 900000;   // Stay under the Firestore document size limit
+    }
+
+    /**
+     * Hash of what makes two requests "the same": method, path and body
+     */
+    fingerprint(method, path, body) {
+        return crypto.createHash('sha256')
+            .update(`${method} ${path}\n${JSON.stringify(body || {})}`)
+            .digest('hex');
+    }
+
+    /**
+     * Claim a key for a request, or return the existing record
+     * @param {string} userId - User ID
+     * @param {string} key - Idempotency-Key header value
+     * @param {string} fingerprint - Request fingerprint
+     * @returns {Promise<Object>} { claimed: true } or { claimed: false, record }
+     */
+    async claim(userId, key, fingerprint) {
+        return getRepositories().idempotencyKeys.claim(userId, key, {
+            fingerprint,
+            windowMs: this.windowMs,
+            leaseMs: this.leaseMs
+        });
+    }
+
+    /**
+     * Extend the lease of a claim whose request is still running
+     * Does nothing once the claim has been completed or released.
+     * @param {string} userId - User ID
+     * @param {string} key - Idempotency key
+     */
+    async renew(userId, key) {
+        await getRepositories().idempotencyKeys.renew(userId, key);
+    }
+
+    /**
+     * Store the response of a claimed request
+     * @param {string} userId - User ID
+     * @param {string} key - Idempotency key
+     * @param {number} statusCode - Response status
+     * @param {*} body - JSON response body, or undefined when the response was not JSON (e.g. a stream)
+     */
+    async complete(userId, key, statusCode, body) {
+        const serialized = body === undefined ? null : JSON.stringify(body);
+        const replayable = serialized !== null && Buffer.byteLength(serialized) <= this.maxStoredBodyBytes;
+
+        await getRepositories().idempotencyKeys.complete(userId, key, {
+            statusCode,
+            replayable,
+            responseBody: replayable ? serialized : null
+        });
+    }
+
+    /**
+     * Release a claim so the request can be retried (error responses)
+     */
+    async release(userId, key) {
+        await getRepositories().idempotencyKeys.release(userId, key);
+    }
+
+    /**
+     * Run a function with the request's idempotency state in async context
+     * @param {Object} state - { key, creditsCharged }; creditsCharged is kept up to date by recordCharge()
+     */
+    runWithKey(state, fn) {
+        return this.context.run(state, fn);
+    }
+
+    /**
+     * Idempotency key of the request currently being handled, if any
+     * @returns {string|null}
+     */
+    getCurrentKey() {
+        return this.context.getStore()?.key || null;
+    }
+
+    /**
+     * Note credits charged (positive) or given back (negative) by the request
+     * currently being handled. A no-op outside a request with a key.
+     * @param {number} credits - Credits charged, or negative for a rollback or refund
+     */
+    recordCharge(credits) {
+        const state = this.context.getStore();
+        if (state) {
+            state.creditsCharged += credits || 0;
+        }
+    }
+}
+
+module.exports = new IdempotencyStore();
+module.exports.STATUS = STATUS;
@@ -0,0 +1,708 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const apiKeyService = require('./apiKeyService');
+const { defaultDatabasePath } = require('../repositories');
+
+/**
+ * Background Job Queue
+ * Runs long generation, research and detection work outside the HTTP request.
+ * Jobs are persisted through a store adapter (SQLite or in-memory) so they can
+ * be polled, cancelled, retried and resumed after a server restart.
+ */
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * In-memory job store
+ * Suitable for development and tests; jobs do not survive a restart
+ */
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    async init() {}
+
+    async create(job) {
+        this.jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+        return job;
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? JSON.parse(JSON.stringify(job)) : null;
+    }
+
+    async update(id, fields) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        Object.assign(job, JSON.parse(JSON.stringify(fields)));
+        return this.get(id);
+    }
+
+    async listByStatus(statuses) {
+        return [...this.jobs.values()]
+            .filter(job => statuses.includes(job.status))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(job => JSON.parse(JSON.stringify(job)));
+    }
+
+    async listByUser(userId, limit = 20) {
+        return [...this.jobs.values()]
+            .filter(job => job.userId === userId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+            .map(job => JSON.parse(JSON.stringify(job)));
+    }
+
+    async listRecent({ userId = null, status = null, limit = 50 } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => (!userId || job.userId === userId) && (!status || job.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+            .map(job => JSON.parse(JSON.stringify(job)));
+    }
+}
+
+/**
+ * SQLite job store
+ * Persists jobs in a local `jobs` table so queued and interrupted work
+ * can be picked up again when the server restarts
+ */
+class SQLiteJobStore {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+        this.JSON_COLUMNS = ['payload', 'result', 'checkpoint'];
+        this.COLUMN_MAP = {
+            id: 'id',
+            type: 'type',
+            userId: 'user_id',
+            status: 'status',
+            progress: 'progress',
+            message: 'message',
+            payload: 'payload',
+            result: 'result',
+            error: 'error',
+            checkpoint: 'checkpoint',
+            attempts: 'attempts',
+            maxAttempts: 'max_attempts',
+            runAfter: 'run_after',
+            createdAt: 'created_at',
+            updatedAt: 'updated_at',
+            startedAt: 'started_at',
+            finishedAt: 'finished_at',
+            apiKeyId: 'api_key_id'
+        };
+    }
+
+    async init() {
+        const sqlite3 = require('sqlite3');
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        this.db = new sqlite3.Database(this.dbPath);
+        await this._run(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                progress INTEGER DEFAULT 0,
+                message TEXT,
+                payload TEXT,
+                result TEXT,
+                error TEXT,
+                checkpoint TEXT,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 1,
+                run_after INTEGER DEFAULT 0,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                started_at TEXT,
+                finished_at TEXT,
+                api_key_id TEXT
+            )
+        `);
+        const columns = await this._all('PRAGMA table_info(jobs)');
+        if (!columns.some(column => column.name === 'api_key_id')) {
+            await this._run('ALTER TABLE jobs ADD COLUMN api_key_id TEXT');
+        }
+        await this._run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status)');
+        await this._run('CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs (user_id, created_at)');
+    }
+
+    async create(job) {
+        const columns = Object.keys(this.COLUMN_MAP).filter(key => job[key] !== undefined);
+        await this._run(
+            `INSERT INTO jobs (${columns.map(key => this.COLUMN_MAP[key]).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(key => this._serialize(key, job[key]))
+        );
+        return job;
+    }
+
+    async get(id) {
+        const row = await this._get('SELECT * FROM jobs WHERE id = ?', [id]);
+        return row ? this._toJob(row) : null;
+    }
+
+    async update(id, fields) {
+        const keys = Object.keys(fields).filter(key => this.COLUMN_MAP[key] && key !== 'id');
+        if (keys.length > 0) {
+            await this._run(
+                `UPDATE jobs SET ${keys.map(key => `${this.COLUMN_MAP[key]} = ?`).join(', ')} WHERE id = ?`,
+                [...keys.map(key => this._serialize(key, fields[key])), id]
+            );
+        }
+        return this.get(id);
+    }
+
+    async listByStatus(statuses) {
+        const rows = await this._all(
+            `SELECT * FROM jobs WHERE status IN (${statuses.map(() => '?').join(', ')}) ORDER BY created_at ASC`,
+            statuses
+        );
+        return rows.map(row => this._toJob(row));
+    }
+
+    async listByUser(userId, limit = 20) {
+        const rows = await this._all(
+            'SELECT * FROM jobs WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+            [userId, limit]
+        );
+        return rows.map(row => this._toJob(row));
+    }
+
+    async listRecent({ userId = null, status = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        const rows = await this._all(
+            `SELECT * FROM jobs ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY created_at DESC LIMIT ?`,
+            [...params, limit]
+        );
+        return rows.map(row => this._toJob(row));
+    }
+
+    _serialize(key, value) {
+        if (this.JSON_COLUMNS.includes(key)) {
+            return value === null || value === undefined ? null : JSON.stringify(value);
+        }
+        return value;
+    }
+
+    _toJob(row) {
+        const job = {};
+        Object.entries(this.COLUMN_MAP).forEach(([key, column]) => {
+            const value = row[column];
+            job[key] = this.JSON_COLUMNS.includes(key) && value ? JSON.parse(value) : value;
+        });
+        return job;
+    }
+
+    _run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    _get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    _all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+}
+
+/**
+ * JobQueue class
+ * Handlers are registered per job type by the routes that enqueue them:
+ *   jobQueue.registerHandler('research.query', {
+ *       run: async (job, context) => result,
+ *       onFailed: async (job, error) => {},     // optional, e.g. refund credits
+ *       onCancelled: async (job) => {},         // optional
+ *       maxAttempts: 2,                         // optional
+ *       cancellable: false                      // optional, only queued jobs can be cancelled
+ *   });
+ * `context` exposes updateProgress(progress, message), saveCheckpoint(data)
+ * and an AbortSignal that fires when the job is cancelled.
+ */
+class JobQueue {
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+        this.retryDelay = options.retryDelay || 5000; // Base delay before a retry, doubled per attempt
+        this.handlers = new Map();
+        this.running = new Map(); // jobId -> AbortController
+        this.started = false;
+        this.draining = false;
+        this.drainRequested = false;
+        this.ready = null;
+        this.drainTimer = null;
+    }
+
+    /**
+     * Register the handler for a job type
+     * @param {string} type - Job type, e.g. 'writer.generate'
+     * @param {Object} handler - { run, onFailed, onCancelled, maxAttempts, cancellable }
+     */
+    registerHandler(type, handler) {
+        if (typeof handler.run !== 'function') {
+            throw new Error(`Job handler for ${type} must define run()`);
+        }
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Initialize the store and recover jobs left over from a previous process
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.ready) return this.ready;
+
+        this.ready = (async () => {
+            if (!this.store) {
+                this.store = this.createDefaultStore();
+            }
+
+            try {
+                await this.store.init();
+            } catch (error) {
+                console.error('Job store initialization failed, falling back to in-memory store:', error.message);
+                this.store = new MemoryJobStore();
+                await this.store.init();
+            }
+
+            await this.recoverInterruptedJobs();
+            this.started = true;
+            this.drain();
+        })();
+
+        return this.ready;
+    }
+
+    /**
+     * Create the store selected by JOB_STORE ('sqlite' by default, or 'memory')
+     * The SQLite file is JOB_DATABASE_PATH, else the data store's default file
+     * (see defaultDatabasePath() in ../repositories)
+     * @returns {Object} Job store adapter
+     */
+    createDefaultStore() {
+        if ((process.env.JOB_STORE || 'sqlite').toLowerCase() === 'memory') {
+            return new MemoryJobStore();
+        }
+
+        return new SQLiteJobStore(process.env.JOB_DATABASE_PATH || defaultDatabasePath());
+    }
+
+    /**
+     * Requeue jobs that were running when the previous process stopped
+     * Handlers see the last saved checkpoint and can resume from it
+     */
+    async recoverInterruptedJobs() {
+        const interrupted = await this.store.listByStatus([JOB_STATUS.RUNNING]);
+
+        for (const job of interrupted) {
+            if (job.attempts < job.maxAttempts) {
+                console.log(`Requeueing job ${job.id} (${job.type}) interrupted by restart`);
+                await this.store.update(job.id, {
+                    status: JOB_STATUS.QUEUED,
+                    message: 'Resuming after server restart',
+                    runAfter: 0,
+                    updatedAt: new Date().toISOString()
+                });
+            } else {
+                await this.finishFailed(job, new Error('Job was interrupted by a server restart'));
+            }
+        }
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type - Registered job type
+     * @param {string} userId - Owner of the job
+     * @param {Object} payload - JSON-serializable input for the handler
+     * @param {Object} options - { maxAttempts }
+     * @returns {Promise<Object>} Public job view
+     */
+    async enqueue(type, userId, payload, options = {}) {
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            throw new Error(`No job handler registered for ${type}`);
+        }
+
+        await this.start();
+
+        const now = new Date().toISOString();
+        const job = {
+            id: `job_${crypto.randomBytes(12).toString('hex')}`,
+            type,
+            userId,
+            status: JOB_STATUS.QUEUED,
+            progress: 0,
+            message: 'Queued',
+            payload,
+            result: null,
+            error: null,
+            checkpoint: null,
+            attempts: 0,
+            maxAttempts: options.maxAttempts || handler.maxAttempts || 1,
+            runAfter: 0,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            apiKeyId: apiKeyService.getCurrentKeyId(),
+            finishedAt: null
+        };
+
+        await this.store.create(job);
+        this.drain();
+
+        return this.toPublicJob(job);
+    }
+
+    /**
+     * Get a job for its owner
+     * @param {string} jobId - Job ID
+     * @param {string} userId - Requesting user
+     * @returns {Promise<Object>} Public job view
+     */
+    async getJob(jobId, userId) {
+        await this.start();
+        const job = await this.store.get(jobId);
+
+        if (!job) {
+            throw new Error('Job not found');
+        }
+        if (job.userId !== userId) {
+            throw new Error('Unauthorized access to job');
+        }
+
+        return this.toPublicJob(job);
+    }
+
+    /**
+     * List a user's most recent jobs
+     * @param {string} userId - Job owner
+     * @param {number} limit - Maximum jobs to return
+     * @returns {Promise<Array>} Public job views
+     */
+    async listJobs(userId, limit = 20) {
+        await this.start();
+        const jobs = await this.store.listByUser(userId, limit);
+        return jobs.map(job => this.toPublicJob(job));
+    }
+
+    /**
+     * List recent jobs across all users, for administrators
+     * @param {Object} filters - { userId, status, limit }
+     * @returns {Promise<Array>} Public job views including the owner's userId
+     */
+    async findJobs(filters = {}) {
+        await this.start();
+        const jobs = await this.store.listRecent(filters);
+        return jobs.map(job => ({ ...this.toPublicJob(job), userId: job.userId, error: job.error }));
+    }
+
+    /**
+     * Cancel a queued or running job
+     * Running handlers are signalled through their AbortSignal and settle
+     * once they observe it
+     * @param {string} jobId - Job ID
+     * @param {string} userId - Requesting user
+     * @returns {Promise<Object>} Public job view
+     */
+    async cancelJob(jobId, userId) {
+        await this.start();
+        const job = await this.store.get(jobId);
+
+        if (!job) {
+            throw new Error('Job not found');
+        }
+        if (job.userId !== userId) {
+            throw new Error('Unauthorized access to job');
+        }
+        if (FINISHED_STATUSES.includes(job.status)) {
+            throw new Error(`Job already ${job.status}`);
+        }
+
+        const controller = this.running.get(jobId);
+        const handler = this.handlers.get(job.type);
+        if (controller && handler && handler.cancellable === false) {
+            throw new Error('Job is already running and cannot be cancelled');
+        }
+        if (controller) {
+            const updated = await this.store.update(jobId, {
+                message: 'Cancellation requested',
+                updatedAt: new Date().toISOString()
+            });
+            controller.abort();
+            return this.toPublicJob(updated);
+        }
+
+        return this.toPublicJob(await this.finishCancelled(job));
+    }
+
+    /**
+     * Start as many runnable jobs as concurrency allows
+     * A call made while a pass is running (e.g. a job enqueued meanwhile) is
+     * remembered and another pass runs once the current one finishes.
+     */
+    async drain() {
+        if (!this.started) return;
+        if (this.draining) {
+            this.drainRequested = true;
+            return;
+        }
+        this.draining = true;
+        this.drainRequested = false;
+
+        try {
+            const queued = await this.store.listByStatus([JOB_STATUS.QUEUED]);
+            const now = Date.now();
+            let nextRunAt = null;
+
+            for (const job of queued) {
+                if (this.running.size >= this.concurrency) break;
+                if (this.running.has(job.id)) continue;
+
+                if (job.runAfter && job.runAfter > now) {
+                    nextRunAt = nextRunAt === null ? job.runAfter : Math.min(nextRunAt, job.runAfter);
+                    continue;
+                }
+
+                this.runJob(job);
+            }
+
+            // Wake up for delayed retries
+            if (nextRunAt !== null) {
+                clearTimeout(this.drainTimer);
+                this.drainTimer = setTimeout(() => this.drain(), Math.max(nextRunAt - Date.now(), 0));
+                this.drainTimer.unref();
+            }
+        } catch (error) {
+            console.error('Job queue drain failed:', error);
+        } finally {
+            this.draining = false;
+        }
+
+        if (this.drainRequested) {
+            this.drain();
+        }
+    }
+
+    /**
+     * Run a single job through its handler
+     * @param {Object} job - Stored job
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        const controller = new AbortController();
+        this.running.set(job.id, controller);
+
+        try {
+            if (!handler) {
+                throw new Error(`No job handler registered for ${job.type}`);
+            }
+
+            const attempts = job.attempts + 1;
+            const current = await this.store.update(job.id, {
+                status: JOB_STATUS.RUNNING,
+                attempts,
+                message: attempts > 1 ? `Running (attempt ${attempts} of ${job.maxAttempts})` : 'Running',
+                startedAt: job.startedAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+
+            const context = {
+                signal: controller.signal,
+                attempt: attempts,
+                checkpoint: current.checkpoint,
+                updateProgress: async (progress, message) => {
+                    await this.store.update(job.id, {
+                        progress: Math.max(0, Math.min(100, Math.round(progress))),
+                        ...(message ? { message } : {}),
+                        updatedAt: new Date().toISOString()
+                    });
+                },
+                saveCheckpoint: async (checkpoint) => {
+                    await this.store.update(job.id, {
+                        checkpoint,
+                        updatedAt: new Date().toISOString()
+                    });
+                }
+            };
+
+            // Credits charged by the handler are attributed to the API key that enqueued the job
+            const result = await apiKeyService.runWithKey(job.apiKeyId || null, () => handler.run(current, context));
+
+            if (controller.signal.aborted) {
+                await this.finishCancelled(await this.store.get(job.id));
+            } else {
+                await this.store.update(job.id, {
+                    status: JOB_STATUS.COMPLETED,
+                    progress: 100,
+                    message: 'Completed',
+                    result: result === undefined ? null : result,
+                    error: null,
+                    finishedAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                });
+            }
+
+        } catch (error) {
+            const latest = await this.store.get(job.id);
+
+            if (controller.signal.aborted) {
+                await this.finishCancelled(latest);
+            } else if (latest.attempts < latest.maxAttempts && error.retryable !== false) {
+                const delay = this.retryDelay * Math.pow(2, latest.attempts - 1);
+                console.warn(`Job ${job.id} attempt ${latest.attempts} failed, retrying in ${delay}ms:`, error.message);
+                await this.store.update(job.id, {
+                    status: JOB_STATUS.QUEUED,
+                    message: `Retrying after error: ${error.message}`,
+                    error: error.message,
+                    runAfter: Date.now() + delay,
+                    updatedAt: new Date().toISOString()
+                });
+            } else {
+                console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+                await this.finishFailed(latest, error);
+            }
+        } finally {
+            this.running.delete(job.id);
+            this.drain();
+        }
+    }
+
+    /**
+     * Mark a job failed and run the handler's failure hook
+     */
+    async finishFailed(job, error) {
+        const handler = this.handlers.get(job.type);
+
+        if (handler && typeof handler.onFailed === 'function') {
+            try {
+                await handler.onFailed(job, error);
+            } catch (hookError) {
+                console.error(`onFailed hook for job ${job.id} failed:`, hookError);
+            }
+        }
+
+        return this.store.update(job.id, {
+            status: JOB_STATUS.FAILED,
+            message: 'Failed',
+            error: error.message,
+            finishedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Mark a job cancelled and run the handler's cancellation hook
+     */
+    async finishCancelled(job) {
+        const handler = this.handlers.get(job.type);
+
+        if (handler && typeof handler.onCancelled === 'function') {
+            try {
+                await handler.onCancelled(job);
+            } catch (hookError) {
+                console.error(`onCancelled hook for job ${job.id} failed:`, hookError);
+            }
+        }
+
+        return this.store.update(job.id, {
+            status: JOB_STATUS.CANCELLED,
+            message: 'Cancelled',
+            finishedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Strip internal fields before returning a job to clients
+     * @param {Object} job - Stored job
+     * @returns {Object} Public job view
+     */
+    toPublicJob(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            progress: job.progress,
+            message: job.message,
+            result: job.status === JOB_STATUS.COMPLETED ? job.result : null,
+            error: job.status === JOB_STATUS.FAILED ? job.error : null,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    /**
+     * Whether a request asked to run in the background, via `"async": true`
+     * in the body or a `Prefer: respond-async` header
+     * @param {Object} req - Express request
+     * @returns {boolean}
+     */
+    wantsAsync(req) {
+        return (req.body && req.body.async === true) ||
+            /\brespond-async\b/i.test(req.get('Prefer') || '');
+    }
+
+    /**
+     * Standard 202 response body for an enqueued job
+     * @param {Object} job - Public job view
+     * @param {Object} req - Express request; versioned API requests get a versioned statusUrl
+     * @returns {Object} Response body
+     */
+    acceptedResponse(job, req = {}) {
+        return {
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `${req.apiVersion ? `/api/${req.apiVersion}` : '/api'}/jobs/${job.id}`
+        };
+    }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobQueue = JobQueue;
+module.exports.MemoryJobStore = MemoryJobStore;
+module.exports.SQLiteJobStore = SQLiteJobStore;
+module.exports.JOB_STATUS = JOB_STATUS;
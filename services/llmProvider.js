@@ -0,0 +1,428 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const resilience = require('./resilience');
+const structuredOutput = require('./structuredOutput');
+
+/**
+ * LLM Provider Abstraction
+ * Every service asks for a model by tool and quality tier instead of building
+ * its own client. Adapters share one interface:
+ *   generate(request) -> Promise<string>
+ *   stream(request)   -> AsyncIterable<string> of text deltas
+ * where request = { prompt, model, temperature, topK, topP, maxOutputTokens, signal, responseSchema }.
+ * responseSchema marks a JSON request; adapters switch the provider into JSON mode
+ * where it has one. Parsing and validation live in structuredOutput.
+ *
+ * Routing is configured with environment variables:
+ *   LLM_PROVIDER  - default provider for every tool: 'gemini' (default), 'openai' or 'fake'
+ *   LLM_ROUTES    - JSON overrides per tool and tier, e.g.
+ *                   {"research": {"premium": "openai:gpt-4o"},
+ *                    "writer": {"default": [{"provider": "gemini", "model": "gemini-2.5-flash", "weight": 80},
+ *                                           {"provider": "openai", "model": "gpt-4o-mini", "weight": 20}]}}
+ *                   A list of weighted variants splits traffic between models for A/B comparisons.
+ */
+
+// Gemini models each tool used before providers were configurable
+const DEFAULT_GEMINI_MODELS = {
+    writer: { standard: 'gemini-2.5-flash', premium: 'gemini-2.5-pro' },
+    multipart: { standard: 'gemini-2.5-pro', premium: 'gemini-2.5-pro' },
+    refinement: { standard: 'gemini-2.5-pro', premium: 'gemini-2.5-pro' },
+    research: { standard: 'gemini-2.5-pro', premium: 'gemini-2.5-pro' },
+    prompt: { standard: 'gemini-1.5-flash', premium: 'gemini-1.5-flash' },
+    citations: { standard: 'gemini-2.5-pro', premium: 'gemini-2.5-pro' },
+    detector: { standard: 'gemini-2.5-pro', premium: 'gemini-2.5-pro' }
+};
+
+/**
+ * Google Gemini adapter
+ */
+class GeminiProvider {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        this.defaultModel = 'gemini-2.5-flash';
+        this.client = null;
+    }
+
+    getClient() {
+        if (!this.apiKey) {
+            throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY environment variable.');
+        }
+        if (!this.client) {
+            const { GoogleGenerativeAI } = require('@google/generative-ai');
+            this.client = new GoogleGenerativeAI(this.apiKey);
+        }
+        return this.client;
+    }
+
+    buildRequest(request) {
+        const generationConfig = {};
+        ['temperature', 'topK', 'topP', 'maxOutputTokens'].forEach(key => {
+            if (request[key] !== undefined) generationConfig[key] = request[key];
+        });
+        if (request.responseSchema) {
+            generationConfig.responseMimeType = 'application/json';
+        }
+
+        return {
+            contents: [{ role: 'user', parts: [{ text: request.prompt }] }],
+            ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {})
+        };
+    }
+
+    async generate(request) {
+        const model = this.getClient().getGenerativeModel({ model: request.model || this.defaultModel });
+        const result = await model.generateContent(this.buildRequest(request));
+        const response = await result.response;
+        return response.text();
+    }
+
+    async *stream(request) {
+        const model = this.getClient().getGenerativeModel({ model: request.model || this.defaultModel });
+        const result = await model.generateContentStream(this.buildRequest(request));
+        for await (const chunk of result.stream) {
+            const delta = chunk.text();
+            if (delta) yield delta;
+        }
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions adapter
+ * Works with OpenAI and any server exposing /chat/completions (vLLM, Ollama, LM Studio, ...)
+ */
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.baseURL = (options.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.defaultModel = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+        this.timeout = 120000;
+    }
+
+    buildBody(request, stream) {
+        const body = {
+            model: request.model || this.defaultModel,
+            messages: [{ role: 'user', content: request.prompt }],
+            stream
+        };
+        if (request.temperature !== undefined) body.temperature = request.temperature;
+        if (request.topP !== undefined) body.top_p = request.topP;
+        if (request.maxOutputTokens !== undefined) body.max_tokens = request.maxOutputTokens;
+        // JSON mode only allows an object at the top level
+        if (request.responseSchema?.type === 'object') body.response_format = { type: 'json_object' };
+        return body;
+    }
+
+    buildHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+        };
+    }
+
+    async generate(request) {
+        const response = await axios.post(`${this.baseURL}/chat/completions`, this.buildBody(request, false), {
+            headers: this.buildHeaders(),
+            timeout: this.timeout,
+            signal: request.signal
+        });
+        return response.data.choices?.[0]?.message?.content || '';
+    }
+
+    async *stream(request) {
+        const response = await axios.post(`${this.baseURL}/chat/completions`, this.buildBody(request, true), {
+            headers: this.buildHeaders(),
+            timeout: this.timeout,
+            signal: request.signal,
+            responseType: 'stream'
+        });
+
+        let buffer = '';
+        for await (const data of response.data) {
+            buffer += data.toString('utf8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') return;
+
+                const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+        }
+    }
+}
+
+/**
+ * Local deterministic fake
+ * Returns the same text for the same prompt and model without any network
+ * access, so the whole pipeline can run offline in tests. Requests with a
+ * responseSchema get a value built from the schema; other prompts that ask
+ * for JSON get a JSON value shaped like the template in the prompt.
+ */
+class FakeProvider {
+    constructor() {
+        this.name = 'fake';
+        this.defaultModel = 'fake-deterministic';
+        this.vocabulary = [
+            'analysis', 'evidence', 'framework', 'context', 'research', 'students', 'policy',
+            'outcomes', 'approach', 'perspective', 'development', 'practice', 'significant',
+            'theoretical', 'practical', 'consistent', 'broader', 'careful', 'suggests',
+            'indicates', 'supports', 'challenges', 'explains', 'highlights', 'shapes'
+        ];
+    }
+
+    async generate(request) {
+        return this.buildText(request);
+    }
+
+    async *stream(request) {
+        const text = this.buildText(request);
+        const pieces = text.match(/[^.]+\.?\s*/g) || [text];
+        for (const piece of pieces) {
+            yield piece;
+        }
+    }
+
+    buildText(request) {
+        const prompt = request.prompt || '';
+        const random = this.createRandom(`${request.model || this.defaultModel}\n${prompt}`);
+
+        if (request.responseSchema) {
+            return JSON.stringify(structuredOutput.sample(
+                request.responseSchema,
+                (path) => `${path.split('.').pop().replace(/[_-]|\[\d+\]/g, ' ').trim()} ${this.vocabulary[Math.floor(random() * this.vocabulary.length)]}`,
+                (min, max) => min + Math.floor(random() * (max - min + 1))
+            ), null, 2);
+        }
+
+        if (/\bJSON\b/i.test(prompt)) {
+            return JSON.stringify(this.buildJson(prompt, random), null, 2);
+        }
+
+        const wordMatch = prompt.match(/(\d{2,5})\s+words/i);
+        const targetWords = wordMatch ? Math.min(parseInt(wordMatch[1]), 4000) : 150;
+        const paragraphs = [];
+        let words = 0;
+
+        while (words < targetWords) {
+            const sentences = [];
+            for (let i = 0; i < 4 && words < targetWords; i++) {
+                const length = Math.min(8 + Math.floor(random() * 10), targetWords - words);
+                const sentence = Array.from({ length }, () => this.vocabulary[Math.floor(random() * this.vocabulary.length)]);
+                sentence[0] = sentence[0].charAt(0).toUpperCase() + sentence[0].slice(1);
+                sentences.push(`${sentence.join(' ')}.`);
+                words += length;
+            }
+            paragraphs.push(sentences.join(' '));
+        }
+
+        return paragraphs.join('\n\n');
+    }
+
+    buildJson(prompt, random) {
+        const objectStart = prompt.indexOf('{');
+        const arrayRequested = /JSON array/i.test(prompt);
+        if (objectStart === -1) return arrayRequested ? [] : {};
+
+        const template = prompt.slice(objectStart, prompt.indexOf('}', objectStart) + 1);
+        const result = {};
+        const keyPattern = /"([\w-]+)"\s*:\s*(.)/g;
+        let match;
+
+        while ((match = keyPattern.exec(template)) !== null) {
+            const [, key, firstChar] = match;
+            if (firstChar === '[') result[key] = [];
+            else if (firstChar === '{') result[key] = {};
+            else if (/[\d]|n/.test(firstChar)) result[key] = Math.floor(random() * 100);
+            else if (/[tfb]/.test(firstChar)) result[key] = false;
+            else result[key] = `${key.replace(/[_-]/g, ' ')} ${this.vocabulary[Math.floor(random() * this.vocabulary.length)]}`;
+        }
+
+        return arrayRequested ? [result] : result;
+    }
+
+    /**
+     * Seeded PRNG (mulberry32) keyed on the prompt
+     */
+    createRandom(seedText) {
+        let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+        return () => {
+            seed = (seed + 0x6D2B79F5) >>> 0;
+            let t = seed;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+/**
+ * Model handle returned to services
+ * Binds a provider to a model name so call sites only pass the prompt.
+ * Calls go through the provider's shared circuit breaker (see resilience).
+ */
+class LLMModel {
+    constructor(provider, model) {
+        this.provider = provider;
+        this.providerName = provider.name;
+        this.model = model || provider.defaultModel;
+        this.variant = `${this.providerName}:${this.model}`;
+    }
+
+    /**
+     * Generate a complete response
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { temperature, topK, topP, maxOutputTokens, signal, onAttempt }
+     * @returns {Promise<string>} Generated text
+     */
+    async generate(prompt, options = {}) {
+        const { onAttempt, ...requestOptions } = options;
+        return resilience.getBreaker(this.providerName).execute((attempt) => {
+            if (onAttempt) onAttempt(attempt);
+            return this.provider.generate({ ...requestOptions, prompt, model: this.model });
+        }, { signal: options.signal });
+    }
+
+    /**
+     * Generate JSON that matches a schema (see structuredOutput.generate)
+     * @param {string} prompt - Prompt text
+     * @param {Object} schema - JSON schema for the reply
+     * @param {Object} options - { name, reask, temperature, ... }
+     * @returns {Promise<Object>} { data, text, attempts, repairs }
+     */
+    async generateJSON(prompt, schema, options = {}) {
+        return structuredOutput.generate(this, prompt, schema, options);
+    }
+
+    /**
+     * Stream a response as text deltas
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { temperature, topK, topP, maxOutputTokens, signal }
+     * @returns {AsyncIterable<string>} Text deltas
+     */
+    stream(prompt, options = {}) {
+        return resilience.getBreaker(this.providerName).executeStream(
+            () => this.provider.stream({ ...options, prompt, model: this.model }),
+            { signal: options.signal }
+        );
+    }
+}
+
+/**
+ * LLMProviderRegistry class
+ * Resolves the configured provider and model for a tool and quality tier
+ */
+class LLMProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.registerProvider('gemini', () => new GeminiProvider());
+        this.registerProvider('openai', () => new OpenAICompatibleProvider());
+        this.registerProvider('fake', () => new FakeProvider());
+        this.routes = null;
+    }
+
+    /**
+     * Register a provider factory (instantiated lazily on first use)
+     * @param {string} name - Provider name used in config
+     * @param {Function} factory - Returns an object implementing generate() and stream()
+     */
+    registerProvider(name, factory) {
+        this.providers.set(name, { factory, instance: null });
+    }
+
+    getProvider(name) {
+        const entry = this.providers.get(name);
+        if (!entry) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        if (!entry.instance) {
+            entry.instance = entry.factory();
+        }
+        return entry.instance;
+    }
+
+    /**
+     * Get the model configured for a tool and quality tier
+     * @param {string} tool - writer, multipart, refinement, research, prompt, citations or detector
+     * @param {string} qualityTier - 'standard' or 'premium'
+     * @returns {LLMModel} Model handle
+     */
+    getModel(tool, qualityTier = 'standard') {
+        const route = this.resolveRoute(tool, qualityTier);
+        return new LLMModel(this.getProvider(route.provider), route.model);
+    }
+
+    resolveRoute(tool, qualityTier) {
+        const overrides = this.getRouteOverrides()[tool] || {};
+        const override = overrides[qualityTier] || overrides.default;
+
+        if (override) {
+            return this.pickVariant(this.normalizeRoute(override));
+        }
+
+        const provider = process.env.LLM_PROVIDER || 'gemini';
+        const geminiModels = DEFAULT_GEMINI_MODELS[tool] || DEFAULT_GEMINI_MODELS.writer;
+        return {
+            provider,
+            // Other providers fall back to their own default model
+            model: provider === 'gemini' ? (geminiModels[qualityTier] || geminiModels.standard) : undefined
+        };
+    }
+
+    /**
+     * Accept "provider:model", { provider, model } or a list of weighted variants
+     */
+    normalizeRoute(route) {
+        const toVariant = (value) => {
+            if (typeof value === 'string') {
+                const [provider, ...model] = value.split(':');
+                return { provider, model: model.join(':') || undefined, weight: 1 };
+            }
+            return { weight: 1, ...value };
+        };
+        return Array.isArray(route) ? route.map(toVariant) : [toVariant(route)];
+    }
+
+    pickVariant(variants) {
+        const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+        let roll = Math.random() * totalWeight;
+        for (const variant of variants) {
+            roll -= variant.weight;
+            if (roll < 0) return variant;
+        }
+        return variants[variants.length - 1];
+    }
+
+    getRouteOverrides() {
+        if (this.routes === null) {
+            try {
+                this.routes = process.env.LLM_ROUTES ? JSON.parse(process.env.LLM_ROUTES) : {};
+            } catch (error) {
+                console.error('Invalid LLM_ROUTES configuration, using defaults:', error.message);
+                this.routes = {};
+            }
+        }
+        return this.routes;
+    }
+
+    /**
+     * Replace route overrides at runtime (e.g. from tests)
+     * @param {Object} routes - Same shape as LLM_ROUTES
+     */
+    setRoutes(routes) {
+        this.routes = routes || {};
+    }
+}
+
+module.exports = new LLMProviderRegistry();
+module.exports.LLMProviderRegistry = LLMProviderRegistry;
+module.exports.LLMModel = LLMModel;
+module.exports.GeminiProvider = GeminiProvider;
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
+module.exports.FakeProvider = FakeProvider;
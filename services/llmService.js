@@ -1,28 +1,16 @@
-const axios = require('axios');
+const llmProvider = require('./llmProvider');
+const resilience = require('./resilience');
 
 /**
  * LLM Service for AI Content Generation
  * Handles communication with language models for content creation
+ * The provider and model come from llmProvider routing for the 'writer' tool
  */
 
 class LLMService {
     constructor() {
-        // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-        // For Gemini 2.5 Flash and Gemini 2.5 Pro models
-        this.geminiApiKey = process.env.GEMINI_API_KEY; // Add your Gemini API key
-        
-        // Legacy OpenAI support (can be removed if switching fully to Gemini)
-        this.apiKey = process.env.OPENAI_API_KEY;
-        this.baseURL = 'https://api.openai.com/v1';
-        // Legacy model reference - now using Gemini models based on quality tier
-        this.maxRetries = 3;
-        this.retryDelay = 1000; // 1 second
+        // Retries and circuit breaking are handled per provider by the resilience module
         this.fallbackEnabled = true;
-        this.circuitBreakerThreshold = 5; // Number of failures before circuit opens
-        this.circuitBreakerTimeout = 300000; // 5 minutes
-        this.failureCount = 0;
-        this.lastFailureTime = null;
-        this.circuitOpen = false;
     }
 
     /**
@@ -36,112 +24,46 @@ class LLMService {
      */
     async generateContent(prompt, style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard') {
         const startTime = Date.now();
+        const model = llmProvider.getModel('writer', qualityTier);
         let attempt = 0;
-        let lastError = null;
 
-        // Check circuit breaker
-        if (this._isCircuitOpen()) {
-            console.error('Circuit breaker is open, service temporarily unavailable');
-            throw new Error('Content generation service is temporarily unavailable. Please try again in a few minutes.');
-        }
+        try {
+            const result = await this._attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier, model, (current) => {
+                attempt = current;
+            });
 
-        // Try primary LLM service with retries
-        while (attempt < this.maxRetries) {
-            attempt++;
-            
-            try {
-                const result = await this._attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier);
-                
-                // Success - reset failure count
-                this._recordSuccess();
-                
-                return {
-                    content: result,
-                    source: qualityTier === 'premium' ? 'gemini-pro' : 'gemini-flash',
-                    attempt: attempt,
-                    generationTime: Date.now() - startTime,
-                    fallbackUsed: false,
-                    qualityTier: qualityTier
-                };
+            return {
+                content: result,
+                source: model.variant,
+                attempt: attempt,
+                generationTime: Date.now() - startTime,
+                fallbackUsed: false,
+                qualityTier: qualityTier
+            };
 
-            } catch (error) {
-                lastError = error;
-                console.error(`LLM generation attempt ${attempt} failed:`, error.message);
-                
-                // Record failure
-                this._recordFailure();
-                
-                // Check if we should retry
-                if (attempt < this.maxRetries && this._shouldRetry(error)) {
-                    const delay = this._calculateRetryDelay(attempt);
-                    console.log(`Retrying in ${delay}ms...`);
-                    await this._sleep(delay);
-                    continue;
-                }
-                
-                break;
+        } catch (error) {
+            if (error.code === 'CIRCUIT_OPEN') {
+                console.error('Circuit breaker is open, service temporarily unavailable');
+                throw new Error('Content generation service is temporarily unavailable. Please try again in a few minutes.');
             }
-        }
 
-        // All retries failed, use fallback
-        console.warn(`All ${this.maxRetries} attempts failed, using fallback`);
-        return this._generateFallbackContent(prompt, style, tone, wordCount, 'llm_failure', lastError);
-    }
-
-    /**
-     * Attempt LLM generation (single try)
-     */
-    async _attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier = 'standard') {
-        if (!this.geminiApiKey) {
-            throw new Error('Gemini API key not configured');
+            console.warn(`LLM generation failed after ${attempt} attempts, using fallback`);
+            return this._generateFallbackContent(prompt, style, tone, wordCount, 'llm_failure', error);
         }
-
-        const { GoogleGenerativeAI } = require('@google/generative-ai');
-        const genAI = new GoogleGenerativeAI(this.geminiApiKey);
-        
-        // Select model based on quality tier
-        const modelName = qualityTier === 'premium' ? 'gemini-2.5-pro' : 'gemini-2.5-flash';
-        const model = genAI.getGenerativeModel({ model: modelName });
-        
-        const systemPrompt = this.buildSystemPrompt(style, tone, wordCount);
-        const userPrompt = this.buildUserPrompt(prompt, wordCount);
-        
-        const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-        
-        const result = await model.generateContent(fullPrompt);
-        const response = await result.response;
-        return response.text();
     }
 
     /**
-     * Generate content using Gemini API
-     * @param {string} prompt - The content prompt
-     * @param {string} style - Writing style
-     * @param {string} tone - Writing tone
-     * @param {number} wordCount - Target word count
-     * @param {string} qualityTier - Quality tier ('standard' or 'premium')
-     * @returns {Promise<string>} Generated content
+     * Attempt LLM generation (single try)
      */
-    async generateContentWithGemini(prompt, style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard') {
-        if (!this.geminiApiKey) {
-            throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY environment variable.');
-        }
-
-        const { GoogleGenerativeAI } = require('@google/generative-ai');
-        const genAI = new GoogleGenerativeAI(this.geminiApiKey);
-        
-        // Select model based on quality tier
-        const modelName = qualityTier === 'premium' ? 'gemini-2.5-pro' : 'gemini-2.5-flash';
-        const model = genAI.getGenerativeModel({ model: modelName });
+    async _attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier = 'standard', model = null, onAttempt = null) {
+        const llm = model || llmProvider.getModel('writer', qualityTier);
         
         const systemPrompt = this.buildSystemPrompt(style, tone, wordCount);
         const userPrompt = this.buildUserPrompt(prompt, wordCount);
         
         const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
         
-        const result = await model.generateContent(fullPrompt);
-        const response = await result.response;
-        return response.text();
+        return llm.generate(fullPrompt, { onAttempt });
     }
 
     /**
@@ -155,84 +77,6 @@ class LLMService {
         throw new Error(`Content generation failed: ${reason}. ${error?.message || 'Please try again.'}`);
     }
 
-    /**
-     * Check if circuit breaker is open
-     */
-    _isCircuitOpen() {
-        if (!this.circuitOpen) return false;
-        
-        // Check if timeout has passed
-        if (Date.now() - this.lastFailureTime > this.circuitBreakerTimeout) {
-            console.log('Circuit breaker timeout passed, attempting to close circuit');
-            this.circuitOpen = false;
-            this.failureCount = 0;
-            return false;
-        }
-        
-        return true;
-    }
-
-    /**
-     * Record successful generation
-     */
-    _recordSuccess() {
-        this.failureCount = 0;
-        this.circuitOpen = false;
-    }
-
-    /**
-     * Record failed generation
-     */
-    _recordFailure() {
-        this.failureCount++;
-        this.lastFailureTime = Date.now();
-        
-        if (this.failureCount >= this.circuitBreakerThreshold) {
-            console.warn(`Circuit breaker opened after ${this.failureCount} failures`);
-            this.circuitOpen = true;
-        }
-    }
-
-    /**
-     * Determine if error is retryable
-     */
-    _shouldRetry(error) {
-        const retryableErrors = [
-            'timeout',
-            'network',
-            'ECONNRESET',
-            'ENOTFOUND',
-            'ECONNREFUSED',
-            '429', // Rate limit
-            '500', // Server error
-            '502', // Bad gateway
-            '503', // Service unavailable
-            '504'  // Gateway timeout
-        ];
-        
-        const errorMessage = error.message.toLowerCase();
-        return retryableErrors.some(retryableError => 
-            errorMessage.includes(retryableError)
-        );
-    }
-
-    /**
-     * Calculate retry delay with exponential backoff
-     */
-    _calculateRetryDelay(attempt) {
-        const baseDelay = this.retryDelay;
-        const exponentialDelay = baseDelay * Math.pow(2, attempt - 1);
-        const jitter = Math.random() * 1000; // Add jitter to prevent thundering herd
-        return Math.min(exponentialDelay + jitter, 30000); // Max 30 seconds
-    }
-
-    /**
-     * Sleep utility
-     */
-    _sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Build system prompt based on style and tone
      */
@@ -349,11 +193,14 @@ Polished Content:`;
      * Get service health status
      */
     getHealthStatus() {
+        const model = llmProvider.getModel('writer');
+        const breaker = resilience.getBreaker(model.providerName).getStatus();
         return {
-            circuitOpen: this.circuitOpen,
-            failureCount: this.failureCount,
-            lastFailureTime: this.lastFailureTime,
-            apiKeyConfigured: !!this.apiKey,
+            circuitOpen: breaker.state !== 'closed',
+            circuitState: breaker.state,
+            failureCount: breaker.consecutiveFailures,
+            lastFailureTime: breaker.lastFailureTime,
+            provider: model.variant,
             fallbackEnabled: this.fallbackEnabled
         };
     }
@@ -0,0 +1,504 @@
+const ContentDatabase = require('./contentDatabase');
+const { getRepositories } = require('../repositories');
+
+/**
+ * Offline plagiarism check used when Originality.ai is unavailable
+ * Compares word shingles of the content against the user's content history,
+ * the generatedContent corpus and any reference documents supplied with the
+ * request. Exact shingle overlap gives the matched spans; MinHash signatures
+ * estimate how similar each matched document is as a whole.
+ *
+ * This only knows about documents stored in this system; it cannot find
+ * matches on the open web the way Originality.ai does.
+ */
+
+const SOURCE_TYPES = {
+    contentHistory: 'contentHistory',
+    generatedContent: 'generatedContent',
+    reference: 'referenceDocument'
+};
+
+class LocalPlagiarismDetector {
+    constructor() {
+        this.contentDatabase = null;
+
+        this.shingleSize = 5;          // words per shingle
+        this.numHashes = 64;           // MinHash signature length
+        this.minSpanWords = 8;         // shorter overlaps are common phrases, not copying
+        this.maxGapShingles = 2;       // unmatched shingles allowed inside one span (small edits)
+        this.nearDuplicateSimilarity = 0.5;
+
+        this.corpusLimits = {
+            contentHistory: 100,
+            generatedContent: 300
+        };
+
+        // Fingerprints are cached so repeated chunk checks don't re-hash the corpus
+        this.fingerprintCache = new Map();
+        this.maxCacheEntries = 2000;
+
+        this.hashSeeds = this.createSeeds(this.numHashes);
+    }
+
+    getContentDatabase() {
+        if (!this.contentDatabase) {
+            this.contentDatabase = new ContentDatabase();
+        }
+        return this.contentDatabase;
+    }
+
+    /**
+     * Check content for overlap with the local corpus
+     * @param {string} content - Content to check
+     * @param {Object} options - { userId, referenceDocuments: [{ id, title, content }], excludeIds }
+     * @returns {Promise<Object>} Plagiarism results in the Originality.ai result shape, labelled as local
+     */
+    async check(content, options = {}) {
+        const tokens = this.tokenize(content || '');
+        const { documents, corpus, unavailableSources } = await this.loadCorpus(options);
+
+        const result = {
+            provider: 'local',
+            engine: 'shingle-minhash',
+            score: 0,
+            confidence: 0,
+            sources: [],
+            flaggedSections: [],
+            matchDetails: [],
+            corpus,
+            unavailableSources
+        };
+
+        if (tokens.length < this.shingleSize || documents.length === 0) {
+            return result;
+        }
+
+        const queryShingles = this.shingle(tokens);
+        const querySignature = this.minHash(new Set(queryShingles));
+        const coveredTokens = new Uint8Array(tokens.length);
+
+        documents.forEach(document => {
+            const fingerprint = this.fingerprint(document);
+            const spans = this.findSpans(tokens, queryShingles, fingerprint.shingles);
+
+            if (spans.length === 0) return;
+
+            const similarity = this.estimateSimilarity(querySignature, fingerprint.signature);
+            let matchedWords = 0;
+
+            spans.forEach(span => {
+                for (let i = span.startToken; i <= span.endToken; i++) {
+                    coveredTokens[i] = 1;
+                }
+                matchedWords += span.endToken - span.startToken + 1;
+
+                const section = {
+                    text: content.slice(tokens[span.startToken].start, tokens[span.endToken].end),
+                    score: span.score,
+                    startIndex: tokens[span.startToken].start,
+                    endIndex: tokens[span.endToken].end,
+                    sourceId: document.id,
+                    sourceType: document.sourceType,
+                    sourceTitle: document.title,
+                    reason: `Matches ${this.describeSource(document.sourceType)} "${document.title}"`
+                };
+
+                result.flaggedSections.push(section);
+                result.matchDetails.push({
+                    sourceId: document.id,
+                    sourceType: document.sourceType,
+                    startIndex: section.startIndex,
+                    endIndex: section.endIndex,
+                    wordCount: span.endToken - span.startToken + 1,
+                    score: span.score
+                });
+            });
+
+            result.sources.push({
+                id: document.id,
+                sourceType: document.sourceType,
+                title: document.title,
+                matchedWords,
+                coverage: Math.round((matchedWords / tokens.length) * 100),
+                similarity: Math.round(similarity * 100),
+                nearDuplicate: similarity >= this.nearDuplicateSimilarity
+            });
+        });
+
+        const coveredCount = coveredTokens.reduce((sum, covered) => sum + covered, 0);
+
+        result.score = Math.round((coveredCount / tokens.length) * 100);
+        result.confidence = 60; // Exact overlap is reliable, but only against the local corpus
+        result.sources.sort((a, b) => b.matchedWords - a.matchedWords);
+        result.flaggedSections.sort((a, b) => a.startIndex - b.startIndex);
+
+        return result;
+    }
+
+    /**
+     * Pairwise overlap between documents, e.g. the submissions in one batch
+     * Similarity is the Jaccard index of the shingle sets; containment is the
+     * share of each document's shingles that also occur in the other, which
+     * catches a short document copied into a longer one
+     * @param {Array<Object>} documents - [{ id, title, text }]
+     * @param {Object} options - { includePassages: also align the overlapping passages }
+     * @returns {Array<Object>} Pairs as { a, b, similarity, containmentA, containmentB, sharedShingles, passages? }
+     */
+    compareDocuments(documents, options = {}) {
+        const prints = documents.map(document => {
+            const tokens = this.tokenize(document.text || '');
+            const shingles = this.shingle(tokens);
+            return {
+                id: document.id,
+                title: document.title,
+                text: document.text || '',
+                tokens,
+                shingleList: shingles,
+                shingles: new Set(shingles)
+            };
+        });
+        const pairs = [];
+
+        for (let i = 0; i < prints.length; i++) {
+            for (let j = i + 1; j < prints.length; j++) {
+                const a = prints[i];
+                const b = prints[j];
+                const [smaller, larger] = a.shingles.size <= b.shingles.size ? [a, b] : [b, a];
+                let shared = 0;
+                smaller.shingles.forEach(shingle => {
+                    if (larger.shingles.has(shingle)) shared++;
+                });
+
+                const union = a.shingles.size + b.shingles.size - shared;
+                const pair = {
+                    a: { id: a.id, title: a.title },
+                    b: { id: b.id, title: b.title },
+                    similarity: union > 0 ? Math.round((shared / union) * 100) : 0,
+                    containmentA: a.shingles.size > 0 ? Math.round((shared / a.shingles.size) * 100) : 0,
+                    containmentB: b.shingles.size > 0 ? Math.round((shared / b.shingles.size) * 100) : 0,
+                    sharedShingles: shared
+                };
+
+                if (options.includePassages) {
+                    pair.passages = shared > 0 ? this.alignPassages(a, b) : [];
+                }
+
+                pairs.push(pair);
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Overlapping passages between two documents, with their positions in both
+     * Spans are found in A; each is mapped to the stretch of B holding the same shingles
+     * @param {Object} a - { text, tokens, shingleList, shingles } as built by compareDocuments
+     * @param {Object} b - Same shape
+     * @returns {Array<Object>} Passages as { a: { startIndex, endIndex, text }, b: { ... }, wordCount, score }
+     */
+    alignPassages(a, b) {
+        const positionsInB = new Map();
+        b.shingleList.forEach((hash, index) => {
+            if (!positionsInB.has(hash)) positionsInB.set(hash, []);
+            positionsInB.get(hash).push(index);
+        });
+
+        return this.findSpans(a.tokens, a.shingleList, b.shingles).map(span => {
+            // Anchor on the first matched shingle, then take the B occurrences
+            // that keep the passage in order with it
+            let anchor = null;
+            let lastInB = null;
+            for (let i = span.startToken; i + this.shingleSize - 1 <= span.endToken; i++) {
+                const positions = positionsInB.get(a.shingleList[i]);
+                if (!positions) continue;
+                const next = anchor === null
+                    ? positions[0]
+                    : positions.find(position => position > lastInB);
+                if (next === undefined) continue;
+                if (anchor === null) anchor = next;
+                lastInB = next;
+            }
+
+            const bStart = b.tokens[anchor].start;
+            const bEnd = b.tokens[lastInB + this.shingleSize - 1].end;
+            const aStart = a.tokens[span.startToken].start;
+            const aEnd = a.tokens[span.endToken].end;
+
+            return {
+                a: { startIndex: aStart, endIndex: aEnd, text: a.text.slice(aStart, aEnd) },
+                b: { startIndex: bStart, endIndex: bEnd, text: b.text.slice(bStart, bEnd) },
+                wordCount: span.endToken - span.startToken + 1,
+                score: span.score
+            };
+        });
+    }
+
+    /**
+     * Load the documents to compare against
+     * Each source is loaded independently so one failing query doesn't skip the others
+     * @param {Object} options - { userId, referenceDocuments, excludeIds }
+     * @returns {Promise<Object>} { documents, corpus, unavailableSources }
+     */
+    async loadCorpus(options = {}) {
+        const { userId = null, referenceDocuments = [], excludeIds = [] } = options;
+        const excluded = new Set(excludeIds);
+        const documents = [];
+        const unavailableSources = [];
+        const corpus = {
+            contentHistory: 0,
+            generatedContent: 0,
+            referenceDocuments: 0
+        };
+
+        const addDocument = (document) => {
+            if (!document.text || !document.text.trim() || excluded.has(document.id)) return false;
+            documents.push(document);
+            return true;
+        };
+
+        if (userId) {
+            try {
+                const items = await getRepositories().history.listRecent(userId, {
+                    limit: this.corpusLimits.contentHistory
+                });
+
+                items.forEach(item => {
+                    if (addDocument({
+                        id: item.id,
+                        sourceType: SOURCE_TYPES.contentHistory,
+                        title: item.title || 'Untitled',
+                        text: item.content || ''
+                    })) {
+                        corpus.contentHistory++;
+                    }
+                });
+            } catch (error) {
+                console.error('Local plagiarism check: failed to load content history:', error);
+                unavailableSources.push(SOURCE_TYPES.contentHistory);
+            }
+        }
+
+        try {
+            const contents = await this.getContentDatabase().listRecentContent(this.corpusLimits.generatedContent);
+
+            contents.forEach(data => {
+                if (data.isActive === false) return;
+                if (addDocument({
+                    id: data.id,
+                    sourceType: SOURCE_TYPES.generatedContent,
+                    title: data.prompt ? data.prompt.substring(0, 80) : 'Generated content',
+                    text: data.content || ''
+                })) {
+                    corpus.generatedContent++;
+                }
+            });
+        } catch (error) {
+            console.error('Local plagiarism check: failed to load generated content:', error);
+            unavailableSources.push(SOURCE_TYPES.generatedContent);
+        }
+
+        referenceDocuments.forEach((reference, index) => {
+            if (addDocument({
+                id: reference.id || `reference-${index + 1}`,
+                sourceType: SOURCE_TYPES.reference,
+                title: reference.title || reference.filename || `Reference ${index + 1}`,
+                text: reference.content || ''
+            })) {
+                corpus.referenceDocuments++;
+            }
+        });
+
+        return { documents, corpus, unavailableSources };
+    }
+
+    /**
+     * Find runs of query shingles that also occur in a document
+     * Runs separated by up to maxGapShingles unmatched shingles are merged
+     * @param {Array<Object>} tokens - Query tokens
+     * @param {Array<number>} queryShingles - Query shingle hashes, one per starting token
+     * @param {Set<number>} documentShingles - Document shingle hashes
+     * @returns {Array<Object>} Spans as { startToken, endToken, score }
+     */
+    findSpans(tokens, queryShingles, documentShingles) {
+        const spans = [];
+        let current = null;
+
+        const closeSpan = () => {
+            if (!current) return;
+            const endToken = current.lastMatch + this.shingleSize - 1;
+            const shingleCount = current.lastMatch - current.firstMatch + 1;
+            if (endToken - current.firstMatch + 1 >= this.minSpanWords) {
+                spans.push({
+                    startToken: current.firstMatch,
+                    endToken,
+                    score: Math.round((current.matched / shingleCount) * 100)
+                });
+            }
+            current = null;
+        };
+
+        queryShingles.forEach((hash, index) => {
+            if (!documentShingles.has(hash)) return;
+
+            if (current && index - current.lastMatch - 1 <= this.maxGapShingles) {
+                current.lastMatch = index;
+                current.matched++;
+            } else {
+                closeSpan();
+                current = { firstMatch: index, lastMatch: index, matched: 1 };
+            }
+        });
+        closeSpan();
+
+        return spans;
+    }
+
+    /**
+     * Shingle set and MinHash signature for a corpus document (cached)
+     * @param {Object} document - { id, sourceType, text }
+     * @returns {Object} { shingles: Set<number>, signature: Uint32Array }
+     */
+    fingerprint(document) {
+        const key = `${document.sourceType}:${document.id}:${this.hashString(document.text)}`;
+        const cached = this.fingerprintCache.get(key);
+        if (cached) return cached;
+
+        const shingles = new Set(this.shingle(this.tokenize(document.text)));
+        const fingerprint = { shingles, signature: this.minHash(shingles) };
+
+        if (this.fingerprintCache.size >= this.maxCacheEntries) {
+            this.fingerprintCache.delete(this.fingerprintCache.keys().next().value);
+        }
+        this.fingerprintCache.set(key, fingerprint);
+
+        return fingerprint;
+    }
+
+    /**
+     * Split text into lowercase words, keeping each word's position in the original text
+     * @param {string} text - Text to tokenize
+     * @returns {Array<Object>} Tokens as { word, start, end }
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            tokens.push({
+                word: match[0].toLowerCase().replace(/['’]/g, ''),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Hash every run of shingleSize consecutive words
+     * @param {Array<Object>} tokens - Tokens from tokenize()
+     * @returns {Array<number>} Shingle hashes, index i starting at token i
+     */
+    shingle(tokens) {
+        const shingles = [];
+        for (let i = 0; i + this.shingleSize <= tokens.length; i++) {
+            const words = [];
+            for (let j = i; j < i + this.shingleSize; j++) {
+                words.push(tokens[j].word);
+            }
+            shingles.push(this.hashString(words.join(' ')));
+        }
+        return shingles;
+    }
+
+    /**
+     * MinHash signature: the minimum of each seeded hash over the shingle set
+     * @param {Set<number>} shingles - Shingle hashes
+     * @returns {Uint32Array} Signature
+     */
+    minHash(shingles) {
+        const signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+
+        shingles.forEach(shingle => {
+            for (let i = 0; i < this.numHashes; i++) {
+                const value = this.mix(shingle ^ this.hashSeeds[i]);
+                if (value < signature[i]) {
+                    signature[i] = value;
+                }
+            }
+        });
+
+        return signature;
+    }
+
+    /**
+     * Estimate Jaccard similarity from two MinHash signatures
+     * @param {Uint32Array} a - First signature
+     * @param {Uint32Array} b - Second signature
+     * @returns {number} Similarity between 0 and 1
+     */
+    estimateSimilarity(a, b) {
+        let equal = 0;
+        for (let i = 0; i < this.numHashes; i++) {
+            if (a[i] === b[i] && a[i] !== 0xffffffff) equal++;
+        }
+        return equal / this.numHashes;
+    }
+
+    /**
+     * 32-bit FNV-1a string hash
+     * @param {string} text - Text to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Murmur3 finalizer, used to derive the MinHash permutations
+     * @param {number} value - 32-bit value
+     * @returns {number} Unsigned 32-bit hash
+     */
+    mix(value) {
+        let h = value;
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    /**
+     * Deterministic seeds so signatures stay comparable across restarts
+     * @param {number} count - Number of seeds
+     * @returns {Uint32Array} Seeds
+     */
+    createSeeds(count) {
+        const seeds = new Uint32Array(count);
+        let state = 0x2545f491;
+        for (let i = 0; i < count; i++) {
+            state = this.mix(state + 0x9e3779b9);
+            seeds[i] = state;
+        }
+        return seeds;
+    }
+
+    describeSource(sourceType) {
+        switch (sourceType) {
+            case SOURCE_TYPES.contentHistory:
+                return 'your earlier content';
+            case SOURCE_TYPES.generatedContent:
+                return 'previously generated content';
+            default:
+                return 'reference document';
+        }
+    }
+}
+
+module.exports = new LocalPlagiarismDetector();
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
@@ -1,8 +1,9 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProvider = require('./llmProvider');
 const ContentDatabase = require('./contentDatabase');
 const OriginalityDetection = require('./originalityDetection');
 const ZoteroCSLProcessor = require('./zoteroCSL');
 const FinalDetectionService = require('./finalDetection');
+const qualityGate = require('./qualityGate');
 
 /**
  * MultiPartGenerator class for chunk-based content generation
@@ -10,11 +11,7 @@ const FinalDetectionService = require('./finalDetection');
  */
 class MultiPartGenerator {
     constructor() {
-        // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-        // Required for Gemini 2.5 Pro models used in multi-part content generation
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY); // Add your Gemini API key
-        this.flashModel = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-        this.proModel = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
+        // Draft chunks use the 'multipart' route and refinements the 'refinement' route (see llmProvider)
         this.contentDatabase = new ContentDatabase();
         this.originalityDetection = new OriginalityDetection();
         this.zoteroCSLProcessor = new ZoteroCSLProcessor();
@@ -51,22 +48,52 @@ class MultiPartGenerator {
             requiresCitations = false,
             citationStyle = 'apa',
             qualityTier = 'standard',
-            enableRefinement = false
+            enableRefinement = false,
+            onProgress = null, // Optional (event, data) listener for streaming progress
+            signal = null, // Optional AbortSignal; generation stops between chunks and streamed reads
+            resumeChunks = [], // Optional previously completed chunks ({ content, wordCount, refinementCycles, qualityGate }) to continue from
+            qualityGate: requestedQualityGate = null, // Optional gate mode ('off' | 'flag' | 'regenerate') or { mode, maxRegenerations }
+            referenceDocuments = [] // Optional uploaded sources ({ id, title, content }) for the local plagiarism fallback
         } = params;
+        
+        const gateOptions = qualityGate.resolveOptions(requestedQualityGate);
+
+        // Initialize generation state
+        const generationState = {
+            finalContentChunks: [],
+            contextForNextChunk: '',
+            totalWordsGenerated: 0,
+            chunksGenerated: 0,
+            refinementCycles: 0,
+            qualitySections: [],
+            startTime: Date.now()
+        };
+        
+        // Seed state from a checkpoint so interrupted jobs continue where they stopped
+        resumeChunks.forEach(chunk => {
+            generationState.finalContentChunks.push(chunk.content);
+            generationState.totalWordsGenerated += chunk.wordCount;
+            generationState.chunksGenerated++;
+            generationState.refinementCycles += chunk.refinementCycles || 0;
+            if (gateOptions.mode !== 'off') {
+                // Checkpoints from before the gate existed carry no section report
+                generationState.qualitySections.push(chunk.qualityGate || qualityGate.summarizeSection(
+                    generationState.qualitySections.length,
+                    qualityGate.validate(chunk.content, { wordCount: chunk.wordCount, style, tone })
+                ));
+            }
+        });
+        if (resumeChunks.length > 0) {
+            generationState.contextForNextChunk = this.extractContextForNext(
+                resumeChunks[resumeChunks.length - 1].content,
+                generationState.finalContentChunks
+            );
+            console.log(`Resuming multi-part generation after ${generationState.chunksGenerated} completed chunks`);
+        }
 
         try {
             console.log(`Starting multi-part generation for ${requestedWordCount} words (${userPlan} plan)`);
             
-            // Initialize generation state
-            const generationState = {
-                finalContentChunks: [],
-                contextForNextChunk: '',
-                totalWordsGenerated: 0,
-                chunksGenerated: 0,
-                refinementCycles: 0,
-                startTime: Date.now()
-            };
-            
             // Determine chunk size based on user plan
             const chunkSize = this.getChunkSize(userPlan, requestedWordCount);
             console.log(`Using chunk size: ${chunkSize} words`);
@@ -90,9 +117,17 @@ class MultiPartGenerator {
                 const remainingWords = requestedWordCount - generationState.totalWordsGenerated;
                 const currentChunkTarget = Math.min(chunkSize, remainingWords);
                 
+                this.throwIfAborted(signal, generationState);
+                
                 console.log(`Generating chunk ${generationState.chunksGenerated + 1}, target: ${currentChunkTarget} words`);
+                this.emitProgress(onProgress, 'chunk-started', {
+                    chunkIndex: generationState.chunksGenerated,
+                    targetWords: currentChunkTarget,
+                    wordsGenerated: generationState.totalWordsGenerated,
+                    requestedWordCount
+                });
                 
-                const chunkResult = await this.generateAndRefineChunk({
+                const chunkParams = {
                     prompt,
                     chunkTarget: currentChunkTarget,
                     chunkIndex: generationState.chunksGenerated,
@@ -103,8 +138,22 @@ class MultiPartGenerator {
                     additionalInstructions,
                     baseContent: baseContent ? baseContent.sections[generationState.chunksGenerated] : null,
                     totalTargetWords: requestedWordCount,
-                    enableRefinement: enableRefinement
-                });
+                    enableRefinement: enableRefinement,
+                    qualityTier,
+                    onProgress,
+                    signal,
+                    generationState,
+                    userId,
+                    referenceDocuments
+                };
+                let chunkResult = await this.generateAndRefineChunk(chunkParams);
+                
+                // Quality gate: validate the section, regenerating or flagging it on failure
+                let qualitySection = null;
+                if (gateOptions.mode !== 'off') {
+                    ({ chunkResult, qualitySection } = await this.applyQualityGate(chunkResult, chunkParams, gateOptions));
+                    generationState.qualitySections.push(qualitySection);
+                }
                 
                 // Add refined chunk to final content
                 generationState.finalContentChunks.push(chunkResult.content);
@@ -119,8 +168,19 @@ class MultiPartGenerator {
                 );
                 
                 console.log(`Chunk ${generationState.chunksGenerated} completed: ${chunkResult.wordCount} words, ${chunkResult.refinementCycles} refinements`);
+                this.emitProgress(onProgress, 'chunk-completed', {
+                    chunkIndex: chunkResult.chunkIndex,
+                    content: chunkResult.content,
+                    wordCount: chunkResult.wordCount,
+                    refinementCycles: chunkResult.refinementCycles,
+                    qualityGate: qualitySection,
+                    wordsGenerated: generationState.totalWordsGenerated,
+                    requestedWordCount
+                });
             }
             
+            this.throwIfAborted(signal, generationState);
+            
             // Combine all chunks into final content
             let finalContent = this.combineChunks(generationState.finalContentChunks);
             
@@ -156,11 +216,22 @@ class MultiPartGenerator {
                     generationMethod: 'multi-part',
                     chunksGenerated: generationState.chunksGenerated,
                     refinementCycles: generationState.refinementCycles
-                }
+                },
+                { referenceDocuments }
             );
             
             const finalWordCount = finalContent.split(' ').length;
             
+            // Validate the combined content; the report is stored with the content
+            const qualityReport = gateOptions.mode === 'off' ? null : qualityGate.buildReport(
+                gateOptions,
+                generationState.qualitySections,
+                qualityGate.validate(finalContent, { wordCount: requestedWordCount, style, tone })
+            );
+            if (qualityReport && !qualityReport.passed) {
+                console.warn(`Quality gate flagged content: sections [${qualityReport.flaggedSections.join(', ')}], overall valid: ${qualityReport.overall.isValid}`);
+            }
+            
             // Store generated content in database
             const contentId = await this.contentDatabase.storeContent(
                 userId,
@@ -176,7 +247,10 @@ class MultiPartGenerator {
                     refinementCycles: generationState.refinementCycles,
                     generationTime: Date.now() - generationState.startTime,
                     userPlan,
-                    usedSimilarContent: baseContent !== null
+                    usedSimilarContent: baseContent !== null,
+                    citationStyle: citationData.requiresCitations ? citationStyle : null,
+                    bibliography: citationData.bibliography || [],
+                    qualityReport
                 }
             );
             
@@ -192,6 +266,7 @@ class MultiPartGenerator {
                 usedSimilarContent: baseContent !== null,
                 citationData,
                 finalDetectionResults,
+                qualityReport,
                 metadata: {
                     style,
                     tone,
@@ -204,11 +279,16 @@ class MultiPartGenerator {
                     aiDetectionScore: finalDetectionResults.aiDetectionScore,
                     plagiarismScore: finalDetectionResults.plagiarismScore,
                     qualityScore: finalDetectionResults.qualityScore,
-                    requiresReview: finalDetectionResults.requiresReview,
-                    isAcceptable: finalDetectionResults.isAcceptable
+                    requiresReview: finalDetectionResults.requiresReview || (qualityReport ? !qualityReport.passed : false),
+                    isAcceptable: finalDetectionResults.isAcceptable,
+                    qualityGatePassed: qualityReport ? qualityReport.passed : null
                 }
             };
         } catch (error) {
+            if (error.code === 'GENERATION_ABORTED') {
+                console.log(`Multi-part generation aborted after ${error.partialResult.chunksGenerated} chunks`);
+                throw error;
+            }
             console.error('Error in multi-part generation:', error);
             // Don't return mock content - let the calling function handle credit refunds
             throw new Error(`Multi-part content generation failed: ${error.message}`);
@@ -232,9 +312,23 @@ class MultiPartGenerator {
             additionalInstructions,
             baseContent,
             totalTargetWords,
-            enableRefinement = false
+            enableRefinement = false,
+            qualityTier = 'standard',
+            onProgress = null,
+            signal = null,
+            generationState = null,
+            userId = null,
+            referenceDocuments = []
         } = params;
 
+        // Stream first-draft text to the listener as it arrives
+        const streamOptions = onProgress ? {
+            qualityTier,
+            signal,
+            generationState,
+            onText: (text) => this.emitProgress(onProgress, 'partial-text', { chunkIndex, text })
+        } : { qualityTier };
+
         try {
             let currentContent = '';
             let refinementCycles = 0;
@@ -242,17 +336,18 @@ class MultiPartGenerator {
             
             // Step A: Generate initial chunk
             if (baseContent && baseContent.content) {
-                console.log(`Using base content for chunk ${chunkIndex}, polishing with Flash`);
+                console.log(`Using base content for chunk ${chunkIndex}, polishing with draft model`);
                 currentContent = await this.polishExistingContent(
                     baseContent.content,
                     prompt,
                     chunkTarget,
                     contextForNextChunk,
                     style,
-                    tone
+                    tone,
+                    streamOptions
                 );
             } else {
-                console.log(`Generating new content for chunk ${chunkIndex} with Flash`);
+                console.log(`Generating new content for chunk ${chunkIndex} with draft model`);
                 currentContent = await this.generateNewChunk(
                     prompt,
                     chunkTarget,
@@ -262,15 +357,19 @@ class MultiPartGenerator {
                     tone,
                     subject,
                     additionalInstructions,
-                    totalTargetWords
+                    totalTargetWords,
+                    streamOptions
                 );
             }
             
             // Step B: Originality.ai Detection
             detectionResults = await this.originalityDetection.detectContent(currentContent, {
+                userId,
+                referenceDocuments,
                 chunkIndex,
                 totalChunks: Math.ceil(totalTargetWords / chunkTarget)
             });
+            this.emitProgress(onProgress, 'chunk-detection-result', this.summarizeDetection(chunkIndex, detectionResults));
             
             // Step C: Conditional refinement based on detection results and quality tier
             if (detectionResults.needsRefinement && enableRefinement) {
@@ -282,17 +381,20 @@ class MultiPartGenerator {
             if (detectionResults.needsRefinement && enableRefinement) {
                 
                 for (let cycle = 0; cycle < this.MAX_REFINEMENT_CYCLES && detectionResults.needsRefinement && enableRefinement; cycle++) {
+                    this.throwIfAborted(signal, generationState);
                     refinementCycles++;
+                    const strategy = detectionResults.severity === 'high' ? 'regenerate' : 'targeted';
                     
                     if (detectionResults.severity === 'high') {
-                        // Complete regeneration with Pro model
+                        // Complete regeneration with the refinement model
                         currentContent = await this.regenerateWithPro(
                             prompt,
                             chunkTarget,
                             contextForNextChunk,
                             style,
                             tone,
-                            detectionResults.recommendations
+                            detectionResults.recommendations,
+                            qualityTier
                         );
                     } else if (detectionResults.severity === 'medium') {
                         // Targeted refinement of problematic sections
@@ -304,16 +406,26 @@ class MultiPartGenerator {
                             problematicSections,
                             chunkTarget,
                             style,
-                            tone
+                            tone,
+                            qualityTier
                         );
                     }
                     
                     // Re-check after refinement
                     detectionResults = await this.originalityDetection.detectContent(currentContent, {
+                        userId,
+                        referenceDocuments,
                         chunkIndex,
                         totalChunks: Math.ceil(totalTargetWords / chunkTarget)
                     });
                     console.log(`Refinement cycle ${cycle + 1} completed for chunk ${chunkIndex}`);
+                    this.emitProgress(onProgress, 'refinement-cycle', {
+                        chunkIndex,
+                        cycle: cycle + 1,
+                        strategy,
+                        content: currentContent,
+                        detection: this.summarizeDetection(chunkIndex, detectionResults)
+                    });
                 }
             }
             
@@ -333,7 +445,56 @@ class MultiPartGenerator {
     }
 
     /**
-     * Generate new content chunk with Gemini Flash
+     * Run the quality gate on a finished chunk
+     * In 'regenerate' mode a failing chunk is redrafted with the validator's issues
+     * as extra instructions until it passes or maxRegenerations is reached;
+     * anything still failing is flagged in the report.
+     * @param {Object} chunkResult - Result of generateAndRefineChunk
+     * @param {Object} chunkParams - Parameters the chunk was generated with
+     * @param {Object} gateOptions - Resolved { mode, maxRegenerations }
+     * @returns {Promise<Object>} { chunkResult, qualitySection }
+     */
+    async applyQualityGate(chunkResult, chunkParams, gateOptions) {
+        const { prompt, chunkTarget, chunkIndex, contextForNextChunk, style, tone, subject,
+            additionalInstructions, totalTargetWords, qualityTier, onProgress, signal, generationState } = chunkParams;
+        const requirements = { wordCount: chunkTarget, style, tone };
+        
+        let validation = qualityGate.validate(chunkResult.content, requirements);
+        let regenerations = 0;
+        
+        while (!validation.isValid && gateOptions.mode === 'regenerate' && regenerations < gateOptions.maxRegenerations) {
+            this.throwIfAborted(signal, generationState);
+            regenerations++;
+            console.log(`Chunk ${chunkIndex} failed quality gate (${validation.issues.join('; ')}), regenerating (${regenerations}/${gateOptions.maxRegenerations})`);
+            
+            const content = await this.generateNewChunk(
+                prompt,
+                chunkTarget,
+                chunkIndex,
+                contextForNextChunk,
+                style,
+                tone,
+                subject,
+                `${additionalInstructions}\nThe previous draft of this section was rejected. Fix these problems: ${validation.issues.join('; ')}`.trim(),
+                totalTargetWords,
+                { qualityTier, signal, generationState }
+            );
+            chunkResult = {
+                ...chunkResult,
+                content,
+                wordCount: content.split(' ').length
+            };
+            validation = qualityGate.validate(content, requirements);
+        }
+        
+        const qualitySection = qualityGate.summarizeSection(chunkIndex, validation, regenerations);
+        this.emitProgress(onProgress, 'quality-gate', { ...qualitySection, mode: gateOptions.mode });
+        
+        return { chunkResult, qualitySection };
+    }
+
+    /**
+     * Generate new content chunk with the draft ('multipart') model
      * @param {string} prompt - Original prompt
      * @param {number} chunkTarget - Target word count for chunk
      * @param {number} chunkIndex - Current chunk index
@@ -343,9 +504,10 @@ class MultiPartGenerator {
      * @param {string} subject - Subject area
      * @param {string} additionalInstructions - Additional instructions
      * @param {number} totalTargetWords - Total target word count
+     * @param {Object} streamOptions - Optional { qualityTier, onText, signal, generationState }
      * @returns {Promise<string>} Generated content
      */
-    async generateNewChunk(prompt, chunkTarget, chunkIndex, context, style, tone, subject, additionalInstructions, totalTargetWords) {
+    async generateNewChunk(prompt, chunkTarget, chunkIndex, context, style, tone, subject, additionalInstructions, totalTargetWords, streamOptions = {}) {
         try {
             const chunkPrompt = this.buildChunkPrompt({
                 originalPrompt: prompt,
@@ -359,9 +521,8 @@ class MultiPartGenerator {
                 totalTargetWords
             });
             
-            const result = await this.flashModel.generateContent(chunkPrompt);
-            const response = await result.response;
-            return response.text();
+            const model = llmProvider.getModel('multipart', streamOptions.qualityTier);
+            return await this.generateText(model, chunkPrompt, streamOptions);
         } catch (error) {
             console.error('Error generating new chunk:', error);
             throw error;
@@ -369,16 +530,17 @@ class MultiPartGenerator {
     }
 
     /**
-     * Polish existing content with Gemini Flash
+     * Polish existing content with the draft ('multipart') model
      * @param {string} baseContent - Base content to polish
      * @param {string} prompt - Original prompt
      * @param {number} chunkTarget - Target word count
      * @param {string} context - Context for coherence
      * @param {string} style - Writing style
      * @param {string} tone - Writing tone
+     * @param {Object} streamOptions - Optional { qualityTier, onText, signal, generationState }
      * @returns {Promise<string>} Polished content
      */
-    async polishExistingContent(baseContent, prompt, chunkTarget, context, style, tone) {
+    async polishExistingContent(baseContent, prompt, chunkTarget, context, style, tone, streamOptions = {}) {
         try {
             const polishPrompt = `
 Polish and adapt the following content to match the new requirements:
@@ -402,9 +564,8 @@ Instructions:
 
 Polished Content:`;
             
-            const result = await this.flashModel.generateContent(polishPrompt);
-            const response = await result.response;
-            return response.text();
+            const model = llmProvider.getModel('multipart', streamOptions.qualityTier);
+            return await this.generateText(model, polishPrompt, streamOptions);
         } catch (error) {
             console.error('Error polishing existing content:', error);
             throw error;
@@ -412,16 +573,17 @@ Polished Content:`;
     }
 
     /**
-     * Regenerate content with Gemini Pro for high detection issues
+     * Regenerate content with the refinement model for high detection issues
      * @param {string} prompt - Original prompt
      * @param {number} chunkTarget - Target word count
      * @param {string} context - Context for coherence
      * @param {string} style - Writing style
      * @param {string} tone - Writing tone
      * @param {Array} recommendations - Detection recommendations to follow
+     * @param {string} qualityTier - Quality tier used to pick the refinement model
      * @returns {Promise<string>} Regenerated content
      */
-    async regenerateWithPro(prompt, chunkTarget, context, style, tone, recommendations) {
+    async regenerateWithPro(prompt, chunkTarget, context, style, tone, recommendations, qualityTier = 'standard') {
         try {
             const regenerationPrompt = `
 Regenerate content following these recommendations:
@@ -443,9 +605,7 @@ Instructions:
 
 Regenerated Content:`;
             
-            const result = await this.proModel.generateContent(regenerationPrompt);
-            const response = await result.response;
-            return response.text();
+            return await llmProvider.getModel('refinement', qualityTier).generate(regenerationPrompt);
         } catch (error) {
             console.error('Error regenerating with Pro:', error);
             throw error;
@@ -459,9 +619,10 @@ Regenerated Content:`;
      * @param {number} chunkTarget - Target word count
      * @param {string} style - Writing style
      * @param {string} tone - Writing tone
+     * @param {string} qualityTier - Quality tier used to pick the refinement model
      * @returns {Promise<string>} Refined content
      */
-    async refineProblematicSections(content, problematicSections, chunkTarget, style, tone) {
+    async refineProblematicSections(content, problematicSections, chunkTarget, style, tone, qualityTier = 'standard') {
         try {
             const refinementPrompt = `
 Refine the following content by improving these problematic sections:
@@ -479,9 +640,7 @@ Instructions:
 
 Refined Content:`;
             
-            const result = await this.proModel.generateContent(refinementPrompt);
-            const response = await result.response;
-            return response.text();
+            return await llmProvider.getModel('refinement', qualityTier).generate(refinementPrompt);
         } catch (error) {
             console.error('Error refining problematic sections:', error);
             throw error;
@@ -490,6 +649,82 @@ Refined Content:`;
 
 
 
+    /**
+     * Run a model call, streaming text to streamOptions.onText when provided
+     * @param {Object} model - LLMModel from llmProvider
+     * @param {string} prompt - Prompt to send
+     * @param {Object} streamOptions - Optional { onText, signal, generationState }
+     * @returns {Promise<string>} Full generated text
+     */
+    async generateText(model, prompt, streamOptions = {}) {
+        const { onText, signal, generationState } = streamOptions;
+        
+        if (!onText) {
+            return model.generate(prompt);
+        }
+        
+        let text = '';
+        for await (const delta of model.stream(prompt)) {
+            this.throwIfAborted(signal, generationState);
+            text += delta;
+            onText(delta);
+        }
+        return text;
+    }
+
+    /**
+     * Deliver a progress event to the optional listener without letting
+     * listener failures interrupt generation
+     * @param {Function|null} onProgress - Progress listener
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     */
+    emitProgress(onProgress, event, data) {
+        if (typeof onProgress !== 'function') return;
+        try {
+            onProgress(event, data);
+        } catch (error) {
+            console.error(`Progress listener failed for ${event}:`, error.message);
+        }
+    }
+
+    /**
+     * Reduce chunk detection results to the fields clients display
+     * @param {number} chunkIndex - Chunk index
+     * @param {Object} detectionResults - Results from OriginalityDetection.detectContent
+     * @returns {Object} Detection summary
+     */
+    summarizeDetection(chunkIndex, detectionResults) {
+        return {
+            chunkIndex,
+            aiScore: detectionResults.aiScore ?? null,
+            plagiarismScore: detectionResults.plagiarismScore ?? null,
+            severity: detectionResults.severity || null,
+            provider: detectionResults.provider || null,
+            needsRefinement: !!detectionResults.needsRefinement,
+            reason: detectionResults.reason || null
+        };
+    }
+
+    /**
+     * Stop generation when the caller's AbortSignal fires
+     * The thrown error carries what was completed so callers can settle credits
+     * @param {AbortSignal|null} signal - Abort signal
+     * @param {Object|null} generationState - Current generation state
+     */
+    throwIfAborted(signal, generationState) {
+        if (!signal || !signal.aborted) return;
+        
+        const error = new Error('Multi-part content generation was aborted');
+        error.code = 'GENERATION_ABORTED';
+        error.partialResult = {
+            content: generationState ? this.combineChunks(generationState.finalContentChunks) : '',
+            wordsGenerated: generationState ? generationState.totalWordsGenerated : 0,
+            chunksGenerated: generationState ? generationState.chunksGenerated : 0
+        };
+        throw error;
+    }
+
     /**
      * Build chunk-specific prompt
      * @param {Object} params - Prompt parameters
@@ -1,4 +1,6 @@
 const axios = require('axios');
+const resilience = require('./resilience');
+const localPlagiarismDetector = require('./localPlagiarismDetector');
 
 /**
  * OriginalityDetection class for plagiarism and AI detection using Originality.ai
@@ -10,8 +12,6 @@ class OriginalityDetection {
         // Required for plagiarism and AI content detection
         this.apiKey = process.env.ORIGINALITY_AI_API_KEY; // Add your Originality.ai API key
         this.baseUrl = 'https://api.originality.ai/api/v1';
-        this.maxRetries = 3;
-        this.retryDelay = 1000; // 1 second
         
         // Detection thresholds
         this.THRESHOLDS = {
@@ -34,8 +34,11 @@ class OriginalityDetection {
 
     /**
      * Perform comprehensive detection on content chunk
+     * When Originality.ai is unavailable the checks run locally and the results
+     * carry provider 'local' instead of 'originality.ai'
      * @param {string} content - Content to analyze
-     * @param {Object} options - Detection options
+     * @param {Object} options - Detection options; userId and referenceDocuments
+     *   ([{ id, title, content }]) widen the local plagiarism fallback
      * @returns {Promise<Object>} Detection results with refinement recommendations
      */
     async detectContent(content, options = {}) {
@@ -45,6 +48,7 @@ class OriginalityDetection {
             chunkIndex = 0,
             totalChunks = 1
         } = options;
+        const localOptions = this.getLocalOptions(options);
 
         try {
             console.log(`Starting detection for chunk ${chunkIndex + 1}/${totalChunks}`);
@@ -65,29 +69,46 @@ class OriginalityDetection {
             
             // Perform plagiarism detection
             if (includePlagiarism) {
-                detectionResults.plagiarismDetection = await this.performPlagiarismDetection(content);
+                detectionResults.plagiarismDetection = await this.performPlagiarismDetection(content, localOptions);
             }
             
-            // Analyze results and provide recommendations
-            const analysis = this.analyzeDetectionResults(detectionResults);
-            
-            console.log(`Detection completed for chunk ${chunkIndex + 1}: AI=${analysis.aiScore}%, Plagiarism=${analysis.plagiarismScore}%, Severity=${analysis.severity}`);
-            
-            return {
-                ...detectionResults,
-                ...analysis,
-                recommendations: this.generateRecommendations(analysis),
-                needsRefinement: analysis.severity !== 'low',
-                refinementStrategy: this.determineRefinementStrategy(analysis)
-            };
+            return this.buildDetectionResponse(detectionResults);
         } catch (error) {
             console.error('Error in content detection:', error);
             
-            // Return fallback results to prevent blocking generation
-            return this.getFallbackResults(content, chunkIndex);
+            // Check locally rather than blocking generation
+            return this.getFallbackResults(content, chunkIndex, localOptions);
         }
     }
 
+    /**
+     * Analyze detection results and attach recommendations
+     * @param {Object} detectionResults - Chunk info plus aiDetection / plagiarismDetection
+     * @returns {Object} Full detection response
+     */
+    buildDetectionResponse(detectionResults) {
+        const analysis = this.analyzeDetectionResults(detectionResults);
+        const detections = [detectionResults.aiDetection, detectionResults.plagiarismDetection].filter(Boolean);
+        const fallback = detections.some(detection => detection.provider === 'local');
+        const provider = !fallback ? 'originality.ai'
+            : detections.every(detection => detection.provider === 'local') ? 'local' : 'mixed';
+        
+        console.log(`Detection completed for chunk ${detectionResults.chunkIndex + 1} (${provider}): AI=${analysis.aiScore}%, Plagiarism=${analysis.plagiarismScore}%, Severity=${analysis.severity}`);
+        
+        return {
+            ...detectionResults,
+            ...analysis,
+            provider,
+            fallback,
+            recommendations: [
+                ...this.getFallbackNotices(detectionResults),
+                ...this.generateRecommendations(analysis, provider)
+            ],
+            needsRefinement: analysis.severity !== 'low',
+            refinementStrategy: this.determineRefinementStrategy(analysis)
+        };
+    }
+
     /**
      * Perform AI detection using Originality.ai
      * @param {string} content - Content to analyze
@@ -102,6 +123,7 @@ class OriginalityDetection {
             });
             
             return {
+                provider: 'originality.ai',
                 score: response.score?.ai || 0,
                 confidence: response.confidence || 0,
                 details: response.details || {},
@@ -117,9 +139,10 @@ class OriginalityDetection {
     /**
      * Perform plagiarism detection using Originality.ai
      * @param {string} content - Content to analyze
+     * @param {Object} localOptions - Corpus options for the local fallback
      * @returns {Promise<Object>} Plagiarism detection results
      */
-    async performPlagiarismDetection(content) {
+    async performPlagiarismDetection(content, localOptions = {}) {
         try {
             const response = await this.makeAPIRequest('/scan/plagiarism', {
                 content: content,
@@ -128,6 +151,7 @@ class OriginalityDetection {
             });
             
             return {
+                provider: 'originality.ai',
                 score: response.score?.plagiarism || 0,
                 confidence: response.confidence || 0,
                 sources: response.sources || [],
@@ -136,45 +160,31 @@ class OriginalityDetection {
             };
         } catch (error) {
             console.error('Plagiarism detection error:', error);
-            return this.getFallbackPlagiarismResults(content);
+            return this.getFallbackPlagiarismResults(content, localOptions);
         }
     }
 
     /**
-     * Make API request to Originality.ai with retry logic
+     * Make API request to Originality.ai through the shared 'originality' circuit breaker
      * @param {string} endpoint - API endpoint
      * @param {Object} data - Request data
      * @returns {Promise<Object>} API response
      */
     async makeAPIRequest(endpoint, data) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                const response = await axios.post(`${this.baseUrl}${endpoint}`, data, {
-                    headers: {
-                        'X-OAI-API-KEY': this.apiKey,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 30000 // 30 seconds
-                });
-                
-                if (response.data && response.data.success) {
-                    return response.data;
-                } else {
-                    throw new Error(`API returned unsuccessful response: ${JSON.stringify(response.data)}`);
-                }
-            } catch (error) {
-                lastError = error;
-                console.warn(`API request attempt ${attempt} failed:`, error.message);
-                
-                if (attempt < this.maxRetries) {
-                    await this.delay(this.retryDelay * attempt);
-                }
+        return resilience.getBreaker('originality').execute(async () => {
+            const response = await axios.post(`${this.baseUrl}${endpoint}`, data, {
+                headers: {
+                    'X-OAI-API-KEY': this.apiKey,
+                    'Content-Type': 'application/json'
+                },
+                timeout: 30000 // 30 seconds
+            });
+            
+            if (response.data && response.data.success) {
+                return response.data;
             }
-        }
-        
-        throw lastError;
+            throw new Error(`API returned unsuccessful response: ${JSON.stringify(response.data)}`);
+        });
     }
 
     /**
@@ -248,9 +258,10 @@ class OriginalityDetection {
     /**
      * Generate refinement recommendations
      * @param {Object} analysis - Detection analysis
+     * @param {string} provider - 'originality.ai', 'local' or 'mixed'
      * @returns {Array<string>} Refinement recommendations
      */
-    generateRecommendations(analysis) {
+    generateRecommendations(analysis, provider = 'originality.ai') {
         const recommendations = [];
         
         if (analysis.aiSeverity === 'high') {
@@ -273,7 +284,9 @@ class OriginalityDetection {
         }
         
         if (analysis.severity === 'low') {
-            recommendations.push('Content passes detection checks');
+            recommendations.push(provider === 'originality.ai'
+                ? 'Content passes detection checks'
+                : 'No issues found by the checks that ran; re-check with Originality.ai when it is available');
             recommendations.push('Minor polishing may enhance originality');
         }
         
@@ -374,39 +387,43 @@ class OriginalityDetection {
     }
 
     /**
-     * Get fallback results when API fails
+     * Options passed through to the local plagiarism check
+     * @param {Object} options - detectContent options
+     * @returns {Object} { userId, referenceDocuments, excludeIds }
+     */
+    getLocalOptions(options) {
+        return {
+            userId: options.userId || null,
+            referenceDocuments: options.referenceDocuments || [],
+            excludeIds: options.excludeIds || []
+        };
+    }
+
+    /**
+     * Run both checks locally when the detection pipeline fails
      * @param {string} content - Content being analyzed
      * @param {number} chunkIndex - Chunk index
-     * @returns {Object} Fallback results
+     * @param {Object} localOptions - Corpus options for the local plagiarism check
+     * @returns {Promise<Object>} Detection results labelled as local
      */
-    getFallbackResults(content, chunkIndex) {
-        console.warn('Using fallback detection results due to API failure');
+    async getFallbackResults(content, chunkIndex, localOptions = {}) {
+        console.warn('Originality.ai unavailable, running local detection');
         
-        return {
+        return this.buildDetectionResponse({
             chunkIndex,
             wordCount: content.split(' ').length,
             timestamp: new Date().toISOString(),
             aiDetection: this.getFallbackAIResults(content),
-            plagiarismDetection: this.getFallbackPlagiarismResults(content),
-            aiScore: 15, // Conservative fallback
-            plagiarismScore: 10,
-            compositeScore: 15,
-            severity: 'low',
-            confidence: 50,
-            needsRefinement: false,
-            recommendations: ['API unavailable - content approved with conservative scoring'],
-            refinementStrategy: { type: 'no_refinement', model: null, focus: 'none' },
-            fallback: true
-        };
+            plagiarismDetection: await this.getFallbackPlagiarismResults(content, localOptions)
+        });
     }
 
     /**
-     * Get fallback AI detection results
+     * Local AI heuristic based on formulaic phrasing
      * @param {string} content - Content to analyze
-     * @returns {Object} Fallback AI results
+     * @returns {Object} AI results labelled as local
      */
     getFallbackAIResults(content) {
-        // Simple pattern-based fallback
         const aiPatterns = [
             /\b(furthermore|moreover|additionally|consequently)\b/gi,
             /\b(it is important to note|it should be noted)\b/gi,
@@ -419,30 +436,69 @@ class OriginalityDetection {
             if (matches) patternCount += matches.length;
         });
         
-        const score = Math.min(patternCount * 5, 30); // Cap at 30%
-        
         return {
-            score,
-            confidence: 50,
-            details: { fallback: true },
+            provider: 'local',
+            engine: 'pattern-heuristic',
+            score: Math.min(patternCount * 5, 30), // A phrase count can't support a higher score
+            confidence: 20,
+            details: { patternMatches: patternCount },
             flaggedSections: [],
-            patterns: ['Fallback pattern detection']
+            patterns: this.identifyAIPatterns(content)
         };
     }
 
     /**
-     * Get fallback plagiarism detection results
+     * Local plagiarism check against the user's content history, the
+     * generatedContent corpus and any reference documents
      * @param {string} content - Content to analyze
-     * @returns {Object} Fallback plagiarism results
+     * @param {Object} localOptions - { userId, referenceDocuments, excludeIds }
+     * @returns {Promise<Object>} Plagiarism results labelled as local
      */
-    getFallbackPlagiarismResults(content) {
-        return {
-            score: 5, // Very conservative
-            confidence: 50,
-            sources: [],
-            flaggedSections: [],
-            matchDetails: []
-        };
+    async getFallbackPlagiarismResults(content, localOptions = {}) {
+        try {
+            return await localPlagiarismDetector.check(content, localOptions);
+        } catch (error) {
+            console.error('Local plagiarism check error:', error);
+            return {
+                provider: 'local',
+                engine: 'shingle-minhash',
+                score: 0,
+                confidence: 0,
+                sources: [],
+                flaggedSections: [],
+                matchDetails: [],
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Explain which checks ran locally and what that covers
+     * @param {Object} detectionResults - Detection results
+     * @returns {Array<string>} Notices, empty when Originality.ai answered
+     */
+    getFallbackNotices(detectionResults) {
+        const notices = [];
+        const { aiDetection, plagiarismDetection } = detectionResults;
+        
+        if (plagiarismDetection?.provider === 'local') {
+            const corpus = plagiarismDetection.corpus;
+            const checked = corpus
+                ? corpus.contentHistory + corpus.generatedContent + corpus.referenceDocuments
+                : 0;
+            
+            if (checked > 0) {
+                notices.push(`Originality.ai unavailable - plagiarism checked locally against ${checked} stored or reference documents only, not the web`);
+            } else {
+                notices.push('Originality.ai unavailable - no local documents were available, so plagiarism was not checked');
+            }
+        }
+        
+        if (aiDetection?.provider === 'local') {
+            notices.push('Originality.ai unavailable - AI score is a local phrase-pattern estimate with low confidence');
+        }
+        
+        return notices;
     }
 
     /**
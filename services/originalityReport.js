@@ -0,0 +1,489 @@
+/**
+ * Span-level originality report
+ * Maps every flagged span from a detection result to character offsets in the
+ * final text, with its score, type and matched source, and renders the text
+ * with those spans highlighted as HTML or PDF.
+ *
+ * Accepts the shapes produced by OriginalityDetection.detectContent
+ * (aiDetection / plagiarismDetection with flaggedSections), by
+ * DetectorService.analyzeContent (aiContent.blocks, plagiarism.matches) and
+ * previously built reports (spans, or the spanReport of final detection results).
+ */
+
+// Same bands OriginalityDetection uses for its chunk scores
+const SEVERITY_THRESHOLDS = {
+    high: 50,
+    medium: 30
+};
+
+const SPAN_TYPES = {
+    plagiarism: 'plagiarism',
+    ai: 'ai'
+};
+
+const REPORT_VERSION = 1;
+
+class OriginalityReport {
+    constructor() {
+        this.pdfGenerator = null;
+    }
+
+    /**
+     * Build the report model for a text and its detection results
+     * @param {string} text - Final text the offsets refer to
+     * @param {Object} detection - Detection results (see module comment for accepted shapes)
+     * @param {Object} metadata - Optional { title, analysisId, provider }
+     * @returns {Object} Report with spans, flagged sentences and summary
+     */
+    buildReport(text, detection = {}, metadata = {}) {
+        const candidates = this.collectSpans(detection);
+        const spans = [];
+        let unmapped = 0;
+
+        candidates.forEach(candidate => {
+            const location = this.locateSpan(text, candidate);
+            if (!location) {
+                unmapped++;
+                return;
+            }
+
+            const duplicate = spans.find(span => span.type === candidate.type &&
+                span.start === location.start &&
+                span.end === location.end &&
+                (span.source?.id || span.source?.url) === (candidate.source?.id || candidate.source?.url));
+            if (duplicate) {
+                duplicate.score = Math.max(duplicate.score, candidate.score);
+                return;
+            }
+
+            spans.push({
+                start: location.start,
+                end: location.end,
+                text: text.slice(location.start, location.end),
+                type: candidate.type,
+                score: candidate.score,
+                severity: this.getSeverity(candidate.score),
+                source: candidate.source,
+                reason: candidate.reason || null,
+                action: candidate.type === SPAN_TYPES.plagiarism && candidate.source ? 'cite' : 'reword'
+            });
+        });
+
+        spans.sort((a, b) => a.start - b.start || b.end - a.end);
+        spans.forEach((span, index) => {
+            span.id = `span-${index + 1}`;
+        });
+
+        return {
+            version: REPORT_VERSION,
+            title: metadata.title || 'Originality Report',
+            analysisId: metadata.analysisId || null,
+            provider: metadata.provider || detection.provider || detection.spanReport?.provider ||
+                detection.detectionProvider || 'originality.ai',
+            generatedAt: new Date().toISOString(),
+            text,
+            scores: this.getScores(detection),
+            spans,
+            sentences: this.getFlaggedSentences(text, spans),
+            summary: this.summarize(text, spans, unmapped)
+        };
+    }
+
+    /**
+     * Gather candidate spans from any of the supported detection shapes
+     * @param {Object} detection - Detection results
+     * @returns {Array<Object>} Candidates as { type, text, start, end, score, source, reason }
+     */
+    collectSpans(detection) {
+        const candidates = [];
+
+        // An existing report, e.g. FinalDetectionService's spanReport
+        (detection.spans || detection.spanReport?.spans || []).forEach(span => {
+            candidates.push({
+                type: span.type === SPAN_TYPES.ai ? SPAN_TYPES.ai : SPAN_TYPES.plagiarism,
+                text: span.text || '',
+                start: span.start ?? null,
+                end: span.end ?? null,
+                score: Math.round(span.score || 0),
+                source: span.source || null,
+                reason: span.reason || null
+            });
+        });
+
+        // OriginalityDetection results (Originality.ai highlights or the local fallback)
+        (detection.aiDetection?.flaggedSections || []).forEach(section => {
+            candidates.push(this.fromFlaggedSection(section, SPAN_TYPES.ai));
+        });
+        (detection.plagiarismDetection?.flaggedSections || []).forEach(section => {
+            candidates.push(this.fromFlaggedSection(section, SPAN_TYPES.plagiarism));
+        });
+
+        // DetectorService results: per-block AI probabilities and plagiarism matches
+        (detection.aiContent?.blocks || []).forEach(block => {
+            const raw = block.result?.fake ?? block.score ?? 0;
+            const score = Math.round(raw <= 1 ? raw * 100 : raw);
+            if (block.text && score >= SEVERITY_THRESHOLDS.medium) {
+                candidates.push({
+                    type: SPAN_TYPES.ai,
+                    text: block.text,
+                    start: null,
+                    end: null,
+                    score,
+                    source: null,
+                    reason: 'Likely AI-generated'
+                });
+            }
+        });
+        (detection.plagiarism?.matches || []).forEach(match => {
+            candidates.push(this.fromMatch(match));
+        });
+
+        return candidates.filter(candidate => candidate.text || Number.isInteger(candidate.start));
+    }
+
+    /**
+     * @param {Object} section - { text, score, startIndex, endIndex, reason, sourceId, sourceType, sourceTitle, url }
+     * @param {string} type - Span type
+     * @returns {Object} Candidate span
+     */
+    fromFlaggedSection(section, type) {
+        const hasSource = section.url || section.sourceId;
+
+        return {
+            type,
+            text: section.text || '',
+            start: section.startIndex ?? null,
+            end: section.endIndex ?? null,
+            score: Math.round(section.score || 0),
+            source: hasSource ? {
+                id: section.sourceId || null,
+                type: section.sourceType || 'web',
+                title: section.sourceTitle || section.title || null,
+                url: section.url || null
+            } : null,
+            reason: section.reason || null
+        };
+    }
+
+    /**
+     * Originality.ai plagiarism matches name their fields inconsistently
+     * across API versions, so accept the common variants
+     * @param {Object} match - Plagiarism match
+     * @returns {Object} Candidate span
+     */
+    fromMatch(match) {
+        const firstSource = Array.isArray(match.matches) && match.matches.length > 0 ? match.matches[0] : {};
+        const url = match.website || match.url || match.link || firstSource.website || firstSource.url || null;
+        const rawScore = match.score ?? match.similarity ?? match.percent ?? firstSource.score ?? 100;
+
+        return {
+            type: SPAN_TYPES.plagiarism,
+            text: match.text || match.phrase || match.matchText || '',
+            start: match.startIndex ?? match.start ?? null,
+            end: match.endIndex ?? match.end ?? null,
+            score: Math.round(rawScore <= 1 ? rawScore * 100 : rawScore),
+            source: url ? {
+                id: null,
+                type: 'web',
+                title: match.title || firstSource.title || null,
+                url
+            } : null,
+            reason: url ? 'Matches an online source' : 'Matches an online source (no URL returned)'
+        };
+    }
+
+    /**
+     * Resolve a candidate to offsets in the final text
+     * Offsets are trusted when they still select the flagged text; otherwise the
+     * text is searched for, which covers chunk offsets after the chunks were joined
+     * @param {string} text - Final text
+     * @param {Object} candidate - Candidate span
+     * @returns {Object|null} { start, end } or null when the span is not in the text
+     */
+    locateSpan(text, candidate) {
+        const { start, end } = candidate;
+        const validOffsets = Number.isInteger(start) && Number.isInteger(end) &&
+            start >= 0 && end > start && end <= text.length;
+
+        if (validOffsets && (!candidate.text || text.slice(start, end) === candidate.text)) {
+            return { start, end };
+        }
+
+        const needle = (candidate.text || '').trim();
+        if (!needle) return null;
+
+        const exact = text.indexOf(needle);
+        if (exact !== -1) {
+            return { start: exact, end: exact + needle.length };
+        }
+
+        // Whitespace, line breaks and casing often change when chunks are stitched
+        // together or when the detector normalises the text it quotes back
+        const pattern = new RegExp(needle
+            .split(/\s+/)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s+'), 'i');
+        const match = pattern.exec(text);
+
+        return match ? { start: match.index, end: match.index + match[0].length } : null;
+    }
+
+    /**
+     * Sentences overlapping at least one span, with what the user should do
+     * @param {string} text - Final text
+     * @param {Array<Object>} spans - Located spans
+     * @returns {Array<Object>} { start, end, text, spanIds, action }
+     */
+    getFlaggedSentences(text, spans) {
+        const sentences = [];
+        const pattern = /[^.!?\n]+(?:[.!?]+["'”’)\]]*|\n|$)/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            const leading = match[0].length - match[0].trimStart().length;
+            const start = match.index + leading;
+            const end = match.index + match[0].trimEnd().length;
+            if (end <= start) continue;
+
+            const overlapping = spans.filter(span => span.start < end && span.end > start);
+            if (overlapping.length === 0) continue;
+
+            sentences.push({
+                start,
+                end,
+                text: text.slice(start, end),
+                spanIds: overlapping.map(span => span.id),
+                action: overlapping.some(span => span.action === 'cite') ? 'cite' : 'reword'
+            });
+        }
+
+        return sentences;
+    }
+
+    /**
+     * @param {Object} detection - Detection results
+     * @returns {Object} { ai, plagiarism, originality } as percentages or null
+     */
+    getScores(detection) {
+        const existing = detection.scores || detection.spanReport?.scores;
+        if (existing) return existing;
+
+        const ai = detection.aiScore ?? detection.aiDetectionScore ?? detection.aiDetection?.score ??
+            detection.aiContent?.score ?? null;
+        const plagiarism = detection.plagiarismScore ?? detection.plagiarismDetection?.score ??
+            detection.plagiarism?.score ?? null;
+        const originality = detection.plagiarism?.originalityScore ??
+            (plagiarism !== null ? 100 - plagiarism : null);
+
+        return { ai, plagiarism, originality };
+    }
+
+    /**
+     * @param {string} text - Final text
+     * @param {Array<Object>} spans - Located spans
+     * @param {number} unmapped - Candidates that could not be found in the text
+     * @returns {Object} Summary counts
+     */
+    summarize(text, spans, unmapped) {
+        const flagged = new Uint8Array(text.length);
+        spans.forEach(span => flagged.fill(1, span.start, span.end));
+        const flaggedCharacters = flagged.reduce((sum, value) => sum + value, 0);
+
+        return {
+            totalSpans: spans.length,
+            plagiarismSpans: spans.filter(span => span.type === SPAN_TYPES.plagiarism).length,
+            aiSpans: spans.filter(span => span.type === SPAN_TYPES.ai).length,
+            toCite: spans.filter(span => span.action === 'cite').length,
+            toReword: spans.filter(span => span.action === 'reword').length,
+            flaggedCharacters,
+            flaggedPercent: text.length > 0 ? Math.round((flaggedCharacters / text.length) * 100) : 0,
+            unmappedSpans: unmapped
+        };
+    }
+
+    getSeverity(score) {
+        if (score >= SEVERITY_THRESHOLDS.high) return 'high';
+        if (score >= SEVERITY_THRESHOLDS.medium) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Render the report as a standalone HTML page with highlighted spans
+     * @param {Object} report - Report from buildReport
+     * @returns {string} HTML document
+     */
+    renderHTML(report) {
+        const { scores, summary } = report;
+        const formatScore = (score) => score === null || score === undefined ? 'n/a' : `${score}%`;
+        const providerNote = report.provider === 'originality.ai'
+            ? 'Checked with Originality.ai'
+            : 'Originality.ai was unavailable; plagiarism was checked locally against stored and reference documents only';
+
+        const rows = report.spans.map(span => `
+            <tr id="detail-${span.id}">
+                <td><a href="#${span.id}">${span.id.replace('span-', '')}</a></td>
+                <td>${span.type === SPAN_TYPES.plagiarism ? 'Plagiarism' : 'AI'}</td>
+                <td>${span.score}% (${span.severity})</td>
+                <td>${span.action === 'cite' ? 'Cite source' : 'Reword'}</td>
+                <td>${this.renderSource(span.source)}</td>
+                <td class="excerpt">${this.escapeHTML(this.truncate(span.text, 160))}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHTML(report.title)}</title>
+    <style>${this.getCSS()}</style>
+</head>
+<body>
+    <div class="container">
+        <h1>${this.escapeHTML(report.title)}</h1>
+        <p class="meta">${this.escapeHTML(providerNote)} &middot; ${this.escapeHTML(new Date(report.generatedAt).toLocaleString('en-US'))}</p>
+        <div class="scores">
+            <div><span class="label">AI</span><span class="value">${formatScore(scores.ai)}</span></div>
+            <div><span class="label">Plagiarism</span><span class="value">${formatScore(scores.plagiarism)}</span></div>
+            <div><span class="label">Originality</span><span class="value">${formatScore(scores.originality)}</span></div>
+            <div><span class="label">Flagged text</span><span class="value">${summary.flaggedPercent}%</span></div>
+        </div>
+        <p class="legend">
+            <mark class="plagiarism">Matches a source &ndash; cite or quote it</mark>
+            <mark class="ai">Likely AI-generated &ndash; reword it</mark>
+        </p>
+        <div class="document">${this.renderAnnotatedText(report)}</div>
+        <h2>Flagged spans (${summary.totalSpans})</h2>
+        ${report.spans.length > 0 ? `<table>
+            <thead><tr><th>#</th><th>Type</th><th>Score</th><th>Action</th><th>Source</th><th>Text</th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+        </table>` : '<p>No spans were flagged.</p>'}
+        ${summary.unmappedSpans > 0 ? `<p class="meta">${summary.unmappedSpans} flagged passage(s) could not be located in the final text, usually because it was edited after detection.</p>` : ''}
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Render the report as a PDF
+     * @param {Object} report - Report from buildReport
+     * @returns {Promise<Buffer>} PDF buffer
+     */
+    async renderPDF(report) {
+        return this.getPDFGenerator().generatePDFFromHTML(this.renderHTML(report), {
+            format: 'Letter',
+            margin: { top: '0.75in', right: '0.75in', bottom: '0.75in', left: '0.75in' }
+        });
+    }
+
+    /**
+     * Split the text at every span boundary and wrap flagged segments in <mark>
+     * Where spans overlap, plagiarism takes precedence for the highlight colour
+     * @param {Object} report - Report from buildReport
+     * @returns {string} HTML paragraphs
+     */
+    renderAnnotatedText(report) {
+        const { text, spans } = report;
+        const boundaries = new Set([0, text.length]);
+        spans.forEach(span => {
+            boundaries.add(span.start);
+            boundaries.add(span.end);
+        });
+        const points = [...boundaries].sort((a, b) => a - b);
+        let html = '';
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+            const segment = this.escapeHTML(text.slice(start, end)).replace(/\n{2,}/g, '</p><p>').replace(/\n/g, '<br>');
+            const covering = spans.filter(span => span.start <= start && span.end >= end);
+
+            if (covering.length === 0) {
+                html += segment;
+                continue;
+            }
+
+            const type = covering.some(span => span.type === SPAN_TYPES.plagiarism) ? SPAN_TYPES.plagiarism : SPAN_TYPES.ai;
+            const title = covering.map(span => `${span.id.replace('span-', '#')} ${span.type} ${span.score}%`).join(', ');
+            const anchors = covering
+                .filter(span => span.start === start)
+                .map(span => `<a id="${span.id}"></a>`)
+                .join('');
+
+            const markers = spans
+                .filter(span => span.end === end && covering.includes(span))
+                .map(span => `<sup><a href="#detail-${span.id}">${span.id.replace('span-', '')}</a></sup>`)
+                .join('');
+
+            html += `${anchors}<mark class="${type}" title="${this.escapeHTML(title)}">${segment}</mark>${markers}`;
+        }
+
+        return `<p>${html}</p>`;
+    }
+
+    renderSource(source) {
+        if (!source) return '&mdash;';
+        const label = this.escapeHTML(source.title || source.url || source.id);
+        const kind = source.type && source.type !== 'web' ? ` <span class="meta">(${this.escapeHTML(source.type)})</span>` : '';
+
+        if (source.url && /^https?:\/\//i.test(source.url)) {
+            return `<a href="${this.escapeHTML(source.url)}">${label}</a>${kind}`;
+        }
+        return `${label}${kind}`;
+    }
+
+    getCSS() {
+        return `
+            body { font-family: Georgia, 'Times New Roman', serif; color: #222; margin: 0; background: #fff; }
+            .container { max-width: 820px; margin: 0 auto; padding: 24px; }
+            h1 { font-size: 22pt; margin-bottom: 4px; }
+            h2 { font-size: 14pt; margin-top: 32px; }
+            .meta { color: #666; font-size: 10pt; }
+            .scores { display: flex; gap: 16px; margin: 16px 0; }
+            .scores div { border: 1px solid #ddd; border-radius: 6px; padding: 8px 12px; min-width: 110px; }
+            .scores .label { display: block; font-size: 9pt; color: #666; text-transform: uppercase; }
+            .scores .value { font-size: 16pt; font-weight: bold; }
+            .legend mark { margin-right: 12px; padding: 2px 6px; font-size: 10pt; }
+            .document { line-height: 1.7; border-top: 1px solid #ddd; padding-top: 12px; }
+            mark.plagiarism { background: #ffd6d6; border-bottom: 2px solid #d33; }
+            mark.ai { background: #fff1b8; border-bottom: 2px solid #d9a400; }
+            sup a { color: #a00; text-decoration: none; font-size: 8pt; }
+            table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+            th, td { border-bottom: 1px solid #eee; padding: 6px; text-align: left; vertical-align: top; }
+            td.excerpt { color: #444; }
+            tr { page-break-inside: avoid; }
+        `;
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Puppeteer is only loaded when a PDF is requested
+     */
+    getPDFGenerator() {
+        if (!this.pdfGenerator) {
+            const PDFGenerator = require('./pdfGenerator');
+            this.pdfGenerator = new PDFGenerator();
+        }
+        return this.pdfGenerator;
+    }
+}
+
+module.exports = new OriginalityReport();
+module.exports.SPAN_TYPES = SPAN_TYPES;
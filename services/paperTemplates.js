@@ -0,0 +1,385 @@
+const { getRepositories } = require('../repositories');
+
+/**
+ * Paper layout templates for exports
+ * A template controls the title page, running head, page numbers, heading
+ * levels, citation mode and reference list. Custom templates extend a
+ * built-in one and only need to list the fields they change.
+ */
+
+const HEADING_DEFAULTS = { align: 'left', bold: true, italic: false, inline: false };
+
+const BASE_TEMPLATE = {
+    page: {
+        size: 'letter',
+        margin: 1,                 // inches
+        fontFamily: 'Times New Roman',
+        fontSize: 12,              // points
+        lineSpacing: 2,
+        firstLineIndent: 0.5       // inches; 0 for block paragraphs
+    },
+    titlePage: {
+        type: 'page',              // 'page' (separate cover), 'header-block' (MLA first page) or 'none'
+        fields: ['author', 'institution', 'course', 'instructor', 'date'],
+        boldTitle: true,
+        topOffset: 3,              // blank lines above the title on a cover page
+        repeatTitle: true          // repeat the title above the first page of text
+    },
+    runningHead: {
+        text: '',                  // '{title}', '{shortTitle}' or '{surname}'; empty for none
+        uppercase: false,
+        align: 'left'
+    },
+    pageNumbers: {
+        position: 'header',        // 'header', 'footer' or 'none'
+        align: 'right',
+        showOnTitlePage: true
+    },
+    headings: [
+        { align: 'center', bold: true, italic: false, inline: false },
+        { align: 'left', bold: true, italic: false, inline: false },
+        { align: 'left', bold: true, italic: true, inline: false },
+        { align: 'indent', bold: true, italic: false, inline: true },
+        { align: 'indent', bold: true, italic: true, inline: true }
+    ],
+    citations: {
+        mode: 'author-date'        // 'author-date' keeps in-text citations; 'footnotes' turns them into notes
+    },
+    references: {
+        heading: 'References',
+        align: 'center',
+        bold: true,
+        newPage: true,
+        hangingIndent: true,
+        sort: 'alphabetical'       // 'alphabetical' or 'none'
+    }
+};
+
+const BUILT_IN_TEMPLATES = {
+    basic: {
+        name: 'Basic',
+        description: 'Plain document with the title at the top and no citation-style layout',
+        citationStyle: null,
+        page: { size: 'a4', lineSpacing: 1.5, firstLineIndent: 0 },
+        titlePage: { type: 'none', fields: ['author', 'date'] },
+        pageNumbers: { position: 'footer', align: 'center' },
+        headings: [
+            { align: 'left', bold: true },
+            { align: 'left', bold: true, italic: true },
+            { align: 'left', bold: false, italic: true }
+        ],
+        references: { align: 'left', newPage: false }
+    },
+    'apa7-student': {
+        name: 'APA 7 Student Paper',
+        description: 'Title page with course details, page numbers top right, five APA heading levels and a References page',
+        citationStyle: 'APA'
+    },
+    'apa7-professional': {
+        name: 'APA 7 Professional Paper',
+        description: 'APA 7 with an uppercase short-title running head on every page',
+        citationStyle: 'APA',
+        titlePage: { fields: ['author', 'institution', 'date'] },
+        runningHead: { text: '{shortTitle}', uppercase: true, align: 'left' }
+    },
+    mla9: {
+        name: 'MLA 9',
+        description: 'First-page header block, surname and page number running head, Works Cited page',
+        citationStyle: 'MLA',
+        titlePage: { type: 'header-block', fields: ['author', 'instructor', 'course', 'date'], boldTitle: false, repeatTitle: false },
+        runningHead: { text: '{surname}', align: 'right' },
+        headings: [
+            { align: 'left', bold: true },
+            { align: 'left', bold: false, italic: true },
+            { align: 'center', bold: true },
+            { align: 'center', bold: false, italic: true }
+        ],
+        references: { heading: 'Works Cited', bold: false }
+    },
+    'chicago-notes': {
+        name: 'Chicago Notes and Bibliography',
+        description: 'Title page without a page number, citations as numbered footnotes, Bibliography page',
+        citationStyle: 'Chicago',
+        titlePage: { fields: ['author', 'course', 'instructor', 'date'], boldTitle: false, repeatTitle: false },
+        pageNumbers: { showOnTitlePage: false },
+        headings: [
+            { align: 'center', bold: true },
+            { align: 'center', bold: false, italic: false },
+            { align: 'left', bold: true },
+            { align: 'left', bold: false, italic: true }
+        ],
+        citations: { mode: 'footnotes' },
+        references: { heading: 'Bibliography', bold: false }
+    },
+    harvard: {
+        name: 'Harvard',
+        description: 'Title page, 1.5 line spacing, block paragraphs, page numbers bottom centre, Reference List',
+        citationStyle: 'Harvard',
+        page: { lineSpacing: 1.5, firstLineIndent: 0, size: 'a4' },
+        titlePage: { repeatTitle: false },
+        pageNumbers: { position: 'footer', align: 'center' },
+        headings: [
+            { align: 'left', bold: true },
+            { align: 'left', bold: true, italic: true },
+            { align: 'left', bold: false, italic: true }
+        ],
+        references: { heading: 'Reference List', align: 'left', newPage: false, hangingIndent: false }
+    }
+};
+
+const DEFAULT_TEMPLATE_BY_STYLE = {
+    apa: 'apa7-student',
+    mla: 'mla9',
+    chicago: 'chicago-notes',
+    harvard: 'harvard'
+};
+
+const ALLOWED_VALUES = {
+    'page.size': ['letter', 'a4'],
+    'titlePage.type': ['page', 'header-block', 'none'],
+    'runningHead.align': ['left', 'right', 'center'],
+    'pageNumbers.position': ['header', 'footer', 'none'],
+    'pageNumbers.align': ['left', 'right', 'center'],
+    'citations.mode': ['author-date', 'footnotes'],
+    'references.align': ['left', 'center'],
+    'references.sort': ['alphabetical', 'none']
+};
+
+const TITLE_FIELDS = ['author', 'institution', 'course', 'instructor', 'date'];
+const MAX_CUSTOM_TEMPLATES = 20;
+
+/**
+ * PaperTemplates class
+ * Resolves built-in and custom templates; custom ones are kept as
+ * `paperTemplate` tool results (repositories.toolResults)
+ */
+class PaperTemplates {
+    /**
+     * Merge a template definition over its base
+     * @param {Object} definition - Template fields; headings replace the base list level by level
+     * @param {Object} base - Resolved base template
+     * @returns {Object} Resolved template
+     */
+    mergeTemplate(definition, base = BASE_TEMPLATE) {
+        const merged = { ...base, ...definition };
+
+        ['page', 'titlePage', 'runningHead', 'pageNumbers', 'citations', 'references'].forEach(section => {
+            merged[section] = { ...base[section], ...(definition[section] || {}) };
+        });
+
+        const headings = definition.headings || base.headings;
+        merged.headings = headings.map(level => ({ ...HEADING_DEFAULTS, ...level }));
+
+        return merged;
+    }
+
+    /**
+     * Resolve a built-in template by ID
+     * @param {string} templateId - Built-in template ID
+     * @returns {Object|null} Resolved template
+     */
+    getBuiltInTemplate(templateId) {
+        const definition = BUILT_IN_TEMPLATES[templateId];
+        if (!definition) {
+            return null;
+        }
+        return { id: templateId, builtIn: true, ...this.mergeTemplate(definition) };
+    }
+
+    /**
+     * Built-in template used for a citation style when none is chosen
+     * @param {string} citationStyle - APA, MLA, Chicago or Harvard
+     * @returns {Object} Resolved template
+     */
+    getTemplateForCitationStyle(citationStyle) {
+        const templateId = DEFAULT_TEMPLATE_BY_STYLE[String(citationStyle || '').toLowerCase()] || 'basic';
+        return this.getBuiltInTemplate(templateId);
+    }
+
+    /**
+     * Resolve a built-in or custom template
+     * @param {string} templateId - Template ID
+     * @param {string} userId - Requesting user; custom templates are private to their owner
+     * @returns {Promise<Object|null>} Resolved template or null if not found
+     */
+    async getTemplate(templateId, userId) {
+        const builtIn = this.getBuiltInTemplate(templateId);
+        if (builtIn) {
+            return builtIn;
+        }
+
+        const stored = await getRepositories().toolResults.get('paperTemplate', templateId);
+        if (!stored || stored.userId !== userId) {
+            return null;
+        }
+
+        return this.resolveCustomTemplate(stored.id, stored);
+    }
+
+    resolveCustomTemplate(id, data) {
+        const base = this.getBuiltInTemplate(data.definition.extends) || this.getBuiltInTemplate('basic');
+        return {
+            ...this.mergeTemplate(data.definition, base),
+            id,
+            builtIn: false,
+            extends: base.id,
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt
+        };
+    }
+
+    /**
+     * List built-in templates and the user's custom templates
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Template summaries
+     */
+    async listTemplates(userId) {
+        const summarize = (template) => ({
+            id: template.id,
+            name: template.name,
+            description: template.description || '',
+            citationStyle: template.citationStyle || null,
+            builtIn: template.builtIn,
+            extends: template.extends || null
+        });
+
+        const builtIns = Object.keys(BUILT_IN_TEMPLATES).map(id => summarize(this.getBuiltInTemplate(id)));
+        const stored = await getRepositories().toolResults.list('paperTemplate', { userId, limit: MAX_CUSTOM_TEMPLATES });
+        const custom = stored.map(template => summarize(this.resolveCustomTemplate(template.id, template)));
+
+        return [...builtIns, ...custom];
+    }
+
+    /**
+     * Validate a custom template definition
+     * @param {Object} definition - Uploaded definition
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    validateTemplate(definition) {
+        const errors = [];
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return ['Template must be a JSON object'];
+        }
+        if (!definition.name || typeof definition.name !== 'string' || definition.name.length > 100) {
+            errors.push('name is required (max 100 characters)');
+        }
+        if (definition.extends !== undefined && !BUILT_IN_TEMPLATES[definition.extends]) {
+            errors.push(`extends must be one of: ${Object.keys(BUILT_IN_TEMPLATES).join(', ')}`);
+        }
+
+        Object.entries(ALLOWED_VALUES).forEach(([field, allowed]) => {
+            const [section, key] = field.split('.');
+            const value = definition[section]?.[key];
+            if (value !== undefined && !allowed.includes(value)) {
+                errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+            }
+        });
+
+        const page = definition.page || {};
+        if (page.fontSize !== undefined && !(page.fontSize >= 8 && page.fontSize <= 16)) {
+            errors.push('page.fontSize must be between 8 and 16');
+        }
+        if (page.lineSpacing !== undefined && !(page.lineSpacing >= 1 && page.lineSpacing <= 3)) {
+            errors.push('page.lineSpacing must be between 1 and 3');
+        }
+        if (page.margin !== undefined && !(page.margin >= 0.5 && page.margin <= 2)) {
+            errors.push('page.margin must be between 0.5 and 2 inches');
+        }
+        if (page.firstLineIndent !== undefined && !(page.firstLineIndent >= 0 && page.firstLineIndent <= 1)) {
+            errors.push('page.firstLineIndent must be between 0 and 1 inch');
+        }
+        if (page.fontFamily !== undefined && !/^[\w .-]{1,60}$/.test(page.fontFamily)) {
+            errors.push('page.fontFamily must be a font name');
+        }
+
+        const fields = definition.titlePage?.fields;
+        if (fields !== undefined && (!Array.isArray(fields) || fields.some(field => !TITLE_FIELDS.includes(field)))) {
+            errors.push(`titlePage.fields may only contain: ${TITLE_FIELDS.join(', ')}`);
+        }
+
+        const headings = definition.headings;
+        if (headings !== undefined) {
+            if (!Array.isArray(headings) || headings.length === 0 || headings.length > 5) {
+                errors.push('headings must list 1 to 5 levels');
+            } else if (headings.some(level => !level || !['left', 'center', 'indent'].includes(level.align || 'left'))) {
+                errors.push('headings[].align must be left, center or indent');
+            }
+        }
+
+        const runningHead = definition.runningHead?.text;
+        if (runningHead !== undefined && (typeof runningHead !== 'string' || runningHead.length > 60)) {
+            errors.push('runningHead.text must be a string (max 60 characters)');
+        }
+
+        const heading = definition.references?.heading;
+        if (heading !== undefined && (typeof heading !== 'string' || heading.length === 0 || heading.length > 60)) {
+            errors.push('references.heading must be a non-empty string (max 60 characters)');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Keep only the fields a template can set
+     */
+    sanitizeDefinition(definition) {
+        const allowedKeys = ['name', 'description', 'extends', 'citationStyle', 'page', 'titlePage',
+            'runningHead', 'pageNumbers', 'headings', 'citations', 'references'];
+        const sanitized = {};
+        allowedKeys.forEach(key => {
+            if (definition[key] !== undefined) sanitized[key] = definition[key];
+        });
+        sanitized.extends = sanitized.extends || 'basic';
+        return sanitized;
+    }
+
+    /**
+     * Store a custom template
+     * @param {string} userId - Owner
+     * @param {Object} definition - Validated definition
+     * @param {string|null} templateId - Existing template to replace
+     * @returns {Promise<Object>} Resolved template
+     */
+    async saveCustomTemplate(userId, definition, templateId = null) {
+        const { toolResults } = getRepositories();
+        const data = {
+            definition: this.sanitizeDefinition(definition),
+            updatedAt: new Date().toISOString()
+        };
+
+        if (templateId) {
+            const existing = await toolResults.get('paperTemplate', templateId);
+            if (!existing || existing.userId !== userId) {
+                throw new Error('Template not found');
+            }
+            await toolResults.update('paperTemplate', templateId, data);
+            return this.resolveCustomTemplate(templateId, { ...data, createdAt: existing.createdAt });
+        }
+
+        const existing = await toolResults.list('paperTemplate', { userId, limit: MAX_CUSTOM_TEMPLATES });
+        if (existing.length >= MAX_CUSTOM_TEMPLATES) {
+            throw new Error(`Template limit reached (${MAX_CUSTOM_TEMPLATES})`);
+        }
+
+        const id = await toolResults.create('paperTemplate', userId, data);
+        return this.resolveCustomTemplate(id, { ...data, createdAt: new Date() });
+    }
+
+    /**
+     * Delete a custom template
+     * @param {string} userId - Owner
+     * @param {string} templateId - Template ID
+     */
+    async deleteCustomTemplate(userId, templateId) {
+        const { toolResults } = getRepositories();
+        const existing = await toolResults.get('paperTemplate', templateId);
+        if (!existing || existing.userId !== userId) {
+            throw new Error('Template not found');
+        }
+        await toolResults.delete('paperTemplate', templateId);
+    }
+}
+
+module.exports = new PaperTemplates();
+module.exports.BUILT_IN_TEMPLATES = BUILT_IN_TEMPLATES;
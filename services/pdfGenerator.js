@@ -43,6 +43,29 @@ class PDFGenerator {
     }
   }
 
+  /**
+   * Generate PDF from a complete HTML document
+   * Used by ContentFormatter for writer, draft and assignment exports
+   * @param {string} html - HTML document
+   * @param {Object} options - PDF generation options (header/footer templates, format, margin)
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async generatePDFFromHTML(html, options = {}) {
+    const browser = await puppeteer.launch({ headless: true });
+    const page = await browser.newPage();
+    
+    try {
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+      
+      const pdfOptions = { ...this.defaultOptions, ...options };
+      const pdfBuffer = await page.pdf(pdfOptions);
+      
+      return Buffer.from(pdfBuffer);
+    } finally {
+      await browser.close();
+    }
+  }
+
   /**
    * Generate PDF for citations
    * @param {Object} citations - Citations data
@@ -1,12 +1,11 @@
-const admin = require('firebase-admin');
+const { getRepositories } = require('../repositories');
 
 /**
  * PlanValidator class handles user plan validation and restrictions
- * Uses Firestore for consistent data storage
+ * Reads users and records usage through the configured data store (repositories)
  */
 class PlanValidator {
     constructor() {
-        this.db = admin.firestore();
         this.planTypes = {
             FREEMIUM: 'free',
             PRO: 'pro',
@@ -126,25 +125,23 @@ class PlanValidator {
     }
 
     /**
-     * Get user plan information from Firestore
+     * Get user plan information
      */
     async getUserPlan(userId) {
         try {
-            const userDoc = await this.db.collection('users').doc(userId).get();
+            const user = await getRepositories().users.get(userId);
             
-            if (!userDoc.exists) {
+            if (!user) {
                 return null;
             }
             
-            const userData = userDoc.data();
-            
             return {
-                userId: userData.uid || userId,
-                planType: userData.plan || 'free',
-                credits: userData.credits || 0,
-                isPremium: userData.isPremium || false,
-                createdAt: userData.createdAt,
-                updatedAt: userData.updatedAt
+                userId: user.id,
+                planType: user.plan,
+                credits: user.credits,
+                isPremium: user.isPremium,
+                createdAt: user.createdAt,
+                updatedAt: user.updatedAt
             };
         } catch (error) {
             console.error('Error getting user plan:', error);
@@ -239,20 +236,18 @@ class PlanValidator {
     }
 
     /**
-     * Get user's current credit balance from Firestore
+     * Get user's current credit balance
      */
     async getUserCredits(userId) {
         try {
-            const userDoc = await this.db.collection('users').doc(userId).get();
+            const balance = await getRepositories().credits.getBalance(userId);
             
-            if (!userDoc.exists) {
+            if (!balance) {
                 throw new Error('User not found');
             }
             
-            const userData = userDoc.data();
-            
             return {
-                availableCredits: userData.credits || 0
+                availableCredits: balance.credits
             };
         } catch (error) {
             console.error('Error getting user credits:', error);
@@ -300,21 +295,17 @@ class PlanValidator {
      */
     async recordUsage(userId, wordsGenerated, creditsUsed, toolType = 'writing', metadata = {}) {
         try {
-            const usageRef = this.db.collection('usageTracking').doc();
-            
-            await usageRef.set({
-                userId,
+            const usageId = await getRepositories().usage.record(userId, {
                 toolType,
-                wordsGenerated,
+                wordCount: wordsGenerated,
                 creditsUsed,
-                metadata,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                type: 'usage'
+                type: 'usage',
+                metadata
             });
             
             return {
                 success: true,
-                usageId: usageRef.id,
+                usageId,
                 wordsGenerated,
                 creditsUsed,
                 timestamp: new Date()
@@ -1,15 +1,45 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const admin = require('firebase-admin');
+const llmProvider = require('./llmProvider');
 const AtomicCreditSystem = require('./atomicCreditSystem');
 const PlanValidator = require('./planValidator');
+const { StructuredOutputError } = require('./structuredOutput');
+const { getRepositories } = require('../repositories');
+
+const scoredFeedback = {
+    type: 'object',
+    required: ['score', 'feedback'],
+    properties: {
+        score: { type: 'integer', minimum: 0, maximum: 100 },
+        feedback: { type: 'string', default: '' }
+    }
+};
+
+// Reply schemas for the JSON the prompt model is asked for
+const PROMPT_ANALYSIS_SCHEMA = {
+    type: 'object',
+    required: ['clarity', 'specificity', 'context', 'overall'],
+    properties: {
+        clarity: scoredFeedback,
+        specificity: scoredFeedback,
+        context: scoredFeedback,
+        overall: scoredFeedback,
+        strengths: { type: 'array', items: { type: 'string' }, default: [] },
+        improvements: { type: 'array', items: { type: 'string' }, default: [] }
+    }
+};
+
+const PROMPT_OPTIMIZATION_SCHEMA = {
+    type: 'object',
+    required: ['optimized_prompt'],
+    properties: {
+        optimized_prompt: { type: 'string', minLength: 1 },
+        improvements_made: { type: 'array', items: { type: 'string' }, default: [] },
+        explanation: { type: 'string', default: '' },
+        category_tips: { type: 'string', default: '' }
+    }
+};
 
 class PromptEngineerService {
     constructor() {
-        // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-        // Required for Gemini Flash Lite (1.5-flash) model used in prompt engineering
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY); // Add your Gemini API key
-        this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-        this.db = admin.firestore();
         this.atomicCredit = new AtomicCreditSystem();
         this.planValidator = new PlanValidator();
         
@@ -77,66 +107,17 @@ Prompt to analyze:
 
 Provide honest, constructive feedback focusing on how well the prompt communicates intent, provides necessary context, and would generate useful responses.`;
 
-            const result = await this.model.generateContent(analysisPrompt);
-            const response = result.response;
-            const text = response.text();
-            
-            // Parse JSON response
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            // Fallback if JSON parsing fails
-            return {
-                clarity: { score: 50, feedback: "Unable to analyze clarity" },
-                specificity: { score: 50, feedback: "Unable to analyze specificity" },
-                context: { score: 50, feedback: "Unable to analyze context" },
-                overall: { score: 50, feedback: "Analysis failed, please try again" },
-                strengths: [],
-                improvements: ["Please try submitting your prompt again"]
-            };
+            const { data } = await llmProvider.getModel('prompt').generateJSON(analysisPrompt, PROMPT_ANALYSIS_SCHEMA, {
+                name: 'prompt analysis'
+            });
+            return data;
         } catch (error) {
             console.error('Error analyzing prompt quality:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error('Failed to analyze prompt quality');
         }
     }
 
-    /**
-     * Check daily usage for a user
-     */
-    async getDailyUsage(userId) {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-        const usageRef = this.db.collection('dailyUsage').doc(`${userId}_${today}`);
-        const usageDoc = await usageRef.get();
-        
-        if (!usageDoc.exists) {
-            return {
-                inputWords: 0,
-                outputWords: 0,
-                date: today
-            };
-        }
-        
-        return usageDoc.data();
-    }
-    
-    /**
-     * Update daily usage for a user
-     */
-    async updateDailyUsage(userId, inputWords, outputWords) {
-        const today = new Date().toISOString().split('T')[0];
-        const usageRef = this.db.collection('dailyUsage').doc(`${userId}_${today}`);
-        
-        await usageRef.set({
-            userId,
-            date: today,
-            inputWords: admin.firestore.FieldValue.increment(inputWords),
-            outputWords: admin.firestore.FieldValue.increment(outputWords),
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
-    }
-    
     /**
      * Check if user can perform operation within word limits and calculate credits
      */
@@ -194,10 +175,10 @@ Provide honest, constructive feedback focusing on how well the prompt communicat
                 };
             }
             
-            // Deduct credits for all users
+            // Reserve credits for the estimated output; the actual output is captured
             let creditTransaction = null;
             if (limitCheck.creditsNeeded > 0) {
-                creditTransaction = await this.atomicCredit.deductCreditsAtomic(
+                creditTransaction = await this.atomicCredit.reserveCredits(
                     userId,
                     limitCheck.creditsNeeded,
                     limitCheck.userPlan,
@@ -237,28 +218,26 @@ Return your response in JSON format:
 
 Focus on practical improvements that will genuinely enhance the prompt's effectiveness.`;
 
-                const result = await this.model.generateContent(optimizationPrompt);
-                const response = result.response;
-                const text = response.text();
+                const { data: optimizationResult, text } = await llmProvider.getModel('prompt').generateJSON(
+                    optimizationPrompt,
+                    PROMPT_OPTIMIZATION_SCHEMA,
+                    { name: 'prompt optimization' }
+                );
                 
                 // Calculate actual output words
                 const actualOutputWords = this.calculateWordCount(text);
-                
-                // Parse JSON response
-                const jsonMatch = text.match(/\{[\s\S]*\}/);
-                let optimizationResult;
-                
-                if (jsonMatch) {
-                    optimizationResult = JSON.parse(jsonMatch[0]);
-                } else {
-                    // Fallback if JSON parsing fails
-                    optimizationResult = {
-                        optimized_prompt: text,
-                        improvements_made: ["General optimization applied"],
-                        explanation: "Prompt has been optimized for better clarity and effectiveness",
-                        category_tips: `Consider ${category}-specific best practices`
-                    };
+
+                // Capture the credits for the actual output; the rest of the hold is released
+                let capture = null;
+                if (creditTransaction) {
+                    capture = await this.atomicCredit.captureCredits(
+                        userId,
+                        creditTransaction.reservationId,
+                        this.calculateCreditsNeeded(inputWords, actualOutputWords),
+                        { wordCount: actualOutputWords }
+                    );
                 }
+                const creditsUsed = capture ? capture.creditsCaptured : 0;
 
                 // No daily usage tracking needed in credit-based system
 
@@ -272,8 +251,7 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
                     categoryTips: optimizationResult.category_tips,
                     inputWords,
                     outputWords: actualOutputWords,
-                    creditsUsed: limitCheck.creditsNeeded || 0,
-                    timestamp: admin.firestore.FieldValue.serverTimestamp()
+                    creditsUsed
                 });
 
                 return {
@@ -284,20 +262,25 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
                     categoryTips: optimizationResult.category_tips,
                     inputWords,
                     outputWords: actualOutputWords,
-                    creditsUsed: limitCheck.creditsNeeded || 0,
-                    newBalance: creditTransaction ? creditTransaction.newBalance : null
+                    creditsUsed,
+                    newBalance: capture ? capture.newBalance : null
                 };
 
             } catch (optimizationError) {
-                // Rollback credits on failure
+                // Release the hold on failure (a no-op once captured)
                 if (creditTransaction) {
-                    await this.atomicCredit.rollbackTransaction(creditTransaction.transactionId);
+                    await this.atomicCredit.releaseCredits(
+                        userId,
+                        creditTransaction.reservationId,
+                        'optimization_failed'
+                    );
                 }
                 throw optimizationError;
             }
 
         } catch (error) {
             console.error('Error optimizing prompt:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error(error.message || 'Failed to optimize prompt');
         }
     }
@@ -315,6 +298,7 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
             };
         } catch (error) {
             console.error('Error in free prompt analysis:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error('Failed to analyze prompt');
         }
     }
@@ -369,8 +353,7 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
                     analysis,
                     inputWords,
                     outputWords: actualOutputWords,
-                    creditsUsed: limitCheck.creditsNeeded || 0,
-                    timestamp: admin.firestore.FieldValue.serverTimestamp()
+                    creditsUsed: limitCheck.creditsNeeded || 0
                 });
 
                 return {
@@ -385,54 +368,29 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
             } catch (analysisError) {
                 // Rollback credits on failure
                 if (creditTransaction) {
-                    await this.atomicCredit.rollbackTransaction(creditTransaction.transactionId);
+                    await this.atomicCredit.rollbackTransaction(
+                        userId,
+                        creditTransaction.transactionId,
+                        limitCheck.creditsNeeded,
+                        0
+                    );
                 }
                 throw analysisError;
             }
 
         } catch (error) {
             console.error('Error analyzing prompt with credits:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error(error.message || 'Failed to analyze prompt');
         }
     }
     
-    /**
-     * Get daily usage statistics for a user
-     */
-    async getDailyUsageStats(userId) {
-        try {
-            const planValidation = await this.planValidator.validateUserPlan(userId);
-            const userPlan = planValidation.isValid ? (planValidation.plan || 'free') : 'free';
-            const isPaid = userPlan !== 'free';
-            
-            const dailyUsage = await this.getDailyUsage(userId);
-            const limits = this.DAILY_LIMITS[isPaid ? 'paid' : 'free'];
-            
-            return {
-                success: true,
-                userPlan,
-                dailyUsage,
-                limits,
-                remainingInput: Math.max(0, limits.inputWords - dailyUsage.inputWords),
-                remainingOutput: Math.max(0, limits.outputWords - dailyUsage.outputWords),
-                inputPercentage: Math.min(100, (dailyUsage.inputWords / limits.inputWords) * 100),
-                outputPercentage: Math.min(100, (dailyUsage.outputWords / limits.outputWords) * 100)
-            };
-        } catch (error) {
-            console.error('Error getting daily usage stats:', error);
-            throw new Error('Failed to get usage statistics');
-        }
-    }
-
     /**
      * Store optimization result in database
      */
     async storeOptimizationResult(userId, data) {
         try {
-            await this.db.collection('promptOptimizations').add({
-                userId,
-                ...data
-            });
+            await getRepositories().toolResults.create('promptOptimization', userId, data);
         } catch (error) {
             console.error('Error storing optimization result:', error);
             throw new Error('Failed to store optimization result');
@@ -444,10 +402,7 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
      */
     async storeAnalysisResult(userId, data) {
         try {
-            await this.db.collection('promptAnalyses').add({
-                userId,
-                ...data
-            });
+            await getRepositories().toolResults.create('promptAnalysis', userId, data);
         } catch (error) {
             console.error('Error storing analysis result:', error);
             throw new Error('Failed to store analysis result');
@@ -459,30 +414,12 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
      */
     async getPromptHistory(userId, limit = 20) {
         try {
-            const optimizations = await this.db.collection('promptOptimizations')
-                .where('userId', '==', userId)
-                .orderBy('timestamp', 'desc')
-                .limit(limit)
-                .get();
-
-            const analyses = await this.db.collection('promptAnalyses')
-                .where('userId', '==', userId)
-                .orderBy('timestamp', 'desc')
-                .limit(limit)
-                .get();
-
-            const history = {
-                optimizations: optimizations.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data()
-                })),
-                analyses: analyses.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data()
-                }))
-            };
+            const toolResults = getRepositories().toolResults;
 
-            return history;
+            return {
+                optimizations: await toolResults.list('promptOptimization', { userId, limit }),
+                analyses: await toolResults.list('promptAnalysis', { userId, limit })
+            };
         } catch (error) {
             console.error('Error getting prompt history:', error);
             throw new Error('Failed to retrieve prompt history');
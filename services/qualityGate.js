@@ -0,0 +1,92 @@
+const contentValidator = require('./contentValidator');
+
+const QUALITY_GATE_MODES = ['off', 'flag', 'regenerate'];
+
+/**
+ * QualityGate class
+ * Runs ContentValidator over generated sections and the combined output.
+ * Modes:
+ *   - off: no validation
+ *   - flag: failing sections are reported and marked for review
+ *   - regenerate: failing sections are regenerated (up to maxRegenerations),
+ *     then flagged if they still fail
+ */
+class QualityGate {
+    constructor() {
+        this.defaultMode = QUALITY_GATE_MODES.includes(process.env.QUALITY_GATE_MODE)
+            ? process.env.QUALITY_GATE_MODE
+            : 'flag';
+        this.defaultMaxRegenerations = parseInt(process.env.QUALITY_GATE_MAX_REGENERATIONS, 10) || 1;
+    }
+
+    /**
+     * Resolve gate options for one request
+     * @param {string|Object} requested - Mode name or { mode, maxRegenerations }; falls back to env defaults
+     * @returns {Object} { mode, maxRegenerations }
+     */
+    resolveOptions(requested) {
+        const options = typeof requested === 'string' ? { mode: requested } : (requested || {});
+        const mode = QUALITY_GATE_MODES.includes(options.mode) ? options.mode : this.defaultMode;
+        const maxRegenerations = Number.isInteger(options.maxRegenerations) && options.maxRegenerations >= 0
+            ? Math.min(options.maxRegenerations, 3)
+            : this.defaultMaxRegenerations;
+
+        return { mode, maxRegenerations };
+    }
+
+    /**
+     * Validate content against the request's requirements
+     * @param {string} content - Content to validate
+     * @param {Object} requirements - { wordCount, style, tone }
+     * @returns {Object} Validation result with suggestions
+     */
+    validate(content, requirements) {
+        const validation = contentValidator.validateContent(content, requirements);
+        validation.suggestions = contentValidator.generateSuggestions(validation);
+        return validation;
+    }
+
+    /**
+     * Summarize one section's validation for the report
+     * @param {number} chunkIndex - Section index
+     * @param {Object} validation - Result of validate()
+     * @param {number} regenerations - Regeneration attempts made for the section
+     * @returns {Object} Section report entry
+     */
+    summarizeSection(chunkIndex, validation, regenerations = 0) {
+        return {
+            chunkIndex,
+            isValid: validation.isValid,
+            flagged: !validation.isValid,
+            regenerations,
+            issues: validation.issues,
+            warnings: validation.warnings,
+            wordCount: validation.metrics.wordCount || 0,
+            readabilityScore: validation.metrics.readabilityScore || 0
+        };
+    }
+
+    /**
+     * Build the report stored with the generation
+     * @param {Object} options - Resolved gate options
+     * @param {Array} sections - Section report entries
+     * @param {Object|null} overall - Validation of the combined content
+     * @returns {Object} Quality report
+     */
+    buildReport(options, sections, overall) {
+        const flaggedSections = sections.filter(section => section.flagged).map(section => section.chunkIndex);
+
+        return {
+            mode: options.mode,
+            passed: flaggedSections.length === 0 && (!overall || overall.isValid),
+            flaggedSections,
+            regenerations: sections.reduce((total, section) => total + section.regenerations, 0),
+            sections,
+            overall,
+            checkedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new QualityGate();
+module.exports.QUALITY_GATE_MODES = QUALITY_GATE_MODES;
@@ -1,15 +1,30 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const admin = require('firebase-admin');
-
-class ResearchService {
-  constructor() {
-    // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-    // Required for Gemini 2.5 Pro model used in research generation
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY); // Add your Gemini API key
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-    this.db = admin.firestore();
+const llmProvider = require('./llmProvider');
+const { StructuredOutputError } = require('./structuredOutput');
+const { getRepositories } = require('../repositories');
+
+// Report sections in display order; each is Markdown text in the model's JSON reply
+const RESEARCH_SECTIONS = [
+  ['executiveSummary', 'Executive Summary', 'Brief overview of key findings'],
+  ['mainFindings', 'Main Research Findings', 'Detailed research content organized by themes/topics'],
+  ['keyInsights', 'Key Insights', 'Important insights and analysis'],
+  ['supportingEvidence', 'Supporting Evidence', 'Citations and references to support findings'],
+  ['methodology', 'Methodology', 'Brief explanation of research approach'],
+  ['limitations', 'Limitations', 'Any limitations or gaps in the research'],
+  ['recommendations', 'Recommendations', 'Actionable recommendations based on findings']
+];
+
+const RESEARCH_SCHEMA = {
+  type: 'object',
+  required: ['executiveSummary', 'mainFindings', 'sources'],
+  properties: {
+    ...Object.fromEntries(RESEARCH_SECTIONS.map(([key]) => [key, { type: 'string', default: '' }])),
+    executiveSummary: { type: 'string', minLength: 1 },
+    mainFindings: { type: 'string', minLength: 1 },
+    sources: { type: 'array', items: { type: 'string' }, default: [] }
   }
+};
 
+class ResearchService {
   /**
    * Perform deep research on a given topic using Gemini 2.5 Pro
    */
@@ -17,30 +32,25 @@ class ResearchService {
     try {
       const researchPrompt = this.buildResearchPrompt(query, researchType, depth, sources);
       
-      const result = await this.model.generateContent({
-        contents: [{
-          role: 'user',
-          parts: [{ text: researchPrompt }]
-        }],
-        generationConfig: {
-          temperature: 0.3,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 8192,
-        }
+      const { data: research } = await llmProvider.getModel('research').generateJSON(researchPrompt, RESEARCH_SCHEMA, {
+        name: 'research',
+        temperature: 0.3,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 8192
       });
 
-      const response = result.response;
-      const researchData = this.parseResearchResponse(response.text());
+      const researchData = this.parseResearchResponse(research);
+      const responseText = researchData.fullText;
       
       // Parse sources from the research content
-      const extractedSources = this.extractSources(response.text());
+      const extractedSources = researchData.sources;
       
       // Validate and enhance sources
       const sourceValidation = await this.validateSources(extractedSources, query);
       
       // Calculate word count for credit system
-      const wordCount = this.calculateWordCount(response.text());
+      const wordCount = this.calculateWordCount(responseText);
       
       // Generate research metadata
       const metadata = {
@@ -69,6 +79,7 @@ class ResearchService {
 
     } catch (error) {
       console.error('Research generation error:', error);
+      if (error instanceof StructuredOutputError) throw error;
       throw new Error(`Research failed: ${error.message}`);
     }
   }
@@ -100,31 +111,9 @@ You are an expert researcher conducting ${researchType} research. Your task is t
 - Source Preference: ${sourceInstructions}
 
 **Output Format:**
-Provide your research in the following structured format:
-
-## Executive Summary
-[Brief overview of key findings]
-
-## Main Research Findings
-[Detailed research content organized by themes/topics]
-
-## Key Insights
-[Important insights and analysis]
-
-## Supporting Evidence
-[Citations and references to support findings]
-
-## Methodology
-[Brief explanation of research approach]
-
-## Limitations
-[Any limitations or gaps in the research]
-
-## Recommendations
-[Actionable recommendations based on findings]
-
-## Sources and References
-[List of sources used in research]
+Provide your research as a JSON object with these fields, each holding Markdown text:
+${RESEARCH_SECTIONS.map(([key, , description]) => `- "${key}": ${description}`).join('\n')}
+- "sources": array of the sources used, one full citation per item
 
 **Guidelines:**
 1. Ensure all information is accurate and well-sourced
@@ -141,63 +130,38 @@ Begin your research now:
   }
 
   /**
-   * Parse and structure the research response from Gemini
+   * Structure the validated research reply
+   * fullText rebuilds the Markdown report (one "## " heading per section) that
+   * history, exports and the word count are based on.
+   * @param {Object} research - Reply matching RESEARCH_SCHEMA
+   * @returns {Object} Sections, sources as [{ citation, type, reliability }], fullText
    */
-  parseResearchResponse(responseText) {
-    const sections = {
-      executiveSummary: '',
-      mainFindings: '',
-      keyInsights: '',
-      supportingEvidence: '',
-      methodology: '',
-      limitations: '',
-      recommendations: '',
-      sources: []
-    };
-
-    try {
-      // Extract sections using regex patterns
-      const summaryMatch = responseText.match(/## Executive Summary\s*([\s\S]*?)(?=##|$)/i);
-      if (summaryMatch) sections.executiveSummary = summaryMatch[1].trim();
-
-      const findingsMatch = responseText.match(/## Main Research Findings\s*([\s\S]*?)(?=##|$)/i);
-      if (findingsMatch) sections.mainFindings = findingsMatch[1].trim();
-
-      const insightsMatch = responseText.match(/## Key Insights\s*([\s\S]*?)(?=##|$)/i);
-      if (insightsMatch) sections.keyInsights = insightsMatch[1].trim();
-
-      const evidenceMatch = responseText.match(/## Supporting Evidence\s*([\s\S]*?)(?=##|$)/i);
-      if (evidenceMatch) sections.supportingEvidence = evidenceMatch[1].trim();
-
-      const methodologyMatch = responseText.match(/## Methodology\s*([\s\S]*?)(?=##|$)/i);
-      if (methodologyMatch) sections.methodology = methodologyMatch[1].trim();
-
-      const limitationsMatch = responseText.match(/## Limitations\s*([\s\S]*?)(?=##|$)/i);
-      if (limitationsMatch) sections.limitations = limitationsMatch[1].trim();
-
-      const recommendationsMatch = responseText.match(/## Recommendations\s*([\s\S]*?)(?=##|$)/i);
-      if (recommendationsMatch) sections.recommendations = recommendationsMatch[1].trim();
-
-      const sourcesMatch = responseText.match(/## Sources and References\s*([\s\S]*?)(?=##|$)/i);
-      if (sourcesMatch) {
-        const sourceText = sourcesMatch[1].trim();
-        sections.sources = this.extractSources(sourceText);
+  parseResearchResponse(research) {
+    const sections = {};
+    const parts = [];
+
+    RESEARCH_SECTIONS.forEach(([key, heading]) => {
+      sections[key] = (research[key] || '').trim();
+      if (sections[key]) {
+        parts.push(`## ${heading}\n\n${sections[key]}`);
       }
+    });
 
-      return {
-        ...sections,
-        fullText: responseText,
-        structuredData: true
-      };
-
-    } catch (error) {
-      console.error('Error parsing research response:', error);
-      return {
-        fullText: responseText,
-        structuredData: false,
-        error: 'Failed to parse structured data'
-      };
+    const citations = research.sources.map(source => source.trim()).filter(Boolean);
+    if (citations.length > 0) {
+      parts.push(`## Sources and References\n\n${citations.map(citation => `- ${citation}`).join('\n')}`);
     }
+
+    return {
+      ...sections,
+      sources: citations.map(citation => ({
+        citation,
+        type: this.detectSourceType(citation),
+        reliability: this.assessSourceReliability(citation)
+      })),
+      fullText: parts.join('\n\n'),
+      structuredData: true
+    };
   }
 
   /**
@@ -278,12 +242,11 @@ Begin your research now:
   }
 
   /**
-   * Save research to Firestore history
+   * Save research to the user's history
    */
   async saveResearchToHistory(userId, researchData, metadata) {
     try {
-      const researchRef = await this.db.collection('researchHistory').add({
-        userId,
+      return await getRepositories().toolResults.create('research', userId, {
         query: metadata.query,
         researchType: metadata.researchType || 'general',
         depth: metadata.depth,
@@ -291,11 +254,8 @@ Begin your research now:
         results: researchData,
         wordCount: metadata.wordCount,
         creditsUsed: metadata.creditsUsed || 0,
-        processingTime: metadata.processingTime,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
+        processingTime: metadata.processingTime
       });
-      
-      return researchRef.id;
     } catch (error) {
       console.error('Error saving research to history:', error);
       throw new Error('Failed to save research to history');
@@ -303,46 +263,25 @@ Begin your research now:
   }
 
   /**
-   * Get user's research history from Firestore
+   * Get user's research history, newest first
    */
   async getResearchHistory(userId, limit = 20, offset = 0) {
     try {
-      let query = this.db.collection('researchHistory')
-        .where('userId', '==', userId)
-        .orderBy('timestamp', 'desc')
-        .limit(limit);
-
-      if (offset > 0) {
-        const offsetSnapshot = await this.db.collection('researchHistory')
-          .where('userId', '==', userId)
-          .orderBy('timestamp', 'desc')
-          .limit(offset)
-          .get();
-        
-        if (!offsetSnapshot.empty) {
-          const lastDoc = offsetSnapshot.docs[offsetSnapshot.docs.length - 1];
-          query = query.startAfter(lastDoc);
-        }
-      }
-
-      const snapshot = await query.get();
+      const results = await getRepositories().toolResults.list('research', { userId, limit, offset });
       
-      return snapshot.docs.map(doc => {
-        const data = doc.data();
-        return {
-          id: doc.id,
-          userId: data.userId,
-          query: data.query,
-          researchType: data.researchType,
-          depth: data.depth,
-          sources: data.sources,
-          results: data.results,
-          wordCount: data.wordCount,
-          creditsUsed: data.creditsUsed,
-          processingTime: data.processingTime,
-          timestamp: data.timestamp
-        };
-      });
+      return results.map(data => ({
+        id: data.id,
+        userId: data.userId,
+        query: data.query,
+        researchType: data.researchType,
+        depth: data.depth,
+        sources: data.sources,
+        results: data.results,
+        wordCount: data.wordCount,
+        creditsUsed: data.creditsUsed,
+        processingTime: data.processingTime,
+        timestamp: data.timestamp
+      }));
     } catch (error) {
       console.error('Error getting research history:', error);
       throw new Error('Failed to fetch research history');
@@ -350,33 +289,37 @@ Begin your research now:
   }
 
   /**
-   * Get specific research by ID from Firestore
+   * Get specific research by ID
    */
   async getResearchById(researchId, userId) {
     try {
-      const researchDoc = await this.db.collection('researchHistory').doc(researchId).get();
+      const research = await getRepositories().toolResults.get('research', researchId);
       
-      if (!researchDoc.exists) {
+      if (!research) {
         throw new Error('Research not found');
       }
       
-      const researchData = researchDoc.data();
-      
       // Verify ownership
-      if (researchData.userId !== userId) {
+      if (research.userId !== userId) {
         throw new Error('Unauthorized access to research');
       }
       
-      return {
-        id: researchDoc.id,
-        ...researchData
-      };
+      return research;
     } catch (error) {
       console.error('Error getting research by ID:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete research from the user's history
+   * @throws {Error} 'Research not found' or 'Unauthorized access to research'
+   */
+  async deleteResearch(researchId, userId) {
+    await this.getResearchById(researchId, userId);
+    await getRepositories().toolResults.delete('research', researchId);
+  }
+
   /**
    * Calculate research credits based on depth and word count
    */
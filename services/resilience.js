@@ -0,0 +1,350 @@
+/**
+ * Resilience module for external dependencies
+ * One CircuitBreaker per dependency (gemini, openai, originality, ...) is
+ * shared by every service in the process, so failures seen by one tool
+ * protect the others. Each breaker combines:
+ *   - retries with exponential backoff and full jitter
+ *   - a retry budget that caps retries to a share of recent calls
+ *   - circuit states: closed -> open after repeated failures ->
+ *     half-open probe after the reset timeout -> closed on success
+ */
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+// Per-dependency defaults; anything not listed uses DEFAULT_OPTIONS
+const DEPENDENCY_OPTIONS = {
+    gemini: { failureThreshold: 5, resetTimeout: 300000 },
+    openai: { failureThreshold: 5, resetTimeout: 300000 },
+    originality: { failureThreshold: 5, resetTimeout: 60000 }
+};
+
+const DEFAULT_OPTIONS = {
+    failureThreshold: 5,      // Consecutive failures before the circuit opens
+    resetTimeout: 60000,      // Time the circuit stays open before a half-open probe
+    halfOpenMaxCalls: 1,      // Concurrent probe calls allowed while half-open
+    maxRetries: 3,            // Attempts per call, including the first
+    baseDelay: 1000,          // Backoff base; doubled per attempt
+    maxDelay: 30000,          // Backoff ceiling
+    budgetWindow: 60000,      // Window for the retry budget
+    budgetRatio: 0.2,         // Retries allowed as a share of calls in the window
+    budgetMinRetries: 10      // Retries always allowed per window
+};
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_MESSAGES = ['timeout', 'network', 'socket hang up', 'overloaded', 'rate limit', 'unavailable'];
+
+/**
+ * Error thrown when a call is rejected because the circuit is open
+ */
+class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`${name} is temporarily unavailable (circuit open). Please try again in a few minutes.`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.dependency = name;
+        this.retryAt = retryAt;
+        this.retryable = false;
+    }
+}
+
+/**
+ * Read an HTTP status from axios, fetch-style and SDK errors
+ */
+const getErrorStatus = (error) => {
+    return error.response?.status || error.status || null;
+};
+
+/**
+ * Whether an error is transient and worth retrying
+ * Client errors (4xx other than 408/429) are treated as permanent
+ * @param {Error} error - Error thrown by the dependency call
+ * @returns {boolean}
+ */
+const isTransientError = (error) => {
+    if (error.retryable !== undefined) return error.retryable;
+    if (error.name === 'AbortError' || error.name === 'CanceledError') return false;
+
+    const status = getErrorStatus(error);
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    if (error.code && RETRYABLE_CODES.includes(error.code)) return true;
+
+    const message = (error.message || '').toLowerCase();
+    return RETRYABLE_MESSAGES.some(fragment => message.includes(fragment)) ||
+        /\b(429|500|502|503|504)\b/.test(message);
+};
+
+/**
+ * CircuitBreaker class
+ * Guards calls to one external dependency
+ */
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.halfOpenCalls = 0;
+        this.lastError = null;
+        this.lastFailureTime = null;
+        this.lastSuccessTime = null;
+        this.stats = { calls: 0, successes: 0, failures: 0, retries: 0, rejected: 0 };
+        this.window = { start: Date.now(), calls: 0, retries: 0 };
+    }
+
+    /**
+     * Run a call through the breaker with retries
+     * @param {Function} fn - (attempt) => Promise; called once per attempt
+     * @param {Object} options - { signal, maxRetries, isRetryable }
+     * @returns {Promise<*>} Result of fn
+     */
+    async execute(fn, options = {}) {
+        const maxRetries = options.maxRetries || this.options.maxRetries;
+        const isRetryable = options.isRetryable || isTransientError;
+        let attempt = 0;
+
+        while (true) {
+            attempt++;
+            this.acquire();
+
+            try {
+                const result = await fn(attempt);
+                this.recordSuccess();
+                return result;
+            } catch (error) {
+                const transient = isRetryable(error);
+                this.recordFailure(error, transient);
+
+                if (!transient || attempt >= maxRetries || options.signal?.aborted) {
+                    throw error;
+                }
+                if (!this.consumeRetryBudget()) {
+                    console.warn(`${this.name} retry budget exhausted, not retrying:`, error.message);
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                console.warn(`${this.name} call attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Stream through the breaker
+     * Retries are only possible until the first item has been yielded;
+     * after that a failure is recorded and rethrown to the consumer.
+     * @param {Function} factory - () => AsyncIterable
+     * @param {Object} options - { signal, maxRetries, isRetryable }
+     * @returns {AsyncIterable}
+     */
+    async *executeStream(factory, options = {}) {
+        const maxRetries = options.maxRetries || this.options.maxRetries;
+        const isRetryable = options.isRetryable || isTransientError;
+        let attempt = 0;
+
+        while (true) {
+            attempt++;
+            this.acquire();
+            let yielded = false;
+
+            try {
+                for await (const item of factory()) {
+                    yielded = true;
+                    yield item;
+                }
+                this.recordSuccess();
+                return;
+            } catch (error) {
+                const transient = isRetryable(error);
+                this.recordFailure(error, transient);
+
+                if (yielded || !transient || attempt >= maxRetries || options.signal?.aborted || !this.consumeRetryBudget()) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                console.warn(`${this.name} stream attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Admit a call or throw CircuitOpenError
+     */
+    acquire() {
+        this.rollWindow();
+
+        if (this.state === STATES.OPEN) {
+            if (Date.now() - this.openedAt >= this.options.resetTimeout) {
+                console.log(`${this.name} circuit half-open, sending probe request`);
+                this.state = STATES.HALF_OPEN;
+                this.halfOpenCalls = 0;
+            } else {
+                this.stats.rejected++;
+                throw new CircuitOpenError(this.name, new Date(this.openedAt + this.options.resetTimeout).toISOString());
+            }
+        }
+
+        if (this.state === STATES.HALF_OPEN) {
+            if (this.halfOpenCalls >= this.options.halfOpenMaxCalls) {
+                this.stats.rejected++;
+                throw new CircuitOpenError(this.name, null);
+            }
+            this.halfOpenCalls++;
+        }
+
+        this.stats.calls++;
+        this.window.calls++;
+    }
+
+    recordSuccess() {
+        if (this.state === STATES.HALF_OPEN) {
+            console.log(`${this.name} probe succeeded, closing circuit`);
+        }
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.halfOpenCalls = 0;
+        this.openedAt = null;
+        this.lastSuccessTime = Date.now();
+        this.stats.successes++;
+    }
+
+    /**
+     * Record a failed attempt
+     * Only transient failures count towards opening the circuit; a client
+     * error says nothing about the dependency's health.
+     */
+    recordFailure(error, transient = true) {
+        this.stats.failures++;
+        this.lastError = error.message;
+        this.lastFailureTime = Date.now();
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+            if (transient) this.open();
+            return;
+        }
+
+        if (!transient) return;
+
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.options.failureThreshold) {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.state !== STATES.OPEN) {
+            console.warn(`${this.name} circuit opened after ${this.consecutiveFailures} consecutive failures`);
+        }
+        this.state = STATES.OPEN;
+        this.openedAt = Date.now();
+        this.halfOpenCalls = 0;
+    }
+
+    rollWindow() {
+        if (Date.now() - this.window.start >= this.options.budgetWindow) {
+            this.window = { start: Date.now(), calls: 0, retries: 0 };
+        }
+    }
+
+    /**
+     * Take one retry from the budget for the current window
+     * @returns {boolean} False when the budget is spent
+     */
+    consumeRetryBudget() {
+        this.rollWindow();
+        const allowed = Math.max(
+            this.options.budgetMinRetries,
+            Math.floor(this.window.calls * this.options.budgetRatio)
+        );
+        if (this.window.retries >= allowed) {
+            return false;
+        }
+        this.window.retries++;
+        this.stats.retries++;
+        return true;
+    }
+
+    /**
+     * Exponential backoff with full jitter
+     */
+    getRetryDelay(attempt) {
+        const ceiling = Math.min(this.options.baseDelay * Math.pow(2, attempt - 1), this.options.maxDelay);
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Breaker state for health reporting
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.options.resetTimeout).toISOString() : null,
+            lastError: this.lastError,
+            lastFailureTime: this.lastFailureTime ? new Date(this.lastFailureTime).toISOString() : null,
+            lastSuccessTime: this.lastSuccessTime ? new Date(this.lastSuccessTime).toISOString() : null,
+            retryBudget: {
+                windowCalls: this.window.calls,
+                windowRetries: this.window.retries
+            },
+            stats: { ...this.stats }
+        };
+    }
+}
+
+/**
+ * Registry of breakers keyed by dependency name
+ */
+class ResilienceRegistry {
+    constructor() {
+        this.breakers = new Map();
+    }
+
+    /**
+     * Get (or create) the breaker for a dependency
+     * @param {string} name - Dependency name, e.g. 'gemini' or 'originality'
+     * @returns {CircuitBreaker}
+     */
+    getBreaker(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, DEPENDENCY_OPTIONS[name] || {}));
+        }
+        return this.breakers.get(name);
+    }
+
+    /**
+     * State of every breaker, for /api/health
+     * @returns {Object} Map of dependency name to status
+     */
+    getAllStatus() {
+        const status = {};
+        // Always report the core dependencies, even before their first call
+        Object.keys(DEPENDENCY_OPTIONS).forEach(name => this.getBreaker(name));
+        this.breakers.forEach((breaker, name) => {
+            status[name] = breaker.getStatus();
+        });
+        return status;
+    }
+}
+
+module.exports = new ResilienceRegistry();
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.isTransientError = isTransientError;
+module.exports.STATES = STATES;
@@ -1,9 +1,5 @@
-const admin = require('firebase-admin');
-
 class SourceValidator {
   constructor() {
-    this.db = admin.firestore();
-    
     // Trusted domain patterns
     this.trustedDomains = [
       // Academic and Research
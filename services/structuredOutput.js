@@ -0,0 +1,404 @@
+/**
+ * Structured (JSON) output from LLM calls
+ * Call sites declare a JSON schema for the reply instead of parsing it ad hoc.
+ * A reply goes through three steps:
+ *   1. extract - strip Markdown fences and prose, close truncated JSON, drop trailing commas
+ *   2. repair  - coerce values toward the schema ("85" -> 85, clamp to min/max, fill defaults)
+ *   3. validate - anything still wrong re-asks the model once with the violations listed
+ * If the second reply is still unusable a StructuredOutputError is thrown, so
+ * routes can refund credits and answer with a specific error instead of a generic 500.
+ *
+ * Supported schema keywords: type (string or list), properties, required,
+ * items, enum, minimum, maximum, minLength, maxLength, minItems, maxItems, default.
+ * validate() is also used for request bodies (middleware/validate.js).
+ */
+
+const ERROR_CODES = {
+    NO_JSON: 'MODEL_OUTPUT_NO_JSON',
+    INVALID_JSON: 'MODEL_OUTPUT_INVALID_JSON',
+    SCHEMA_VIOLATION: 'MODEL_OUTPUT_SCHEMA_VIOLATION'
+};
+
+/**
+ * Error thrown when a model reply cannot be turned into schema-valid JSON
+ */
+class StructuredOutputError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.code = code;
+        this.schemaName = details.schemaName || null;
+        this.violations = details.violations || [];
+        this.rawText = details.rawText || '';
+        this.attempts = details.attempts || 1;
+        this.retryable = false;
+    }
+}
+
+/**
+ * Find the first JSON value in a model reply and parse it
+ * Tolerates ```json fences, leading/trailing prose, trailing commas and replies
+ * cut off mid-value (open strings, arrays and objects are closed)
+ * @param {string} text - Model reply
+ * @returns {Object} { value, repaired } where repaired is true if the JSON had to be fixed
+ * @throws {StructuredOutputError} NO_JSON or INVALID_JSON
+ */
+const extractJSON = (text) => {
+    const source = String(text || '').replace(/```(?:json)?/gi, '');
+    const start = source.search(/[{[]/);
+
+    if (start === -1) {
+        throw new StructuredOutputError(ERROR_CODES.NO_JSON, 'Model reply did not contain JSON', { rawText: text });
+    }
+
+    const direct = source.slice(start).trim();
+    try {
+        return { value: JSON.parse(direct), repaired: false };
+    } catch (error) {
+        // Fall through to the scanner
+    }
+
+    // Copy the first complete value, fixing what JSON.parse rejects
+    const stack = [];
+    let output = '';
+    let inString = false;
+    let escaped = false;
+    let complete = false;
+
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            } else if (char === '\n') {
+                output += '\\n';
+                continue;
+            }
+            output += char;
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            output = output.replace(/,\s*$/, '');
+            stack.pop();
+            if (stack.length === 0) {
+                output += char;
+                complete = true;
+                break;
+            }
+        }
+        output += char;
+    }
+
+    if (!complete) {
+        // Truncated reply: close the open string, drop a dangling key or comma, close the brackets
+        if (inString) output += '"';
+        if (stack[stack.length - 1] === '}') {
+            output = output
+                .replace(/,\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '')
+                .replace(/\{\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '{');
+        }
+        output = output.replace(/[,:]\s*$/, '');
+        output = output.replace(/,\s*$/, '') + stack.reverse().join('');
+    }
+
+    try {
+        return { value: JSON.parse(output), repaired: true };
+    } catch (error) {
+        throw new StructuredOutputError(ERROR_CODES.INVALID_JSON, `Model reply contained malformed JSON: ${error.message}`, { rawText: text });
+    }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Coerce a parsed value toward the schema
+ * Only unambiguous fixes are applied; anything else is left for validate() to report
+ * @param {*} value - Parsed value
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path used in repair notes
+ * @param {Array<string>} repairs - Collects a note per repair
+ * @returns {*} Repaired value
+ */
+const repair = (value, schema, path = '$', repairs = []) => {
+    if (!schema) return value;
+
+    const types = [].concat(schema.type || []);
+    let result = value;
+
+    if (result === undefined || result === null) {
+        if (schema.default !== undefined && !types.includes('null')) {
+            repairs.push(`${path}: filled default`);
+            return JSON.parse(JSON.stringify(schema.default));
+        }
+        return result;
+    }
+
+    if (types.length > 0 && !types.some(type => matchesType(result, type))) {
+        const wanted = types[0];
+
+        if ((wanted === 'number' || wanted === 'integer') && typeof result === 'string') {
+            const number = parseFloat(result.replace(/[%,\s]/g, ''));
+            if (!Number.isNaN(number)) result = number;
+        } else if (wanted === 'boolean' && typeof result === 'string' && /^(true|false)$/i.test(result.trim())) {
+            result = result.trim().toLowerCase() === 'true';
+        } else if (wanted === 'string' && (typeof result === 'number' || typeof result === 'boolean')) {
+            result = String(result);
+        } else if (wanted === 'string' && Array.isArray(result) && result.every(item => typeof item === 'string')) {
+            result = result.join('\n');
+        } else if (wanted === 'array' && typeOf(result) !== 'array') {
+            result = [result];
+        }
+
+        if (result !== value) repairs.push(`${path}: coerced to ${wanted}`);
+    }
+
+    if (typeof result === 'number') {
+        if (types.includes('integer') && !Number.isInteger(result)) {
+            result = Math.round(result);
+            repairs.push(`${path}: rounded to integer`);
+        }
+        if (schema.minimum !== undefined && result < schema.minimum) {
+            result = schema.minimum;
+            repairs.push(`${path}: clamped to minimum`);
+        }
+        if (schema.maximum !== undefined && result > schema.maximum) {
+            result = schema.maximum;
+            repairs.push(`${path}: clamped to maximum`);
+        }
+    }
+
+    if (schema.enum && typeof result === 'string' && !schema.enum.includes(result)) {
+        const match = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === result.trim().toLowerCase());
+        if (match !== undefined) {
+            result = match;
+            repairs.push(`${path}: normalized enum value`);
+        }
+    }
+
+    if (Array.isArray(result) && schema.items) {
+        result = result.map((item, index) => repair(item, schema.items, `${path}[${index}]`, repairs));
+        if (schema.maxItems !== undefined && result.length > schema.maxItems) {
+            result = result.slice(0, schema.maxItems);
+            repairs.push(`${path}: truncated to ${schema.maxItems} items`);
+        }
+    }
+
+    if (typeOf(result) === 'object' && schema.properties) {
+        result = { ...result };
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            const repaired = repair(result[key], propertySchema, `${path}.${key}`, repairs);
+            if (repaired !== undefined) result[key] = repaired;
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Validate a value against the schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path used in messages
+ * @returns {Array<string>} Violations; empty when valid
+ */
+const validate = (value, schema, path = '$') => {
+    if (!schema) return [];
+
+    const violations = [];
+    const types = [].concat(schema.type || []);
+
+    if (value === undefined) {
+        return [`${path}: is required`];
+    }
+
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        violations.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) violations.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) violations.push(`${path}: must be <= ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            violations.push(schema.minLength <= 1 ? `${path}: must not be empty` : `${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            violations.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) violations.push(`${path}: needs at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) violations.push(`${path}: allows at most ${schema.maxItems} item(s)`);
+        if (schema.items) {
+            value.forEach((item, index) => violations.push(...validate(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) violations.push(`${path}.${key}: is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) violations.push(...validate(value[key], propertySchema, `${path}.${key}`));
+        });
+    }
+
+    return violations;
+};
+
+/**
+ * Parse, repair and validate one model reply
+ * @param {string} text - Model reply
+ * @param {Object} schema - JSON schema
+ * @param {string} schemaName - Name used in errors
+ * @returns {Object} { data, repairs }
+ * @throws {StructuredOutputError}
+ */
+const parse = (text, schema, schemaName = 'response') => {
+    let extracted;
+    try {
+        extracted = extractJSON(text);
+    } catch (error) {
+        error.schemaName = schemaName;
+        throw error;
+    }
+
+    const { value, repaired } = extracted;
+    const repairs = repaired ? ['$: fixed malformed JSON'] : [];
+    const data = repair(value, schema, '$', repairs);
+    const violations = validate(data, schema);
+
+    if (violations.length > 0) {
+        throw new StructuredOutputError(
+            ERROR_CODES.SCHEMA_VIOLATION,
+            `Model reply does not match the ${schemaName} schema: ${violations.slice(0, 5).join('; ')}`,
+            { schemaName, violations, rawText: text }
+        );
+    }
+
+    return { data, repairs };
+};
+
+/**
+ * Instructions appended to the prompt so the model replies with bare JSON
+ */
+const buildSchemaInstructions = (schema) => {
+    return `\n\nRespond with JSON only, with no Markdown fences or commentary. The JSON must match this schema:\n${JSON.stringify(schema)}`;
+};
+
+/**
+ * Ask a model for JSON matching a schema
+ * The first reply that parses (after repair) wins; otherwise the model is
+ * re-asked once with its previous reply and the problems found.
+ * @param {Object} model - LLMModel from llmProvider.getModel()
+ * @param {string} prompt - Prompt text
+ * @param {Object} schema - JSON schema for the reply
+ * @param {Object} options - { name, reask (default true), ...generate options }
+ * @returns {Promise<Object>} { data, text, attempts, repairs }
+ * @throws {StructuredOutputError} when the reply is still unusable after the re-ask
+ */
+const generate = async (model, prompt, schema, options = {}) => {
+    const { name = 'response', reask = true, ...generateOptions } = options;
+    const requestOptions = { ...generateOptions, responseSchema: schema };
+    const fullPrompt = `${prompt}${buildSchemaInstructions(schema)}`;
+
+    let text = await model.generate(fullPrompt, requestOptions);
+    try {
+        return { ...parse(text, schema, name), text, attempts: 1 };
+    } catch (error) {
+        if (!(error instanceof StructuredOutputError) || !reask) {
+            throw error;
+        }
+
+        console.error(`Structured output (${name}) invalid, re-asking once:`, error.message);
+
+        const problems = error.violations.length > 0 ? error.violations.slice(0, 10).join('\n') : error.message;
+        const reaskPrompt = `${fullPrompt}\n\nYour previous reply could not be used:\n${String(text).slice(0, 4000)}\n\nProblems:\n${problems}\n\nReply again with corrected JSON only.`;
+
+        text = await model.generate(reaskPrompt, requestOptions);
+        try {
+            return { ...parse(text, schema, name), text, attempts: 2 };
+        } catch (retryError) {
+            if (retryError instanceof StructuredOutputError) {
+                retryError.attempts = 2;
+            }
+            throw retryError;
+        }
+    }
+};
+
+/**
+ * Build a placeholder value for a schema (used by the offline fake provider)
+ * @param {Object} schema - JSON schema
+ * @param {Function} pickString - (path) => string for string fields
+ * @param {Function} pickNumber - (min, max) => number for numeric fields
+ * @param {string} path - Current path
+ * @returns {*} Value matching the schema
+ */
+const sample = (schema, pickString, pickNumber, path = '$') => {
+    if (!schema) return null;
+    if (schema.enum) return schema.enum[0];
+
+    const type = [].concat(schema.type || 'string')[0];
+    switch (type) {
+        case 'object': {
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                result[key] = sample(propertySchema, pickString, pickNumber, `${path}.${key}`);
+            });
+            return result;
+        }
+        case 'array': {
+            const count = Math.max(schema.minItems || 0, 1);
+            return Array.from({ length: count }, (_, index) => sample(schema.items, pickString, pickNumber, `${path}[${index}]`));
+        }
+        case 'integer':
+            return Math.round(pickNumber(schema.minimum ?? 0, schema.maximum ?? 100));
+        case 'number':
+            return pickNumber(schema.minimum ?? 0, schema.maximum ?? 100);
+        case 'boolean':
+            return false;
+        case 'null':
+            return null;
+        default:
+            return pickString(path);
+    }
+};
+
+module.exports = {
+    generate,
+    parse,
+    extractJSON,
+    repair,
+    validate,
+    sample,
+    StructuredOutputError,
+    ERROR_CODES
+};
@@ -1,13 +1,52 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProvider = require('./llmProvider');
 const { CSL } = require('citeproc');
 const admin = require('firebase-admin');
 
+// Reply schemas for the JSON the citations model is asked for
+const CITATION_REQUIREMENTS_SCHEMA = {
+  type: 'object',
+  required: ['requiresCitations'],
+  properties: {
+    requiresCitations: { type: 'boolean' },
+    citationPoints: { type: 'array', items: { type: 'string' }, default: [] },
+    sourceTypes: { type: 'array', items: { type: 'string' }, default: [] },
+    estimatedCount: { type: 'integer', minimum: 0, maximum: 20, default: 0 },
+    academicLevel: { type: 'string', enum: ['undergraduate', 'graduate', 'professional'], default: 'undergraduate' }
+  }
+};
+
+const BIBLIOGRAPHIC_DATA_SCHEMA = {
+  type: 'array',
+  maxItems: 20,
+  items: {
+    type: 'object',
+    required: ['id', 'type', 'title', 'author'],
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['article-journal', 'book', 'report', 'webpage'], default: 'article-journal' },
+      title: { type: 'string', minLength: 1 },
+      author: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['family'],
+          properties: { family: { type: 'string' }, given: { type: 'string', default: '' } }
+        }
+      },
+      'container-title': { type: 'string', default: '' },
+      issued: { type: 'object' },
+      volume: { type: 'string', default: '' },
+      issue: { type: 'string', default: '' },
+      page: { type: 'string', default: '' },
+      DOI: { type: 'string' },
+      URL: { type: 'string' }
+    }
+  }
+};
+
 class ZoteroCSLProcessor {
   constructor() {
-    // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-    // Required for Gemini 2.5 Pro model used in citation generation
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY); // Add your Gemini API key
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
     
     // TODO: Add your Zotero API key here if using Zotero Web API - Get from https://www.zotero.org/settings/keys
     // Optional: For direct Zotero library integration
@@ -106,9 +145,10 @@ class ZoteroCSLProcessor {
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
-      return JSON.parse(response.replace(/```json\n?|```/g, ''));
+      const { data } = await llmProvider.getModel('citations').generateJSON(prompt, CITATION_REQUIREMENTS_SCHEMA, {
+        name: 'citation requirements'
+      });
+      return data;
     } catch (error) {
       console.error('Citation analysis error:', error);
       return { requiresCitations: false, citationPoints: [], sourceTypes: [], estimatedCount: 0 };
@@ -150,9 +190,9 @@ class ZoteroCSLProcessor {
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
-      const bibliographicData = JSON.parse(response.replace(/```json\n?|```/g, ''));
+      const { data: bibliographicData } = await llmProvider.getModel('citations').generateJSON(prompt, BIBLIOGRAPHIC_DATA_SCHEMA, {
+        name: 'bibliographic data'
+      });
       
       // Store generated citations for future reference
       await this.storeCitationData(topic, bibliographicData);
@@ -268,8 +308,8 @@ class ZoteroCSLProcessor {
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      return result.response.text().replace(/```\n?|```/g, '');
+      const response = await llmProvider.getModel('citations').generate(prompt);
+      return response.replace(/```\n?|```/g, '');
     } catch (error) {
       console.error('Citation insertion error:', error);
       return content;